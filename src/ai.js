@@ -8,6 +8,8 @@ import { createAbortError, isAbortError } from './abort.js';
 import { getI18n, normalizeReportLang } from './i18n.js';
 import { validateStrictOutputSchema } from './schemaValidate.js';
 import { attachIgnoreEpipe } from './streamErrors.js';
+import { DEFAULT_CHAT_BASE_URL, runChatCompletionPrompt } from './chatCompletions.js';
+import { aiCacheKey, hashEvidence, readAiVerdict, writeAiVerdict } from './aiCache.js';
 import { applyCodexBaseUrlFromConfig, looksLikeMissingAuth, maybeHandleMissingAuth } from './codexAuth.js';
 import {
   buildMcpArgs,
@@ -198,6 +200,27 @@ function normalizeAiStatus(status) {
   return STATUS.NC;
 }
 
+function promptTests(criterion) {
+  return (Array.isArray(criterion?.tests) ? criterion.tests : []).map((test) => ({
+    test_id: test.id,
+    title: test.title
+  }));
+}
+
+// Per-test verdicts as { id, status }; ids that do not belong to the criterion are dropped.
+export function normalizeAiTests(criterionId, tests) {
+  const prefix = `${criterionId}.`;
+  return (Array.isArray(tests) ? tests : [])
+    .filter((test) => String(test?.test_id || test?.id || '').startsWith(prefix))
+    .map((test) => ({ id: String(test.test_id || test.id), status: normalizeAiStatus(test.status) }));
+}
+
+// Failing tests only count when the criterion itself stays "Not conform".
+export function aiFailedTests(status, tests) {
+  if (status !== STATUS.NC || !Array.isArray(tests)) return [];
+  return tests.filter((test) => test.status === STATUS.NC).map((test) => test.id);
+}
+
 function looksLikeNonVerifiable({ rationale, evidence } = {}) {
   const text = `${rationale || ''} ${(Array.isArray(evidence) ? evidence.join(' ') : '')}`
     .replace(/\s+/g, ' ')
@@ -239,6 +262,7 @@ function buildEvidence(snapshot) {
     focusables: 80,
     dirChanges: 40,
     rolesSummary: 30,
+    ariaNodes: 60,
     listItems: 60,
     langChanges: 40
   };
@@ -256,7 +280,8 @@ function buildEvidence(snapshot) {
     listItems: Array.isArray(snapshot.listItems) ? snapshot.listItems.length : 0,
     langChanges: Array.isArray(snapshot.langChanges) ? snapshot.langChanges.length : 0,
     dirChanges: Array.isArray(snapshot.dirChanges) ? snapshot.dirChanges.length : 0,
-    rolesSummary: Array.isArray(snapshot.rolesSummary) ? snapshot.rolesSummary.length : 0
+    rolesSummary: Array.isArray(snapshot.rolesSummary) ? snapshot.rolesSummary.length : 0,
+    ariaNodes: Array.isArray(snapshot.ariaNodes) ? snapshot.ariaNodes.length : 0
   };
   const truncated = Object.fromEntries(
     Object.entries(caps).map(([key, cap]) => [key, counts[key] > cap])
@@ -268,6 +293,8 @@ function buildEvidence(snapshot) {
     lang: snapshot.lang || '',
     dir: snapshot.dir || '',
     href: snapshot.href || '',
+    // Named interaction state (menu opened, modal shown...) when the snapshot is not the page as loaded.
+    state: snapshot.state || '',
     readyState: snapshot.readyState || '',
     headings: safeSlice(snapshot.headings, 60),
     links: safeSlice(snapshot.links, 60),
@@ -282,6 +309,7 @@ function buildEvidence(snapshot) {
     listItems: safeSlice(snapshot.listItems, 60),
     langChanges: safeSlice(snapshot.langChanges, 40),
     dirChanges: safeSlice(snapshot.dirChanges, 40),
+    ariaNodes: safeSlice(snapshot.ariaNodes, 60),
     headingsSummary: snapshot.headingsSummary || {
       total: 0,
       h1: 0,
@@ -326,6 +354,7 @@ function buildEvidence(snapshot) {
     mediaDetails: snapshot.mediaDetails || { videos: [], audios: [] },
     scripts: snapshot.scripts || { scriptTags: 0, hasInlineHandlers: false },
     meta: snapshot.meta || { viewport: '', refresh: '' },
+    timeLimits: snapshot.timeLimits || { scriptRedirects: [] },
     ariaLive: snapshot.ariaLive || {
       liveRegions: 0,
       rolesCount: 0,
@@ -346,6 +375,14 @@ function buildEvidence(snapshot) {
       cssBackgroundImages: 0,
       bgExamples: []
     },
+    noCss: snapshot.noCss
+      ? { ...snapshot.noCss, linearText: String(snapshot.noCss.linearText || '').slice(0, 2000) }
+      : null,
+    axTree: snapshot.axTree
+      ? { counts: snapshot.axTree.counts, nodes: safeSlice(snapshot.axTree.nodes, 80) }
+      : null,
+    component: snapshot.component || null,
+    sharedComponents: safeSlice(snapshot.sharedComponents, 20),
     enrichment: snapshot.enrichment || null,
     counts,
     truncated
@@ -370,6 +407,7 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           '   langChanges.length=0, media.video=0 & media.audio=0 & media.object=0, visual.cssBackgroundImages=0 & visual.svg=0 & visual.canvas=0 & visual.picture=0.',
           '2) Evidence sufficiency → if the criterion applies but required information is missing to verify compliance EVEN after using MCP tools, return "Review" and state what is missing.',
           '3) Compliance → if any relevant element violates the requirement, return "Not conform"; return "Conform" only when evidence explicitly shows compliance for ALL relevant elements.',
+          'tests lists the RGAA tests of the criterion: return one tests[] entry per listed test (test_id + status, same statuses); the criterion is "Not conform" as soon as one test is "Not conform", and the rationale names the failing test ids.',
           ...(retry
             ? [
                 'Previous pass returned "Review". Re-check using MCP tools to resolve missing evidence; return "Review" only if still blocked after targeted tool use.'
@@ -381,6 +419,10 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           'Extra evidence may be provided under enrichment (motion detection, contrast summary, UI contrast, HTML hints, DOM hints).',
           'For contrast, motion, or animation-related criteria, prioritize enrichment.contrast / enrichment.uiContrast / enrichment.motion / enrichment.htmlHints when present.',
           'For criterion 3.3 (UI components/graphics contrast), prioritize enrichment.uiContrast when present.',
+          'For criteria 10.2 and 10.3 (content without CSS), use noCss when present: cssOnlyContent (::before/::after content), backgroundImages, reordered/orderProperties (content moved by CSS), textDiff (lines lost or revealed once CSS is off) and linearText (page text with author styles disabled).',
+          'When component is present, the evidence is one shared header/navigation/footer block (component.html, links, images, buttons, controls): judge only that block (the page-level lists are empty on purpose), and return "Non applicable" when it contains nothing the criterion covers.',
+          'sharedComponents lists blocks reviewed separately for the listed criteria: ignore their content for those criteria and judge the rest of the page.',
+          'For names and text alternatives (images, links, buttons, form labels), prefer axTree.nodes when present (Chrome computed accessibility tree: role, name, nameFrom, description, ignored) over DOM-derived names.',
           'For form grouping/legend criteria, use fieldsets and formControls[*].fieldsetLegend/inFieldset.',
           'For multimedia criteria, use mediaDetails (tracks + controls/autoplay/muted).',
           'For navigation/structure criteria, use landmarks/meta and enrichment.domHints when present.',
@@ -427,6 +469,7 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           JSON.stringify({
             criterion_id: criterion.id,
             criterion_title: criterion.title,
+            tests: promptTests(criterion),
             url,
             evidence
           })
@@ -440,6 +483,7 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           '   langChanges.length=0, media.video=0 & media.audio=0 & media.object=0, visual.cssBackgroundImages=0 & visual.svg=0 & visual.canvas=0 & visual.picture=0.',
           '2) Suffisance des preuves → si le critère s’applique mais que des informations nécessaires manquent pour vérifier la conformité MÊME après usage des outils MCP, réponds "Review" et précise ce qui manque.',
           '3) Conformité → si un élément concerné est non conforme, réponds "Not conform"; réponds "Conform" seulement si les preuves démontrent la conformité pour TOUS les éléments concernés.',
+          'tests liste les tests RGAA du critère : renvoie une entrée tests[] par test listé (test_id + status, mêmes statuts) ; le critère est "Not conform" dès qu’un test est "Not conform", et la justification cite les identifiants des tests en échec.',
           ...(retry
             ? [
                 'Un premier passage a rendu "Review". Re-vérifie en utilisant les outils MCP pour combler les preuves manquantes; ne réponds "Review" que si tu restes bloqué après des vérifications ciblées.'
@@ -451,6 +495,9 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           'Des preuves supplémentaires peuvent être fournies dans enrichment (détection de mouvement, synthèse contraste, contraste UI, indices HTML).',
           'Pour les critères de contraste, mouvement ou animation, privilégie enrichment.contrast / enrichment.uiContrast / enrichment.motion / enrichment.htmlHints si présents.',
           'Pour le critère 3.3 (composants UI/éléments graphiques), privilégie enrichment.uiContrast si présent.',
+          'Pour les critères 10.2 et 10.3 (contenu sans CSS), utilise noCss si présent : cssOnlyContent (contenu ::before/::after), backgroundImages, reordered/orderProperties (contenu déplacé par CSS), textDiff (lignes perdues ou révélées sans CSS) et linearText (texte de la page sans styles d’auteur).',
+          'Si component est présent, les preuves portent sur un seul bloc partagé d’en-tête/navigation/pied de page (component.html, links, images, buttons, controls) : juge uniquement ce bloc (les listes de la page sont vides à dessein), et réponds "Non applicable" s’il ne contient rien de concerné par le critère.',
+          'sharedComponents liste les blocs évalués séparément pour les critères indiqués : ignore leur contenu pour ces critères et juge le reste de la page.',
           'Pour les critères de regroupement/légende de champs, utilise fieldsets et formControls[*].fieldsetLegend/inFieldset.',
           'Pour les critères multimédia, utilise mediaDetails (pistes + controls/autoplay/muted).',
           'Pour les critères de navigation/structure, utilise landmarks et meta (viewport/refresh).',
@@ -499,6 +546,7 @@ function buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry = false
           JSON.stringify({
             criterion_id: criterion.id,
             criterion_title: criterion.title,
+            tests: promptTests(criterion),
             url,
             evidence
           })
@@ -525,12 +573,17 @@ function buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp }) {
           '   langChanges.length=0, media.video=0 & media.audio=0 & media.object=0, visual.cssBackgroundImages=0 & visual.svg=0 & visual.canvas=0 & visual.picture=0.',
           '2) Evidence sufficiency → if the criterion applies but required information is missing to verify compliance EVEN after using MCP tools, return "Review" and state what is missing.',
           '3) Compliance → if any relevant element violates the requirement, return "Not conform"; return "Conform" only when evidence explicitly shows compliance for ALL relevant elements.',
+          'Each criterion lists its RGAA tests: return one tests[] entry per listed test of that criterion (test_id + status, same statuses); a criterion is "Not conform" as soon as one of its tests is "Not conform", and the rationale names the failing test ids.',
           'Evidence is capped: headings/links/formControls/images/listItems up to 60; frames 20; tables 40; fieldsets 30; buttons 40; landmarks 40; focusables 80; dirChanges 40; rolesSummary 30; langChanges 40.',
           'If a list hits its cap or truncated.* is true, treat evidence as partial and avoid "Conform" unless the criterion can still be fully verified.',
           'Use only the provided evidence; no assumptions or external sources.',
           'Extra evidence may be provided under enrichment (motion detection, contrast summary, UI contrast, HTML hints, DOM hints).',
           'For contrast, motion, or animation-related criteria, prioritize enrichment.contrast / enrichment.uiContrast / enrichment.motion / enrichment.htmlHints when present.',
           'For criterion 3.3 (UI components/graphics contrast), prioritize enrichment.uiContrast when present.',
+          'For criteria 10.2 and 10.3 (content without CSS), use noCss when present: cssOnlyContent (::before/::after content), backgroundImages, reordered/orderProperties (content moved by CSS), textDiff (lines lost or revealed once CSS is off) and linearText (page text with author styles disabled).',
+          'When component is present, the evidence is one shared header/navigation/footer block (component.html, links, images, buttons, controls): judge only that block (the page-level lists are empty on purpose), and return "Non applicable" when it contains nothing the criterion covers.',
+          'sharedComponents lists blocks reviewed separately for the listed criteria: ignore their content for those criteria and judge the rest of the page.',
+          'For names and text alternatives (images, links, buttons, form labels), prefer axTree.nodes when present (Chrome computed accessibility tree: role, name, nameFrom, description, ignored) over DOM-derived names.',
           'For form grouping/legend criteria, use fieldsets and formControls[*].fieldsetLegend/inFieldset.',
           'For multimedia criteria, use mediaDetails (tracks + controls/autoplay/muted).',
           'For navigation/structure criteria, use landmarks and meta (viewport/refresh).',
@@ -579,7 +632,8 @@ function buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp }) {
             criteria: criteria.map((c) => ({
               criterion_id: c.id,
               criterion_title: c.title,
-              theme: c.theme
+              theme: c.theme,
+              tests: promptTests(c)
             })),
             evidence
           })
@@ -594,12 +648,16 @@ function buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp }) {
           '   langChanges.length=0, media.video=0 & media.audio=0 & media.object=0, visual.cssBackgroundImages=0 & visual.svg=0 & visual.canvas=0 & visual.picture=0.',
           '2) Suffisance des preuves → si le critère s’applique mais que des informations nécessaires manquent pour vérifier la conformité MÊME après usage des outils MCP, réponds "Review" et précise ce qui manque.',
           '3) Conformité → si un élément concerné est non conforme, réponds "Not conform"; réponds "Conform" seulement si les preuves démontrent la conformité pour TOUS les éléments concernés.',
+          'Chaque critère liste ses tests RGAA : renvoie une entrée tests[] par test listé de ce critère (test_id + status, mêmes statuts) ; un critère est "Not conform" dès qu’un de ses tests est "Not conform", et la justification cite les identifiants des tests en échec.',
           'Les preuves sont tronquées: headings/links/formControls/images/listItems jusqu’à 60; frames 20; tables 40; fieldsets 30; buttons 40; landmarks 40; focusables 80; dirChanges 40; rolesSummary 30; langChanges 40.',
           'Si une liste atteint son maximum ou si truncated.* est true, considère l’échantillon comme partiel et évite "Conform" sauf si le critère reste entièrement vérifiable.',
           'Utilise uniquement les preuves fournies; pas d’hypothèses ni de sources externes.',
           'Des preuves supplémentaires peuvent être fournies dans enrichment (détection de mouvement, synthèse contraste, contraste UI, indices HTML).',
           'Pour les critères de contraste, mouvement ou animation, privilégie enrichment.contrast / enrichment.uiContrast / enrichment.motion / enrichment.htmlHints si présents.',
           'Pour le critère 3.3 (composants UI/éléments graphiques), privilégie enrichment.uiContrast si présent.',
+          'Pour les critères 10.2 et 10.3 (contenu sans CSS), utilise noCss si présent : cssOnlyContent (contenu ::before/::after), backgroundImages, reordered/orderProperties (contenu déplacé par CSS), textDiff (lignes perdues ou révélées sans CSS) et linearText (texte de la page sans styles d’auteur).',
+          'Si component est présent, les preuves portent sur un seul bloc partagé d’en-tête/navigation/pied de page (component.html, links, images, buttons, controls) : juge uniquement ce bloc (les listes de la page sont vides à dessein), et réponds "Non applicable" s’il ne contient rien de concerné par le critère.',
+          'sharedComponents liste les blocs évalués séparément pour les critères indiqués : ignore leur contenu pour ces critères et juge le reste de la page.',
           'Pour les critères de regroupement/légende de champs, utilise fieldsets et formControls[*].fieldsetLegend/inFieldset.',
           'Pour les critères multimédia, utilise mediaDetails (pistes + controls/autoplay/muted).',
           'Pour les critères de navigation/structure, utilise landmarks/meta et enrichment.domHints si présent.',
@@ -648,7 +706,8 @@ function buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp }) {
             criteria: criteria.map((c) => ({
               criterion_id: c.id,
               criterion_title: c.title,
-              theme: c.theme
+              theme: c.theme,
+              tests: promptTests(c)
             })),
             evidence
           })
@@ -656,19 +715,20 @@ function buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp }) {
   return lines.join('\n');
 }
 
-function buildCrossPagePrompt({ criterion, pages, reportLang }) {
+// Cross-page criteria bring their own instructions ({ fr, en } lines) and the findings of the
+// deterministic comparison that could not settle them.
+function buildCrossPagePrompt({ criterion, instructions = {}, comparison = [], pages, reportLang }) {
   const i18n = getI18n(normalizeReportLang(reportLang));
   const safePages = Array.isArray(pages) ? pages : [];
   const payload = {
     criterion_id: criterion.id,
     criterion_title: criterion.title,
+    tests: promptTests(criterion),
+    comparison,
     pages: safePages.map((page, idx) => ({
       index: idx + 1,
-      url: page.url,
-      title: page.title || '',
-      searchLandmarks: page.searchLandmarks || [],
-      searchControls: page.searchControls || [],
-      searchLinks: page.searchLinks || []
+      ...page,
+      title: page.title || ''
     }))
   };
   const baseLines =
@@ -676,11 +736,12 @@ function buildCrossPagePrompt({ criterion, pages, reportLang }) {
       ? [
           'You are an RGAA auditor. Reply strictly following the provided JSON schema.',
           'Allowed statuses: "Conform", "Not conform", "Non applicable", "Review".',
-          'Criterion 12.5 is cross-page: "Within each set of pages, is the search engine reachable in an identical manner?"',
-          'Compare how search is reached across all pages using the provided evidence (landmarks, controls, links).',
+          `Criterion ${criterion.id} is cross-page: "${criterion.title}"`,
+          ...(instructions.en || []),
+          'An automated comparison of the pages ran first and was not conclusive; its findings are in comparison.',
           'Return "Review" if evidence is missing or ambiguous for any page.',
-          'Return "Non applicable" only if no search entry exists on all pages.',
-          'Always include 1–4 short evidence items that cite page index and a concrete clue (e.g., page[2].searchControls[0].label="Search").',
+          'Return one tests[] entry per listed test (test_id + status) and name the failing test ids in the rationale.',
+          'Always include 1–4 short evidence items that cite page index and a concrete clue (e.g., page[2].search[0].name="Search").',
           '',
           'Data:',
           JSON.stringify(payload)
@@ -688,11 +749,12 @@ function buildCrossPagePrompt({ criterion, pages, reportLang }) {
       : [
           'Tu es un auditeur RGAA. Réponds strictement au schéma JSON fourni.',
           'Statuts autorisés: "Conform", "Not conform", "Non applicable", "Review".',
-          'Le critère 12.5 est inter-pages : "Dans chaque ensemble de pages, le moteur de recherche est-il atteignable de manière identique ?"',
-          'Compare la manière d’accéder à la recherche sur toutes les pages à partir des preuves fournies (landmarks, champs, liens).',
+          `Le critère ${criterion.id} est inter-pages : "${criterion.title}"`,
+          ...(instructions.fr || []),
+          'Une comparaison automatique des pages a déjà eu lieu sans conclure ; ses constats sont dans comparison.',
           'Réponds "Review" si des preuves manquent ou sont ambiguës pour une page.',
-          'Réponds "Non applicable" uniquement si aucun accès à la recherche n’existe sur toutes les pages.',
-          'Fournis toujours 1–4 éléments de preuve courts en citant l’index de page et un indice concret (ex: page[2].searchControls[0].label="Recherche").',
+          'Renvoie une entrée tests[] par test listé (test_id + status) et cite les identifiants des tests en échec dans la justification.',
+          'Fournis toujours 1–4 éléments de preuve courts en citant l’index de page et un indice concret (ex: page[2].search[0].name="Recherche").',
           '',
           'Données:',
           JSON.stringify(payload)
@@ -934,8 +996,65 @@ async function runCodexPrompt({
   }
 }
 
+const AI_PROVIDERS = ['codex', 'openai'];
+
+// Review backend: the Codex CLI (default) or an OpenAI-compatible chat completions endpoint
+// (OpenAI, a local inference server, a stub). MCP tools and enrichment stay Codex-only.
+export function resolveAiProvider({ name, baseUrl, apiKey, model } = {}) {
+  const normalized = String(name || 'codex').trim().toLowerCase();
+  if (!AI_PROVIDERS.includes(normalized)) {
+    throw new Error(`Unknown AI provider "${name}" (use ${AI_PROVIDERS.join(' or ')}).`);
+  }
+  if (normalized === 'codex') return { name: 'codex' };
+  if (!model) {
+    throw new Error('The openai AI provider needs a model (--ai-model or AUDIT_AI_MODEL).');
+  }
+  return {
+    name: normalized,
+    baseUrl: String(baseUrl || DEFAULT_CHAT_BASE_URL).trim(),
+    apiKey: String(apiKey || '').trim()
+  };
+}
+
+async function runAiPrompt({ provider, ...args }) {
+  if (provider?.name !== 'openai') return runCodexPrompt(args);
+  if (args.signal?.aborted) throw createAbortError();
+  await preflightSchemas(args.onLog);
+  await acquireCodexSlot();
+  try {
+    return await runChatCompletionPrompt({
+      ...args,
+      schemaPath: args.schemaPath || SCHEMA_PATH,
+      baseUrl: provider.baseUrl,
+      apiKey: provider.apiKey
+    });
+  } finally {
+    releaseCodexSlot();
+  }
+}
+
+// Bump when prompts or schemas change: verdicts cached for older prompts are then ignored.
+export const AI_PROMPT_VERSION = 3;
+
+function verdictCacheKey({ criterionId, evidenceHash, reportLang, model, provider, mcp, retry = false }) {
+  return aiCacheKey({
+    criterionId,
+    lang: normalizeReportLang(reportLang),
+    promptVersion: AI_PROMPT_VERSION,
+    model: `${provider?.name || 'codex'}:${model || ''}`,
+    mcp: Boolean(mcp),
+    retry: Boolean(retry),
+    evidence: evidenceHash
+  });
+}
+
+function pageEvidenceHash(url, snapshot) {
+  return hashEvidence({ url, evidence: buildEvidence(snapshot) });
+}
+
 export async function aiReviewCriterion({
   model,
+  provider,
   url,
   criterion,
   snapshot,
@@ -946,19 +1065,43 @@ export async function aiReviewCriterion({
   failFast = false,
   signal,
   mcp,
-  retry = false
+  retry = false,
+  cache = false
 }) {
   const i18n = getI18n(normalizeReportLang(reportLang));
+  const toResult = ({ status, confidence, rationale, evidence, tests = [] }, cached) => ({
+    status,
+    notes: `${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
+    failedTests: aiFailedTests(status, tests),
+    ai: { confidence, rationale, evidence, tests, ...(cached ? { cached: true } : {}) }
+  });
   try {
     if (signal?.aborted) {
       throw createAbortError();
     }
+    const cacheKey = cache
+      ? verdictCacheKey({
+          criterionId: criterion.id,
+          evidenceHash: pageEvidenceHash(url, snapshot),
+          reportLang,
+          model,
+          provider,
+          mcp,
+          retry
+        })
+      : '';
+    const cached = cacheKey ? await readAiVerdict(cacheKey) : null;
+    if (cached) {
+      onLog?.(`AI cache: reusing verdict for ${criterion.id}`);
+      return toResult(cached, true);
+    }
     onStage?.('AI: building prompt');
     const prompt = buildPrompt({ criterion, url, snapshot, reportLang, mcp, retry });
     const timeoutRaw = Number(process.env.AUDIT_CODEX_CRITERION_TIMEOUT_MS || '');
     const timeoutMs =
       Number.isFinite(timeoutRaw) && timeoutRaw > 0 ? Math.floor(timeoutRaw) : 120000;
-    const content = await runCodexPrompt({
+    const content = await runAiPrompt({
+      provider,
       prompt,
       model,
       timeoutMs,
@@ -977,11 +1120,10 @@ export async function aiReviewCriterion({
       normalized === STATUS.NC && looksLikeNonVerifiable({ rationale, evidence })
         ? STATUS.REVIEW
         : normalized;
-    return {
-      status: finalStatus,
-      notes: `${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
-      ai: { confidence, rationale, evidence }
-    };
+    const tests = normalizeAiTests(criterion.id, parsed.tests);
+    const verdict = { status: finalStatus, confidence, rationale, evidence, tests };
+    if (cacheKey) await writeAiVerdict(cacheKey, { criterionId: criterion.id, verdict });
+    return toResult(verdict, false);
   } catch (err) {
     if (isAbortError(err) || signal?.aborted) {
       throw createAbortError();
@@ -1005,6 +1147,7 @@ export async function aiReviewCriterion({
 
 export async function aiReviewCriteriaBatch({
   model,
+  provider,
   url,
   criteria,
   snapshot,
@@ -1014,18 +1157,38 @@ export async function aiReviewCriteriaBatch({
   onError,
   failFast = false,
   signal,
-  mcp
+  mcp,
+  cache = false
 }) {
   try {
     if (signal?.aborted) {
       throw createAbortError();
     }
-    onStage?.(`AI: building batch prompt (${criteria.length})`);
-    const prompt = buildBatchPrompt({ criteria, url, snapshot, reportLang, mcp });
+    const evidenceHash = cache ? pageEvidenceHash(url, snapshot) : '';
+    const cacheKeys = new Map();
+    const reused = [];
+    const pending = [];
+    for (const criterion of criteria) {
+      const key = cache
+        ? verdictCacheKey({ criterionId: criterion.id, evidenceHash, reportLang, model, provider, mcp })
+        : '';
+      const cached = key ? await readAiVerdict(key) : null;
+      if (cached) {
+        reused.push({ criterion_id: criterion.id, ...cached, cached: true });
+        continue;
+      }
+      if (key) cacheKeys.set(criterion.id, key);
+      pending.push(criterion);
+    }
+    if (reused.length) onLog?.(`AI cache: ${reused.length}/${criteria.length} verdict(s) reused`);
+    if (!pending.length) return reused;
+    onStage?.(`AI: building batch prompt (${pending.length})`);
+    const prompt = buildBatchPrompt({ criteria: pending, url, snapshot, reportLang, mcp });
     const timeoutRaw = Number(process.env.AUDIT_CODEX_BATCH_TIMEOUT_MS || '');
     const timeoutMs =
       Number.isFinite(timeoutRaw) && timeoutRaw > 0 ? Math.floor(timeoutRaw) : 240000;
-    const content = await runCodexPrompt({
+    const content = await runAiPrompt({
+      provider,
       prompt,
       model,
       schemaPath: BATCH_SCHEMA_PATH,
@@ -1040,15 +1203,29 @@ export async function aiReviewCriteriaBatch({
     if (!Array.isArray(results)) {
       throw new Error('Invalid AI batch response (expected {results: [...]}).');
     }
-    return results.map((res) => {
+    const reviewed = results.map((res) => {
       const normalized = normalizeAiStatus(res?.status);
       const finalStatus =
         normalized === STATUS.NC &&
         looksLikeNonVerifiable({ rationale: res?.rationale, evidence: res?.evidence })
           ? STATUS.REVIEW
           : normalized;
-      return { ...res, status: finalStatus };
+      return { ...res, status: finalStatus, tests: normalizeAiTests(res?.criterion_id, res?.tests) };
     });
+    for (const res of reviewed) {
+      const criterionId = String(res?.criterion_id || '');
+      const key = cacheKeys.get(criterionId);
+      if (!key) continue;
+      const verdict = {
+        status: res.status,
+        confidence: Number(res.confidence || 0),
+        rationale: String(res.rationale || ''),
+        evidence: Array.isArray(res.evidence) ? res.evidence : [],
+        tests: res.tests
+      };
+      await writeAiVerdict(key, { criterionId, verdict });
+    }
+    return [...reused, ...reviewed];
   } catch (err) {
     if (isAbortError(err) || signal?.aborted) {
       throw createAbortError();
@@ -1067,7 +1244,10 @@ export async function aiReviewCriteriaBatch({
 
 export async function aiReviewCrossPageCriterion({
   model,
+  provider,
   criterion,
+  instructions,
+  comparison,
   pages,
   reportLang,
   onLog,
@@ -1078,10 +1258,10 @@ export async function aiReviewCrossPageCriterion({
 }) {
   const i18n = getI18n(normalizeReportLang(reportLang));
   try {
-    const prompt = buildCrossPagePrompt({ criterion, pages, reportLang });
+    const prompt = buildCrossPagePrompt({ criterion, instructions, comparison, pages, reportLang });
     onStage?.('AI: preparing cross-page prompt');
     onLog?.('Codex: preparing cross-page prompt');
-    const content = await runCodexPrompt({ prompt, model, onLog, onStage, signal });
+    const content = await runAiPrompt({ provider, prompt, model, onLog, onStage, signal });
     const parsed = JSON.parse(content);
     const confidence = Number(parsed.confidence || 0);
     const rationale = parsed.rationale || '';
@@ -1091,10 +1271,12 @@ export async function aiReviewCrossPageCriterion({
       normalized === STATUS.NC && looksLikeNonVerifiable({ rationale, evidence })
         ? STATUS.REVIEW
         : normalized;
+    const tests = normalizeAiTests(criterion.id, parsed.tests);
     return {
       status: finalStatus,
       notes: `${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
-      ai: { confidence, rationale, evidence }
+      failedTests: aiFailedTests(finalStatus, tests),
+      ai: { confidence, rationale, evidence, tests }
     };
   } catch (err) {
     if (isAbortError(err) || signal?.aborted) {
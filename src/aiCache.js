@@ -0,0 +1,109 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// AI verdicts keyed by criterion, report language, prompt version, model and an evidence hash.
+// They live next to the MCP list_pages cache (<CODEX_HOME>/cache), one file per verdict.
+export const AI_CACHE_TTL_MS = (() => {
+  const raw = String(process.env.AUDIT_AI_CACHE_TTL_MS || '').trim();
+  const value = Number(raw);
+  return raw && Number.isFinite(value) && value >= 0 ? Math.floor(value) : 30 * 24 * 60 * 60 * 1000;
+})();
+
+function getDefaultCodexHome() {
+  return path.join(os.homedir(), '.codex');
+}
+
+function getFallbackCodexHome() {
+  return path.join(os.tmpdir(), 'rgaa-auditor-codex-home');
+}
+
+function candidateDirs() {
+  if (process.env.AUDIT_AI_CACHE_DIR) return [path.resolve(process.env.AUDIT_AI_CACHE_DIR)];
+  const preferred = process.env.CODEX_HOME || getDefaultCodexHome();
+  return [
+    path.join(preferred, 'cache', 'ai-verdicts'),
+    path.join(getFallbackCodexHome(), 'cache', 'ai-verdicts')
+  ];
+}
+
+async function getAiCacheDir() {
+  for (const dir of candidateDirs()) {
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      return dir;
+    } catch {}
+  }
+  return '';
+}
+
+export function hashEvidence(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+export function aiCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+}
+
+export async function readAiVerdict(key) {
+  if (AI_CACHE_TTL_MS <= 0) return null;
+  const dir = await getAiCacheDir();
+  if (!dir) return null;
+  const filePath = path.join(dir, `${key}.json`);
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (parsed?.verdict && parsed.expiresAt > Date.now()) return parsed.verdict;
+    await fs.unlink(filePath).catch(() => {});
+  } catch {}
+  return null;
+}
+
+export async function writeAiVerdict(key, { criterionId, verdict }) {
+  if (AI_CACHE_TTL_MS <= 0) return;
+  const dir = await getAiCacheDir();
+  if (!dir) return;
+  const now = Date.now();
+  const payload = {
+    criterionId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + AI_CACHE_TTL_MS,
+    verdict
+  };
+  try {
+    await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(payload), { mode: 0o600 });
+  } catch {}
+}
+
+// Removes cached verdicts: all of them, only expired ones, or those whose criterion id matches.
+export async function clearAiCache({ expiredOnly = false, matches = null } = {}) {
+  let removed = 0;
+  let kept = 0;
+  for (const dir of candidateDirs()) {
+    let names = [];
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(dir, name);
+      let entry = null;
+      try {
+        entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      } catch {}
+      const expired = !entry || !(entry.expiresAt > Date.now());
+      const selected = expiredOnly ? expired : !matches || !entry || matches(String(entry.criterionId || ''));
+      if (!selected) {
+        kept += 1;
+        continue;
+      }
+      try {
+        await fs.unlink(filePath);
+        removed += 1;
+      } catch {}
+    }
+  }
+  return { removed, kept };
+}
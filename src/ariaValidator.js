@@ -0,0 +1,67 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const ARIA_ROLES_PATH = path.resolve('data/aria-roles.json');
+
+// Native elements that already expose the state a role would otherwise require.
+const NATIVE_PROPS = {
+  'aria-checked': (node) => node.tag === 'input' && ['checkbox', 'radio'].includes(node.type),
+  'aria-valuenow': (node) => (node.tag === 'input' && node.type === 'range') || ['meter', 'progress'].includes(node.tag),
+  'aria-level': (node) => /^h[1-6]$/.test(node.tag),
+  'aria-expanded': (node) => node.tag === 'select'
+};
+
+let cachedTable = null;
+
+export function loadAriaRoles() {
+  if (!cachedTable) {
+    if (!fs.existsSync(ARIA_ROLES_PATH)) {
+      throw new Error(`Missing ARIA roles file: ${ARIA_ROLES_PATH}`);
+    }
+    cachedTable = JSON.parse(fs.readFileSync(ARIA_ROLES_PATH, 'utf-8'));
+  }
+  return cachedTable;
+}
+
+function isKnownRole(role, table) {
+  return Object.hasOwn(table.roles, role) || (table.rolePrefixes || []).some((prefix) => role.startsWith(prefix));
+}
+
+// Nodes come from the snapshot's `ariaNodes`; the first recognised role token wins, as in browsers.
+export function validateAriaNodes(nodes = [], table = loadAriaRoles()) {
+  const attributes = new Set(table.attributes || []);
+  const issues = [];
+  const push = (node, kind, detail, role = '') =>
+    issues.push({ kind, selector: node.selector || node.tag || '', role, detail });
+
+  for (const node of nodes) {
+    const tokens = String(node.role || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const role = tokens.find((token) => isKnownRole(token, table)) || '';
+    if (tokens.length && !role) {
+      const abstract = tokens.find((token) => (table.abstractRoles || []).includes(token));
+      push(node, abstract ? 'abstract-role' : 'invalid-role', abstract || tokens[0], tokens[0]);
+    }
+    for (const attr of node.attrs || []) {
+      if (!attributes.has(attr)) push(node, 'invalid-attribute', attr, role);
+    }
+    for (const ref of node.missingRefs || []) push(node, 'broken-reference', ref, role);
+    if (!role) continue;
+
+    const spec = table.roles[role] || {};
+    for (const prop of spec.requiredProps || []) {
+      if ((node.attrs || []).includes(prop) || NATIVE_PROPS[prop]?.(node)) continue;
+      push(node, 'missing-prop', prop, role);
+    }
+    const requiredOwned = spec.requiredOwned || [];
+    if (requiredOwned.length && !node.busy && !node.empty) {
+      if (!(node.owned || []).some((owned) => requiredOwned.includes(owned))) {
+        push(node, 'missing-owned', requiredOwned.join('|'), role);
+      }
+    }
+    const requiredContext = spec.requiredContext || [];
+    if (requiredContext.length && !requiredContext.includes(node.context || '')) {
+      push(node, 'wrong-context', requiredContext.join('|'), role);
+    }
+  }
+  return { checked: nodes.length, issueCount: issues.length, issues };
+}
@@ -4,17 +4,44 @@ import { spawn } from 'node:child_process';
 import { createHash } from 'node:crypto';
 import chromeLauncher from 'chrome-launcher';
 import ExcelJS from 'exceljs';
-import { loadCriteria } from './criteria.js';
+import { isCriterionSelected, loadCriteria } from './criteria.js';
 import { collectSnapshotWithMcp, listMcpPages } from './mcpSnapshot.js';
+import { collectSnapshotWithCdp } from './cdpSnapshot.js';
 import { collectEnrichedEvidenceWithMcp } from './mcpEnrich.js';
 import { closeMcpPages } from './mcpClosePages.js';
 import { buildEnrichment } from './enrichment.js';
-import { evaluateCriterion, STATUS } from './checks.js';
-import { aiReviewCriteriaBatch, aiReviewCriterion, aiReviewCrossPageCriterion } from './ai.js';
+import { evaluateCriterion, mergeStatuses, STATUS } from './checks.js';
+import {
+  aiFailedTests,
+  aiReviewCriteriaBatch,
+  aiReviewCriterion,
+  aiReviewCrossPageCriterion
+} from './ai.js';
 import { createAbortError, isAbortError } from './abort.js';
 import { looksLikeMissingAuth } from './codexAuth.js';
 import { getI18n, normalizeReportLang } from './i18n.js';
 import { validateHtmlUrl } from './htmlValidator.js';
+import { collectStaticSnapshot } from './staticSnapshot.js';
+import { createAuthSession } from './auth.js';
+import { captureScenarioState, findScenarioStates, isPageOnlyCriterion, mergeStateResults } from './scenarios.js';
+import { pageLabel } from './pagesFile.js';
+import { preparePage } from './pageSetup.js';
+import { runAccessibilityTreeCapture } from './axTree.js';
+import { runKeyboardWalk } from './keyboardWalk.js';
+import { runReflowTest } from './reflow.js';
+import { runTextSpacingTest } from './textSpacing.js';
+import { runNoCssComparison } from './noCss.js';
+import { compareCrossPage, CROSS_PAGE_CRITERIA, extractCrossPageEvidence, isCrossPageCriterion } from './crossPage.js';
+import {
+  componentLabel,
+  componentSnapshot,
+  createComponentCriteriaMatcher,
+  createComponentRegistry,
+  mergeComponentResults,
+  runComponentCapture,
+  withSharedComponents
+} from './components.js';
+import { applyAuditorReviews } from './review.js';
 
 class EnrichmentCache {
   constructor(limit = 32) {
@@ -42,6 +69,9 @@ class EnrichmentCache {
   }
 }
 
+// Appended to Audit cells whose verdict was set by an auditor.
+const REVIEW_MARK = '✍️';
+
 function compactSnapshot(snapshot) {
   if (!snapshot || typeof snapshot !== 'object') return snapshot;
   return {
@@ -67,6 +97,9 @@ function buildResumeState({
   crossPageEvidence,
   pageMeta,
   criteriaIds,
+  criteriaSelection,
+  components,
+  reviews,
   inProgressPage,
   createdAt,
   elapsedMs
@@ -80,9 +113,12 @@ function buildResumeState({
     reportLang,
     outPath,
     criteriaIds,
+    criteriaSelection: criteriaSelection || null,
     completedPages,
     crossPageEvidence,
     pageMeta,
+    components: components || [],
+    reviews: reviews || [],
     inProgressPage: inProgressPage || null
   };
 }
@@ -265,13 +301,14 @@ function toExcelColumn(index) {
 }
 
 function summarizeCounts(results) {
-  const counts = { C: 0, NC: 0, NA: 0, ERR: 0, REVIEW: 0 };
+  const counts = { C: 0, NC: 0, NA: 0, ERR: 0, REVIEW: 0, NE: 0 };
   for (const res of results) {
     if (res.status === STATUS.C) counts.C += 1;
     if (res.status === STATUS.NC) counts.NC += 1;
     if (res.status === STATUS.NA) counts.NA += 1;
     if (res.status === STATUS.ERR) counts.ERR += 1;
     if (res.status === STATUS.REVIEW) counts.REVIEW += 1;
+    if (res.status === STATUS.NE) counts.NE += 1;
   }
   return counts;
 }
@@ -399,7 +436,17 @@ async function copyEvidenceScreenshots(pages, evidenceDir) {
 
   for (let i = 0; i < pages.length; i += 1) {
     const meta = pages[i]?.snapshot?.enrichmentMeta || null;
-    if (!meta) continue;
+    if (!meta) {
+      // Rebuilt from a resume file: the temp captures are gone, but earlier copies may remain.
+      for (const [key, suffix] of [['screenshot1', 'a'], ['screenshot2', 'b']]) {
+        const ok = await fs
+          .access(path.join(evidenceDir, `P${i + 1}-${suffix}.png`))
+          .then(() => true)
+          .catch(() => false);
+        if (ok) results[i][key] = `evidence/P${i + 1}-${suffix}.png`;
+      }
+      continue;
+    }
     const relA = `evidence/P${i + 1}-a.png`;
     const relB = `evidence/P${i + 1}-b.png`;
     if (meta.screenshot1) {
@@ -417,6 +464,11 @@ async function copyEvidenceScreenshots(pages, evidenceDir) {
   return results;
 }
 
+function toEvidenceLink(filePath, outPath) {
+  if (!filePath || !outPath) return '';
+  return path.relative(path.dirname(outPath), filePath).split(path.sep).join('/');
+}
+
 async function cleanupEnrichmentTempFiles(pages, evidenceLinksByPage, { force = false } = {}) {
   if (!Array.isArray(evidenceLinksByPage) || evidenceLinksByPage.length === 0) {
     return;
@@ -456,58 +508,6 @@ async function fetchChromeVersion(baseUrl) {
   }
 }
 
-function normalizeSearchText(value) {
-  return String(value || '')
-    .toLowerCase()
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function extractSearchEvidence(snapshot) {
-  const landmarks = Array.isArray(snapshot?.landmarks) ? snapshot.landmarks : [];
-  const controls = Array.isArray(snapshot?.formControls) ? snapshot.formControls : [];
-  const links = Array.isArray(snapshot?.links) ? snapshot.links : [];
-  const keywords = ['search', 'recherche', 'chercher', 'rechercher'];
-  const hasKeyword = (value) => {
-    const text = normalizeSearchText(value);
-    if (!text) return false;
-    return keywords.some((k) => text.includes(k));
-  };
-
-  const searchLandmarks = landmarks
-    .filter((l) => String(l?.role || '').toLowerCase() === 'search' || hasKeyword(l?.label))
-    .slice(0, 5)
-    .map((l) => ({
-      tag: l?.tag || '',
-      role: l?.role || '',
-      label: l?.label || ''
-    }));
-
-  const searchControls = controls
-    .filter((c) => {
-      if (String(c?.type || '').toLowerCase() === 'search') return true;
-      return hasKeyword(c?.label) || hasKeyword(c?.name) || hasKeyword(c?.id);
-    })
-    .slice(0, 8)
-    .map((c) => ({
-      tag: c?.tag || '',
-      type: c?.type || '',
-      label: c?.label || '',
-      name: c?.name || '',
-      id: c?.id || ''
-    }));
-
-  const searchLinks = links
-    .filter((l) => hasKeyword(l?.name) || hasKeyword(l?.href))
-    .slice(0, 6)
-    .map((l) => ({
-      name: l?.name || '',
-      href: l?.href || ''
-    }));
-
-  return { searchLandmarks, searchControls, searchLinks };
-}
-
 function shouldOpenReport() {
   const raw = String(process.env.AUDIT_OPEN_XLS || '').trim().toLowerCase();
   if (!raw) return true;
@@ -666,6 +666,7 @@ export async function runAudit(options) {
       ? options.criteria
       : loadCriteria({ lang: reportLang });
   const criteriaIds = criteria.map((criterion) => criterion.id);
+  const criteriaSelection = options.criteriaSelection || null;
   const reporter = options.reporter || null;
   const signal = options.signal || null;
   const pauseController = options.pauseController || null;
@@ -674,8 +675,14 @@ export async function runAudit(options) {
   let aborted = false;
   let chrome = null;
   let mcpConfig = options.mcp || {};
+  const snapshotDriver = options.snapshotMode === 'cdp' ? 'cdp' : 'mcp';
+  // Static HTML files: no Chrome, no Codex; AI candidates stay in review.
+  const staticHtml = Boolean(options.staticHtml);
+  // Rebuild the workbook from the resume state only (after an auditor review): no browser, no AI.
+  const reportOnly = Boolean(options.reportOnly);
   const aiUseMcp = Boolean(options.ai?.useMcp);
   const aiUseOcr = Boolean(options.ai?.ocr);
+  const aiCacheEnabled = Boolean(options.ai?.cache);
   const aiUseUtilsRaw = String(process.env.AUDIT_AI_UTILS || '').trim().toLowerCase();
   const aiUseUtils =
     aiUseUtilsRaw === ''
@@ -687,12 +694,40 @@ export async function runAudit(options) {
       ? true
       : !(failFastRaw === '0' || failFastRaw === 'false' || failFastRaw === 'no');
   let mcpForAi = aiUseMcp ? { ...mcpConfig, ocr: aiUseOcr, utils: aiUseUtils } : null;
-  const totalPages = Array.isArray(options.pages) ? options.pages.length : 0;
+  // Pages are URLs or pages-file entries ({ url, name, type, viewport, wait, scenarios, login, criteria }).
+  const pageEntries = (Array.isArray(options.pages) ? options.pages : []).map((page) =>
+    typeof page === 'string' ? { url: page } : page
+  );
+  const pageUrls = pageEntries.map((entry) => entry.url);
+  const totalPages = pageEntries.length;
   let pagesFailed = 0;
   let aiFailed = 0;
   const wantsEnrichment =
     String(process.env.AUDIT_ENRICH || '').trim().toLowerCase() !== '0';
   const enrichmentCache = createEnrichmentCache();
+  const wantsAxTree = String(process.env.AUDIT_AX_TREE || '').trim().toLowerCase() !== '0';
+  const wantsKeyboardWalk =
+    String(process.env.AUDIT_KEYBOARD_WALK || '').trim().toLowerCase() !== '0';
+  const wantsReflow = String(process.env.AUDIT_REFLOW || '').trim().toLowerCase() !== '0';
+  const wantsTextSpacing =
+    String(process.env.AUDIT_TEXT_SPACING || '').trim().toLowerCase() !== '0';
+  const wantsNoCss = String(process.env.AUDIT_NO_CSS || '').trim().toLowerCase() !== '0';
+  const authLog = (message) =>
+    reporter?.onAILog?.({ criterion: { id: 'auth', title: 'Login', theme: 'Debug' }, message });
+  const auth = options.auth && !staticHtml ? createAuthSession(options.auth, { onLog: authLog }) : null;
+  // Pages-file entries may name another auth file (login profile); one session per profile.
+  const profileSessions = new Map();
+  const authFor = (entry) => {
+    if (staticHtml || !entry.login) return auth;
+    if (!profileSessions.has(entry.login)) {
+      const config = options.authProfiles?.[entry.login];
+      if (!config) throw new Error(`No login profile loaded for ${entry.login}.`);
+      profileSessions.set(entry.login, createAuthSession(config, { onLog: authLog }));
+    }
+    return profileSessions.get(entry.login);
+  };
+  let lastAuth = null;
+  const stageEvidenceDir = outPath ? path.join(path.dirname(outPath), 'evidence') : '';
   const wantsDebugSnapshots =
     String(process.env.AUDIT_DEBUG_SNAPSHOTS || '').trim() === '1' ||
     String(process.env.AUDIT_DEBUG_SNAPSHOTS || '').trim().toLowerCase() === 'true';
@@ -724,7 +759,7 @@ export async function runAudit(options) {
   let chromeInfo = null;
   const providedBrowserUrl = String(mcpConfig?.browserUrl || '').trim();
   const wantsAutoConnect = Boolean(mcpConfig?.autoConnect);
-  if (!providedBrowserUrl && !wantsAutoConnect) {
+  if (!staticHtml && !reportOnly && !providedBrowserUrl && !wantsAutoConnect) {
     if (options.chromeProfileDir) {
       try {
         await fs.mkdir(options.chromeProfileDir, { recursive: true });
@@ -749,6 +784,13 @@ export async function runAudit(options) {
   const crossPageEvidence = [];
   const criteriaIndexById = new Map(criteria.map((criterion, idx) => [criterion.id, idx]));
   const hasMultiPageAudit = totalPages >= 2;
+  // Shared header/navigation/footer blocks are reviewed once and their verdicts reused on every page.
+  const wantsComponents =
+    hasMultiPageAudit &&
+    !staticHtml &&
+    String(process.env.AUDIT_COMPONENTS || '').trim().toLowerCase() !== '0';
+  const isComponentCriterion = createComponentCriteriaMatcher();
+  const componentRegistry = createComponentRegistry(options.resumeState?.components);
   const secondPassSummary = {
     total: 0,
     done: 0,
@@ -764,7 +806,11 @@ export async function runAudit(options) {
     if (resumeCriteria.length && JSON.stringify(resumeCriteria) !== JSON.stringify(criteriaIds)) {
       throw new Error('Resume file does not match current criteria set.');
     }
-    const requestedPages = Array.isArray(options.pages) ? options.pages : [];
+    const resumeSelection = options.resumeState.criteriaSelection || null;
+    if (JSON.stringify(resumeSelection) !== JSON.stringify(criteriaSelection)) {
+      throw new Error('Resume file does not match current criteria selection.');
+    }
+    const requestedPages = pageUrls;
     let completed = options.resumeState.completedPages || [];
     const inProgress = options.resumeState?.inProgressPage;
     let inProgressIndex = null;
@@ -784,7 +830,10 @@ export async function runAudit(options) {
       if (!page?.url || !Array.isArray(page?.results)) continue;
       pageResults.push({
         url: page.url,
+        name: page.name || '',
+        type: page.type || '',
         results: page.results,
+        states: Array.isArray(page.states) ? page.states : [],
         snapshot: {
           title: page?.title || '',
           lang: page?.lang || ''
@@ -799,10 +848,12 @@ export async function runAudit(options) {
         ...options.resumeState.crossPageEvidence.filter((item) => completedUrls.has(item?.url))
       );
     }
+    applyAuditorReviews(pageResults, options.resumeState.reviews, i18n);
     resumeCompletedPages = pageResults.length;
   }
 
-  const requestedPages = Array.isArray(options.pages) ? options.pages : [];
+  // Entries without metadata stay plain URLs in the resume file.
+  const requestedPages = pageEntries.map((entry) => (Object.keys(entry).length > 1 ? entry : entry.url));
   let currentPageIndex = null;
   let currentPageUrl = '';
   let currentPageStartedAt = 0;
@@ -810,7 +861,11 @@ export async function runAudit(options) {
   const buildResumeSnapshot = () => {
     const completedPages = pageResults.map((item) => ({
       url: item.url,
-      results: item.results,
+      name: item.name || '',
+      type: item.type || '',
+      // Test titles come back from the criteria file; only the outcome is worth saving.
+      results: item.results.map(({ tests, ...res }) => res),
+      states: item.states || [],
       title: item.snapshot?.title || '',
       lang: item.snapshot?.lang || ''
     }));
@@ -834,6 +889,9 @@ export async function runAudit(options) {
       crossPageEvidence: crossPageEvidence.slice(),
       pageMeta: pageMeta.slice(),
       criteriaIds,
+      criteriaSelection,
+      components: componentRegistry.list(),
+      reviews: options.resumeState?.reviews || [],
       inProgressPage,
       createdAt: options.resumeState?.createdAt,
       elapsedMs
@@ -883,12 +941,674 @@ export async function runAudit(options) {
     }
   };
 
+  // Direct DevTools stages are best-effort: a failure only leaves the related rules in review.
+  const runBrowserStage = async (label, fn) => {
+    if (staticHtml || !mcpConfig?.browserUrl) return null;
+    if (pauseController) await pauseController.waitIfPaused();
+    const log = (message) =>
+      reporter?.onAILog?.({ criterion: { id: 'stage', title: label, theme: 'Debug' }, message });
+    try {
+      const result = await fn(mcpConfig.browserUrl);
+      if (!result) log(`${label} skipped: no DevTools tab matches this page.`);
+      return result;
+    } catch (err) {
+      log(`${label} failed: ${String(err?.message || err)}`);
+      return null;
+    }
+  };
+
+  // Browser stages run against whatever the tab currently shows (the loaded page or a scenario state).
+  const runPageStages = async (snapshot, { url, prefix }) => {
+    if (wantsAxTree) {
+      const axTree = await runBrowserStage('Accessibility tree', (browserUrl) =>
+        runAccessibilityTreeCapture({ browserUrl, url })
+      );
+      if (axTree) snapshot.axTree = axTree;
+    }
+    if (wantsKeyboardWalk) {
+      const keyboard = await runBrowserStage('Keyboard walk', (browserUrl) =>
+        runKeyboardWalk({
+          browserUrl,
+          url,
+          screenshotDir: stageEvidenceDir,
+          screenshotPrefix: prefix
+        })
+      );
+      if (keyboard) {
+        for (const item of keyboard.focus) {
+          item.screenshot = toEvidenceLink(item.screenshot, outPath);
+        }
+        if (keyboard.trap) {
+          keyboard.trap.screenshot = toEvidenceLink(keyboard.trap.screenshot, outPath);
+        }
+        snapshot.keyboard = keyboard;
+      }
+    }
+    if (wantsReflow) {
+      const reflow = await runBrowserStage('Reflow', (browserUrl) =>
+        runReflowTest({
+          browserUrl,
+          url,
+          screenshotDir: stageEvidenceDir,
+          screenshotPrefix: prefix
+        })
+      );
+      if (reflow) {
+        reflow.screenshotBefore = toEvidenceLink(reflow.screenshotBefore, outPath);
+        for (const variant of [reflow.narrow, reflow.zoom]) {
+          if (variant) variant.screenshot = toEvidenceLink(variant.screenshot, outPath);
+        }
+        snapshot.reflow = reflow;
+      }
+    }
+    if (wantsTextSpacing) {
+      const textSpacing = await runBrowserStage('Text spacing', (browserUrl) =>
+        runTextSpacingTest({
+          browserUrl,
+          url,
+          screenshotDir: stageEvidenceDir,
+          screenshotPrefix: prefix
+        })
+      );
+      if (textSpacing) {
+        for (const item of [...textSpacing.clipped, ...textSpacing.overflowing]) {
+          item.screenshot = toEvidenceLink(item.screenshot, outPath);
+        }
+        snapshot.textSpacing = textSpacing;
+      }
+    }
+    if (wantsNoCss) {
+      const noCss = await runBrowserStage('No-CSS rendering', (browserUrl) =>
+        runNoCssComparison({
+          browserUrl,
+          url,
+          screenshotDir: stageEvidenceDir,
+          screenshotPrefix: prefix
+        })
+      );
+      if (noCss) {
+        noCss.screenshotStyled = toEvidenceLink(noCss.screenshotStyled, outPath);
+        noCss.screenshot = toEvidenceLink(noCss.screenshot, outPath);
+        snapshot.noCss = noCss;
+      }
+    }
+    if (wantsComponents) {
+      const components = await runBrowserStage('Shared components', (browserUrl) =>
+        runComponentCapture({ browserUrl, url })
+      );
+      if (components) snapshot.components = components;
+    }
+  };
+
+  // AI review of the component criteria a shared block has not been judged on yet; verdicts are stored
+  // on the registry entry. Failures are logged and leave those criteria to the page review.
+  const reviewComponents = async ({ url, page, tracked, pendingAI, reporter }) => {
+    for (const { entry, component } of tracked) {
+      const todo = pendingAI
+        .map((pending) => pending.criterion)
+        .filter((criterion) => isComponentCriterion(criterion.id) && !entry.results[criterion.id]);
+      if (!todo.length) continue;
+      const pseudoCriterion = {
+        id: entry.id,
+        title: componentLabel(entry, i18n),
+        theme: 'AI'
+      };
+      reporter?.onAIStart?.({ criterion: pseudoCriterion });
+      const batchSizeRaw = Number(process.env.AUDIT_AI_BATCH_SIZE || '');
+      const batchSize =
+        Number.isFinite(batchSizeRaw) && batchSizeRaw > 0 ? Math.floor(batchSizeRaw) : 6;
+      for (let start = 0; start < todo.length; start += batchSize) {
+        if (aborted || signal?.aborted) {
+          throw createAbortError();
+        }
+        if (pauseController) await pauseController.waitIfPaused();
+        const chunk = todo.slice(start, start + batchSize);
+        try {
+          const batchResults = await aiReviewCriteriaBatch({
+            model: options.ai.model,
+            provider: options.ai.provider,
+            url,
+            criteria: chunk,
+            snapshot: componentSnapshot(page.snapshot, component),
+            reportLang,
+            onLog: (message) => reporter?.onAILog?.({ criterion: pseudoCriterion, message }),
+            onStage: (label) => reporter?.onAIStage?.({ criterion: pseudoCriterion, label }),
+            onError: (message) => reporter?.onError?.(message),
+            failFast,
+            signal,
+            mcp: null,
+            cache: aiCacheEnabled
+          });
+          for (const hit of Array.isArray(batchResults) ? batchResults : []) {
+            const id = String(hit?.criterion_id || '');
+            if (!chunk.some((criterion) => criterion.id === id) || !hit.status) continue;
+            if (hit.status === STATUS.ERR) continue;
+            entry.results[id] = {
+              status: hit.status,
+              confidence: Number(hit.confidence || 0),
+              rationale: String(hit.rationale || ''),
+              evidence: Array.isArray(hit.evidence) ? hit.evidence : [],
+              tests: Array.isArray(hit.tests) ? hit.tests : []
+            };
+          }
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          reporter?.onAILog?.({
+            criterion: pseudoCriterion,
+            message: `Component review failed; the page review covers these criteria. ${String(err?.message || err)}`
+          });
+        }
+      }
+    }
+  };
+
+  // Rules, then AI for the candidates; `reporter` is swapped for a log-only one on scenario states.
+  const evaluatePage = async ({ url, entry, page, pageIndex, reporter, isState = false }) => {
+    const results = [];
+    let criterionIndex = 0;
+    const reported = new Set();
+    const reportCriterion = (criterion, evaluation, resultIndex) => {
+      if (reported.has(resultIndex)) return;
+      reporter?.onCriterion?.({ index: criterionIndex, criterion, evaluation });
+      criterionIndex += 1;
+      reported.add(resultIndex);
+    };
+    reporter?.onInferenceStart?.({
+      url,
+      criteriaCount: criteria.length,
+      criteriaSample: criteria.slice(0, 6).map((item) => item.id)
+    });
+    reporter?.onChecksStart?.({ index: pageIndex, url });
+    const pendingAI = [];
+    const reviewRetry = [];
+    const reviewRetryQueued = new Set();
+    const queueReviewRetry = (criterion, index, evaluation) => {
+      if (!mcpForAi) return;
+      if (evaluation?.status !== STATUS.REVIEW) return;
+      if (reviewRetryQueued.has(index)) return;
+      reviewRetryQueued.add(index);
+      reviewRetry.push({ criterion, index });
+    };
+    for (const criterion of criteria) {
+      if (aborted || signal?.aborted) {
+        throw createAbortError();
+      }
+      if (pauseController) await pauseController.waitIfPaused();
+
+      const inSelection = isCriterionSelected(criteriaSelection, criterion.id);
+      if (!inSelection || !isCriterionSelected(entry.criteria, criterion.id)) {
+        const evaluation = {
+          ...criterion,
+          status: STATUS.NE,
+          notes: inSelection
+            ? i18n.t(
+                'Non évalué sur cette page (sélection du fichier de pages).',
+                'Not evaluated on this page (pages file selection).'
+              )
+            : i18n.t(
+                'Non évalué : hors de la sélection de critères de l’audit (--criteria / --themes).',
+                'Not evaluated: outside the audit criteria selection (--criteria / --themes).'
+              )
+        };
+        const index = results.length;
+        results.push(evaluation);
+        reportCriterion(criterion, {
+          status: evaluation.status,
+          notes: evaluation.notes,
+          ai: null,
+          automated: false,
+          aiCandidate: false
+        }, index);
+        continue;
+      }
+
+      if (page.error) {
+        const evaluation = {
+          ...criterion,
+          status: STATUS.ERR,
+          notes: formatPageFailure(page.error)
+        };
+        const index = results.length;
+        results.push(evaluation);
+        reportCriterion(criterion, {
+          status: evaluation.status,
+          notes: evaluation.notes,
+          ai: evaluation.ai || null,
+          automated: Boolean(evaluation.automated),
+          aiCandidate: Boolean(evaluation.aiCandidate)
+        }, index);
+        continue;
+      }
+
+      if (isState && isPageOnlyCriterion(criterion.id)) {
+        const evaluation = {
+          ...criterion,
+          status: STATUS.NE,
+          notes: i18n.t(
+            'Non évalué dans un état : le contraste est mesuré sur la page chargée (colonne de la page).',
+            'Not evaluated in a state: contrast is measured on the page as loaded (page column).'
+          )
+        };
+        const index = results.length;
+        results.push(evaluation);
+        reportCriterion(criterion, {
+          status: evaluation.status,
+          notes: evaluation.notes,
+          ai: null,
+          automated: false,
+          aiCandidate: false
+        }, index);
+        continue;
+      }
+
+      // Static mode has no cross-page pass: menus and search entries are only located in a browser.
+      if (isCrossPageCriterion(criterion.id) && (staticHtml || !hasMultiPageAudit)) {
+        const evaluation = {
+          status: STATUS.REVIEW,
+          notes: staticHtml
+            ? i18n.t(
+                'Critère multi-pages : nécessite un audit navigateur sur plusieurs pages.',
+                'Multi-page criterion: requires a multi-page browser audit.'
+              )
+            : i18n.t(
+                'Critère multi-pages : nécessite au moins deux pages. À revoir lors d’un second passage.',
+                'Multi-page criterion: requires at least two pages. Review in a second pass.'
+              ),
+          automated: false,
+          aiCandidate: false
+        };
+        const index = results.length;
+        results.push({ ...criterion, ...evaluation });
+        reportCriterion(
+          criterion,
+          {
+            status: evaluation.status,
+            notes: evaluation.notes,
+            ai: evaluation.ai || null,
+            automated: Boolean(evaluation.automated),
+            aiCandidate: Boolean(evaluation.aiCandidate)
+          },
+          index
+        );
+        continue;
+      }
+      if (isCrossPageCriterion(criterion.id) && hasMultiPageAudit) {
+        const evaluation = {
+          status: STATUS.REVIEW,
+          notes: i18n.t(
+            'Critère multi-pages : revue inter-pages en seconde passe.',
+            'Multi-page criterion: cross-page review in a second pass.'
+          ),
+          automated: false,
+          aiCandidate: false
+        };
+        const index = results.length;
+        results.push({ ...criterion, ...evaluation });
+        reportCriterion(
+          criterion,
+          {
+            status: evaluation.status,
+            notes: evaluation.notes,
+            ai: evaluation.ai || null,
+            automated: Boolean(evaluation.automated),
+            aiCandidate: Boolean(evaluation.aiCandidate)
+          },
+          index
+        );
+        continue;
+      }
+
+      const evaluation = evaluateCriterion(criterion, page.snapshot, { lang: reportLang });
+      const index = results.length;
+      results.push({ ...criterion, ...evaluation });
+      if (evaluation.aiCandidate && !staticHtml) {
+        pendingAI.push({ criterion, index });
+      } else {
+        reportCriterion(criterion, {
+          status: evaluation.status || STATUS.ERR,
+          notes: evaluation.notes || 'Missing evaluation.',
+          ai: evaluation.ai || null,
+          automated: Boolean(evaluation.automated),
+          aiCandidate: Boolean(evaluation.aiCandidate)
+        }, index);
+      }
+    }
+
+    const tracked =
+      wantsComponents && !page.error
+        ? componentRegistry.track(page.snapshot?.components, `P${pageIndex + 1}`)
+        : [];
+    if (tracked.length && pendingAI.length > 0) {
+      await reviewComponents({ url, page, tracked, pendingAI, reporter });
+    }
+    const aiSnapshot = tracked.length
+      ? withSharedComponents(page.snapshot, tracked, criteriaIds)
+      : page.snapshot;
+
+    if (!page.error && pendingAI.length > 0) {
+      if (pauseController) await pauseController.waitIfPaused();
+      const pseudoCriterion = {
+        id: `AI(${pendingAI.length})`,
+        title: 'Batch criteria review',
+        theme: 'AI'
+      };
+      reporter?.onAIStart?.({ criterion: pseudoCriterion });
+
+      const batchById = new Map();
+      const batchSizeRaw = Number(process.env.AUDIT_AI_BATCH_SIZE || '');
+      let batchSize =
+        Number.isFinite(batchSizeRaw) && batchSizeRaw > 0 ? Math.floor(batchSizeRaw) : 6;
+
+      const evaluationFromHit = (hit) => {
+        const confidence = Number(hit.confidence || 0);
+        const rationale = String(hit.rationale || '');
+        const evidence = Array.isArray(hit.evidence) ? hit.evidence : [];
+        const tests = Array.isArray(hit.tests) ? hit.tests : [];
+        const status = hit.status || STATUS.NC;
+        return {
+          status,
+          notes: `${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
+          failedTests: aiFailedTests(status, tests),
+          ai: { confidence, rationale, evidence, tests, ...(hit.cached ? { cached: true } : {}) }
+        };
+      };
+
+      for (let start = 0; start < pendingAI.length; start += batchSize) {
+        if (aborted || signal?.aborted) {
+          throw createAbortError();
+        }
+        if (pauseController) await pauseController.waitIfPaused();
+        const chunk = pendingAI.slice(start, start + batchSize);
+        try {
+          const batchResults = await withMcpRecovery({
+            label: 'AI batch',
+            fn: () =>
+              aiReviewCriteriaBatch({
+                model: options.ai.model,
+                provider: options.ai.provider,
+                url,
+                criteria: chunk.map((p) => p.criterion),
+                snapshot: aiSnapshot,
+                reportLang,
+                onLog: (message) => reporter?.onAILog?.({ criterion: pseudoCriterion, message }),
+                onStage: (label) => reporter?.onAIStage?.({ criterion: pseudoCriterion, label }),
+                onError: (message) => reporter?.onError?.(message),
+                failFast,
+                signal,
+                mcp: mcpForAi,
+                cache: aiCacheEnabled
+              })
+          });
+          for (const r of Array.isArray(batchResults) ? batchResults : []) {
+            const key = String(r?.criterion_id || '');
+            if (key) batchById.set(key, r);
+          }
+
+          // Update progress incrementally (avoid "stuck at 22/106 then jump to 100%").
+          for (const pending of chunk) {
+            const { criterion, index } = pending;
+            if (reported.has(index)) continue;
+            const hit = batchById.get(criterion.id);
+            if (!hit) continue;
+            const evaluation = evaluationFromHit(hit);
+            results[index] = { ...criterion, examples: results[index]?.examples, ...evaluation };
+            if (evaluation.status === STATUS.ERR) {
+              aiFailed += 1;
+            }
+            queueReviewRetry(criterion, index, evaluation);
+            reportCriterion(
+              criterion,
+              {
+                status: evaluation.status || STATUS.ERR,
+                notes: evaluation.notes || 'Missing evaluation.',
+                ai: evaluation.ai || null,
+                automated: Boolean(evaluation.automated),
+                aiCandidate: Boolean(evaluation.aiCandidate)
+              },
+              index
+            );
+          }
+        } catch (err) {
+          const errText = String(err?.message || err || '').toLowerCase();
+          if (batchSize > 1 && (errText.includes('timed out') || errText.includes('timeout'))) {
+            batchSize = 1;
+            reporter?.onAILog?.({
+              criterion: pseudoCriterion,
+              message: 'AI batch timed out; falling back to per-criterion calls.'
+            });
+          }
+          reporter?.onAILog?.({
+            criterion: pseudoCriterion,
+            message: `Batch chunk failed (${start + 1}-${Math.min(
+              pendingAI.length,
+              start + chunk.length
+            )}); will fall back to per-criterion for missing ids. ${String(err?.message || err)}`
+          });
+        }
+      }
+
+      for (const pending of pendingAI) {
+        if (aborted || signal?.aborted) {
+          throw createAbortError();
+        }
+        if (pauseController) await pauseController.waitIfPaused();
+
+        const { criterion, index } = pending;
+        if (reported.has(index)) continue;
+        const hit = batchById ? batchById.get(criterion.id) : null;
+
+        let evaluation;
+        if (hit) {
+          evaluation = evaluationFromHit(hit);
+        } else {
+          evaluation = await withPauseRetry({
+            pauseController,
+            reporter,
+            label: `AI criterion ${criterion.id}`,
+            retryOnAny: true,
+            signal,
+            fn: ({ signal: attemptSignal }) =>
+              withMcpRecovery({
+                label: `AI criterion ${criterion.id}`,
+                fn: () =>
+                  aiReviewCriterion({
+                    model: options.ai.model,
+                    provider: options.ai.provider,
+                    url,
+                    criterion,
+                    snapshot: aiSnapshot,
+                    reportLang,
+                    onLog: (message) => reporter?.onAILog?.({ criterion, message }),
+                    onStage: (label) => reporter?.onAIStage?.({ criterion, label }),
+                    onError: (message) => reporter?.onError?.(message),
+                    failFast,
+                    signal: attemptSignal,
+                    mcp: mcpForAi,
+                    cache: aiCacheEnabled
+                  })
+              })
+          });
+        }
+
+        if (evaluation.status === STATUS.ERR) {
+          aiFailed += 1;
+        }
+
+        results[index] = { ...criterion, examples: results[index]?.examples, ...evaluation };
+        queueReviewRetry(criterion, index, evaluation);
+        reportCriterion(criterion, {
+          status: evaluation.status || STATUS.ERR,
+          notes: evaluation.notes || 'Missing evaluation.',
+          ai: evaluation.ai || null,
+          automated: Boolean(evaluation.automated),
+          aiCandidate: Boolean(evaluation.aiCandidate)
+        }, index);
+      }
+    }
+
+    if (reviewRetry.length > 0) {
+      const pseudoCriterion = {
+        id: `AI(${reviewRetry.length})`,
+        title: 'Review follow-up',
+        theme: 'AI'
+      };
+      reporter?.onAIStart?.({ criterion: pseudoCriterion });
+      for (const pending of reviewRetry) {
+        if (aborted || signal?.aborted) {
+          throw createAbortError();
+        }
+        if (pauseController) await pauseController.waitIfPaused();
+        const { criterion, index } = pending;
+        const evaluation = await withPauseRetry({
+          pauseController,
+          reporter,
+          label: `AI retry ${criterion.id}`,
+          retryOnAny: true,
+          signal,
+          fn: ({ signal: attemptSignal }) =>
+            withMcpRecovery({
+              label: `AI retry ${criterion.id}`,
+              fn: () =>
+                aiReviewCriterion({
+                  model: options.ai.model,
+                  provider: options.ai.provider,
+                  url,
+                  criterion,
+                  snapshot: aiSnapshot,
+                  reportLang,
+                  onLog: (message) => reporter?.onAILog?.({ criterion, message }),
+                  onStage: (label) => reporter?.onAIStage?.({ criterion, label }),
+                  onError: (message) => reporter?.onError?.(message),
+                  failFast,
+                  signal: attemptSignal,
+                  mcp: mcpForAi,
+                  cache: aiCacheEnabled,
+                  retry: true
+                })
+            })
+        });
+        if (evaluation.status === STATUS.ERR) {
+          aiFailed += 1;
+        }
+        results[index] = { ...criterion, examples: results[index]?.examples, ...evaluation };
+      }
+    }
+
+    if (tracked.length) {
+      const candidateIds = new Set(pendingAI.map(({ criterion }) => criterion.id));
+      results.splice(0, results.length, ...mergeComponentResults(results, tracked, i18n, candidateIds));
+    }
+
+    // Report final results in criterion order (after AI batch is merged).
+    for (let i = 0; i < criteria.length; i++) {
+      if (aborted || signal?.aborted) {
+        throw createAbortError();
+      }
+      if (pauseController) await pauseController.waitIfPaused();
+      const criterion = criteria[i];
+      const res = results[i];
+      if (!reported.has(i)) {
+        const evaluation = {
+          status: res?.status || STATUS.ERR,
+          notes: res?.notes || 'Missing evaluation.',
+          ai: res?.ai || null,
+          automated: Boolean(res?.automated),
+          aiCandidate: Boolean(res?.aiCandidate)
+        };
+        reportCriterion(criterion, evaluation, i);
+      }
+    }
+    const inferenceCounts = summarizeCounts(results);
+    reporter?.onInferenceSummary?.({ url, counts: inferenceCounts });
+    reporter?.onInferenceEnd?.({ url });
+    reporter?.onChecksEnd?.({ index: pageIndex, url });
+    return results;
+  };
+
+  const scenariosFor = (url) => findScenarioStates(options.scenarios, url);
+  const stateReporter = reporter
+    ? {
+        onAILog: (payload) => reporter.onAILog?.(payload),
+        onAIStage: (payload) => reporter.onAIStage?.(payload),
+        onError: (message) => reporter.onError?.(message)
+      }
+    : null;
+
+  // Each named state starts from a fresh load of the page, then gets its own snapshot, stages and evaluation.
+  const evaluatePageStates = async ({ entry, pageIndex, pageStates }) => {
+    const { url } = entry;
+    const pageAuth = authFor(entry);
+    const states = [];
+    for (const [stateIndex, state] of pageStates.entries()) {
+      if (aborted || signal?.aborted) {
+        throw createAbortError();
+      }
+      if (pauseController) await pauseController.waitIfPaused();
+      const log = (message) =>
+        reporter?.onAILog?.({ criterion: { id: 'state', title: state.name, theme: 'Debug' }, message });
+      log(`State "${state.name}": replaying ${state.steps.length} step(s) on ${url}`);
+      let statePage = null;
+      try {
+        if (pageAuth) {
+          await withMcpRecovery({
+            label: 'Login',
+            fn: () => pageAuth.ensure({ browserUrl: mcpConfig?.browserUrl, url })
+          });
+        }
+        const snapshot = await withMcpRecovery({
+          label: `State ${state.name}`,
+          fn: () =>
+            captureScenarioState({
+              browserUrl: mcpConfig?.browserUrl,
+              url,
+              state,
+              timeoutMs: options.timeoutMs
+            })
+        });
+        await runPageStages(snapshot, {
+          url: snapshot.href || url,
+          prefix: `P${pageIndex + 1}-S${stateIndex + 1}`
+        });
+        statePage = { snapshot };
+      } catch (err) {
+        if (isAbortError(err) || failFast) throw err;
+        log(`State "${state.name}" failed, left out of the page verdict: ${String(err?.message || err)}`);
+        statePage = { error: err };
+      }
+      const stateUrl = statePage.snapshot?.href || url;
+      const results = await evaluatePage({
+        url: stateUrl,
+        entry,
+        page: statePage,
+        pageIndex,
+        reporter: stateReporter,
+        isState: true
+      });
+      const counts = summarizeCounts(results);
+      log(`State "${state.name}": ${counts.NC} NC, ${counts.REVIEW} to review, ${counts.ERR} error(s)`);
+      states.push({
+        name: state.name,
+        url: stateUrl,
+        results,
+        ...(statePage.error ? { error: String(statePage.error?.message || statePage.error) } : {})
+      });
+    }
+    return states;
+  };
+
   try {
     if (aborted || signal?.aborted) {
       throw createAbortError();
     }
     if (reporter && reporter.onChromeReady) reporter.onChromeReady();
-    if (mcpConfig && !mcpConfig?.pageId && !Array.isArray(mcpConfig?.cachedPages)) {
+    if (
+      !staticHtml &&
+      !reportOnly &&
+      snapshotDriver === 'mcp' &&
+      mcpConfig &&
+      !mcpConfig?.pageId &&
+      !Array.isArray(mcpConfig?.cachedPages)
+    ) {
       try {
         const list = await listMcpPages({
           model: options.ai?.model,
@@ -910,8 +1630,10 @@ export async function runAudit(options) {
         });
       }
     }
-    for (let pageIdx = resumeCompletedPages; pageIdx < options.pages.length; pageIdx += 1) {
-      const url = options.pages[pageIdx];
+    const lastPageIdx = reportOnly ? resumeCompletedPages : pageEntries.length;
+    for (let pageIdx = resumeCompletedPages; pageIdx < lastPageIdx; pageIdx += 1) {
+      const entry = pageEntries[pageIdx];
+      const { url } = entry;
       if (aborted || signal?.aborted) {
         throw createAbortError();
       }
@@ -922,42 +1644,77 @@ export async function runAudit(options) {
       const pageIndex = pageResults.length;
       if (reporter && reporter.onPageStart) reporter.onPageStart({ index: pageIndex, url });
       let page = null;
+      let pageSetup = null;
       reporter?.onPageNavigateStart?.({ url });
       const navStart = Date.now();
       try {
         if (pauseController) await pauseController.waitIfPaused();
+        const pageAuth = authFor(entry);
+        if (pageAuth) {
+          // Switching profiles starts from an empty cookie jar.
+          const fresh = Boolean(lastAuth) && lastAuth !== pageAuth;
+          lastAuth = pageAuth;
+          await withMcpRecovery({
+            label: 'Login',
+            fn: () => pageAuth.ensure({ browserUrl: mcpConfig?.browserUrl, url, fresh })
+          });
+        }
+        if (!staticHtml && (entry.viewport || entry.wait)) {
+          pageSetup = await withMcpRecovery({
+            label: 'Page setup',
+            fn: () =>
+              preparePage({
+                browserUrl: mcpConfig?.browserUrl,
+                url,
+                viewport: entry.viewport,
+                wait: entry.wait,
+                timeoutMs: options.timeoutMs
+              })
+          });
+        }
         reporter?.onSnapshotStart?.({ url });
         const snapshotStart = Date.now();
-        const snapshot = await withPauseRetry({
-          pauseController,
-          reporter,
-          label: 'Snapshot',
-          retryOnAny: true,
-          signal,
-          fn: ({ signal: attemptSignal }) =>
-            withMcpRecovery({
+        const snapshot = staticHtml
+          ? await collectStaticSnapshot(url)
+          : await withPauseRetry({
+              pauseController,
+              reporter,
               label: 'Snapshot',
-              fn: () =>
-                collectSnapshotWithMcp({
-                  url,
-                  model: options.ai?.model,
-                  mcp: mcpConfig,
-                  onLog: (message) => reporter?.onAILog?.({ criterion: { id: 'snapshot' }, message }),
-                  onStage: (label) => reporter?.onAIStage?.({ criterion: { id: 'snapshot' }, label }),
-                  signal: attemptSignal
+              retryOnAny: true,
+              signal,
+              fn: ({ signal: attemptSignal }) =>
+                withMcpRecovery({
+                  label: 'Snapshot',
+                  fn: () =>
+                    snapshotDriver === 'cdp'
+                      ? collectSnapshotWithCdp({
+                          url,
+                          mcp: mcpConfig,
+                          timeoutMs: options.timeoutMs,
+                          onLog: (message) => reporter?.onAILog?.({ criterion: { id: 'snapshot' }, message }),
+                          onStage: (label) => reporter?.onAIStage?.({ criterion: { id: 'snapshot' }, label }),
+                          signal: attemptSignal
+                        })
+                      : collectSnapshotWithMcp({
+                          url,
+                          model: options.ai?.model,
+                          mcp: mcpConfig,
+                          onLog: (message) => reporter?.onAILog?.({ criterion: { id: 'snapshot' }, message }),
+                          onStage: (label) => reporter?.onAIStage?.({ criterion: { id: 'snapshot' }, label }),
+                          signal: attemptSignal
+                        })
                 })
-            })
-        });
+            });
         const wantsHtmlValidation =
           String(process.env.AUDIT_HTML_VALIDATOR || '').trim().toLowerCase() !== '0';
-        if (wantsHtmlValidation) {
+        if (wantsHtmlValidation && !staticHtml) {
           const validation = await validateHtmlUrl(url);
           if (validation) {
             snapshot.validation = validation;
           }
         }
         let enrichment = null;
-        if (wantsEnrichment && options.ai?.useMcp) {
+        if (wantsEnrichment && options.ai?.useMcp && !staticHtml) {
           if (pauseController) await pauseController.waitIfPaused();
           reporter?.onEnrichmentStart?.({ url });
           let enrichmentOk = true;
@@ -1012,6 +1769,7 @@ export async function runAudit(options) {
             reporter?.onEnrichmentEnd?.({ url, ok: enrichmentOk });
           }
         }
+        await runPageStages(snapshot, { url, prefix: `P${pageIndex + 1}` });
         reporter?.onSnapshotEnd?.({ url, durationMs: Date.now() - snapshotStart });
         reporter?.onPageNetworkIdle?.({
           url,
@@ -1020,6 +1778,8 @@ export async function runAudit(options) {
         });
         page = { snapshot };
       } catch (err) {
+        await pageSetup?.release();
+        pageSetup = null;
         if (isAbortError(err)) {
           throw err;
         }
@@ -1050,352 +1810,19 @@ export async function runAudit(options) {
         }
       }
 
-      const results = [];
-      let criterionIndex = 0;
-      const reported = new Set();
-      const reportCriterion = (criterion, evaluation, resultIndex) => {
-        if (reported.has(resultIndex)) return;
-        reporter?.onCriterion?.({ index: criterionIndex, criterion, evaluation });
-        criterionIndex += 1;
-        reported.add(resultIndex);
-      };
-      reporter?.onInferenceStart?.({
-        url,
-        criteriaCount: criteria.length,
-        criteriaSample: criteria.slice(0, 6).map((item) => item.id)
-      });
-      reporter?.onChecksStart?.({ index: pageIndex, url });
-      const pendingAI = [];
-      const reviewRetry = [];
-      const reviewRetryQueued = new Set();
-      const queueReviewRetry = (criterion, index, evaluation) => {
-        if (!mcpForAi) return;
-        if (evaluation?.status !== STATUS.REVIEW) return;
-        if (reviewRetryQueued.has(index)) return;
-        reviewRetryQueued.add(index);
-        reviewRetry.push({ criterion, index });
-      };
-      for (const criterion of criteria) {
-        if (aborted || signal?.aborted) {
-          throw createAbortError();
-        }
-        if (pauseController) await pauseController.waitIfPaused();
-
-        if (page.error) {
-          const evaluation = {
-            ...criterion,
-            status: STATUS.ERR,
-            notes: formatPageFailure(page.error)
-          };
-          const index = results.length;
-          results.push(evaluation);
-          reportCriterion(criterion, {
-            status: evaluation.status,
-            notes: evaluation.notes,
-            ai: evaluation.ai || null,
-            automated: Boolean(evaluation.automated),
-            aiCandidate: Boolean(evaluation.aiCandidate)
-          }, index);
-          continue;
-        }
-
-        if (criterion.id === '12.5' && !hasMultiPageAudit) {
-          const evaluation = {
-            status: STATUS.REVIEW,
-            notes: i18n.t(
-              'Critère multi-pages : nécessite au moins deux pages. À revoir lors d’un second passage.',
-              'Multi-page criterion: requires at least two pages. Review in a second pass.'
-            ),
-            automated: false,
-            aiCandidate: false
-          };
-          const index = results.length;
-          results.push({ ...criterion, ...evaluation });
-          reportCriterion(
-            criterion,
-            {
-              status: evaluation.status,
-              notes: evaluation.notes,
-              ai: evaluation.ai || null,
-              automated: Boolean(evaluation.automated),
-              aiCandidate: Boolean(evaluation.aiCandidate)
-            },
-            index
-          );
-          continue;
-        }
-        if (criterion.id === '12.5' && hasMultiPageAudit) {
-          const evaluation = {
-            status: STATUS.REVIEW,
-            notes: i18n.t(
-              'Critère multi-pages : revue inter-pages en seconde passe.',
-              'Multi-page criterion: cross-page review in a second pass.'
-            ),
-            automated: false,
-            aiCandidate: false
-          };
-          const index = results.length;
-          results.push({ ...criterion, ...evaluation });
-          reportCriterion(
-            criterion,
-            {
-              status: evaluation.status,
-              notes: evaluation.notes,
-              ai: evaluation.ai || null,
-              automated: Boolean(evaluation.automated),
-              aiCandidate: Boolean(evaluation.aiCandidate)
-            },
-            index
-          );
-          continue;
-        }
-
-        const evaluation = evaluateCriterion(criterion, page.snapshot, { lang: reportLang });
-        const index = results.length;
-        results.push({ ...criterion, ...evaluation });
-        if (evaluation.aiCandidate) {
-          pendingAI.push({ criterion, index });
-        } else {
-          reportCriterion(criterion, {
-            status: evaluation.status || STATUS.ERR,
-            notes: evaluation.notes || 'Missing evaluation.',
-            ai: evaluation.ai || null,
-            automated: Boolean(evaluation.automated),
-            aiCandidate: Boolean(evaluation.aiCandidate)
-          }, index);
-        }
-      }
-
-      if (!page.error && pendingAI.length > 0) {
-        if (pauseController) await pauseController.waitIfPaused();
-        const pseudoCriterion = {
-          id: `AI(${pendingAI.length})`,
-          title: 'Batch criteria review',
-          theme: 'AI'
-        };
-        reporter?.onAIStart?.({ criterion: pseudoCriterion });
-
-        const batchById = new Map();
-        const batchSizeRaw = Number(process.env.AUDIT_AI_BATCH_SIZE || '');
-        let batchSize =
-          Number.isFinite(batchSizeRaw) && batchSizeRaw > 0 ? Math.floor(batchSizeRaw) : 6;
-
-        const evaluationFromHit = (hit) => {
-          const confidence = Number(hit.confidence || 0);
-          const rationale = String(hit.rationale || '');
-          const evidence = Array.isArray(hit.evidence) ? hit.evidence : [];
-          return {
-            status: hit.status || STATUS.NC,
-            notes: `${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
-            ai: { confidence, rationale, evidence }
-          };
-        };
-
-        for (let start = 0; start < pendingAI.length; start += batchSize) {
-          if (aborted || signal?.aborted) {
-            throw createAbortError();
-          }
-          if (pauseController) await pauseController.waitIfPaused();
-          const chunk = pendingAI.slice(start, start + batchSize);
-          try {
-            const batchResults = await withMcpRecovery({
-              label: 'AI batch',
-              fn: () =>
-                aiReviewCriteriaBatch({
-                  model: options.ai.model,
-                  url,
-                  criteria: chunk.map((p) => p.criterion),
-                  snapshot: page.snapshot,
-                  reportLang,
-                  onLog: (message) => reporter?.onAILog?.({ criterion: pseudoCriterion, message }),
-                  onStage: (label) => reporter?.onAIStage?.({ criterion: pseudoCriterion, label }),
-                  onError: (message) => reporter?.onError?.(message),
-                  failFast,
-                  signal,
-                  mcp: mcpForAi
-                })
-            });
-            for (const r of Array.isArray(batchResults) ? batchResults : []) {
-              const key = String(r?.criterion_id || '');
-              if (key) batchById.set(key, r);
-            }
-
-            // Update progress incrementally (avoid "stuck at 22/106 then jump to 100%").
-            for (const pending of chunk) {
-              const { criterion, index } = pending;
-              if (reported.has(index)) continue;
-              const hit = batchById.get(criterion.id);
-              if (!hit) continue;
-              const evaluation = evaluationFromHit(hit);
-              results[index] = { ...criterion, ...evaluation };
-              if (evaluation.status === STATUS.ERR) {
-                aiFailed += 1;
-              }
-              queueReviewRetry(criterion, index, evaluation);
-              reportCriterion(
-                criterion,
-                {
-                  status: evaluation.status || STATUS.ERR,
-                  notes: evaluation.notes || 'Missing evaluation.',
-                  ai: evaluation.ai || null,
-                  automated: Boolean(evaluation.automated),
-                  aiCandidate: Boolean(evaluation.aiCandidate)
-                },
-                index
-              );
-            }
-          } catch (err) {
-            const errText = String(err?.message || err || '').toLowerCase();
-            if (batchSize > 1 && (errText.includes('timed out') || errText.includes('timeout'))) {
-              batchSize = 1;
-              reporter?.onAILog?.({
-                criterion: pseudoCriterion,
-                message: 'AI batch timed out; falling back to per-criterion calls.'
-              });
-            }
-            reporter?.onAILog?.({
-              criterion: pseudoCriterion,
-              message: `Batch chunk failed (${start + 1}-${Math.min(
-                pendingAI.length,
-                start + chunk.length
-              )}); will fall back to per-criterion for missing ids. ${String(err?.message || err)}`
-            });
-          }
-        }
-
-        for (const pending of pendingAI) {
-          if (aborted || signal?.aborted) {
-            throw createAbortError();
-          }
-          if (pauseController) await pauseController.waitIfPaused();
-
-          const { criterion, index } = pending;
-          if (reported.has(index)) continue;
-          const hit = batchById ? batchById.get(criterion.id) : null;
-
-          let evaluation;
-          if (hit) {
-            evaluation = evaluationFromHit(hit);
-          } else {
-            evaluation = await withPauseRetry({
-              pauseController,
-              reporter,
-              label: `AI criterion ${criterion.id}`,
-              retryOnAny: true,
-              signal,
-              fn: ({ signal: attemptSignal }) =>
-                withMcpRecovery({
-                  label: `AI criterion ${criterion.id}`,
-                  fn: () =>
-                    aiReviewCriterion({
-                      model: options.ai.model,
-                      url,
-                      criterion,
-                      snapshot: page.snapshot,
-                      reportLang,
-                      onLog: (message) => reporter?.onAILog?.({ criterion, message }),
-                      onStage: (label) => reporter?.onAIStage?.({ criterion, label }),
-                      onError: (message) => reporter?.onError?.(message),
-                      failFast,
-                      signal: attemptSignal,
-                      mcp: mcpForAi
-                    })
-                })
-            });
-          }
-
-          if (evaluation.status === STATUS.ERR) {
-            aiFailed += 1;
-          }
-
-          results[index] = { ...criterion, ...evaluation };
-          queueReviewRetry(criterion, index, evaluation);
-          reportCriterion(criterion, {
-            status: evaluation.status || STATUS.ERR,
-            notes: evaluation.notes || 'Missing evaluation.',
-            ai: evaluation.ai || null,
-            automated: Boolean(evaluation.automated),
-            aiCandidate: Boolean(evaluation.aiCandidate)
-          }, index);
-        }
-      }
-
-      if (reviewRetry.length > 0) {
-        const pseudoCriterion = {
-          id: `AI(${reviewRetry.length})`,
-          title: 'Review follow-up',
-          theme: 'AI'
-        };
-        reporter?.onAIStart?.({ criterion: pseudoCriterion });
-        for (const pending of reviewRetry) {
-          if (aborted || signal?.aborted) {
-            throw createAbortError();
-          }
-          if (pauseController) await pauseController.waitIfPaused();
-          const { criterion, index } = pending;
-          const evaluation = await withPauseRetry({
-            pauseController,
-            reporter,
-            label: `AI retry ${criterion.id}`,
-            retryOnAny: true,
-            signal,
-            fn: ({ signal: attemptSignal }) =>
-              withMcpRecovery({
-                label: `AI retry ${criterion.id}`,
-                fn: () =>
-                  aiReviewCriterion({
-                    model: options.ai.model,
-                    url,
-                    criterion,
-                    snapshot: page.snapshot,
-                    reportLang,
-                    onLog: (message) => reporter?.onAILog?.({ criterion, message }),
-                    onStage: (label) => reporter?.onAIStage?.({ criterion, label }),
-                    onError: (message) => reporter?.onError?.(message),
-                    failFast,
-                    signal: attemptSignal,
-                    mcp: mcpForAi,
-                    retry: true
-                  })
-              })
-          });
-          if (evaluation.status === STATUS.ERR) {
-            aiFailed += 1;
-          }
-          results[index] = { ...criterion, ...evaluation };
-        }
-      }
-
-      // Report final results in criterion order (after AI batch is merged).
-      for (let i = 0; i < criteria.length; i++) {
-        if (aborted || signal?.aborted) {
-          throw createAbortError();
-        }
-        if (pauseController) await pauseController.waitIfPaused();
-        const criterion = criteria[i];
-        const res = results[i];
-        if (!reported.has(i)) {
-          const evaluation = {
-            status: res?.status || STATUS.ERR,
-            notes: res?.notes || 'Missing evaluation.',
-            ai: res?.ai || null,
-            automated: Boolean(res?.automated),
-            aiCandidate: Boolean(res?.aiCandidate)
-          };
-          reportCriterion(criterion, evaluation, i);
-        }
-      }
-      const inferenceCounts = summarizeCounts(results);
-      reporter?.onInferenceSummary?.({ url, counts: inferenceCounts });
-      reporter?.onInferenceEnd?.({ url });
-      reporter?.onChecksEnd?.({ index: pageIndex, url });
+      const baseResults = await evaluatePage({ url, entry, page, pageIndex, reporter });
       if (page.error) pagesFailed += 1;
-      const searchEvidence = page?.snapshot ? extractSearchEvidence(page.snapshot) : null;
-      if (searchEvidence) {
+      const pageStates = page.error || staticHtml ? [] : entry.scenarios || scenariosFor(url);
+      const states = pageStates.length ? await evaluatePageStates({ entry, pageIndex, pageStates }) : [];
+      await pageSetup?.release();
+      const results = states.length ? mergeStateResults(baseResults, states, i18n) : baseResults;
+      const navigationEvidence = page?.snapshot ? extractCrossPageEvidence(page.snapshot, url) : null;
+      if (navigationEvidence) {
         crossPageEvidence.push({
           url,
+          index: pageIndex + 1,
           title: page?.snapshot?.title || '',
-          ...searchEvidence
+          ...navigationEvidence
         });
       }
       if (page?.snapshot) {
@@ -1405,7 +1832,14 @@ export async function runAudit(options) {
           lang: page.snapshot.lang || ''
         });
       }
-      pageResults.push({ url, snapshot: compactSnapshot(page.snapshot), results });
+      pageResults.push({
+        url,
+        name: entry.name || '',
+        type: entry.type || '',
+        snapshot: compactSnapshot(page.snapshot),
+        results,
+        states
+      });
       currentPageIndex = null;
       currentPageUrl = '';
       currentPageStartedAt = 0;
@@ -1433,71 +1867,113 @@ export async function runAudit(options) {
     }
   }
 
-  if (!aborted && !signal?.aborted && hasMultiPageAudit && crossPageEvidence.length > 0) {
-    const criterionIndex = criteriaIndexById.get('12.5');
-    if (typeof criterionIndex === 'number') {
-      const criterion = criteria[criterionIndex];
-      const pseudoCriterion = {
-        id: 'AI(12.5)',
-        title: criterion.title,
-        theme: criterion.theme
-      };
-      secondPassSummary.total = 1;
+  if (
+    !aborted &&
+    !signal?.aborted &&
+    !staticHtml &&
+    !reportOnly &&
+    hasMultiPageAudit &&
+    crossPageEvidence.length > 0
+  ) {
+    const crossPage = CROSS_PAGE_CRITERIA.map((definition) => ({
+      definition,
+      index: criteriaIndexById.get(definition.id)
+    })).filter(
+      ({ definition, index }) => typeof index === 'number' && isCriterionSelected(criteriaSelection, definition.id)
+    );
+    if (crossPage.length) {
+      const total = crossPage.length;
+      secondPassSummary.total = total;
       secondPassSummary.done = 0;
-      secondPassSummary.criteria = [{ id: criterion.id, title: criterion.title, status: null }];
+      secondPassSummary.criteria = crossPage.map(({ index }) => ({
+        id: criteria[index].id,
+        title: criteria[index].title,
+        status: null
+      }));
       reporter?.onCrossPageStart?.({
-        total: 1,
-        criteria: [criterion]
+        total,
+        criteria: crossPage.map(({ index }) => criteria[index])
       });
-      reporter?.onAIStart?.({ criterion: pseudoCriterion });
       try {
-        reporter?.onCrossPageUpdate?.({ done: 0, total: 1, current: criterion });
-        const evaluation = await withPauseRetry({
-          pauseController,
-          reporter,
-          label: `AI cross-page ${criterion.id}`,
-          retryOnAny: true,
-          signal,
-          fn: ({ signal: attemptSignal }) =>
-            aiReviewCrossPageCriterion({
-              model: options.ai?.model,
-              criterion,
-              pages: crossPageEvidence,
-              reportLang,
-              onLog: (message) => reporter?.onAILog?.({ criterion: pseudoCriterion, message }),
-              onStage: (label) => reporter?.onAIStage?.({ criterion: pseudoCriterion, label }),
-              onError: (message) => reporter?.onError?.(message),
-              failFast,
-              signal: attemptSignal
-            })
-        });
-        if (evaluation.status === STATUS.ERR) {
-          aiFailed += 1;
-        }
-        for (const page of pageResults) {
-          if (Array.isArray(page.results) && page.results[criterionIndex]) {
-            page.results[criterionIndex] = { ...criterion, ...evaluation };
+        for (const [position, { definition, index: criterionIndex }] of crossPage.entries()) {
+          const criterion = criteria[criterionIndex];
+          const pseudoCriterion = {
+            id: `AI(${criterion.id})`,
+            title: criterion.title,
+            theme: criterion.theme
+          };
+          reporter?.onCrossPageUpdate?.({ done: position, total, current: criterion });
+          let evaluation;
+          try {
+            // The deterministic comparison settles most sets of pages; the AI only sees the rest.
+            const comparison = compareCrossPage(definition, crossPageEvidence, i18n);
+            if (comparison.status) {
+              evaluation = comparison;
+            } else {
+              reporter?.onAIStart?.({ criterion: pseudoCriterion });
+              evaluation = await withPauseRetry({
+                pauseController,
+                reporter,
+                label: `AI cross-page ${criterion.id}`,
+                retryOnAny: true,
+                signal,
+                fn: ({ signal: attemptSignal }) =>
+                  aiReviewCrossPageCriterion({
+                    model: options.ai?.model,
+                    provider: options.ai?.provider,
+                    criterion,
+                    instructions: definition.prompt,
+                    comparison: comparison.findings,
+                    pages: crossPageEvidence.map((page) => ({
+                      index: page.index,
+                      url: page.url,
+                      title: page.title,
+                      ...definition.evidence(page)
+                    })),
+                    reportLang,
+                    onLog: (message) => reporter?.onAILog?.({ criterion: pseudoCriterion, message }),
+                    onStage: (label) => reporter?.onAIStage?.({ criterion: pseudoCriterion, label }),
+                    onError: (message) => reporter?.onError?.(message),
+                    failFast,
+                    signal: attemptSignal
+                  })
+              });
+              if (evaluation.status === STATUS.ERR) {
+                aiFailed += 1;
+              }
+            }
+          } catch (err) {
+            if (failFast || isAbortError(err)) throw err;
+            reporter?.onAILog?.({
+              criterion: pseudoCriterion,
+              message: `Cross-page AI failed: ${String(err?.message || err)}`
+            });
+            secondPassSummary.done = position + 1;
+            secondPassSummary.criteria[position].status = STATUS.ERR;
+            continue;
+          }
+          // Pages that left the criterion out, and cells an auditor already decided, keep their verdict.
+          const takesVerdict = (res) => Boolean(res) && res.status !== STATUS.NE && !res.review;
+          for (const page of pageResults) {
+            if (Array.isArray(page.results) && takesVerdict(page.results[criterionIndex])) {
+              page.results[criterionIndex] = { ...criterion, ...evaluation };
+            }
+            for (const state of page.states || []) {
+              if (takesVerdict(state.results[criterionIndex])) {
+                state.results[criterionIndex] = { ...criterion, ...evaluation };
+              }
+            }
           }
+          secondPassSummary.done = position + 1;
+          secondPassSummary.criteria[position].status = evaluation.status || STATUS.ERR;
+          reporter?.onCrossPageDecision?.({ criterion, evaluation });
+          reporter?.onCrossPageUpdate?.({ done: position + 1, total, current: criterion });
         }
-        secondPassSummary.done = 1;
-        secondPassSummary.criteria = [
-          { id: criterion.id, title: criterion.title, status: evaluation.status || STATUS.ERR }
-        ];
-        reporter?.onCrossPageDecision?.({ criterion, evaluation });
-        reporter?.onCrossPageUpdate?.({ done: 1, total: 1, current: criterion });
-      } catch (err) {
-        if (failFast) throw err;
-        reporter?.onAILog?.({
-          criterion: pseudoCriterion,
-          message: `Cross-page AI failed: ${String(err?.message || err)}`
-        });
-        secondPassSummary.done = 1;
-        secondPassSummary.criteria = [
-          { id: criterion.id, title: criterion.title, status: STATUS.ERR }
-        ];
       } finally {
-        reporter?.onCrossPageEnd?.({ done: 1, total: 1 });
+        reporter?.onCrossPageEnd?.({ done: secondPassSummary.done, total });
       }
+      // Keep the cross-page verdicts in the resume file so a later review rebuilds the same report.
+      await queueResumeWrite();
     }
   }
 
@@ -1514,19 +1990,9 @@ export async function runAudit(options) {
       const statuses = pageResultsById.map(
         (byId) => byId.get(criterion.id)?.status || STATUS.ERR
       );
-      let status = STATUS.C;
-      if (statuses.every((s) => s === STATUS.NA)) {
-        status = STATUS.NA;
-      } else if (statuses.some((s) => s === STATUS.ERR)) {
-        status = STATUS.ERR;
-      } else if (statuses.some((s) => s === STATUS.NC)) {
-        status = STATUS.NC;
-      } else if (statuses.some((s) => s === STATUS.REVIEW)) {
-        status = STATUS.REVIEW;
-      }
       globalByCriterion.set(criterion.id, {
         ...criterion,
-        status
+        status: mergeStatuses(statuses)
       });
     }
     const globalCounts = summarizeCounts(Array.from(globalByCriterion.values()));
@@ -1625,6 +2091,8 @@ export async function runAudit(options) {
           return { icon: '👀', fg: 'FF7C2D12', bg: 'FFFFEDD5' };
         case STATUS.ERR:
           return { icon: '⚠️', fg: 'FF7F1D1D', bg: 'FFFEE2E2' };
+        case STATUS.NE:
+          return { icon: '⏭️', fg: 'FF64748B', bg: 'FFF1F5F9' };
         default:
           return { icon: '?', fg: 'FF0F172A', bg: 'FFF8FAFC' };
       }
@@ -1646,14 +2114,47 @@ export async function runAudit(options) {
       return style;
     };
 
-    const lastCol = toExcelColumn(3 + pageResults.length);
-    const pageLabels = pageResults.map((page, index) => `P${index + 1}`);
+    const evidenceDir = outPath ? path.join(path.dirname(outPath), 'evidence') : '';
+    const evidenceLinksByPage = await copyEvidenceScreenshots(pageResults, evidenceDir);
+    if (final) {
+      await cleanupEnrichmentTempFiles(pageResults, evidenceLinksByPage, { force: !evidenceDir });
+    }
+
+    // One Audit column per page (merged verdict), followed by one per interaction state.
+    const auditColumns = pageResults.flatMap((page, pageIndex) => {
+      const pageTitle = page.name || pageMeta[pageIndex]?.title || '';
+      return [
+        {
+          label: pageLabel(pageIndex, page),
+          byId: pageResultsById[pageIndex],
+          url: page.url,
+          title: pageTitle,
+          evidenceLinks: evidenceLinksByPage[pageIndex] || {},
+          note: [page.type, page.url].filter(Boolean).join('\n'),
+          state: ''
+        },
+        ...(page.states || []).map((state, stateIndex) => ({
+          label: `P${pageIndex + 1}-S${stateIndex + 1}`,
+          byId: new Map(state.results.filter((res) => res?.id).map((res) => [res.id, res])),
+          url: state.url || page.url,
+          title: pageTitle ? `${pageTitle} — ${state.name}` : state.name,
+          evidenceLinks: {},
+          note: state.name,
+          state: state.name
+        }))
+      ];
+    });
+    const lastCol = toExcelColumn(3 + auditColumns.length);
 
     uiSheet.columns = [
       { header: i18n.excel.criterionId(), key: 'id', width: 11 },
       { header: i18n.excel.criterionTheme(), key: 'theme', width: 18 },
       { header: i18n.excel.criterionTitle(), key: 'title', width: 64 },
-      ...pageLabels.map((label) => ({ header: label, key: label, width: 6 }))
+      ...auditColumns.map((column) => ({
+        header: column.label,
+        key: column.label,
+        width: column.state ? 8 : Math.min(30, Math.max(6, column.label.length + 2))
+      }))
     ];
 
     evidenceSheet.columns = [
@@ -1668,7 +2169,10 @@ export async function runAudit(options) {
       { header: i18n.excel.evidence(), key: 'evidence', width: 56 },
       { header: i18n.excel.examples(), key: 'examples', width: 56 },
       { header: i18n.excel.screenshot1(), key: 'screenshot1', width: 26 },
-      { header: i18n.excel.screenshot2(), key: 'screenshot2', width: 26 }
+      { header: i18n.excel.screenshot2(), key: 'screenshot2', width: 26 },
+      { header: i18n.excel.aiCache(), key: 'aiCache', width: 10 },
+      { header: i18n.excel.auditorReview(), key: 'auditorReview', width: 30 },
+      { header: i18n.excel.failedTests(), key: 'failedTests', width: 56 }
     ];
 
     const headerStyle = (row, sheet) => {
@@ -1688,6 +2192,9 @@ export async function runAudit(options) {
     };
 
     headerStyle(uiSheet.getRow(1), uiSheet);
+    auditColumns.forEach((column, index) => {
+      if (column.note) uiSheet.getRow(1).getCell(4 + index).note = column.note;
+    });
     headerStyle(evidenceSheet.getRow(1), evidenceSheet);
 
     const collapseEvidence = (text) =>
@@ -1703,7 +2210,7 @@ export async function runAudit(options) {
       const aiConfidence = res.ai?.confidence ?? null;
       const aiRationale = collapseEvidence(res.ai?.rationale || '');
       const summary =
-        aiRationale && Number.isFinite(aiConfidence)
+        aiRationale && Number.isFinite(aiConfidence) && !res.review
           ? `${i18n.notes.aiPrefix(aiConfidence)}: ${aiRationale}`
           : collapseEvidence(res.notes || '');
 
@@ -1723,7 +2230,9 @@ export async function runAudit(options) {
         }
       }
 
-      return { status, summary, evidence, examples };
+      const failedTests = Array.isArray(res.failedTests) ? res.failedTests : [];
+
+      return { status, summary, evidence, examples, failedTests };
     };
 
     const buildCellNote = (res) => {
@@ -1731,6 +2240,9 @@ export async function runAudit(options) {
       const payload = buildEvidencePayload(res);
       const lines = [];
       lines.push(`${payload.status}${payload.summary ? `: ${payload.summary}` : ''}`);
+      if (payload.failedTests.length > 0) {
+        lines.push(`${i18n.notes.failedTestsLabel()} ${payload.failedTests.join(', ')}`);
+      }
       if (payload.evidence.length > 0) {
         lines.push(i18n.notes.evidenceLabel());
         for (const ex of payload.evidence) {
@@ -1747,12 +2259,6 @@ export async function runAudit(options) {
       return lines.join('\n').slice(0, 800);
     };
 
-    const evidenceDir = outPath ? path.join(path.dirname(outPath), 'evidence') : '';
-    const evidenceLinksByPage = await copyEvidenceScreenshots(pageResults, evidenceDir);
-    if (final) {
-      await cleanupEnrichmentTempFiles(pageResults, evidenceLinksByPage, { force: !evidenceDir });
-    }
-
     const applyHyperlinkStyle = (cell) => {
       cell.font = { ...(cell.font || {}), color: { argb: 'FF1D4ED8' }, underline: true };
     };
@@ -1762,9 +2268,15 @@ export async function runAudit(options) {
         ? items.map((item) => `- ${item}`).join('\n')
         : '';
 
+    // "11.1.2 – <test title>" lines so developers know which RGAA test to fix.
+    const failedTestsText = (criterion, ids) => {
+      const titles = new Map((criterion.tests || []).map((test) => [test.id, test.title]));
+      return ids.map((id) => (titles.has(id) ? `${id} – ${titles.get(id)}` : id)).join('\n');
+    };
+
     for (const criterion of criteria) {
       const uiRow = [criterion.id, criterion.theme, criterion.title];
-      for (let pageIndex = 0; pageIndex < pageResults.length; pageIndex += 1) {
+      for (let columnIndex = 0; columnIndex < auditColumns.length; columnIndex += 1) {
         uiRow.push('');
       }
       const excelUiRow = uiSheet.addRow(uiRow);
@@ -1782,11 +2294,12 @@ export async function runAudit(options) {
         };
       }
 
-      for (let pageIndex = 0; pageIndex < pageResults.length; pageIndex += 1) {
-        const res = pageResultsById[pageIndex].get(criterion.id);
-        const uiCell = excelUiRow.getCell(4 + pageIndex);
+      for (let columnIndex = 0; columnIndex < auditColumns.length; columnIndex += 1) {
+        const column = auditColumns[columnIndex];
+        const res = column.byId.get(criterion.id);
+        const uiCell = excelUiRow.getCell(4 + columnIndex);
         const s = applyStatusCellStyle(uiCell, res?.status || STATUS.ERR);
-        uiCell.value = s.icon;
+        uiCell.value = res?.review ? `${s.icon} ${REVIEW_MARK}` : s.icon;
         uiCell.dataValidation = {
           type: 'list',
           allowBlank: true,
@@ -1795,25 +2308,33 @@ export async function runAudit(options) {
         uiCell.note = buildCellNote(res);
 
         const evidencePayload = buildEvidencePayload(res);
-        const pageUrl = pageResults[pageIndex]?.url || '';
-        const pageTitle = pageMeta[pageIndex]?.title || '';
-        const evidenceLinks = evidenceLinksByPage[pageIndex] || {};
+        const pageUrl = column.url || '';
+        const evidenceLinks = column.evidenceLinks;
         const evidenceRow = evidenceSheet.addRow([
           criterion.id,
           criterion.theme,
           criterion.title,
-          pageLabels[pageIndex],
-          pageTitle,
+          column.label,
+          column.title,
           pageUrl,
           evidencePayload.status,
           evidencePayload.summary,
           listToText(evidencePayload.evidence),
           listToText(evidencePayload.examples),
           evidenceLinks.screenshot1 || '',
-          evidenceLinks.screenshot2 || ''
+          evidenceLinks.screenshot2 || '',
+          res?.ai ? (res.ai.cached ? i18n.excel.aiCacheHit() : i18n.excel.aiCacheMiss()) : '',
+          res?.review
+            ? i18n.excel.auditorReviewBy(
+                res.review.author,
+                String(res.review.reviewedAt || '').slice(0, 10),
+                i18n.statusLabel(res.review.previousStatus)
+              )
+            : '',
+          failedTestsText(criterion, evidencePayload.failedTests)
         ]);
 
-        for (let c = 1; c <= 12; c += 1) {
+        for (let c = 1; c <= 15; c += 1) {
           const cell = evidenceRow.getCell(c);
           cell.alignment = { vertical: 'top', wrapText: true };
           cell.border = {
@@ -1855,7 +2376,7 @@ export async function runAudit(options) {
 
     const infoRows = [
       [i18n.excel.generatedAt(), new Date().toISOString()],
-      [i18n.excel.pagesAudited(), options.pages.length],
+      [i18n.excel.pagesAudited(), pageEntries.length],
       [i18n.excel.globalScore(), globalScore],
       [i18n.excel.pagesFailed(), pagesFailed]
     ];
@@ -1885,6 +2406,9 @@ export async function runAudit(options) {
       { status: STATUS.REVIEW, label: i18n.excel.review(), value: globalCounts.REVIEW || 0 },
       { status: STATUS.ERR, label: i18n.excel.errors(), value: globalCounts.ERR }
     ];
+    if (globalCounts.NE) {
+      statusRows.push({ status: STATUS.NE, label: i18n.excel.notEvaluated(), value: globalCounts.NE });
+    }
     for (const row of statusRows) {
       const r = summarySheet.addRow([row.label, row.value]);
       const labelCell = r.getCell(1);
@@ -1924,7 +2448,9 @@ export async function runAudit(options) {
       [statusStyle(STATUS.NC).icon, i18n.statusLabel(STATUS.NC)],
       [statusStyle(STATUS.NA).icon, i18n.statusLabel(STATUS.NA)],
       [statusStyle(STATUS.REVIEW).icon, i18n.statusLabel(STATUS.REVIEW)],
-      [statusStyle(STATUS.ERR).icon, i18n.statusLabel(STATUS.ERR)]
+      [statusStyle(STATUS.ERR).icon, i18n.statusLabel(STATUS.ERR)],
+      [statusStyle(STATUS.NE).icon, i18n.statusLabel(STATUS.NE)],
+      [REVIEW_MARK, i18n.excel.auditorReview()]
     ];
     for (const [icon, label] of legend) {
       const r = summarySheet.addRow([icon, label]);
@@ -1951,6 +2477,49 @@ export async function runAudit(options) {
       });
     });
 
+    // Issues found in shared header/navigation/footer blocks, listed once per component.
+    const componentRows = componentRegistry.list().flatMap((entry) =>
+      criteria
+        .filter((criterion) => [STATUS.NC, STATUS.REVIEW].includes(entry.results[criterion.id]?.status))
+        .map((criterion) => ({ entry, criterion, verdict: entry.results[criterion.id] }))
+    );
+    if (componentRows.length) {
+      const componentsSheet = workbook.addWorksheet(i18n.excel.componentsSheet());
+      componentsSheet.columns = [
+        { header: i18n.excel.component(), key: 'component', width: 36 },
+        { header: i18n.excel.componentPages(), key: 'pages', width: 18 },
+        { header: i18n.excel.criterionId(), key: 'id', width: 10 },
+        { header: i18n.excel.criterionTitle(), key: 'title', width: 56 },
+        { header: i18n.excel.status(), key: 'status', width: 14 },
+        { header: i18n.excel.summary(), key: 'summary', width: 56 },
+        { header: i18n.excel.evidence(), key: 'evidence', width: 56 }
+      ];
+      headerStyle(componentsSheet.getRow(1), componentsSheet);
+      for (const { entry, criterion, verdict } of componentRows) {
+        const row = componentsSheet.addRow([
+          componentLabel(entry, i18n),
+          entry.pages.join(', '),
+          criterion.id,
+          criterion.title,
+          verdict.status,
+          `${i18n.notes.aiPrefix(verdict.confidence)}: ${collapseEvidence(verdict.rationale)}`,
+          listToText(verdict.evidence.map(collapseEvidence).filter(Boolean))
+        ]);
+        for (let c = 1; c <= 7; c += 1) {
+          const cell = row.getCell(c);
+          cell.font = { size: BASE_FONT_SIZE };
+          cell.alignment = { vertical: 'top', wrapText: true };
+          cell.border = {
+            top: { style: 'thin', color: { argb: COLORS.grid } },
+            left: { style: 'thin', color: { argb: COLORS.grid } },
+            bottom: { style: 'thin', color: { argb: COLORS.grid } },
+            right: { style: 'thin', color: { argb: COLORS.grid } }
+          };
+        }
+        applyStatusCellStyle(row.getCell(5), verdict.status);
+      }
+    }
+
     await fs.mkdir(path.dirname(outPath), { recursive: true });
     await workbook.xlsx.writeFile(outPath);
     if (final && reporter && reporter.onDone) {
@@ -1984,9 +2553,11 @@ export async function runAudit(options) {
 
   const closeTabsEnv = String(process.env.AUDIT_CLOSE_TABS || '').trim().toLowerCase();
   const shouldCloseTabs = closeTabsEnv !== '0' && closeTabsEnv !== 'false' && closeTabsEnv !== 'no';
-  if (shouldCloseTabs && !aborted && !signal?.aborted) {
+  // Closing tabs goes through Codex; a CDP snapshot + HTTP review run never needs the Codex CLI.
+  const codexFreeRun = snapshotDriver === 'cdp' && options.ai?.provider?.name === 'openai';
+  if (shouldCloseTabs && !codexFreeRun && !staticHtml && !reportOnly && !aborted && !signal?.aborted) {
     try {
-      const urlsToClose = Array.isArray(options.pages) ? options.pages : [];
+      const urlsToClose = pageUrls;
       const result = await closeMcpPages({
         urls: urlsToClose,
         model: options.ai?.model,
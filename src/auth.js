@@ -0,0 +1,228 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { connectCdpTab, sleep } from './cdp.js';
+
+const LOGIN_TIMEOUT_MS = (() => {
+  const raw = Number(process.env.AUDIT_LOGIN_TIMEOUT_MS || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 15000;
+})();
+
+function normalizeCheck(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const url = String(raw.url || '').trim();
+  const selector = String(raw.selector || '').trim();
+  return url || selector ? { url, selector } : null;
+}
+
+// Auth file (JSON): { storageState, login: { url, fields: [{ selector, env | value }], submit, success }, expired }.
+// Secrets only come from env vars; the file itself can be committed.
+export function loadAuthConfig(filePath, { env = process.env } = {}) {
+  const resolved = path.resolve(String(filePath));
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Auth file not found: ${resolved}`);
+  }
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read auth file: ${resolved} (${String(err?.message || err)})`);
+  }
+
+  let storageState = null;
+  if (raw?.storageState) {
+    const statePath = path.resolve(path.dirname(resolved), String(raw.storageState));
+    if (!fs.existsSync(statePath)) {
+      throw new Error(`Auth state file not found: ${statePath}`);
+    }
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    storageState = {
+      cookies: Array.isArray(state?.cookies) ? state.cookies : [],
+      origins: Array.isArray(state?.origins) ? state.origins : []
+    };
+  }
+
+  let login = null;
+  if (raw?.login) {
+    const url = String(raw.login.url || '').trim();
+    if (!url) throw new Error('Auth login step needs a "url".');
+    const fields = (Array.isArray(raw.login.fields) ? raw.login.fields : []).map((field) => {
+      const selector = String(field?.selector || '').trim();
+      if (!selector) throw new Error('Auth login field needs a "selector".');
+      if (field?.env) {
+        const value = env[field.env];
+        if (value === undefined || value === '') {
+          throw new Error(`Auth login field ${selector} reads env ${field.env}, which is not set.`);
+        }
+        return { selector, value: String(value) };
+      }
+      return { selector, value: String(field?.value ?? '') };
+    });
+    if (!fields.length) throw new Error('Auth login step needs at least one field.');
+    const success = normalizeCheck(raw.login.success);
+    if (!success) throw new Error('Auth login step needs a "success" check (url and/or selector).');
+    login = { url, fields, submit: String(raw.login.submit || '').trim(), success };
+  }
+
+  if (!storageState && !login) {
+    throw new Error('Auth file needs a "storageState" file, a "login" step, or both.');
+  }
+  // Default expiry signal: being sent back to the login page.
+  const expired = normalizeCheck(raw?.expired) || (login ? { url: login.url, selector: '' } : null);
+  return { storageState, login, expired };
+}
+
+// Playwright-style storage state cookies -> Network.setCookies params.
+export function toCdpCookies(cookies = []) {
+  return cookies
+    .filter((cookie) => cookie?.name && (cookie.domain || cookie.url))
+    .map((cookie) => {
+      const out = { name: String(cookie.name), value: String(cookie.value ?? '') };
+      for (const key of ['url', 'domain', 'path', 'sameSite']) {
+        if (cookie[key]) out[key] = String(cookie[key]);
+      }
+      if (typeof cookie.secure === 'boolean') out.secure = cookie.secure;
+      if (typeof cookie.httpOnly === 'boolean') out.httpOnly = cookie.httpOnly;
+      if (Number(cookie.expires) > 0) out.expires = Number(cookie.expires);
+      return out;
+    });
+}
+
+function pageMatches(check) {
+  const urlOk = !check.url || location.href.includes(check.url);
+  const selectorOk = !check.selector || Boolean(document.querySelector(check.selector));
+  return urlOk && selectorOk;
+}
+
+function fillLoginForm(fields, submit) {
+  const missing = [];
+  let last = null;
+  for (const field of fields) {
+    const el = document.querySelector(field.selector);
+    if (!el) {
+      missing.push(field.selector);
+      continue;
+    }
+    el.focus();
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      el.checked = field.value !== '' && field.value !== 'false';
+    } else {
+      // Native setter so framework-controlled inputs see the change.
+      const proto = Object.getPrototypeOf(el);
+      const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+      if (setter) setter.call(el, field.value);
+      else el.value = field.value;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    last = el;
+  }
+  if (missing.length) return { missing, submitted: false };
+  const button = submit ? document.querySelector(submit) : null;
+  if (submit && !button) return { missing: [submit], submitted: false };
+  if (button) button.click();
+  else if (last?.form) last.form.requestSubmit();
+  else return { missing: [], submitted: false };
+  return { missing: [], submitted: true };
+}
+
+function writeLocalStorage(items) {
+  for (const item of items) localStorage.setItem(item.name, item.value);
+  return items.length;
+}
+
+async function navigate(session, url) {
+  const loaded = session.waitFor('Page.loadEventFired', LOGIN_TIMEOUT_MS);
+  const res = await session.send('Page.navigate', { url });
+  if (res?.errorText) {
+    throw new Error(`Auth: navigation to ${url} failed (${res.errorText})`);
+  }
+  await loaded;
+}
+
+// Navigations during a check destroy the execution context; treat that as "not yet".
+async function waitForCheck(session, check, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const ok = await session.callFunction(pageMatches, check).catch(() => false);
+    if (ok) return true;
+    await sleep(250);
+  }
+  return false;
+}
+
+export function createAuthSession(config, { onLog, connect = connectCdpTab } = {}) {
+  let stateApplied = false;
+  let loggedIn = false;
+
+  const applyStorageState = async (session) => {
+    const cookies = toCdpCookies(config.storageState.cookies);
+    if (cookies.length) await session.send('Network.setCookies', { cookies });
+    for (const entry of config.storageState.origins) {
+      const items = Array.isArray(entry?.localStorage) ? entry.localStorage : [];
+      if (!entry?.origin || !items.length) continue;
+      await navigate(session, entry.origin);
+      await session.callFunction(writeLocalStorage, items);
+    }
+    onLog?.(`Auth: applied stored state (${cookies.length} cookie(s), ${config.storageState.origins.length} origin(s)).`);
+  };
+
+  const runLogin = async (session) => {
+    const { login } = config;
+    onLog?.(`Auth: logging in at ${login.url}`);
+    await navigate(session, login.url);
+    const filled = await session.callFunction(fillLoginForm, login.fields, login.submit);
+    if (filled?.missing?.length) {
+      throw new Error(`Auth: login form element(s) not found: ${filled.missing.join(', ')}`);
+    }
+    if (!filled?.submitted) {
+      throw new Error('Auth: login form could not be submitted (no submit selector and no enclosing form).');
+    }
+    if (!(await waitForCheck(session, login.success, LOGIN_TIMEOUT_MS))) {
+      throw new Error(`Auth: login success check not met within ${LOGIN_TIMEOUT_MS} ms.`);
+    }
+    loggedIn = true;
+  };
+
+  const isExpired = async (session) =>
+    Boolean(config.expired) && Boolean(await session.callFunction(pageMatches, config.expired).catch(() => false));
+
+  // Leaves the tab on `url` with a live session; logs in again if the page shows the expiry signal.
+  // `fresh` clears the cookie jar first (another login profile was used in between).
+  const ensure = async ({ browserUrl, url, fresh = false }) => {
+    if (!browserUrl) {
+      throw new Error('Authenticated audits need a DevTools endpoint (--mcp-browser-url or a launched Chrome).');
+    }
+    const session = await connect({ browserUrl, url });
+    try {
+      await session.send('Page.enable');
+      await session.send('Network.enable');
+      if (fresh) {
+        await session.send('Network.clearBrowserCookies');
+        stateApplied = false;
+        loggedIn = false;
+      }
+      if (config.storageState && !stateApplied) {
+        await applyStorageState(session);
+        stateApplied = true;
+      } else if (config.login && !config.storageState && !loggedIn) {
+        await runLogin(session);
+      }
+      await navigate(session, url);
+      if (!(await isExpired(session))) return { relogged: false };
+      if (!config.login) {
+        throw new Error(`Auth: session expired at ${url} and no login step is configured.`);
+      }
+      onLog?.(`Auth: session expired at ${url}; logging in again.`);
+      await runLogin(session);
+      await navigate(session, url);
+      if (await isExpired(session)) {
+        throw new Error(`Auth: still logged out at ${url} after logging in again.`);
+      }
+      return { relogged: true };
+    } finally {
+      session.close();
+    }
+  };
+
+  return { ensure };
+}
@@ -0,0 +1,134 @@
+import { connectCdpPage } from './cdp.js';
+
+const MAX_NODES = (() => {
+  const raw = Number(process.env.AUDIT_AX_MAX_NODES || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 400;
+})();
+
+// Chrome AX roles grouped by the rules that read them.
+const KIND_BY_ROLE = {
+  image: 'image',
+  img: 'image',
+  'graphics-document': 'image',
+  'graphics-symbol': 'image',
+  link: 'link',
+  button: 'button',
+  togglebutton: 'button',
+  textbox: 'formControl',
+  searchbox: 'formControl',
+  combobox: 'formControl',
+  listbox: 'formControl',
+  checkbox: 'formControl',
+  radio: 'formControl',
+  switch: 'formControl',
+  slider: 'formControl',
+  spinbutton: 'formControl',
+  banner: 'landmark',
+  navigation: 'landmark',
+  main: 'landmark',
+  contentinfo: 'landmark',
+  complementary: 'landmark',
+  region: 'landmark',
+  search: 'landmark',
+  form: 'landmark'
+};
+
+const STATE_PROPERTIES = ['focusable', 'disabled', 'required', 'invalid', 'checked', 'expanded', 'pressed'];
+
+function clip(value, max) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function attributeMap(domNode) {
+  const list = Array.isArray(domNode?.attributes) ? domNode.attributes : [];
+  const out = {};
+  for (let i = 0; i + 1 < list.length; i += 2) out[list[i]] = list[i + 1];
+  return out;
+}
+
+function toSelector(tag, attrs) {
+  if (attrs.id) return clip(`${tag}#${attrs.id}`, 80);
+  const cls = String(attrs.class || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+  return clip(cls.length ? `${tag}.${cls.join('.')}` : tag, 80);
+}
+
+// Flattens a DOM.getDocument tree into backendNodeId -> { node, parent }.
+function indexDom(root) {
+  const index = new Map();
+  const stack = root ? [{ node: root, parent: null }] : [];
+  while (stack.length) {
+    const entry = stack.pop();
+    if (Number.isFinite(entry.node.backendNodeId)) index.set(entry.node.backendNodeId, entry);
+    for (const child of entry.node.children || []) stack.push({ node: child, parent: entry });
+  }
+  return index;
+}
+
+// Sources come in precedence order; the one that produced the name has a value and is not superseded.
+function nameSource(axNode) {
+  const sources = Array.isArray(axNode?.name?.sources) ? axNode.name.sources : [];
+  const used = sources.find((source) => source?.value?.value && !source.superseded);
+  if (!used) return '';
+  return used.attribute || used.nativeSource || used.type || '';
+}
+
+function readStates(axNode) {
+  const states = {};
+  for (const prop of axNode?.properties || []) {
+    if (STATE_PROPERTIES.includes(prop?.name)) states[prop.name] = prop.value?.value;
+  }
+  return states;
+}
+
+export function buildAxNodes(axNodes = [], domRoot = null) {
+  const dom = indexDom(domRoot);
+  const nodes = [];
+  const counts = { image: 0, link: 0, button: 0, formControl: 0, landmark: 0 };
+  for (const axNode of axNodes) {
+    const role = String(axNode?.role?.value || '').toLowerCase();
+    const entry = dom.get(axNode?.backendDOMNodeId);
+    const tag = String(entry?.node?.localName || entry?.node?.nodeName || '').toLowerCase();
+    // Ignored nodes report role "none"; decorative <img>/<svg> still matter for 1.1.
+    const kind = KIND_BY_ROLE[role] || (axNode?.ignored && ['img', 'svg'].includes(tag) ? 'image' : '');
+    if (!kind) continue;
+    counts[kind] += 1;
+    if (nodes.length >= MAX_NODES) continue;
+    const attrs = attributeMap(entry?.node);
+    let inForm = Boolean(attrs.form);
+    for (let parent = entry?.parent; parent && !inForm; parent = parent.parent) {
+      const parentTag = String(parent.node.localName || '').toLowerCase();
+      inForm = parentTag === 'form' || attributeMap(parent.node).role === 'form';
+    }
+    nodes.push({
+      kind,
+      role,
+      name: clip(axNode?.name?.value, 120),
+      nameFrom: nameSource(axNode),
+      description: clip(axNode?.description?.value, 120),
+      tag,
+      selector: tag ? toSelector(tag, attrs) : '',
+      href: clip(attrs.href, 120),
+      type: clip(attrs.type, 20).toLowerCase(),
+      inForm,
+      ignored: Boolean(axNode?.ignored),
+      ignoredReasons: (axNode?.ignoredReasons || []).map((reason) => reason?.name).filter(Boolean),
+      states: readStates(axNode)
+    });
+  }
+  return { nodes, counts, truncated: nodes.length < Object.values(counts).reduce((sum, n) => sum + n, 0) };
+}
+
+export async function runAccessibilityTreeCapture({ browserUrl, url } = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  try {
+    await session.send('Accessibility.enable');
+    const { nodes = [] } = await session.send('Accessibility.getFullAXTree');
+    const { root = null } = await session.send('DOM.getDocument', { depth: -1 });
+    return buildAxNodes(nodes, root);
+  } finally {
+    await session.send('Accessibility.disable').catch(() => {});
+    session.close();
+  }
+}
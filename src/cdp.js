@@ -0,0 +1,213 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import WebSocket from 'ws';
+
+function normalizeBaseUrl(browserUrl) {
+  return String(browserUrl || '').trim().replace(/\/$/, '');
+}
+
+function normalizePageUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    url.hash = '';
+    return url.href.replace(/\/$/, '');
+  } catch {
+    return String(value || '').trim();
+  }
+}
+
+async function fetchJson(url, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res || !res.ok) return null;
+    return await res.json().catch(() => null);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export async function listCdpTargets(browserUrl, { timeoutMs = 2000 } = {}) {
+  const base = normalizeBaseUrl(browserUrl);
+  if (!base) return [];
+  const list = await fetchJson(`${base}/json/list`, timeoutMs);
+  return Array.isArray(list) ? list : [];
+}
+
+export function findPageTarget(targets, url) {
+  const pages = (Array.isArray(targets) ? targets : []).filter(
+    (entry) => entry?.type === 'page' && entry?.webSocketDebuggerUrl
+  );
+  const wanted = normalizePageUrl(url);
+  if (!wanted) return null;
+  return pages.find((entry) => normalizePageUrl(entry.url) === wanted) || null;
+}
+
+export function connectCdp(wsUrl, { timeoutMs = 5000, commandTimeoutMs = 15000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(wsUrl, { perMessageDeflate: false });
+    const pending = new Map();
+    const listeners = new Map();
+    let nextId = 1;
+    let closed = false;
+
+    const openTimer = setTimeout(() => {
+      socket.terminate();
+      reject(new Error(`CDP connection timed out: ${wsUrl}`));
+    }, timeoutMs);
+
+    const failPending = (err) => {
+      for (const { reject: rejectCommand, timer } of pending.values()) {
+        clearTimeout(timer);
+        rejectCommand(err);
+      }
+      pending.clear();
+    };
+
+    const session = {
+      send(method, params = {}) {
+        if (closed) return Promise.reject(new Error('CDP session closed'));
+        const id = nextId++;
+        return new Promise((resolveCommand, rejectCommand) => {
+          const timer = setTimeout(() => {
+            pending.delete(id);
+            rejectCommand(new Error(`CDP ${method} timed out`));
+          }, commandTimeoutMs);
+          pending.set(id, { resolve: resolveCommand, reject: rejectCommand, timer, method });
+          socket.send(JSON.stringify({ id, method, params }));
+        });
+      },
+      on(event, handler) {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(handler);
+        return () => listeners.get(event)?.delete(handler);
+      },
+      waitFor(event, waitMs = 10000) {
+        return new Promise((resolveEvent) => {
+          const timer = setTimeout(() => {
+            off();
+            resolveEvent(null);
+          }, waitMs);
+          const off = session.on(event, (params) => {
+            clearTimeout(timer);
+            off();
+            resolveEvent(params || {});
+          });
+        });
+      },
+      async evaluate(expression) {
+        const res = await session.send('Runtime.evaluate', {
+          expression,
+          returnByValue: true,
+          awaitPromise: true
+        });
+        if (res?.exceptionDetails) {
+          const text = res.exceptionDetails.exception?.description || res.exceptionDetails.text;
+          throw new Error(`CDP evaluate failed: ${text}`);
+        }
+        return res?.result?.value;
+      },
+      // Runs a self-contained function in the page; arguments must be JSON-serializable.
+      callFunction(fn, ...args) {
+        const argList = args.map((arg) => JSON.stringify(arg === undefined ? null : arg)).join(', ');
+        return session.evaluate(`(${fn.toString()})(${argList})`);
+      },
+      async captureScreenshot(clip = null) {
+        const params = { format: 'png', captureBeyondViewport: Boolean(clip) };
+        if (clip) params.clip = { ...clip, scale: 1 };
+        const res = await session.send('Page.captureScreenshot', params);
+        return res?.data ? Buffer.from(res.data, 'base64') : null;
+      },
+      close() {
+        if (closed) return;
+        closed = true;
+        failPending(new Error('CDP session closed'));
+        try {
+          socket.close();
+        } catch {}
+      }
+    };
+
+    socket.on('open', () => {
+      clearTimeout(openTimer);
+      resolve(session);
+    });
+    socket.on('message', (raw) => {
+      let data = null;
+      try {
+        data = JSON.parse(String(raw));
+      } catch {
+        return;
+      }
+      if (typeof data?.id === 'number' && pending.has(data.id)) {
+        const entry = pending.get(data.id);
+        pending.delete(data.id);
+        clearTimeout(entry.timer);
+        if (data.error) {
+          entry.reject(new Error(`CDP ${entry.method} failed: ${data.error.message || 'unknown error'}`));
+        } else {
+          entry.resolve(data.result || {});
+        }
+        return;
+      }
+      if (data?.method && listeners.has(data.method)) {
+        for (const handler of Array.from(listeners.get(data.method))) {
+          try {
+            handler(data.params);
+          } catch {}
+        }
+      }
+    });
+    socket.on('error', (err) => {
+      clearTimeout(openTimer);
+      failPending(err);
+      if (!closed) reject(err);
+    });
+    socket.on('close', () => {
+      closed = true;
+      failPending(new Error('CDP socket closed'));
+    });
+  });
+}
+
+// Attaches to the tab already showing `url` (the one the snapshot ran in).
+export async function connectCdpPage({ browserUrl, url, timeoutMs = 5000 } = {}) {
+  const targets = await listCdpTargets(browserUrl, { timeoutMs: Math.min(timeoutMs, 2000) });
+  const target = findPageTarget(targets, url);
+  if (!target) return null;
+  const session = await connectCdp(target.webSocketDebuggerUrl, { timeoutMs });
+  session.target = { id: target.id, url: target.url };
+  return session;
+}
+
+// The tab already showing `url`, else the first page tab (the snapshot drivers pick the same one).
+export async function connectCdpTab({ browserUrl, url }) {
+  const targets = await listCdpTargets(browserUrl);
+  const target =
+    findPageTarget(targets, url) ||
+    targets.find((entry) => entry?.type === 'page' && entry?.webSocketDebuggerUrl) ||
+    null;
+  if (!target) {
+    throw new Error(`CDP: no page target available at ${browserUrl}.`);
+  }
+  return connectCdp(target.webSocketDebuggerUrl);
+}
+
+export async function pressKey(session, { key, code = key, keyCode, modifiers = 0 }) {
+  const base = { key, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers };
+  await session.send('Input.dispatchKeyEvent', { type: 'rawKeyDown', ...base });
+  await session.send('Input.dispatchKeyEvent', { type: 'keyUp', ...base });
+}
+
+export async function writeScreenshot({ dir, prefix, name, buffer }) {
+  if (!dir || !buffer) return '';
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${prefix}-${name}.png`);
+  await fs.writeFile(file, buffer);
+  return file;
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
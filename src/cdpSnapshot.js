@@ -0,0 +1,69 @@
+import { createAbortError } from './abort.js';
+import { connectCdp, findPageTarget, listCdpTargets } from './cdp.js';
+import { getSnapshotExpression } from './snapshot.js';
+
+const EVALUATE_TIMEOUT_MS = (() => {
+  const raw = Number(process.env.AUDIT_CDP_SNAPSHOT_TIMEOUT_MS || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 120000;
+})();
+
+// Same steps as the MCP snapshot prompt, without a model in the loop: use the tab already
+// showing `url` (or navigate the first tab to it), wait for load, evaluate the expression.
+export async function collectSnapshotWithCdp({ url, mcp, timeoutMs = 45000, onLog, onStage, signal }) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  const browserUrl = String(mcp?.browserUrl || '').trim();
+  if (!browserUrl) {
+    throw new Error(
+      'CDP snapshot driver needs a DevTools endpoint (--mcp-browser-url or a launched Chrome); autoConnect is MCP-only.'
+    );
+  }
+
+  onStage?.('CDP: selecting page');
+  const targets = await listCdpTargets(browserUrl);
+  let target = findPageTarget(targets, url);
+  const navigate = !target;
+  if (!target) {
+    target = targets.find((entry) => entry?.type === 'page' && entry?.webSocketDebuggerUrl) || null;
+  }
+  if (!target) {
+    throw new Error(`CDP: no page target available at ${browserUrl} (connection refused or no open tab).`);
+  }
+
+  const session = await connectCdp(target.webSocketDebuggerUrl, { commandTimeoutMs: EVALUATE_TIMEOUT_MS });
+  const onAbort = () => session.close();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    await session.send('Page.enable');
+    if (navigate) {
+      onLog?.(`CDP: navigating tab ${target.id} to ${url}`);
+      const loaded = session.waitFor('Page.loadEventFired', timeoutMs);
+      const res = await session.send('Page.navigate', { url });
+      if (res?.errorText) {
+        throw new Error(`CDP: navigation to ${url} failed (${res.errorText})`);
+      }
+      await loaded;
+    } else {
+      onLog?.(`CDP: using tab ${target.id} (${target.url})`);
+      const readyState = await session.evaluate('document.readyState');
+      if (readyState !== 'complete') {
+        await session.waitFor('Page.loadEventFired', Math.min(timeoutMs, 15000));
+      }
+    }
+
+    onStage?.('CDP: running snapshot');
+    onLog?.('CDP: evaluating snapshot expression');
+    const snapshot = await session.evaluate(getSnapshotExpression());
+    if (!snapshot || typeof snapshot !== 'object') {
+      throw new Error('CDP: snapshot expression returned no data.');
+    }
+    return snapshot;
+  } catch (err) {
+    if (signal?.aborted) throw createAbortError();
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    session.close();
+  }
+}
@@ -0,0 +1,125 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createAbortError } from './abort.js';
+
+export const DEFAULT_CHAT_BASE_URL = 'https://api.openai.com/v1';
+
+const HTTP_RETRIES = (() => {
+  const raw = String(process.env.AUDIT_AI_HTTP_RETRIES || '').trim();
+  const value = Number(raw);
+  return raw && Number.isFinite(value) && value >= 0 ? Math.floor(value) : 2;
+})();
+
+const schemaCache = new Map();
+async function readSchema(schemaPath) {
+  if (!schemaCache.has(schemaPath)) {
+    schemaCache.set(schemaPath, JSON.parse(await fs.readFile(schemaPath, 'utf-8')));
+  }
+  return schemaCache.get(schemaPath);
+}
+
+function schemaName(schemaPath) {
+  return path.basename(schemaPath, '.json').replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function retryDelayMs(res, attempt) {
+  const header = Number(res?.headers?.get?.('retry-after'));
+  if (Number.isFinite(header) && header >= 0) return Math.min(header * 1000, 30000);
+  return 1000 * 2 ** attempt;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+// Some local servers wrap structured output in a Markdown fence despite the response format.
+function unwrapContent(content) {
+  const text = Array.isArray(content)
+    ? content.map((part) => (typeof part === 'string' ? part : part?.text || '')).join('')
+    : String(content || '');
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return fenced ? fenced[1] : text.trim();
+}
+
+// POST {baseUrl}/chat/completions with a strict json_schema response format; resolves to the
+// message content (a JSON string), like the Codex CLI's --output-last-message file.
+export async function runChatCompletionPrompt({
+  prompt,
+  model,
+  schemaPath,
+  timeoutMs = 120000,
+  baseUrl = DEFAULT_CHAT_BASE_URL,
+  apiKey = '',
+  onLog,
+  onStage,
+  signal
+}) {
+  if (signal?.aborted) throw createAbortError();
+  const endpoint = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+  const body = JSON.stringify({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: schemaName(schemaPath), strict: true, schema: await readSchema(schemaPath) }
+    }
+  });
+  const headers = { 'content-type': 'application/json' };
+  if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res = null;
+    let payload = null;
+    try {
+      onStage?.('AI: running inference');
+      onLog?.(`AI HTTP: POST ${endpoint} (${model})`);
+      res = await fetch(endpoint, { method: 'POST', headers, body, signal: controller.signal });
+      const text = await res.text();
+      try {
+        payload = text ? JSON.parse(text) : null;
+      } catch {
+        payload = { error: { message: text.slice(0, 300) } };
+      }
+    } catch (err) {
+      if (signal?.aborted) throw createAbortError();
+      if (controller.signal.aborted) throw new Error(`AI HTTP request timed out after ${timeoutMs}ms`);
+      throw new Error(`AI HTTP request failed: ${String(err?.message || err)}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (res.ok) {
+      const message = payload?.choices?.[0]?.message;
+      if (message?.refusal) throw new Error(`AI HTTP provider refused: ${message.refusal}`);
+      const content = unwrapContent(message?.content);
+      if (!content) throw new Error('AI HTTP response has no message content.');
+      onStage?.('AI: parsing response');
+      return content;
+    }
+    const detail = payload?.error?.message || res.statusText || '';
+    if ((res.status === 429 || res.status >= 500) && attempt < HTTP_RETRIES) {
+      const delay = retryDelayMs(res, attempt);
+      onLog?.(`AI HTTP: ${res.status}; retrying in ${delay}ms`);
+      await wait(delay, signal);
+      continue;
+    }
+    const err = new Error(`AI HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+    err.status = res.status;
+    throw err;
+  }
+}
@@ -1,3 +1,4 @@
+import { validateAriaNodes } from './ariaValidator.js';
 import { getI18n, normalizeReportLang } from './i18n.js';
 
 export const STATUS = {
@@ -5,9 +6,23 @@ export const STATUS = {
   NC: 'Not conform',
   NA: 'Non applicable',
   ERR: 'Error',
-  REVIEW: 'Review'
+  REVIEW: 'Review',
+  // Left out on purpose (criteria selection); never counted in scores.
+  NE: 'Not evaluated'
 };
 
+// Several verdicts for one criterion (pages, UI states): non applicable only if all are;
+// otherwise the worst wins (error, then not conform, then review). Not evaluated verdicts are ignored.
+export function mergeStatuses(allStatuses) {
+  const statuses = allStatuses.filter((s) => s !== STATUS.NE);
+  if (!statuses.length) return STATUS.NE;
+  if (statuses.every((s) => s === STATUS.NA)) return STATUS.NA;
+  if (statuses.some((s) => s === STATUS.ERR)) return STATUS.ERR;
+  if (statuses.some((s) => s === STATUS.NC)) return STATUS.NC;
+  if (statuses.some((s) => s === STATUS.REVIEW)) return STATUS.REVIEW;
+  return STATUS.C;
+}
+
 const GENERIC_LINK_TEXTS = new Set([
   'cliquez ici',
   'ici',
@@ -40,13 +55,14 @@ function clipText(text, max = 80) {
   return cleaned.length > max ? `${cleaned.slice(0, Math.max(0, max - 1))}…` : cleaned;
 }
 
+// Snapshot items found in a shadow root or same-origin frame carry the host path.
 function takeExamples(items, formatter, max = 3) {
   const out = [];
   for (const item of items || []) {
     if (out.length >= max) break;
     try {
       const text = formatter(item);
-      if (text) out.push(text);
+      if (text) out.push(item?.host ? `${item.host} » ${text}` : text);
     } catch {}
   }
   return out;
@@ -89,7 +105,93 @@ function isValidLangCode(lang) {
   }
 }
 
+// Chrome's computed accessibility tree (snapshot.axTree) is the reference for names when present.
+function axNodesOf(snapshot, kind) {
+  const nodes = snapshot?.axTree?.nodes;
+  if (!Array.isArray(nodes)) return null;
+  return nodes.filter(
+    (node) =>
+      node.kind === kind &&
+      !(node.ignoredReasons || []).some((reason) => reason === 'notRendered' || reason === 'notVisible')
+  );
+}
+
+// The tree is capped (AUDIT_AX_MAX_NODES); counts still cover every node of each kind.
+function axTruncation(snapshot, kind) {
+  const tree = snapshot?.axTree;
+  if (!tree?.truncated || !Array.isArray(tree.nodes)) return null;
+  const listed = tree.nodes.filter((node) => node.kind === kind).length;
+  const total = Number(tree.counts?.[kind]);
+  if (Number.isFinite(total) && total <= listed) return null;
+  return { listed, total: Number.isFinite(total) ? total : listed };
+}
+
+function reviewAxTruncated(i18n, truncation, noteFr, noteEn) {
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes: i18n.t(
+      `${noteFr} sur les ${truncation.listed} premier(s) nœud(s) sur ${truncation.total} (arbre d’accessibilité limité); revue requise.`,
+      `${noteEn} in the first ${truncation.listed} of ${truncation.total} node(s) (accessibility tree capped); review required.`
+    )
+  };
+}
+
+function axLabel(node) {
+  return node.selector || node.tag || node.role;
+}
+
+// RGAA 1.1 has one test per kind of image element.
+function imageTestId(node) {
+  if (node.tag === 'svg') return '1.1.5';
+  if (node.tag === 'canvas') return '1.1.8';
+  if (node.tag === 'area') return '1.1.2';
+  if (node.tag === 'input' && node.type === 'image') return '1.1.3';
+  if (node.tag === 'object') return '1.1.6';
+  if (node.tag === 'embed') return '1.1.7';
+  return '1.1.1';
+}
+
+function evaluateImagesAltFromAx(images, i18n, truncation) {
+  if (images.length === 0) return null;
+  const missing = images.filter((node) => !node.ignored && !node.name);
+  if (missing.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: Array.from(new Set(missing.map(imageTestId))).sort(),
+      notes: i18n.t(
+        `${missing.length} image(s) exposée(s) sans alternative textuelle (arbre d’accessibilité).`,
+        `${missing.length} exposed image(s) without a text alternative (accessibility tree).`
+      ),
+      examples: takeExamples(missing, (node) => `${axLabel(node)} role=${node.role || '(none)'} name=(empty)`)
+    };
+  }
+  if (truncation) {
+    return reviewAxTruncated(i18n, truncation, 'Aucune image sans alternative', 'No image without an alternative');
+  }
+  const decorative = images.filter((node) => node.ignored).length;
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${images.length - decorative} image(s) avec alternative, ${decorative} ignorée(s) comme décorative(s) (arbre d’accessibilité).`,
+      `${images.length - decorative} image(s) with an alternative, ${decorative} ignored as decorative (accessibility tree).`
+    )
+  };
+}
+
+// A failure found in the tree stands; otherwise the DOM checks still run, so CSS backgrounds,
+// <svg> and <canvas> get their review, and the tree's verdict is kept when they find nothing.
 function evaluateImagesAlt(snapshot, i18n) {
+  const axImages = axNodesOf(snapshot, 'image');
+  const fromAx = axImages ? evaluateImagesAltFromAx(axImages, i18n, axTruncation(snapshot, 'image')) : null;
+  if (fromAx?.status === STATUS.NC) return fromAx;
+  const fromDom = evaluateImagesAltFromDom(snapshot, i18n);
+  if (fromAx && (fromDom.status === STATUS.C || fromDom.status === STATUS.NA)) return fromAx;
+  return fromDom;
+}
+
+function evaluateImagesAltFromDom(snapshot, i18n) {
   const images = snapshot.images || [];
   const summary = snapshot.imageSummary || null;
   const dom = snapshot.enrichment?.domHints?.imageSummary || null;
@@ -97,6 +199,7 @@ function evaluateImagesAlt(snapshot, i18n) {
     if (summary.missingAltCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['1.1.1'],
         notes: i18n.t(
           `${summary.missingAltCount} image(s) sans alt.`,
           `${summary.missingAltCount} image(s) missing alt.`
@@ -106,6 +209,7 @@ function evaluateImagesAlt(snapshot, i18n) {
     if (summary.roleImgMissingNameCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['1.1.1'],
         notes: i18n.t(
           `${summary.roleImgMissingNameCount} role="img" sans nom accessible.`,
           `${summary.roleImgMissingNameCount} role="img" without accessible name.`
@@ -118,6 +222,7 @@ function evaluateImagesAlt(snapshot, i18n) {
     if (dom.missingAltCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['1.1.1'],
         notes: i18n.t(
           `${dom.missingAltCount} image(s) sans alt.`,
           `${dom.missingAltCount} image(s) missing alt.`
@@ -127,6 +232,7 @@ function evaluateImagesAlt(snapshot, i18n) {
     if (dom.roleImgMissingNameCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['1.1.1'],
         notes: i18n.t(
           `${dom.roleImgMissingNameCount} role="img" sans nom accessible.`,
           `${dom.roleImgMissingNameCount} role="img" without accessible name.`
@@ -195,6 +301,7 @@ function evaluateImagesAlt(snapshot, i18n) {
   if (missingAlt.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['1.1.1'],
       notes: i18n.t(
         `${missingAlt.length} <img> sans attribut alt.`,
         `${missingAlt.length} <img> without alt attribute.`
@@ -218,6 +325,7 @@ function evaluateImagesAlt(snapshot, i18n) {
   if (emptyAlt.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['1.1.1'],
       notes: i18n.t(
         `${emptyAlt.length} <img> avec alt vide (vérifier décoratif vs informatif).`,
         `${emptyAlt.length} <img> with empty alt (verify decorative vs informative).`
@@ -236,6 +344,9 @@ function evaluateImagesAlt(snapshot, i18n) {
   if (roleImgMissingName.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: Array.from(
+        new Set(roleImgMissingName.map((img) => (img.tag === 'svg' ? '1.1.5' : '1.1.1')))
+      ).sort(),
       notes: i18n.t(
         `${roleImgMissingName.length} role="img" sans nom accessible.`,
         `${roleImgMissingName.length} role="img" without accessible name.`
@@ -255,6 +366,7 @@ function evaluateFramesTitle(snapshot, i18n) {
     if (summary.missingTitleCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['2.1.1'],
         notes: i18n.t(
           `${summary.missingTitleCount} frame(s) sans title (ou nom ARIA).`,
           `${summary.missingTitleCount} frame(s) missing title.`
@@ -267,6 +379,7 @@ function evaluateFramesTitle(snapshot, i18n) {
     if (dom.missingTitleCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['2.1.1'],
         notes: i18n.t(
           `${dom.missingTitleCount} frame(s) sans title (ou nom ARIA).`,
           `${dom.missingTitleCount} frame(s) missing title.`
@@ -293,6 +406,7 @@ function evaluateFramesTitle(snapshot, i18n) {
   if (missing.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['2.1.1'],
       notes: i18n.t(
         `${missing.length} frame(s) sans title (ou nom ARIA).`,
         `${missing.length} frame(s) missing title.`
@@ -308,7 +422,38 @@ function evaluateFramesTitle(snapshot, i18n) {
   return { status: STATUS.C };
 }
 
+function evaluateLinksHaveNameFromAx(links, i18n, truncation) {
+  const exposed = links.filter((node) => !node.ignored);
+  if (exposed.length === 0) return null;
+  const missing = exposed.filter((node) => !node.name);
+  if (missing.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['6.2.1'],
+      notes: i18n.t(
+        `${missing.length} lien(s) sans nom accessible (arbre d’accessibilité).`,
+        `${missing.length} link(s) without accessible name (accessibility tree).`
+      ),
+      examples: takeExamples(
+        missing,
+        (node) => `${axLabel(node)} href=${clipText(node.href, 50) || '(missing)'} name=(empty)`
+      )
+    };
+  }
+  if (truncation) return reviewAxTruncated(i18n, truncation, 'Aucun lien sans nom', 'No link without a name');
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${exposed.length} lien(s) nommé(s) (arbre d’accessibilité).`,
+      `${exposed.length} named link(s) (accessibility tree).`
+    )
+  };
+}
+
 function evaluateLinksHaveName(snapshot, i18n) {
+  const axLinks = axNodesOf(snapshot, 'link');
+  const fromAx = axLinks ? evaluateLinksHaveNameFromAx(axLinks, i18n, axTruncation(snapshot, 'link')) : null;
+  if (fromAx) return fromAx;
   const links = snapshot.links || [];
   const summary = snapshot.linkSummary || null;
   const dom = snapshot.enrichment?.domHints?.linkSummary || null;
@@ -316,6 +461,7 @@ function evaluateLinksHaveName(snapshot, i18n) {
     if (summary.missingNameCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['6.2.1'],
         notes: i18n.t(
           `${summary.missingNameCount} lien(s) sans nom accessible.`,
           `${summary.missingNameCount} link(s) without accessible name.`
@@ -328,6 +474,7 @@ function evaluateLinksHaveName(snapshot, i18n) {
     if (dom.missingNameCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['6.2.1'],
         notes: i18n.t(
           `${dom.missingNameCount} lien(s) sans nom accessible.`,
           `${dom.missingNameCount} link(s) without accessible name.`
@@ -352,6 +499,7 @@ function evaluateLinksHaveName(snapshot, i18n) {
   if (missing.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['6.2.1'],
       notes: i18n.t(
         `${missing.length} lien(s) sans nom accessible.`,
         `${missing.length} link(s) without accessible name.`
@@ -374,6 +522,7 @@ function evaluateLinksExplicit(snapshot, i18n) {
     if (summary.genericCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['6.1.1'],
         notes: i18n.t(
           `${summary.genericCount} lien(s) avec libellé générique (vérifier explicitation).`,
           `${summary.genericCount} link(s) with generic label (review explicitness).`
@@ -386,6 +535,7 @@ function evaluateLinksExplicit(snapshot, i18n) {
     if (dom.genericCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['6.1.1'],
         notes: i18n.t(
           `${dom.genericCount} lien(s) avec libellé générique (vérifier explicitation).`,
           `${dom.genericCount} link(s) with generic label (review explicitness).`
@@ -417,6 +567,7 @@ function evaluateLinksExplicit(snapshot, i18n) {
   if (generic.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['6.1.1'],
       notes: i18n.t(
         `${generic.length} lien(s) avec libellé générique (vérifier explicitation).`,
         `${generic.length} link(s) with generic label (review explicitness).`
@@ -437,6 +588,7 @@ function evaluateLangPresent(snapshot, i18n) {
     ? { status: STATUS.C }
     : {
         status: STATUS.NC,
+        failedTests: ['8.3.1'],
         notes: i18n.t('Attribut lang manquant sur <html>.', 'Missing lang attribute on <html>.'),
         examples: [i18n.t('Ex: <html lang="fr">…</html>', 'E.g.: <html lang="en">…</html>')]
       };
@@ -449,6 +601,7 @@ function evaluateLangValid(snapshot, i18n) {
     ? { status: STATUS.C }
     : {
         status: STATUS.NC,
+        failedTests: ['8.4.1'],
         notes: i18n.t(`Code lang invalide : ${lang}`, `Invalid lang code: ${lang}`),
         examples: [i18n.t(`Ex: lang="fr" ou lang="fr-FR"`, `E.g.: lang="en" or lang="en-US"`)]
       };
@@ -460,6 +613,7 @@ function evaluateTitlePresent(snapshot, i18n) {
     ? { status: STATUS.C }
     : {
         status: STATUS.NC,
+        failedTests: ['8.5.1'],
         notes: i18n.t('<title> manquant.', 'Missing <title>.'),
         examples: [i18n.t('Ex: <title>Lingerie & Sous-vêtements femme</title>', 'E.g.: <title>Contact</title>')]
       };
@@ -470,6 +624,7 @@ function evaluateDoctype(snapshot, i18n) {
     ? { status: STATUS.C }
     : {
         status: STATUS.NC,
+        failedTests: ['8.1.1'],
         notes: i18n.t('Doctype du document manquant.', 'Missing document doctype.'),
         examples: [i18n.t('Ex: <!doctype html>', 'E.g.: <!doctype html>')]
       };
@@ -512,7 +667,11 @@ function evaluateLangChangesValid(snapshot, i18n) {
   }
   const invalid = changes.filter((lang) => !isValidLangCode(lang));
   if (invalid.length > 0) {
-    return { status: STATUS.NC, notes: i18n.t(`Codes lang invalides : ${invalid.join(', ')}`, `Invalid lang codes: ${invalid.join(', ')}`) };
+    return {
+      status: STATUS.NC,
+      failedTests: ['8.8.1'],
+      notes: i18n.t(`Codes lang invalides : ${invalid.join(', ')}`, `Invalid lang codes: ${invalid.join(', ')}`)
+    };
   }
   return { status: STATUS.C };
 }
@@ -527,18 +686,21 @@ function evaluateHeadingStructure(snapshot, i18n) {
     if (h1Count === 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t('H1 manquant.', 'Missing H1.')
       };
     }
     if (h1Count > 1) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t(`Plusieurs H1 (${h1Count}).`, `Multiple H1 (${h1Count}).`)
       };
     }
     if (headingAnalysis?.hasLevelJumps) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t('Sauts de niveaux de titres détectés.', 'Heading level jumps detected.')
       };
     }
@@ -549,18 +711,21 @@ function evaluateHeadingStructure(snapshot, i18n) {
     if (h1Count === 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t('H1 manquant.', 'Missing H1.')
       };
     }
     if (h1Count > 1) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t(`Plusieurs H1 (${h1Count}).`, `Multiple H1 (${h1Count}).`)
       };
     }
     if (dom.hasLevelJumps) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t('Sauts de niveaux de titres détectés.', 'Heading level jumps detected.')
       };
     }
@@ -577,6 +742,7 @@ function evaluateHeadingStructure(snapshot, i18n) {
   if (headings.length === 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['9.1.3'],
       notes: i18n.t('Aucun titre (Hn) détecté.', 'No headings found.'),
       examples: [i18n.t('Ex: <h1>…</h1> (puis <h2>…</h2>, etc.)', 'E.g.: <h1>…</h1> (then <h2>…</h2>, etc.)')]
     };
@@ -586,6 +752,7 @@ function evaluateHeadingStructure(snapshot, i18n) {
   if (h1Count === 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['9.1.1'],
       notes: i18n.t('H1 manquant.', 'Missing H1.'),
       examples: takeExamples(
         headings.slice(0, 4),
@@ -597,6 +764,7 @@ function evaluateHeadingStructure(snapshot, i18n) {
     const h1s = headings.filter((h) => h.level === 1);
     return {
       status: STATUS.NC,
+      failedTests: ['9.1.1'],
       notes: i18n.t(`Plusieurs H1 (${h1Count}).`, `Multiple H1 (${h1Count}).`),
       examples: takeExamples(h1s, (h) => `h1: ${clipText(h.text, 50) || '(empty)'}`)
     };
@@ -607,6 +775,7 @@ function evaluateHeadingStructure(snapshot, i18n) {
     if (h.level - prev > 1) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.1.1'],
         notes: i18n.t('Sauts de niveaux de titres détectés.', 'Heading level jumps detected.'),
         examples: takeExamples(
           headings.slice(0, 6),
@@ -628,6 +797,7 @@ function evaluateListStructure(snapshot, i18n) {
     if (listSummary.invalidCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.3.1', '9.3.2'],
         notes: i18n.t(
           `${listSummary.invalidCount} élément(s) <li> hors liste.`,
           `${listSummary.invalidCount} list item(s) not in a list.`
@@ -640,6 +810,7 @@ function evaluateListStructure(snapshot, i18n) {
     if (dom.invalidCount > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['9.3.1', '9.3.2'],
         notes: i18n.t(
           `${dom.invalidCount} élément(s) <li> hors liste.`,
           `${dom.invalidCount} list item(s) not in a list.`
@@ -663,6 +834,7 @@ function evaluateListStructure(snapshot, i18n) {
   if (invalid.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['9.3.1', '9.3.2'],
       notes: i18n.t(
         `${invalid.length} élément(s) <li> hors liste.`,
         `${invalid.length} list item(s) not in a list.`
@@ -673,7 +845,42 @@ function evaluateListStructure(snapshot, i18n) {
   return { status: STATUS.C };
 }
 
+// A placeholder is a name source for browsers but not a label for RGAA 11.1.
+const PLACEHOLDER_SOURCES = new Set(['placeholder', 'aria-placeholder']);
+
+function evaluateFormLabelsFromAx(controls, i18n, truncation) {
+  const exposed = controls.filter((node) => !node.ignored);
+  if (exposed.length === 0) return null;
+  const missing = exposed.filter((node) => !node.name || PLACEHOLDER_SOURCES.has(node.nameFrom));
+  if (missing.length > 0) {
+    const placeholderOnly = missing.filter((node) => node.name).length;
+    return {
+      status: STATUS.NC,
+      failedTests: ['11.1.1'],
+      notes: i18n.t(
+        `${missing.length} champ(s) sans étiquette (arbre d’accessibilité)${placeholderOnly ? `, dont ${placeholderOnly} nommé(s) par le seul placeholder` : ''}.`,
+        `${missing.length} form control(s) without a label (accessibility tree)${placeholderOnly ? `, ${placeholderOnly} named by placeholder only` : ''}.`
+      ),
+      examples: takeExamples(missing, (node) => {
+        const type = node.type ? `[type=${node.type}]` : '';
+        return `${axLabel(node)}${type} role=${node.role} name=${node.name ? `"${clipText(node.name, 30)}" (${node.nameFrom})` : '(empty)'}`;
+      })
+    };
+  }
+  if (truncation) return reviewAxTruncated(i18n, truncation, 'Aucun champ sans étiquette', 'No form control without a label');
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${exposed.length} champ(s) étiqueté(s) (arbre d’accessibilité).`,
+      `${exposed.length} labelled form control(s) (accessibility tree).`
+    )
+  };
+}
+
 function evaluateFormLabels(snapshot, i18n) {
+  const axControls = axNodesOf(snapshot, 'formControl');
+  const fromAx = axControls ? evaluateFormLabelsFromAx(axControls, i18n, axTruncation(snapshot, 'formControl')) : null;
+  if (fromAx) return fromAx;
   const controls = snapshot.formControls || [];
   const summary = snapshot.formSummary || null;
   const dom = snapshot.enrichment?.domHints?.formSummary || null;
@@ -681,6 +888,7 @@ function evaluateFormLabels(snapshot, i18n) {
     if (summary.missingLabel > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['11.1.1'],
         notes: i18n.t(
           `${summary.missingLabel} champ(s) sans libellé.`,
           `${summary.missingLabel} form control(s) without label.`
@@ -693,6 +901,7 @@ function evaluateFormLabels(snapshot, i18n) {
     if (dom.missingLabel > 0) {
       return {
         status: STATUS.NC,
+        failedTests: ['11.1.1'],
         notes: i18n.t(
           `${dom.missingLabel} champ(s) sans libellé.`,
           `${dom.missingLabel} form control(s) without label.`
@@ -716,6 +925,7 @@ function evaluateFormLabels(snapshot, i18n) {
   if (missing.length > 0) {
     return {
       status: STATUS.NC,
+      failedTests: ['11.1.1'],
       notes: i18n.t(
         `${missing.length} champ(s) sans libellé.`,
         `${missing.length} form control(s) without label.`
@@ -735,6 +945,42 @@ function evaluateFormLabels(snapshot, i18n) {
   return { status: STATUS.C };
 }
 
+// Relevance needs judgement; only missing names are decided here. Without tree data the
+// criterion falls back to the generic review.
+function evaluateFormButtons(snapshot, i18n) {
+  const buttons = (axNodesOf(snapshot, 'button') || []).filter((node) => node.inForm && !node.ignored);
+  if (buttons.length === 0) return null;
+  const missing = buttons.filter((node) => !node.name);
+  if (missing.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['11.9.1'],
+      notes: i18n.t(
+        `${missing.length} bouton(s) de formulaire sans intitulé (arbre d’accessibilité).`,
+        `${missing.length} form button(s) without a name (accessibility tree).`
+      ),
+      examples: takeExamples(missing, (node) => `${axLabel(node)} name=(empty)`)
+    };
+  }
+  const truncation = axTruncation(snapshot, 'button');
+  if (truncation) {
+    return {
+      ...reviewAxTruncated(i18n, truncation, 'Aucun bouton de formulaire sans intitulé', 'No form button without a name'),
+      examples: takeExamples(buttons, (node) => `${axLabel(node)} "${clipText(node.name, 40)}"`, 5)
+    };
+  }
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes: i18n.t(
+      `${buttons.length} bouton(s) de formulaire nommé(s); pertinence des intitulés à vérifier.`,
+      `${buttons.length} named form button(s); relevance of the names to review.`
+    ),
+    examples: takeExamples(buttons, (node) => `${axLabel(node)} "${clipText(node.name, 40)}"`, 5)
+  };
+}
+
 function evaluateSkipLink(snapshot, i18n) {
   const links = snapshot.links || [];
   const summary = snapshot.linkSummary || null;
@@ -743,6 +989,7 @@ function evaluateSkipLink(snapshot, i18n) {
     if (summary.skipLinkFound) return { status: STATUS.C };
     return {
       status: STATUS.NC,
+      failedTests: ['12.7.1'],
       notes: i18n.t('Aucun lien d’évitement vers le contenu principal détecté.', 'No skip link to main content detected.')
     };
   }
@@ -750,6 +997,7 @@ function evaluateSkipLink(snapshot, i18n) {
     if (dom.skipLinkFound) return { status: STATUS.C };
     return {
       status: STATUS.NC,
+      failedTests: ['12.7.1'],
       notes: i18n.t('Aucun lien d’évitement vers le contenu principal détecté.', 'No skip link to main content detected.')
     };
   }
@@ -774,6 +1022,7 @@ function evaluateSkipLink(snapshot, i18n) {
   const hashLinks = links.filter((l) => (l.href || '').startsWith('#'));
   return {
     status: STATUS.NC,
+    failedTests: ['12.7.1'],
     notes: i18n.t('Aucun lien d’évitement vers le contenu principal détecté.', 'No skip link to main content detected.'),
     examples:
       hashLinks.length > 0
@@ -805,6 +1054,7 @@ function evaluateHtmlValidity(snapshot, i18n) {
   }
   return {
     status: STATUS.NC,
+    failedTests: ['8.2.1'],
     notes: i18n.t(
       `Validation HTML: ${errors} erreur(s).`,
       `HTML validation: ${errors} error(s).`
@@ -813,53 +1063,1147 @@ function evaluateHtmlValidity(snapshot, i18n) {
   };
 }
 
-const RULES = new Map([
-  ['1.1', evaluateImagesAlt],
-  ['2.1', evaluateFramesTitle],
-  ['6.1', evaluateLinksExplicit],
-  ['6.2', evaluateLinksHaveName],
-  ['8.1', evaluateDoctype],
-  ['8.2', evaluateHtmlValidity],
-  ['8.3', evaluateLangPresent],
-  ['8.4', evaluateLangValid],
-  ['8.5', evaluateTitlePresent],
-  ['8.7', evaluateLangChangesDeclared],
-  ['8.8', evaluateLangChangesValid],
-  ['9.1', evaluateHeadingStructure],
-  ['9.3', evaluateListStructure],
-  ['11.1', evaluateFormLabels],
-  ['12.7', evaluateSkipLink]
-]);
+function summarizeTables(tables) {
+  const summary = {
+    layoutCount: 0,
+    layoutWithDataMarkup: 0,
+    dataCount: 0,
+    dataWithTitle: 0,
+    dataWithoutHeaders: 0,
+    dataAmbiguous: 0,
+    complexCount: 0,
+    complexWithoutTitle: 0,
+    complexUnassociated: 0,
+    invalidAssociations: 0
+  };
+  for (const table of tables) {
+    if (table.layout) {
+      summary.layoutCount += 1;
+      if (Array.isArray(table.dataMarkup) && table.dataMarkup.length) summary.layoutWithDataMarkup += 1;
+      continue;
+    }
+    summary.dataCount += 1;
+    if (table.title) summary.dataWithTitle += 1;
+    if (table.ambiguous) summary.dataAmbiguous += 1;
+    else if (!table.headerCount) summary.dataWithoutHeaders += 1;
+    if (table.complex) {
+      summary.complexCount += 1;
+      if (!table.title) summary.complexWithoutTitle += 1;
+      if (table.unassociatedHeaders > 0) summary.complexUnassociated += 1;
+    }
+    if (table.invalidScope > 0 || table.brokenHeadersRefs > 0) summary.invalidAssociations += 1;
+  }
+  return summary;
+}
 
-const THEME_APPLICABILITY = {
-  Images: (snapshot) => hasItems(snapshot, 'images'),
-  Cadres: (snapshot) => hasItems(snapshot, 'frames'),
-  Frames: (snapshot) => hasItems(snapshot, 'frames'),
-  Multimédia: (snapshot) => {
-    const media = snapshot.media || {};
-    return (media.video || 0) + (media.audio || 0) + (media.object || 0) > 0;
-  },
-  Multimedia: (snapshot) => {
-    const media = snapshot.media || {};
-    return (media.video || 0) + (media.audio || 0) + (media.object || 0) > 0;
-  },
-  Tableaux: (snapshot) => hasItems(snapshot, 'tables'),
-  Tables: (snapshot) => hasItems(snapshot, 'tables'),
-  Liens: (snapshot) => hasItems(snapshot, 'links'),
-  Links: (snapshot) => hasItems(snapshot, 'links'),
-  Scripts: (snapshot) => {
-    const scripts = snapshot.scripts || {};
-    return (scripts.scriptTags || 0) > 0 || scripts.hasInlineHandlers;
-  },
-  Formulaires: (snapshot) => hasItems(snapshot, 'formControls'),
-  Forms: (snapshot) => hasItems(snapshot, 'formControls')
-};
+// Per-table details only exist in newer snapshots; older ones fall back to AI review.
+function getTableStats(snapshot) {
+  const tables = Array.isArray(snapshot.tables) ? snapshot.tables : [];
+  const summary = snapshot.tableSummary || null;
+  if (summary && typeof summary.dataCount === 'number') return { tables, summary };
+  if (tables.length && tables.every((t) => typeof t.layout === 'boolean')) {
+    return { tables, summary: summarizeTables(tables) };
+  }
+  const total = tables.length || Number(summary?.total || 0) || getCount(snapshot, 'tables');
+  return total ? null : { tables: [], summary: summarizeTables([]) };
+}
 
-export function evaluateCriterion(criterion, snapshot, options = {}) {
-  const i18n = getI18n(normalizeReportLang(options.lang));
+function tableLabel(table) {
+  const title = clipText(table.title, 30);
+  return `${table.selector || 'table'}${title ? ` "${title}"` : ''}`;
+}
+
+function reviewTables(i18n) {
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes: i18n.t('Détails des tableaux indisponibles; revue requise.', 'Table details unavailable; review required.')
+  };
+}
+
+function noDataTables(i18n) {
+  return {
+    status: STATUS.NA,
+    notes: i18n.t('Aucun tableau de données détecté.', 'No data tables found.')
+  };
+}
+
+function evaluateLayoutTablesLinearized(snapshot, i18n) {
+  const stats = getTableStats(snapshot);
+  if (!stats) return reviewTables(i18n);
+  if (!stats.summary.layoutCount) {
+    return { status: STATUS.NA, notes: i18n.t('Aucun tableau de mise en forme détecté.', 'No layout tables found.') };
+  }
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes: i18n.t(
+      `${stats.summary.layoutCount} tableau(x) de mise en forme : vérifier la lecture linéarisée.`,
+      `${stats.summary.layoutCount} layout table(s): check the linearized reading order.`
+    ),
+    examples: takeExamples(stats.tables.filter((t) => t.layout), tableLabel)
+  };
+}
+
+function evaluateTableTitle(snapshot, i18n) {
+  const stats = getTableStats(snapshot);
+  if (!stats) return reviewTables(i18n);
+  const { tables, summary } = stats;
+  if (!summary.dataCount) return noDataTables(i18n);
+  if (summary.complexWithoutTitle > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['5.4.1'],
+      notes: i18n.t(
+        `${summary.complexWithoutTitle} tableau(x) de données complexe(s) sans titre (caption, aria-label, aria-labelledby ou title).`,
+        `${summary.complexWithoutTitle} complex data table(s) without a title (caption, aria-label, aria-labelledby or title).`
+      ),
+      examples: takeExamples(
+        tables.filter((t) => !t.layout && t.complex && !t.title),
+        (t) => `${tableLabel(t)} ${t.thCount} th, caption=(none)`
+      )
+    };
+  }
+  if (!summary.dataWithTitle) {
+    return {
+      status: STATUS.NA,
+      notes: i18n.t('Aucun tableau de données avec titre.', 'No data tables with a title.')
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${summary.dataWithTitle} tableau(x) de données avec titre; aucun tableau complexe sans titre.`,
+      `${summary.dataWithTitle} data table(s) with a title; no complex table without one.`
+    )
+  };
+}
+
+function evaluateTableHeaders(snapshot, i18n) {
+  const stats = getTableStats(snapshot);
+  if (!stats) return reviewTables(i18n);
+  const { tables, summary } = stats;
+  if (!summary.dataCount) return noDataTables(i18n);
+  if (summary.dataWithoutHeaders > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['5.6.1', '5.6.2'],
+      notes: i18n.t(
+        `${summary.dataWithoutHeaders} tableau(x) de données sans cellule d’en-tête (th, columnheader, rowheader).`,
+        `${summary.dataWithoutHeaders} data table(s) without header cells (th, columnheader, rowheader).`
+      ),
+      examples: takeExamples(
+        tables.filter((t) => !t.layout && !t.ambiguous && !t.headerCount),
+        (t) => `${tableLabel(t)} th=0`
+      )
+    };
+  }
+  if (summary.dataAmbiguous > 0) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `${summary.dataAmbiguous} tableau(x) sans en-tête ni rôle de présentation : données ou mise en forme ?`,
+        `${summary.dataAmbiguous} table(s) with no headers and no presentation role: data or layout?`
+      ),
+      examples: takeExamples(tables.filter((t) => t.ambiguous), tableLabel)
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${summary.dataCount} tableau(x) de données avec cellules d’en-tête.`,
+      `${summary.dataCount} data table(s) with header cells.`
+    )
+  };
+}
+
+function evaluateTableAssociations(snapshot, i18n) {
+  const stats = getTableStats(snapshot);
+  if (!stats) return reviewTables(i18n);
+  const { tables, summary } = stats;
+  if (!summary.dataCount) return noDataTables(i18n);
+  const failing = tables.filter(
+    (t) =>
+      !t.layout &&
+      ((t.complex && t.unassociatedHeaders > 0) || t.invalidScope > 0 || t.brokenHeadersRefs > 0)
+  );
+  const failingCount = failing.length || summary.complexUnassociated + summary.invalidAssociations;
+  if (failingCount > 0) {
+    const failedTests = new Set();
+    for (const t of failing) {
+      if (t.complex && t.unassociatedHeaders > 0) failedTests.add('5.7.3');
+      if (t.invalidScope > 0) failedTests.add('5.7.2');
+      if (t.brokenHeadersRefs > 0) failedTests.add('5.7.4');
+    }
+    if (!failing.length) {
+      if (summary.complexUnassociated > 0) failedTests.add('5.7.3');
+      if (summary.invalidAssociations > 0) ['5.7.2', '5.7.4'].forEach((id) => failedTests.add(id));
+    }
+    return {
+      status: STATUS.NC,
+      failedTests: Array.from(failedTests).sort(),
+      notes: i18n.t(
+        `${failingCount} tableau(x) de données avec des en-têtes mal associés (scope/headers).`,
+        `${failingCount} data table(s) with badly associated headers (scope/headers).`
+      ),
+      examples: takeExamples(failing, (t) => {
+        const parts = [
+          t.complex && t.unassociatedHeaders > 0
+            ? i18n.t(
+                `${t.unassociatedHeaders} th sans scope ni id référencé`,
+                `${t.unassociatedHeaders} th without scope or referenced id`
+              )
+            : '',
+          t.invalidScope > 0 ? i18n.t(`${t.invalidScope} scope invalide(s)`, `${t.invalidScope} invalid scope(s)`) : '',
+          t.brokenHeadersRefs > 0
+            ? i18n.t(`${t.brokenHeadersRefs} headers vers un id absent`, `${t.brokenHeadersRefs} headers to a missing id`)
+            : ''
+        ].filter(Boolean);
+        return `${tableLabel(t)}: ${parts.join(', ')}`;
+      })
+    };
+  }
+  if (summary.dataWithoutHeaders + summary.dataAmbiguous >= summary.dataCount) {
+    return {
+      status: STATUS.NA,
+      notes: i18n.t('Aucun tableau de données avec en-têtes.', 'No data tables with headers.')
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${summary.dataCount - summary.dataWithoutHeaders - summary.dataAmbiguous} tableau(x) de données avec en-têtes correctement associés.`,
+      `${summary.dataCount - summary.dataWithoutHeaders - summary.dataAmbiguous} data table(s) with correctly associated headers.`
+    )
+  };
+}
+
+function evaluateLayoutTablesMarkup(snapshot, i18n) {
+  const stats = getTableStats(snapshot);
+  if (!stats) return reviewTables(i18n);
+  const { tables, summary } = stats;
+  if (!summary.layoutCount) {
+    return { status: STATUS.NA, notes: i18n.t('Aucun tableau de mise en forme détecté.', 'No layout tables found.') };
+  }
+  if (summary.layoutWithDataMarkup > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['5.8.1'],
+      notes: i18n.t(
+        `${summary.layoutWithDataMarkup} tableau(x) de mise en forme utilisant des éléments propres aux tableaux de données.`,
+        `${summary.layoutWithDataMarkup} layout table(s) using data-table markup.`
+      ),
+      examples: takeExamples(
+        tables.filter((t) => t.layout && Array.isArray(t.dataMarkup) && t.dataMarkup.length),
+        (t) => `${tableLabel(t)} role=${t.role}: ${t.dataMarkup.join(', ')}`
+      )
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${summary.layoutCount} tableau(x) de mise en forme sans balisage de tableau de données.`,
+      `${summary.layoutCount} layout table(s) without data-table markup.`
+    )
+  };
+}
+
+const CONTRAST_MIN_SAMPLES = (() => {
+  const raw = Number(process.env.AUDIT_CONTRAST_MIN_SAMPLES || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 5;
+})();
+
+function formatContrastSample(sample) {
+  const font = [sample.fontSize, sample.fontWeight].filter(Boolean).join('/');
+  const text = clipText(sample.text, 30);
+  return `${sample.selector || '(unknown)'} ${sample.ratio}:1 < ${sample.required}:1${font ? ` (${font})` : ''}${
+    text ? ` "${text}"` : ''
+  }`;
+}
+
+// RGAA splits 3.2 by rendered size and weight: 3.2.1/3.2.2 below 24px (18.5px bold), 3.2.3/3.2.4 above.
+function contrastFailedTests(samples) {
+  const ids = new Set();
+  for (const sample of samples) {
+    const bold = /bold/i.test(String(sample.fontWeight || '')) || Number.parseInt(sample.fontWeight, 10) >= 700;
+    if (sample.largeText) ids.add(bold ? '3.2.4' : '3.2.3');
+    else ids.add(bold ? '3.2.2' : '3.2.1');
+  }
+  return ids.size ? Array.from(ids).sort() : ['3.2.1'];
+}
+
+function evaluateTextContrast(snapshot, i18n) {
+  const contrast = snapshot.enrichment?.contrast || null;
+  if (!contrast) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        'Aucun échantillon de contraste (enrichissement indisponible); revue requise.',
+        'No contrast samples (enrichment unavailable); review required.'
+      )
+    };
+  }
+  const sampleCount = Number(contrast.sampleCount || 0);
+  const failing = Array.isArray(contrast.failingSamples) ? contrast.failingSamples : [];
+  const failingCount = Number(contrast.failingCount || failing.length || 0);
+  if (failingCount > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: contrastFailedTests(failing),
+      notes: i18n.t(
+        `${failingCount}/${sampleCount} échantillon(s) de texte sous le seuil de contraste (4.5:1, 3:1 pour le texte de grande taille).`,
+        `${failingCount}/${sampleCount} text sample(s) below the contrast threshold (4.5:1, 3:1 for large text).`
+      ),
+      examples: takeExamples(failing, formatContrastSample, 5)
+    };
+  }
+  if (sampleCount < CONTRAST_MIN_SAMPLES) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `Échantillonnage de contraste insuffisant (${sampleCount} < ${CONTRAST_MIN_SAMPLES}); revue requise.`,
+        `Contrast sampling too sparse (${sampleCount} < ${CONTRAST_MIN_SAMPLES}); review required.`
+      )
+    };
+  }
+  const worst = contrast.worstSample;
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${sampleCount} échantillon(s) de texte conformes${worst ? ` (ratio minimal ${worst.ratio}:1)` : ''}.`,
+      `${sampleCount} text sample(s) pass${worst ? ` (lowest ratio ${worst.ratio}:1)` : ''}.`
+    )
+  };
+}
+
+function formatUiContrastSample(sample) {
+  const text = clipText(sample.text, 24);
+  return `${sample.selector || '(unknown)'} ${sample.source} ${sample.ratio}:1 < 3:1${text ? ` "${text}"` : ''}`;
+}
+
+// Borders, backgrounds, labels and focus outlines belong to the component (3.3.1); an icon is a
+// graphic against its adjacent colour (3.3.2). Colours inside a graphic (3.3.3) are not measured.
+function uiContrastFailedTests(samples) {
+  const ids = new Set(samples.map((sample) => (sample.source === 'icon' ? '3.3.2' : '3.3.1')));
+  return ids.size ? Array.from(ids).sort() : ['3.3.1'];
+}
+
+function evaluateUiContrast(snapshot, i18n) {
+  const uiContrast = snapshot.enrichment?.uiContrast || null;
+  if (!uiContrast) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        'Aucun échantillon de composant (enrichissement indisponible); revue requise.',
+        'No UI component samples (enrichment unavailable); review required.'
+      )
+    };
+  }
+  const sampleCount = Number(uiContrast.sampleCount || 0);
+  const failing = Array.isArray(uiContrast.failingSamples) ? uiContrast.failingSamples : [];
+  const failingCount = Number(uiContrast.failingCount || failing.length || 0);
+  if (failingCount > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: uiContrastFailedTests(failing),
+      notes: i18n.t(
+        `${failingCount}/${sampleCount} mesure(s) de composant sous 3:1 (bordures de champs, icônes, contours de focus).`,
+        `${failingCount}/${sampleCount} component measurement(s) below 3:1 (field borders, icons, focus outlines).`
+      ),
+      examples: takeExamples(failing, formatUiContrastSample, 5)
+    };
+  }
+  const visual = snapshot.visual || {};
+  const hasGraphics = Number(visual.svg || 0) > 0 || Number(visual.canvas || 0) > 0;
+  if (sampleCount === 0 || hasGraphics) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: sampleCount
+        ? i18n.t(
+            `${sampleCount} mesure(s) de composant conformes; éléments graphiques (svg/canvas) à vérifier.`,
+            `${sampleCount} component measurement(s) pass; graphics (svg/canvas) need review.`
+          )
+        : i18n.t('Aucun composant mesurable; revue requise.', 'No measurable components; review required.')
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${sampleCount} mesure(s) de composant conformes (ratio minimal ${uiContrast.worstSample?.ratio}:1).`,
+      `${sampleCount} component measurement(s) pass (lowest ratio ${uiContrast.worstSample?.ratio}:1).`
+    )
+  };
+}
+
+function isOnScreen(rect) {
+  if (!rect) return false;
+  return rect.width > 0 && rect.height > 0 && rect.x + rect.width > 0 && rect.y + rect.height > 0;
+}
+
+function focusableLabel(item) {
+  const name = clipText(item.name, 24);
+  return `${item.selector || item.tag}${name ? ` "${name}"` : ''}`;
+}
+
+// Items given in reading order (tab order, DOM order): an item drawn entirely above the previous
+// one is a jump back. Moving up into a column further right is a normal multi-column reading order.
+export function findBackwardJumps(items = []) {
+  const jumps = [];
+  for (let i = 1; i < items.length; i += 1) {
+    const prev = items[i - 1].rect;
+    const next = items[i].rect;
+    const above = next.y + next.height <= prev.y;
+    const notToTheRight = next.x < prev.x + prev.width;
+    if (above && notToTheRight) jumps.push({ from: items[i - 1], to: items[i] });
+  }
+  return jumps;
+}
+
+// Browsers visit positive tabindex values first (ascending), then the rest in DOM order.
+function findTabOrderJumps(focusables = []) {
+  const ordered = focusables
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      const ta = a.item.tabindex > 0 ? a.item.tabindex : Infinity;
+      const tb = b.item.tabindex > 0 ? b.item.tabindex : Infinity;
+      return ta === tb ? a.index - b.index : ta - tb;
+    })
+    .map((entry) => entry.item)
+    .filter((item) => isOnScreen(item.rect));
+  return findBackwardJumps(ordered);
+}
+
+function evaluateTabOrder(snapshot, i18n) {
+  const focusables = Array.isArray(snapshot.focusables) ? snapshot.focusables : [];
+  if (focusables.length === 0) {
+    return getCount(snapshot, 'focusables') > 0
+      ? {
+          status: STATUS.REVIEW,
+          aiCandidate: true,
+          automated: false,
+          notes: i18n.t('Données de focus tronquées; revue requise.', 'Focus data truncated; review required.')
+        }
+      : { status: STATUS.NA, notes: i18n.t('Aucun élément focusable détecté.', 'No focusable elements found.') };
+  }
+  // The summary counts every focusable element; the list stops at the first 80.
+  const positive = focusables.filter((item) => item.tabindex > 0);
+  const positiveCount = Math.max(positive.length, Number(snapshot.focusableSummary?.tabindexPositive || 0));
+  if (positiveCount > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['12.8.1'],
+      notes: i18n.t(
+        `${positiveCount} élément(s) avec tabindex positif : l’ordre de tabulation ne suit plus le DOM.`,
+        `${positiveCount} element(s) with a positive tabindex: tab order no longer follows the DOM.`
+      ),
+      examples: takeExamples(positive, (item) => `${focusableLabel(item)} tabindex=${item.tabindex}`)
+    };
+  }
+  if (!focusables.some((item) => item.rect)) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        'Positions des éléments focusables indisponibles; revue requise.',
+        'Focusable element positions unavailable; review required.'
+      )
+    };
+  }
+  const jumps = findTabOrderJumps(focusables);
+  const truncated = getCount(snapshot, 'focusables') > focusables.length;
+  if (jumps.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['12.8.1'],
+      notes: i18n.t(
+        `${jumps.length} retour(s) en arrière de l’ordre de tabulation par rapport à l’ordre visuel.`,
+        `${jumps.length} backward jump(s) of the tab order compared to the visual order.`
+      ),
+      examples: takeExamples(
+        jumps,
+        (jump) =>
+          `${focusableLabel(jump.from)} (y=${jump.from.rect.y}) → ${focusableLabel(jump.to)} (y=${jump.to.rect.y})`
+      )
+    };
+  }
+  if (truncated) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `Ordre visuel vérifié sur ${focusables.length} élément(s) focusable(s) sur ${getCount(snapshot, 'focusables')}; revue requise.`,
+        `Visual order checked on ${focusables.length} of ${getCount(snapshot, 'focusables')} focusable element(s); review required.`
+      )
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `Ordre de tabulation cohérent avec l’ordre visuel (${focusables.length} élément(s)).`,
+      `Tab order matches the visual order (${focusables.length} element(s)).`
+    )
+  };
+}
+
+const ARIA_ISSUE_LABELS = {
+  'invalid-role': ['rôle inexistant', 'invalid role'],
+  'abstract-role': ['rôle abstrait', 'abstract role'],
+  'invalid-attribute': ['attribut ARIA inexistant', 'invalid ARIA attribute'],
+  'broken-reference': ['référence d’ID introuvable', 'broken ID reference'],
+  'missing-prop': ['propriété requise absente', 'missing required property'],
+  'missing-owned': ['enfant requis absent', 'missing required owned element'],
+  'wrong-context': ['contexte requis absent', 'missing required context']
+};
+
+function formatAriaIssue(issue, i18n) {
+  const [fr, en] = ARIA_ISSUE_LABELS[issue.kind] || [issue.kind, issue.kind];
+  const role = issue.role ? ` [role=${issue.role}]` : '';
+  return `${issue.selector}${role} : ${i18n.t(fr, en)} (${issue.detail})`;
+}
+
+function evaluateAriaValidity(snapshot, i18n) {
+  const scripted = THEME_APPLICABILITY.Scripts(snapshot);
+  if (!Array.isArray(snapshot.ariaNodes)) {
+    if (!scripted) {
+      return { status: STATUS.NA, notes: i18n.t('Non applicable pour cette page.', 'Not applicable for this page.') };
+    }
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t('Revue requise.', 'Review required.')
+    };
+  }
+  const { checked, issues } = validateAriaNodes(snapshot.ariaNodes);
+  if (issues.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['7.1.1'],
+      notes: i18n.t(
+        `${issues.length} erreur(s) ARIA sur ${checked} élément(s) analysé(s) (rôles, propriétés, relations).`,
+        `${issues.length} ARIA error(s) across ${checked} element(s) checked (roles, properties, relationships).`
+      ),
+      examples: takeExamples(issues, (issue) => formatAriaIssue(issue, i18n), 5)
+    };
+  }
+  if (!scripted && checked === 0) {
+    return { status: STATUS.NA, notes: i18n.t('Non applicable pour cette page.', 'Not applicable for this page.') };
+  }
+  // Valid ARIA does not prove the scripted behaviour matches it, so the verdict stays with review.
+  const total = getCount(snapshot, 'ariaNodes');
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes:
+      total > checked
+        ? i18n.t(
+            `Aucune erreur ARIA sur les ${checked} premiers éléments (${total} au total); comportement des scripts à vérifier.`,
+            `No ARIA errors in the first ${checked} elements (${total} in total); script behaviour to review.`
+          )
+        : i18n.t(
+            `Aucune erreur ARIA sur ${checked} élément(s); comportement des scripts à vérifier.`,
+            `No ARIA errors across ${checked} element(s); script behaviour to review.`
+          )
+  };
+}
+
+function reviewNoCss(i18n, notes, examples = []) {
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes:
+      notes ||
+      i18n.t('Rendu sans CSS indisponible; revue requise.', 'No-CSS rendering unavailable; review required.'),
+    examples
+  };
+}
+
+function evaluateContentWithoutCss(snapshot, i18n) {
+  const noCss = snapshot.noCss;
+  if (!noCss) return reviewNoCss(i18n);
+  const generated = Array.isArray(noCss.cssOnlyContent) ? noCss.cssOnlyContent : [];
+  const backgrounds = Array.isArray(noCss.backgroundImages) ? noCss.backgroundImages : [];
+  const removed = noCss.textDiff?.removed || [];
+  const removedCount = noCss.textDiff?.removedCount || 0;
+  if (noCss.cssOnlyContentCount > 0 || noCss.backgroundImageCount > 0 || removedCount > 0) {
+    const lines = [
+      ...generated.map((item) => `${item.selector}${item.pseudo} ${item.kind}: ${item.content}`),
+      ...backgrounds.map((item) => `${item.selector} background-image ${item.url} (${item.context})`),
+      ...removed.map((line) => `${i18n.t('texte absent sans CSS', 'text missing without CSS')}: "${clipText(line, 40)}"`)
+    ];
+    const notes = [
+      noCss.cssOnlyContentCount > 0 || noCss.backgroundImageCount > 0
+        ? i18n.t(
+            `${noCss.cssOnlyContentCount} contenu(s) générés par CSS et ${noCss.backgroundImageCount} image(s) de fond sans alternative disparaissent sans CSS; vérifier s’ils portent de l’information.`,
+            `${noCss.cssOnlyContentCount} CSS-generated content item(s) and ${noCss.backgroundImageCount} background image(s) without text disappear without CSS; check whether they carry information.`
+          )
+        : '',
+      removedCount > 0
+        ? i18n.t(
+            `${removedCount} ligne(s) du rendu stylé absente(s) du texte sans CSS.`,
+            `${removedCount} line(s) of the styled render missing from the no-CSS text.`
+          )
+        : ''
+    ];
+    return reviewNoCss(
+      i18n,
+      notes.filter(Boolean).join(' '),
+      [...takeExamples(lines, (line) => line), ...(noCss.screenshot ? [noCss.screenshot] : [])]
+    );
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      'Aucun contenu généré par CSS ni image de fond porteuse d’information : le contenu reste présent sans CSS.',
+      'No CSS-generated content or informative background image: content stays present without CSS.'
+    ),
+    examples: noCss.screenshot ? [noCss.screenshot] : []
+  };
+}
+
+function evaluateReadingOrderWithoutCss(snapshot, i18n) {
+  const noCss = snapshot.noCss;
+  if (!noCss) return reviewNoCss(i18n);
+  const reordered = Array.isArray(noCss.reordered) ? noCss.reordered : [];
+  const ordering = Array.isArray(noCss.orderProperties) ? noCss.orderProperties : [];
+  const added = noCss.textDiff?.added || [];
+  const addedCount = noCss.textDiff?.addedCount || 0;
+  if (noCss.reorderedCount > 0 || ordering.length > 0 || addedCount > 0) {
+    const lines = [
+      ...reordered.map(
+        (move) =>
+          `${move.from.selector} "${clipText(move.from.text, 24)}" → ${move.to.selector} "${clipText(move.to.text, 24)}"`
+      ),
+      ...ordering.map((item) => `${item.selector} ${item.property}`),
+      ...added.map((line) => `${i18n.t('texte révélé sans CSS', 'text revealed without CSS')}: "${clipText(line, 40)}"`)
+    ];
+    const notes = [
+      noCss.reorderedCount > 0 || ordering.length > 0
+        ? i18n.t(
+            `${noCss.reorderedCount} bloc(s) de texte affiché(s) dans un ordre différent du DOM (${ordering.length} propriété(s) CSS de réordonnancement); vérifier la compréhension sans CSS.`,
+            `${noCss.reorderedCount} text block(s) shown in a different order than the DOM (${ordering.length} CSS reordering propert(ies)); check the content still makes sense without CSS.`
+          )
+        : '',
+      addedCount > 0
+        ? i18n.t(
+            `${addedCount} ligne(s) masquée(s) par CSS apparaissent sans CSS; vérifier qu’elles restent à leur place dans la lecture.`,
+            `${addedCount} line(s) hidden by CSS appear without CSS; check they still fit the reading order.`
+          )
+        : ''
+    ];
+    return reviewNoCss(
+      i18n,
+      notes.filter(Boolean).join(' '),
+      [...takeExamples(lines, (line) => line), ...(noCss.screenshot ? [noCss.screenshot] : [])]
+    );
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      'Ordre visuel conforme à l’ordre du DOM : la lecture sans CSS suit la même séquence.',
+      'Visual order matches DOM order: reading without CSS follows the same sequence.'
+    ),
+    examples: noCss.screenshot ? [noCss.screenshot] : []
+  };
+}
+
+function layoutExamples(variant, i18n, extra = []) {
+  const clipped = (variant.clipped || []).map(
+    (item) => `${i18n.t('texte tronqué', 'clipped text')}: ${item.selector} "${clipText(item.text, 30)}"`
+  );
+  const overlaps = (variant.overlaps || []).map(
+    (item) => `${i18n.t('chevauchement', 'overlap')}: ${item.a} ⇄ ${item.b}`
+  );
+  return [
+    ...takeExamples([...extra, ...clipped, ...overlaps], (line) => line),
+    ...(variant.screenshot ? [variant.screenshot] : [])
+  ];
+}
+
+// Shared by 10.4 (text zoom) and 10.11 (320 px reflow): only regressions against the default render count.
+function evaluateLayoutVariant(variant, i18n, { label, checkScroll, failedTests }) {
+  if (!variant) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        'Test de redimensionnement indisponible; revue requise.',
+        'Resize test unavailable; review required.'
+      )
+    };
+  }
+  const overflow = checkScroll ? (variant.overflowing || []).filter((item) => !item.exempt) : [];
+  const overflowLines = overflow.map(
+    (item) => `${i18n.t('débordement', 'overflow')}: ${item.selector} (right=${item.right}px)`
+  );
+  const problems = [];
+  if (checkScroll && variant.blockingOverflowCount > 0) {
+    problems.push(
+      i18n.t(
+        `défilement horizontal (largeur ${variant.scrollWidth}px pour ${variant.viewportWidth}px)`,
+        `horizontal scrolling (${variant.scrollWidth}px wide for ${variant.viewportWidth}px)`
+      )
+    );
+  }
+  if (variant.clippedCount > 0) {
+    problems.push(i18n.t(`${variant.clippedCount} texte(s) tronqué(s)`, `${variant.clippedCount} clipped text(s)`));
+  }
+  if (variant.overlapCount > 0) {
+    problems.push(
+      i18n.t(`${variant.overlapCount} chevauchement(s) de texte`, `${variant.overlapCount} overlapping text(s)`)
+    );
+  }
+  if (problems.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests,
+      notes: `${label}: ${problems.join(', ')}.`,
+      examples: layoutExamples(variant, i18n, overflowLines)
+    };
+  }
+  if (checkScroll && variant.horizontalScroll) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `${label}: défilement horizontal limité à des contenus potentiellement exemptés (tableaux, images, code…).`,
+        `${label}: horizontal scrolling only comes from possibly exempt content (tables, images, code…).`
+      ),
+      examples: layoutExamples(
+        variant,
+        i18n,
+        (variant.overflowing || []).map((item) => `${i18n.t('débordement', 'overflow')}: ${item.selector}`)
+      )
+    };
+  }
+  if (variant.lostCount > 0) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `${label}: ${variant.lostCount} texte(s) visible(s) par défaut ne sont plus affichés (vérifier s’ils restent accessibles, ex. menu replié).`,
+        `${label}: ${variant.lostCount} text(s) visible by default are no longer shown (check they stay reachable, e.g. collapsed menu).`
+      ),
+      examples: layoutExamples(
+        variant,
+        i18n,
+        (variant.lost || []).map((item) => `${i18n.t('masqué', 'hidden')}: ${item.selector} "${clipText(item.text, 30)}"`)
+      )
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `${label}: aucune perte, troncature ni chevauchement sur ${variant.comparedTexts} texte(s) comparé(s).`,
+      `${label}: no loss, clipping or overlap across ${variant.comparedTexts} compared text(s).`
+    ),
+    examples: variant.screenshot ? [variant.screenshot] : []
+  };
+}
+
+function evaluateTextResize(snapshot, i18n) {
+  return evaluateLayoutVariant(snapshot.reflow?.zoom, i18n, {
+    label: i18n.t('Texte agrandi à 200 %', 'Text zoomed to 200%'),
+    checkScroll: false,
+    failedTests: ['10.4.1']
+  });
+}
+
+function evaluateReflow(snapshot, i18n) {
+  return evaluateLayoutVariant(snapshot.reflow?.narrow, i18n, {
+    label: i18n.t('Affichage à 320 px de large', 'Rendered 320px wide'),
+    checkScroll: true,
+    failedTests: ['10.11.1']
+  });
+}
+
+function formatSpacingItem(item) {
+  const size =
+    item.scrollHeight > item.clientHeight
+      ? `scrollHeight ${item.scrollHeight} > clientHeight ${item.clientHeight}`
+      : `scrollWidth ${item.scrollWidth} > clientWidth ${item.clientWidth}`;
+  const text = clipText(item.text, 30);
+  return `${item.selector}${text ? ` "${text}"` : ''} (${size})${item.screenshot ? ` ${item.screenshot}` : ''}`;
+}
+
+function evaluateTextSpacing(snapshot, i18n) {
+  const spacing = snapshot.textSpacing;
+  if (!spacing) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        'Test d’espacement du texte indisponible; revue requise.',
+        'Text spacing test unavailable; review required.'
+      )
+    };
+  }
+  if (spacing.clippedCount > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['10.12.1'],
+      notes: i18n.t(
+        `${spacing.clippedCount} bloc(s) de texte tronqué(s) après application des espacements de texte (interligne 1.5, paragraphes 2em, lettres 0.12em, mots 0.16em).`,
+        `${spacing.clippedCount} text box(es) clipped once text spacing is applied (line-height 1.5, paragraphs 2em, letters 0.12em, words 0.16em).`
+      ),
+      examples: takeExamples(spacing.clipped, formatSpacingItem)
+    };
+  }
+  if (spacing.overflowCount > 0) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `${spacing.overflowCount} bloc(s) de texte débordent de leur conteneur après application des espacements; vérifier les chevauchements.`,
+        `${spacing.overflowCount} text box(es) overflow their container once spacing is applied; check for overlaps.`
+      ),
+      examples: takeExamples(spacing.overflowing, formatSpacingItem)
+    };
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `Aucune perte de contenu après application des espacements de texte (${spacing.checked} élément(s) contrôlé(s)).`,
+      `No content lost once text spacing is applied (${spacing.checked} element(s) checked).`
+    )
+  };
+}
+
+function reviewKeyboardWalk(i18n, notes) {
+  return {
+    status: STATUS.REVIEW,
+    aiCandidate: true,
+    automated: false,
+    notes:
+      notes ||
+      i18n.t('Parcours clavier indisponible; revue requise.', 'Keyboard walk unavailable; review required.')
+  };
+}
+
+function evaluateFocusVisible(snapshot, i18n) {
+  const keyboard = snapshot.keyboard;
+  if (!keyboard) return reviewKeyboardWalk(i18n);
+  if (keyboard.tabbableCount === 0) {
+    return { status: STATUS.NA, notes: i18n.t('Aucun élément focusable détecté.', 'No focusable elements found.') };
+  }
+  const focus = Array.isArray(keyboard.focus) ? keyboard.focus : [];
+  const hidden = focus.filter((item) => item.visible === false);
+  if (hidden.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['10.7.1'],
+      notes: i18n.t(
+        `${hidden.length} élément(s) sans indicateur de focus visible sur ${focus.length} parcouru(s) au clavier.`,
+        `${hidden.length} element(s) without a visible focus indicator out of ${focus.length} reached by keyboard.`
+      ),
+      examples: takeExamples(
+        hidden,
+        (item) => `${focusableLabel(item)}${item.screenshot ? ` (${item.screenshot})` : ''}`
+      )
+    };
+  }
+  const unmeasured = focus.filter((item) => item.visible !== true);
+  if (focus.length === 0 || unmeasured.length > 0) {
+    return {
+      ...reviewKeyboardWalk(
+        i18n,
+        i18n.t(
+          `${unmeasured.length} prise(s) de focus non mesurable(s); revue requise.`,
+          `${unmeasured.length} focus stop(s) could not be measured; review required.`
+        )
+      ),
+      examples: takeExamples(unmeasured, focusableLabel)
+    };
+  }
+  // The walk stops after AUDIT_KEYBOARD_MAX_STEPS or at an escaped focus loop: the elements after that were never checked.
+  if (keyboard.truncated) {
+    return reviewKeyboardWalk(
+      i18n,
+      keyboard.escapedWith
+        ? i18n.t(
+            `Focus visible sur les ${focus.length} premiers éléments parcourus, parcours arrêté à une boucle de focus quittée avec ${keyboard.escapedWith}; revue requise pour la suite.`,
+            `Focus visible on the first ${focus.length} elements reached, walk stopped at a focus loop left with ${keyboard.escapedWith}; review required for the rest.`
+          )
+        : i18n.t(
+            `Focus visible sur les ${focus.length} premiers éléments parcourus, parcours limité; revue requise pour la suite.`,
+            `Focus visible on the first ${focus.length} elements reached, walk capped; review required for the rest.`
+          )
+    );
+  }
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `Focus visible sur les ${focus.length} élément(s) parcourus au clavier.`,
+      `Focus visible on all ${focus.length} element(s) reached by keyboard.`
+    )
+  };
+}
+
+function evaluateKeyboardTrap(snapshot, i18n) {
+  const keyboard = snapshot.keyboard;
+  if (!keyboard) return reviewKeyboardWalk(i18n);
+  if (keyboard.tabbableCount === 0) {
+    return { status: STATUS.NA, notes: i18n.t('Aucun élément focusable détecté.', 'No focusable elements found.') };
+  }
+  if (keyboard.trap) {
+    const selectors = Array.isArray(keyboard.trap.selectors) ? keyboard.trap.selectors : [];
+    return {
+      status: STATUS.NC,
+      failedTests: ['12.9.1'],
+      notes: i18n.t(
+        `Piège au clavier : le focus tourne sur ${selectors.length} élément(s) sans pouvoir en sortir (Tab, Maj+Tab, Échap).`,
+        `Keyboard trap: focus cycles through ${selectors.length} element(s) with no way out (Tab, Shift+Tab, Escape).`
+      ),
+      examples: [
+        ...takeExamples(selectors, (selector) => selector),
+        ...(keyboard.trap.screenshot ? [keyboard.trap.screenshot] : [])
+      ]
+    };
+  }
+  if (!keyboard.reachedEnd) {
+    return reviewKeyboardWalk(
+      i18n,
+      i18n.t(
+        `Fin de page non atteinte après ${keyboard.steps} tabulation(s); revue requise.`,
+        `End of page not reached after ${keyboard.steps} Tab press(es); review required.`
+      )
+    );
+  }
+  return {
+    status: STATUS.C,
+    notes: keyboard.escapedWith
+      ? i18n.t(
+          `Aucun piège au clavier : la boucle de focus se quitte avec ${keyboard.escapedWith}.`,
+          `No keyboard trap: the focus loop can be left with ${keyboard.escapedWith}.`
+        )
+      : i18n.t(
+          `Aucun piège au clavier : la fin de page est atteinte en ${keyboard.steps} tabulation(s).`,
+          `No keyboard trap: the end of the page is reached in ${keyboard.steps} Tab press(es).`
+        )
+  };
+}
+
+// Time limits over 20 hours are an RGAA special case.
+const TIME_LIMIT_EXEMPT_SECONDS = 20 * 60 * 60;
+
+export function parseMetaRefresh(content, pageUrl = '') {
+  const raw = String(content || '').trim();
+  if (!raw) return null;
+  const match = raw.match(/^\s*(\d+(?:\.\d+)?)?\s*(?:[;,]\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?)?\s*$/i);
+  if (!match) return { raw, delay: null, url: '', kind: 'unknown' };
+  const delay = match[1] !== undefined ? Number(match[1]) : 0;
+  const target = String(match[2] || '').trim();
+  let sameUrl = !target;
+  if (target && pageUrl) {
+    try {
+      const resolved = new URL(target, pageUrl);
+      const current = new URL(pageUrl);
+      resolved.hash = '';
+      current.hash = '';
+      sameUrl = resolved.href === current.href;
+    } catch {}
+  }
+  return { raw, delay, url: target, kind: sameUrl ? 'reload' : 'redirect' };
+}
+
+// 13.1.1 covers refreshes, 13.1.2 delayed <meta> redirects and 13.1.3 scripted redirects.
+function evaluateTimeLimits(snapshot, i18n) {
+  const issues = [];
+  const failedTests = new Set();
+  const refresh = parseMetaRefresh(snapshot.meta?.refresh, snapshot.href);
+  if (refresh) {
+    const immediate = refresh.kind === 'redirect' && refresh.delay === 0;
+    const exempt = Number.isFinite(refresh.delay) && refresh.delay >= TIME_LIMIT_EXEMPT_SECONDS;
+    if (!immediate && !exempt) {
+      failedTests.add(refresh.kind === 'reload' ? '13.1.1' : '13.1.2');
+      issues.push(
+        refresh.kind === 'reload'
+          ? i18n.t(
+              `meta refresh : rechargement toutes les ${refresh.delay ?? '?'} s (content="${clipText(refresh.raw, 60)}")`,
+              `meta refresh: reload every ${refresh.delay ?? '?'} s (content="${clipText(refresh.raw, 60)}")`
+            )
+          : i18n.t(
+              `meta refresh : redirection après ${refresh.delay ?? '?'} s vers ${clipText(refresh.url, 50)} (content="${clipText(refresh.raw, 60)}")`,
+              `meta refresh: redirect after ${refresh.delay ?? '?'} s to ${clipText(refresh.url, 50)} (content="${clipText(refresh.raw, 60)}")`
+            )
+      );
+    }
+  }
+  const scripted = Array.isArray(snapshot.timeLimits?.scriptRedirects)
+    ? snapshot.timeLimits.scriptRedirects
+    : [];
+  // A delay that cannot be read (-1) may be immediate or over 20 hours: left for review.
+  const unknownDelay = [];
+  for (const entry of scripted) {
+    if (entry.delayMs === 0 && !entry.reload) continue;
+    if (entry.delayMs >= TIME_LIMIT_EXEMPT_SECONDS * 1000) continue;
+    const delay = entry.delayMs >= 0 ? `${entry.delayMs} ms` : i18n.t('délai inconnu', 'unknown delay');
+    const line = `${entry.timer} ${entry.reload ? 'reload' : 'redirect'} (${delay}, ${entry.source}): ${clipText(entry.snippet, 80)}`;
+    if (entry.delayMs < 0) {
+      unknownDelay.push(line);
+      continue;
+    }
+    failedTests.add(entry.reload ? '13.1.1' : '13.1.3');
+    issues.push(line);
+  }
+  if (issues.length > 0) {
+    return {
+      status: STATUS.NC,
+      failedTests: Array.from(failedTests).sort(),
+      notes: i18n.t(
+        `${issues.length} limite(s) de temps non contrôlable(s) par l’utilisateur.`,
+        `${issues.length} time limit(s) the user cannot control.`
+      ),
+      examples: issues.slice(0, 3)
+    };
+  }
+  if (unknownDelay.length > 0) {
+    return {
+      status: STATUS.REVIEW,
+      aiCandidate: true,
+      automated: false,
+      notes: i18n.t(
+        `${unknownDelay.length} redirection(s) JS au délai illisible : vérifier la limite de temps.`,
+        `${unknownDelay.length} JS redirect(s) with an unreadable delay: check the time limit.`
+      ),
+      examples: unknownDelay.slice(0, 3)
+    };
+  }
+  return {
+    status: STATUS.NA,
+    notes: refresh
+      ? i18n.t(
+          `meta refresh sans limite de temps (content="${clipText(refresh.raw, 60)}").`,
+          `meta refresh without a time limit (content="${clipText(refresh.raw, 60)}").`
+        )
+      : i18n.t(
+          'Aucune limite de temps détectée (meta refresh, redirection JS).',
+          'No time limit detected (meta refresh, JS redirect).'
+        )
+  };
+}
+
+const RULES = new Map([
+  ['1.1', evaluateImagesAlt],
+  ['2.1', evaluateFramesTitle],
+  ['3.2', evaluateTextContrast],
+  ['3.3', evaluateUiContrast],
+  ['5.3', evaluateLayoutTablesLinearized],
+  ['5.4', evaluateTableTitle],
+  ['5.6', evaluateTableHeaders],
+  ['5.7', evaluateTableAssociations],
+  ['5.8', evaluateLayoutTablesMarkup],
+  ['6.1', evaluateLinksExplicit],
+  ['6.2', evaluateLinksHaveName],
+  ['7.1', evaluateAriaValidity],
+  ['8.1', evaluateDoctype],
+  ['8.2', evaluateHtmlValidity],
+  ['8.3', evaluateLangPresent],
+  ['8.4', evaluateLangValid],
+  ['8.5', evaluateTitlePresent],
+  ['8.7', evaluateLangChangesDeclared],
+  ['8.8', evaluateLangChangesValid],
+  ['9.1', evaluateHeadingStructure],
+  ['9.3', evaluateListStructure],
+  ['10.2', evaluateContentWithoutCss],
+  ['10.3', evaluateReadingOrderWithoutCss],
+  ['10.4', evaluateTextResize],
+  ['10.7', evaluateFocusVisible],
+  ['10.11', evaluateReflow],
+  ['10.12', evaluateTextSpacing],
+  ['11.1', evaluateFormLabels],
+  ['11.9', evaluateFormButtons],
+  ['12.7', evaluateSkipLink],
+  ['12.8', evaluateTabOrder],
+  ['12.9', evaluateKeyboardTrap],
+  ['13.1', evaluateTimeLimits]
+]);
+
+const THEME_APPLICABILITY = {
+  Images: (snapshot) => hasItems(snapshot, 'images'),
+  Cadres: (snapshot) => hasItems(snapshot, 'frames'),
+  Frames: (snapshot) => hasItems(snapshot, 'frames'),
+  Multimédia: (snapshot) => {
+    const media = snapshot.media || {};
+    return (media.video || 0) + (media.audio || 0) + (media.object || 0) > 0;
+  },
+  Multimedia: (snapshot) => {
+    const media = snapshot.media || {};
+    return (media.video || 0) + (media.audio || 0) + (media.object || 0) > 0;
+  },
+  Tableaux: (snapshot) => hasItems(snapshot, 'tables'),
+  Tables: (snapshot) => hasItems(snapshot, 'tables'),
+  Liens: (snapshot) => hasItems(snapshot, 'links'),
+  Links: (snapshot) => hasItems(snapshot, 'links'),
+  Scripts: (snapshot) => {
+    const scripts = snapshot.scripts || {};
+    return (scripts.scriptTags || 0) > 0 || scripts.hasInlineHandlers;
+  },
+  Formulaires: (snapshot) => hasItems(snapshot, 'formControls'),
+  Forms: (snapshot) => hasItems(snapshot, 'formControls')
+};
+
+// Need computed styles, layout or real interaction; static HTML cannot decide them.
+const BROWSER_ONLY_CRITERIA = new Set([
+  '3.1',
+  '3.2',
+  '3.3',
+  '10.2',
+  '10.3',
+  '10.4',
+  '10.5',
+  '10.6',
+  '10.7',
+  '10.8',
+  '10.9',
+  '10.10',
+  '10.11',
+  '10.12',
+  '10.13',
+  '10.14',
+  '12.8',
+  '12.9',
+  '13.7',
+  '13.8'
+]);
+
+export function evaluateCriterion(criterion, snapshot, options = {}) {
+  const i18n = getI18n(normalizeReportLang(options.lang));
+  if (snapshot?.source === 'static' && BROWSER_ONLY_CRITERIA.has(criterion.id)) {
+    return {
+      status: STATUS.REVIEW,
+      notes: i18n.t(
+        'Nécessite un navigateur : rendu, styles calculés ou interaction indisponibles en mode HTML statique.',
+        'Requires browser: rendering, computed styles or interaction are unavailable in static HTML mode.'
+      ),
+      automated: false,
+      aiCandidate: false
+    };
+  }
   const rule = RULES.get(criterion.id);
-  if (rule) {
-    const res = rule(snapshot, i18n) || {};
+  const res = rule ? rule(snapshot, i18n) : null;
+  if (res) {
     return {
       ...res,
       automated: typeof res.automated === 'boolean' ? res.automated : true,
@@ -2,6 +2,7 @@
 import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import crypto from 'node:crypto';
 import readline from 'node:readline';
 import * as tty from 'node:tty';
@@ -13,13 +14,29 @@ import chromeLauncher from 'chrome-launcher';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { runAudit } from './audit.js';
-import { loadCriteria } from './criteria.js';
+import { createCriteriaMatcher, loadCriteria, resolveCriteriaSelection } from './criteria.js';
 import { createReporter, renderPromptFrame, chromeAutomationWarningLines, createResizeWatcher } from './ui.js';
 import { createRemoteStatusReporter } from './remoteStatus.js';
-import { getI18n } from './i18n.js';
-import { terminateCodexChildren } from './ai.js';
+import { getI18n, normalizeReportLang } from './i18n.js';
+import { resolveAiProvider, terminateCodexChildren } from './ai.js';
 import { createAbortError, isAbortError } from './abort.js';
 import { listMcpPages } from './mcpSnapshot.js';
+import { listCdpTargets } from './cdp.js';
+import { STATUS } from './checks.js';
+import { resolveStaticPages } from './staticSnapshot.js';
+import { loadAuthConfig } from './auth.js';
+import { loadScenarios } from './scenarios.js';
+import { buildSample, discoverSite, writeSampleFile } from './crawler.js';
+import { parsePagesFile } from './pagesFile.js';
+import { DEFAULT_CHAT_BASE_URL } from './chatCompletions.js';
+import { clearAiCache } from './aiCache.js';
+import {
+  buildReviewQueue,
+  recordAuditorReview,
+  REVIEW_CONFIDENCE,
+  REVIEW_STATUSES,
+  reviewScreenshots
+} from './review.js';
 
 let lastShutdownSignal = null;
 const fancyPromptState = { introShown: false };
@@ -925,19 +942,6 @@ function ensureCodexHomeDir() {
   }
 }
 
-function parsePagesFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const urls = [];
-  for (const line of content.split(/\r?\n/)) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const cleaned = trimmed.replace(/^[-*\d.\s]+/, '').trim();
-    const match = cleaned.match(/https?:\/\/[^\s)\]]+/i);
-    if (match) urls.push(match[0]);
-  }
-  return urls;
-}
-
 function isHttpUrl(value) {
   return /^https?:\/\//i.test(String(value || '').trim());
 }
@@ -1102,7 +1106,7 @@ async function promptYesNo(question, defaultValue = false) {
   return defaultValue;
 }
 
-async function promptChoice(question, choices, { defaultIndex = 0 } = {}) {
+async function promptChoice(question, choices, { defaultIndex = 0, lines: details = null } = {}) {
   await showFancyIntro();
   const { inputs } = getHotkeyInput();
   const input = inputs[0] || process.stdin;
@@ -1124,11 +1128,13 @@ async function promptChoice(question, choices, { defaultIndex = 0 } = {}) {
       return isDefault ? `${left} ${promptPalette.ok('• default')}` : left;
     });
     const maxLen = Math.max(0, ...labels.map((line) => visibleLen(line)));
+    if (Array.isArray(details) && details.length) lines.push(...details, '');
     labels.forEach((line) => lines.push(padVisible(line, maxLen)));
     const renderChoice = () => console.log(renderPromptBox(question, lines, { borderColor: 'cyan' }));
     stopResize = installFancyPromptResize({ render: renderChoice, rl, promptLabel });
   } else {
     console.log(`\n${question}`);
+    if (Array.isArray(details) && details.length) console.log(`${details.join('\n')}\n`);
     choices.forEach((label, index) => {
       const n = index + 1;
       const isDefault = index === defaultIndex;
@@ -1181,6 +1187,32 @@ async function promptOptionalNumber(question) {
   return Math.floor(n);
 }
 
+async function promptText(question, { title = 'Question', defaultValue = '' } = {}) {
+  await showFancyIntro();
+  const { inputs } = getHotkeyInput();
+  const input = inputs[0] || process.stdin;
+  const rl = readline.createInterface({
+    input,
+    output: process.stdout
+  });
+
+  const promptLabel = isFancyTTY() ? promptPalette.primary('→ ') : `${question} `;
+  let stopResize = null;
+  if (isFancyTTY()) {
+    const lines = [question];
+    if (defaultValue) lines.push(`${promptPalette.muted('Default:')} ${defaultValue}`);
+    const renderText = () => console.log(renderPromptBox(title, lines, { borderColor: 'cyan' }));
+    stopResize = installFancyPromptResize({ render: renderText, rl, promptLabel });
+  } else if (defaultValue) {
+    console.log(`Default: ${defaultValue}`);
+  }
+  const raw = String(await askLine(rl, promptLabel)).trim();
+  if (stopResize) stopResize();
+  rl.close();
+  clearScreen();
+  return raw || defaultValue;
+}
+
 async function promptContinue(question, { title = 'Continue', lines = null } = {}) {
   await showFancyIntro();
   const { inputs } = getHotkeyInput();
@@ -1280,6 +1312,201 @@ async function promptMcpBrowserUrlSetup({ browserUrl } = {}) {
   clearScreen();
 }
 
+// Pre-commit style run over built HTML: plain log lines, exit code 1 when any criterion is NC.
+async function runStaticAudit({ inputs, outPath, reportLang, criteriaSelection }) {
+  const pages = await resolveStaticPages(inputs);
+  if (pages.length === 0) {
+    console.error('No .html files matched --static.');
+    process.exit(1);
+  }
+  const criteria = loadCriteria({ lang: reportLang });
+  const label = (url) => path.relative(process.cwd(), fileURLToPath(url)) || url;
+  let pageNc = 0;
+  const summary = await runAudit({
+    pages,
+    outPath,
+    reportLang,
+    criteria,
+    criteriaSelection,
+    staticHtml: true,
+    mcp: {},
+    ai: { useMcp: false },
+    reporter: {
+      onPageStart: ({ url }) => {
+        pageNc = 0;
+        console.log(label(url));
+      },
+      onPageError: ({ error }) => console.log(`  ERR ${String(error?.message || error)}`),
+      onCriterion: ({ criterion, evaluation }) => {
+        if (evaluation.status !== STATUS.NC) return;
+        pageNc += 1;
+        console.log(`  NC ${criterion.id} ${criterion.title}${evaluation.notes ? ` — ${evaluation.notes}` : ''}`);
+      },
+      onPageEnd: ({ counts }) => {
+        if (!pageNc) console.log('  no NC');
+        console.log(`  C ${counts.C} · NC ${counts.NC} · NA ${counts.NA} · REV ${counts.REVIEW} · ERR ${counts.ERR}`);
+      }
+    }
+  });
+  const counts = summary?.counts || {};
+  console.log(
+    `\nStatic audit: ${pages.length} page(s), ${counts.NC || 0} NC criteria${outPath ? ` — ${outPath}` : ''}`
+  );
+  process.exit((counts.NC || 0) > 0 || (counts.ERR || 0) > 0 ? 1 : 0);
+}
+
+async function runDiscovery({ startUrl, maxDepth, maxPages, useSitemap, outPath }) {
+  console.log(`Discovering ${startUrl} (depth ${maxDepth}, up to ${maxPages} pages)…`);
+  const site = await discoverSite(startUrl, {
+    maxDepth,
+    maxPages,
+    useSitemap,
+    onLog: (message) => console.log(`  ${message}`)
+  });
+  if (site.pages.length === 0) {
+    console.error(`No HTML page could be fetched from ${startUrl}.`);
+    process.exit(1);
+  }
+  const sample = buildSample(site);
+  await writeSampleFile(outPath, sample);
+  console.log('');
+  for (const entry of sample.mandatory) {
+    console.log(`  ${entry.url ? '✔' : '✖'} ${entry.label}${entry.url ? `: ${entry.url}` : ''}`);
+  }
+  const extra = sample.templates.filter((template) => !template.covered).length;
+  console.log(
+    `\n${site.pages.length} page(s), ${sample.templates.length} template(s) (${extra} not covered by a mandatory page).`
+  );
+  console.log(`Sample written to ${outPath}\nReview it, then run: npm run audit -- --pages-file ${outPath}`);
+}
+
+function reviewItemLines(item, { i18n, outDir }) {
+  const { result } = item;
+  const clip = (text, max) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  };
+  // Prompt frames clip long lines instead of wrapping them.
+  const width = Math.max(66, Math.min((process.stdout.columns || 100) - 4, 118));
+  const wrap = (text) => {
+    const rows = [''];
+    for (const word of String(text || '').split(' ')) {
+      const last = rows.length - 1;
+      if (rows[last] && rows[last].length + word.length + 1 > width) rows.push(word);
+      else rows[last] = rows[last] ? `${rows[last]} ${word}` : word;
+    }
+    return rows;
+  };
+  const confidence = Number(result.ai?.confidence);
+  const lines = [
+    `${promptPalette.accent(item.label)}${item.title ? ` — ${item.title}` : ''}`,
+    promptPalette.muted(item.url),
+    '',
+    ...wrap(`${result.id} ${clip(result.title, 300)}`),
+    `${promptPalette.muted('Status:')} ${i18n.statusLabel(result.status)}${
+      Number.isFinite(confidence) ? ` • ${promptPalette.muted('AI confidence:')} ${confidence.toFixed(2)}` : ''
+    }${result.review ? ` • ${promptPalette.muted('reviewed by')} ${result.review.author || '?'}` : ''}`,
+    ...wrap(`Notes: ${clip(result.notes, 600)}`)
+  ];
+  const evidence = (result.ai?.evidence || []).slice(0, 4);
+  if (evidence.length) {
+    lines.push(promptPalette.muted('Evidence:'), ...evidence.map((line) => `- ${clip(line, 160)}`));
+  }
+  const examples = (result.examples || []).slice(0, 3);
+  if (examples.length) {
+    lines.push(promptPalette.muted('Examples:'), ...examples.map((line) => `- ${clip(line, 160)}`));
+  }
+  const screenshots = reviewScreenshots(item, outDir);
+  if (screenshots.length) {
+    lines.push(
+      promptPalette.muted('Screenshots:'),
+      ...screenshots.map((rel) => `- ${outDir ? path.join(outDir, rel) : rel}`)
+    );
+  }
+  return lines;
+}
+
+// Walks REV cells and low-confidence AI verdicts of a saved audit, stores each auditor decision in the
+// resume file as soon as it is made, then rebuilds the workbook from that file.
+async function runReview({ resumePath, threshold, author, all }) {
+  let statePath = resumePath ? path.resolve(resumePath) : '';
+  if (!statePath) {
+    const candidates = findResumeCandidates();
+    if (!candidates.length) {
+      console.error('No audit.resume.json found under out/. Pass the file: --review <path>.');
+      process.exit(1);
+    }
+    const selection = await promptChoice('Review which audit?', candidates.map(formatResumeLabel), {
+      defaultIndex: 0
+    });
+    statePath = path.resolve(candidates[selection].path);
+  }
+  if (!fs.existsSync(statePath)) {
+    throw new Error(`Resume file not found: ${statePath}`);
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  } catch {
+    throw new Error(`Failed to read resume file: ${statePath}`);
+  }
+  const reportLang = normalizeReportLang(state.reportLang);
+  const i18n = getI18n(reportLang);
+  const outPath = state.outPath ? path.resolve(String(state.outPath)) : '';
+  const outDir = outPath ? path.dirname(outPath) : path.dirname(statePath);
+  const queue = buildReviewQueue(state, { threshold, all });
+  if (!queue.length) {
+    console.log(`Nothing to review: no REV cell and no AI verdict under ${threshold} confidence.`);
+    return;
+  }
+
+  const reviewer =
+    author || (await promptText('Auditor name (saved with each decision):', { defaultValue: os.userInfo().username }));
+  const choices = [...REVIEW_STATUSES.map((status) => i18n.statusLabel(status)), 'Skip', 'Save and finish'];
+  const skipIndex = REVIEW_STATUSES.length;
+  let decided = 0;
+  for (let i = 0; i < queue.length; i += 1) {
+    const item = queue[i];
+    const choice = await promptChoice(`Review ${i + 1}/${queue.length} • ${item.label} • ${item.result.id}`, choices, {
+      defaultIndex: skipIndex,
+      lines: reviewItemLines(item, { i18n, outDir })
+    });
+    if (choice === skipIndex + 1) break;
+    if (choice === skipIndex) continue;
+    const rationale = await promptText('Rationale (shown in the report):', {
+      title: `${item.result.id} → ${choices[choice]}`,
+      defaultValue: item.result.review?.rationale || item.result.ai?.rationale || ''
+    });
+    recordAuditorReview(state, item, { status: REVIEW_STATUSES[choice], rationale, author: reviewer });
+    state.updatedAt = new Date().toISOString();
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf-8');
+    decided += 1;
+  }
+
+  console.log(`${decided} decision(s) saved to ${statePath}.`);
+  if (!decided || !outPath) return;
+  const criteria = loadCriteria({ lang: reportLang });
+  await runAudit({
+    pages: state.pages || [],
+    outPath,
+    reportLang,
+    criteria,
+    criteriaSelection: state.criteriaSelection || null,
+    resumeState: state,
+    reportOnly: true,
+    mcp: {},
+    ai: { useMcp: false }
+  });
+  console.log(`Report rebuilt: ${outPath}`);
+}
+
+function splitListOption(val) {
+  return val
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
 async function main() {
   installOutputErrorHandlers();
   loadMonitorEnvFromSibling();
@@ -1289,16 +1516,32 @@ async function main() {
     .option('pages', {
       type: 'array',
       describe: 'List of page URLs (space or comma separated).',
-      coerce: (val) =>
-        val
-          .flatMap((v) => String(v).split(','))
-          .map((v) => v.trim())
-          .filter(Boolean)
+      coerce: splitListOption
     })
     .option('pages-file', {
       type: 'string',
       describe: 'Markdown/text file with one page per line.'
     })
+    .option('criteria', {
+      type: 'array',
+      describe: 'Only evaluate these criteria (e.g. 1.1,3.*,11.1-11.13); others are reported as not evaluated.',
+      coerce: splitListOption
+    })
+    .option('themes', {
+      type: 'array',
+      describe: 'Only evaluate these RGAA themes, by name or number (e.g. Images,Formulaires).',
+      coerce: splitListOption
+    })
+    .option('exclude-criteria', {
+      type: 'array',
+      describe: 'Criteria to skip (same syntax as --criteria).',
+      coerce: splitListOption
+    })
+    .option('exclude-themes', {
+      type: 'array',
+      describe: 'RGAA themes to skip (same syntax as --themes).',
+      coerce: splitListOption
+    })
     .option('out', {
       type: 'string',
       describe: 'Output XLSX file path.'
@@ -1324,7 +1567,18 @@ async function main() {
     })
     .option('codex-model', {
       type: 'string',
-      describe: 'Codex model for AI review (optional).'
+      alias: 'ai-model',
+      describe: 'Model for AI review (optional with Codex, required with --ai-provider openai).'
+    })
+    .option('ai-provider', {
+      type: 'string',
+      choices: ['codex', 'openai'],
+      describe:
+        'AI review backend: "codex" (Codex CLI, default) or "openai" (any OpenAI-compatible chat completions endpoint, see --ai-base-url).'
+    })
+    .option('ai-base-url', {
+      type: 'string',
+      describe: `Base URL of the OpenAI-compatible API for --ai-provider openai (default: ${DEFAULT_CHAT_BASE_URL}).`
     })
     .option('ai-mcp', {
       type: 'boolean',
@@ -1388,6 +1642,83 @@ async function main() {
       describe:
         'Target an existing Chrome page by id (as shown by chrome-devtools-mcp list_pages). If set, the snapshot is collected from that page (no navigation).'
     })
+    .option('snapshot-driver', {
+      type: 'string',
+      choices: ['mcp', 'cdp'],
+      describe:
+        'How page snapshots are collected: "mcp" (Codex drives chrome-devtools MCP, default) or "cdp" (direct DevTools connection, no model involved; needs --mcp-browser-url or a launched Chrome).'
+    })
+    .option('auth', {
+      type: 'string',
+      describe:
+        'JSON auth file: stored cookies/localStorage state and/or a login step (credentials from env vars). Applied before the first snapshot and again when the session expires. Env: AUDIT_AUTH_FILE.'
+    })
+    .option('scenarios', {
+      type: 'string',
+      describe:
+        'JSON file mapping page URLs to named interaction states (click/type/press/wait steps). Each state is snapshotted, evaluated as its own Audit column and merged into the page verdict. Env: AUDIT_SCENARIOS_FILE.'
+    })
+    .option('discover', {
+      type: 'string',
+      describe:
+        'Crawl a site (sitemap.xml + same-origin links), group pages by template and write an RGAA sample pages file for --pages-file, then exit.'
+    })
+    .option('discover-depth', {
+      type: 'number',
+      default: 2,
+      describe: 'Link depth followed from the start URL by --discover.'
+    })
+    .option('discover-max', {
+      type: 'number',
+      default: 200,
+      describe: 'Maximum number of pages fetched by --discover.'
+    })
+    .option('discover-sitemap', {
+      type: 'boolean',
+      default: true,
+      describe: 'Read robots.txt / sitemap.xml during --discover (use --no-discover-sitemap to only follow links).'
+    })
+    .option('discover-out', {
+      type: 'string',
+      describe: 'Pages file written by --discover (default: out/<runId>/pages.txt).'
+    })
+    .option('ai-cache', {
+      type: 'boolean',
+      describe:
+        'Reuse AI verdicts cached for the same criterion, language, prompt version, model and evidence (default: on; use --no-ai-cache to always ask). Env: AUDIT_AI_CACHE.'
+    })
+    .option('ai-cache-clear', {
+      type: 'string',
+      describe:
+        'Delete cached AI verdicts, then exit: all of them, or only the given criteria (e.g. --ai-cache-clear 1.*,3.2).'
+    })
+    .option('ai-cache-prune', {
+      type: 'boolean',
+      describe: 'Delete expired cached AI verdicts (AUDIT_AI_CACHE_TTL_MS, default 30 days), then exit.'
+    })
+    .option('review', {
+      type: 'string',
+      describe:
+        'Walk through the REV cells and low-confidence AI verdicts of a saved audit (resume file; prompts for one when empty), record auditor decisions and rebuild the XLSX, then exit. Needs a TTY.'
+    })
+    .option('review-confidence', {
+      type: 'number',
+      describe: `AI verdicts under this confidence are also reviewed (default: ${REVIEW_CONFIDENCE}). Env: AUDIT_REVIEW_CONFIDENCE.`
+    })
+    .option('review-author', {
+      type: 'string',
+      describe: 'Auditor name saved with each decision (asked once when omitted). Env: AUDIT_REVIEWER.'
+    })
+    .option('review-all', {
+      type: 'boolean',
+      default: false,
+      describe: 'Also show cells that already carry an auditor decision.'
+    })
+    .option('static', {
+      type: 'array',
+      describe:
+        'Audit built HTML files (directories, files or glob patterns) without Chrome or Codex. Criteria needing a browser stay in review; exits with code 1 on any NC.'
+    })
     .option('resume', {
       type: 'string',
       describe:
@@ -1413,6 +1744,80 @@ async function main() {
     process.env.AUDIT_HUMANIZE_FEED_MODEL ||
     '';
 
+  if (argv['ai-cache-clear'] !== undefined || argv['ai-cache-prune']) {
+    const selectors = splitListOption([argv['ai-cache-clear'] || '']);
+    const { removed, kept } = await clearAiCache({
+      expiredOnly: argv['ai-cache-clear'] === undefined,
+      matches: selectors.length ? createCriteriaMatcher(selectors) : null
+    });
+    console.log(`AI cache: ${removed} verdict(s) removed, ${kept} kept.`);
+    return;
+  }
+
+  if (argv.discover) {
+    await runDiscovery({
+      startUrl: String(argv.discover),
+      maxDepth: Math.max(0, Math.floor(Number(argv['discover-depth']) || 0)),
+      maxPages: Math.max(1, Math.floor(Number(argv['discover-max']) || 200)),
+      useSitemap: argv['discover-sitemap'] !== false,
+      outPath: path.resolve(argv['discover-out'] || path.join(defaultOutDir, 'pages.txt'))
+    });
+    return;
+  }
+
+  if (argv.review !== undefined) {
+    if (!interactive) {
+      console.error('--review needs an interactive terminal.');
+      process.exit(1);
+    }
+    const threshold = Number(argv['review-confidence']);
+    await runReview({
+      resumePath: String(argv.review || '').trim(),
+      threshold: Number.isFinite(threshold) && threshold >= 0 ? Math.min(1, threshold) : REVIEW_CONFIDENCE,
+      author: String(argv['review-author'] || process.env.AUDIT_REVIEWER || '').trim(),
+      all: Boolean(argv['review-all'])
+    });
+    return;
+  }
+
+  let criteriaSelection = resolveCriteriaSelection({
+    criteria: argv.criteria || [],
+    themes: argv.themes || [],
+    excludeCriteria: argv['exclude-criteria'] || [],
+    excludeThemes: argv['exclude-themes'] || []
+  });
+
+  if (argv.static) {
+    await runStaticAudit({
+      criteriaSelection,
+      inputs: argv.static.map(String),
+      outPath: argv.xlsx === false ? null : path.resolve(argv.out || defaultXlsxOutPath(runId)),
+      reportLang: String(argv['report-lang'] || 'fr').trim().toLowerCase() === 'en' ? 'en' : 'fr'
+    });
+    return;
+  }
+
+  const codexModel =
+    argv['codex-model'] ||
+    process.env.AUDIT_AI_MODEL ||
+    process.env.AUDIT_CODEX_MODEL ||
+    '';
+  const aiProvider = resolveAiProvider({
+    name: argv['ai-provider'] || process.env.AUDIT_AI_PROVIDER,
+    baseUrl: argv['ai-base-url'] || process.env.AUDIT_AI_BASE_URL,
+    apiKey: process.env.AUDIT_AI_API_KEY || process.env.OPENAI_API_KEY,
+    model: codexModel
+  });
+  if (aiProvider.name !== 'codex' && argv['ai-mcp'] === true) {
+    console.error('--ai-mcp needs the codex AI provider (the HTTP provider only sees the collected evidence).');
+    process.exit(1);
+  }
+
+  const authFile = String(argv.auth || process.env.AUDIT_AUTH_FILE || '').trim();
+  const authConfig = authFile ? loadAuthConfig(authFile) : null;
+  const scenariosFile = String(argv.scenarios || process.env.AUDIT_SCENARIOS_FILE || '').trim();
+  const scenarios = scenariosFile ? loadScenarios(scenariosFile) : null;
+
   let resumeState = null;
   let resumePath = '';
   if (argv.resume) {
@@ -1445,9 +1850,17 @@ async function main() {
     argv.out = defaultXlsxOutPath(runId);
   }
 
+  // URL -> pages-file entry (name, type, viewport, wait, scenarios, login, criteria); `pages` stays a URL list.
+  const pageEntries = new Map();
+  const addPageEntries = (entries) =>
+    entries.map((entry) => {
+      if (typeof entry === 'string') return entry;
+      if (entry?.url && !pageEntries.has(entry.url)) pageEntries.set(entry.url, entry);
+      return entry?.url;
+    });
   let pages = argv.pages || [];
   if (resumeState?.pages?.length) {
-    pages = resumeState.pages;
+    pages = addPageEntries(resumeState.pages).filter(Boolean);
   } else if (resumeState?.completedPages?.length) {
     pages = resumeState.completedPages.map((page) => page?.url).filter(Boolean);
   }
@@ -1457,10 +1870,14 @@ async function main() {
     if (!fs.existsSync(filePath)) {
       throw new Error(`Pages file not found: ${filePath}`);
     }
-    pages = pages.concat(parsePagesFile(filePath));
+    pages = pages.concat(addPageEntries(parsePagesFile(filePath)));
   }
 
   pages = Array.from(new Set(pages));
+  const authProfiles = {};
+  for (const entry of pageEntries.values()) {
+    if (entry.login && !authProfiles[entry.login]) authProfiles[entry.login] = loadAuthConfig(entry.login);
+  }
 
   let allowRemoteDebug = argv['allow-remote-debug'];
   if (allowRemoteDebug === undefined) {
@@ -1492,6 +1909,10 @@ async function main() {
   if (resumeState?.reportLang && !reportLangExplicit) {
     reportLang = resumeState.reportLang;
   }
+  // A resumed audit keeps its selection unless one is given again (runAudit rejects a mismatch).
+  if (resumeState?.criteriaSelection && !criteriaSelection) {
+    criteriaSelection = resumeState.criteriaSelection;
+  }
 
   const mcpBrowserUrlExplicit = rawArgs.some(
     (arg) => arg === '--mcp-browser-url' || arg.startsWith('--mcp-browser-url=')
@@ -1513,7 +1934,10 @@ async function main() {
     (arg) => arg === '--mcp-page-id' || arg.startsWith('--mcp-page-id=')
   );
 
-  const snapshotMode = 'mcp';
+  const snapshotMode =
+    String(argv['snapshot-driver'] || process.env.AUDIT_SNAPSHOT_DRIVER || '').trim().toLowerCase() === 'cdp'
+      ? 'cdp'
+      : 'mcp';
   let mcpBrowserUrlArg = argv['mcp-browser-url'];
   let mcpAutoConnectArg = argv['mcp-auto-connect'];
   let mcpChannelArg = argv['mcp-channel'];
@@ -1681,6 +2105,21 @@ async function main() {
         : Boolean(mcpAutoConnectArg)
       : Boolean(mcpAutoConnectArg);
   const autoLaunchActive = Boolean(launchedChrome);
+  if (authConfig && !mcpBrowserUrl && !process.env.AUDIT_MCP_BROWSER_URL && mcpAutoConnect) {
+    console.error(
+      '--auth needs a DevTools endpoint: pass --mcp-browser-url, or --no-mcp-auto-connect to let the auditor launch Chrome.'
+    );
+    process.exit(1);
+  }
+  const entryNeedsDevTools = Array.from(pageEntries.values()).some(
+    (entry) => entry.login || entry.viewport || entry.wait || entry.scenarios
+  );
+  if ((scenarios || entryNeedsDevTools) && !mcpBrowserUrl && !process.env.AUDIT_MCP_BROWSER_URL && mcpAutoConnect) {
+    console.error(
+      '--scenarios and pages-file login/viewport/wait/scenarios need a DevTools endpoint: pass --mcp-browser-url, or --no-mcp-auto-connect to let the auditor launch Chrome.'
+    );
+    process.exit(1);
+  }
   const mcpCacheKey = JSON.stringify({
     browserUrl: mcpBrowserUrl || process.env.AUDIT_MCP_BROWSER_URL || '',
     autoConnect: mcpAutoConnect,
@@ -1719,15 +2158,22 @@ async function main() {
   if (interactive && guided && pages.length === 0 && !skipListPagesEnv && !mcpPageIdArg) {
     try {
       console.log('\nChecking existing Chrome tabs (list_pages)…');
-      const list = await listMcpPages({
-        model: argv['codex-model'],
-        mcp: {
-          browserUrl: mcpBrowserUrl || process.env.AUDIT_MCP_BROWSER_URL || '',
-          autoConnect: mcpAutoConnect,
-          channel: mcpChannelArg || process.env.AUDIT_MCP_CHANNEL || '',
-          skipListPages: skipListPagesEnv
-        }
-      });
+      const list =
+        snapshotMode === 'cdp'
+          ? {
+              pages: (await listCdpTargets(mcpBrowserUrl || process.env.AUDIT_MCP_BROWSER_URL || ''))
+                .filter((entry) => entry?.type === 'page')
+                .map((entry, id) => ({ id, url: entry.url, title: entry.title || null }))
+            }
+          : await listMcpPages({
+              model: argv['codex-model'],
+              mcp: {
+                browserUrl: mcpBrowserUrl || process.env.AUDIT_MCP_BROWSER_URL || '',
+                autoConnect: mcpAutoConnect,
+                channel: mcpChannelArg || process.env.AUDIT_MCP_CHANNEL || '',
+                skipListPages: skipListPagesEnv
+              }
+            });
       const entries = Array.isArray(list?.pages) ? list.pages : [];
       mcpTabs = entries;
       if (entries.length) {
@@ -1810,15 +2256,13 @@ async function main() {
     }
   }
 
-  const codexModel =
-    argv['codex-model'] ||
-    process.env.AUDIT_CODEX_MODEL ||
-    '';
-  const aiMcpDefault = parseEnvBool(process.env.AUDIT_AI_MCP, true);
+  const aiMcpDefault = aiProvider.name === 'codex' && parseEnvBool(process.env.AUDIT_AI_MCP, true);
   const aiMcp =
     typeof argv['ai-mcp'] === 'boolean' ? argv['ai-mcp'] : aiMcpDefault;
   const aiOcrDefault = aiMcp ? parseEnvBool(process.env.AUDIT_AI_OCR, true) : false;
   const aiOcr = typeof argv['ai-ocr'] === 'boolean' ? argv['ai-ocr'] : aiOcrDefault;
+  const aiCache =
+    typeof argv['ai-cache'] === 'boolean' ? argv['ai-cache'] : parseEnvBool(process.env.AUDIT_AI_CACHE, true);
   if (!process.env.CODEX_MCP_MODE) {
     process.env.CODEX_MCP_MODE = 'chrome';
   }
@@ -1984,10 +2428,14 @@ async function main() {
   const { spawnSync } = await import('node:child_process');
   ensureCodexHomeDir();
   const codexBin = process.env.CODEX_PATH || 'codex';
-  const codexCheck = spawnSync(codexBin, ['--version'], { stdio: 'ignore' });
-  if (codexCheck.error || codexCheck.status !== 0) {
+  // The HTTP provider only replaces review; MCP snapshots still go through Codex.
+  const needsCodex = aiProvider.name === 'codex' || snapshotMode !== 'cdp';
+  const codexCheck = needsCodex ? spawnSync(codexBin, ['--version'], { stdio: 'ignore' }) : null;
+  if (codexCheck && (codexCheck.error || codexCheck.status !== 0)) {
     reporter.onError?.(
-      `Codex CLI is required for AI-based criteria review (${codexBin} --version failed).`
+      aiProvider.name === 'codex'
+        ? `Codex CLI is required for AI-based criteria review (${codexBin} --version failed).`
+        : `Codex CLI is required for MCP snapshots; use --snapshot-driver cdp to audit without it (${codexBin} --version failed).`
     );
     process.exit(1);
   }
@@ -2000,10 +2448,11 @@ async function main() {
   let shouldPrintComplete = true;
   try {
     const summary = await runAudit({
-      pages,
+      pages: pages.map((url) => pageEntries.get(url) || url),
       outPath,
       reportLang,
       criteria,
+      criteriaSelection,
       chromePath: argv['chrome-path'],
       chromePort: argv['chrome-port'],
       chromeProfileDir,
@@ -2014,6 +2463,9 @@ async function main() {
       resumeState,
       resumeStatePath,
       pauseController,
+      auth: authConfig,
+      authProfiles,
+      scenarios,
       mcp: {
         browserUrl: mcpBrowserUrl || process.env.AUDIT_MCP_BROWSER_URL || '',
         autoConnect: mcpAutoConnect,
@@ -2024,6 +2476,8 @@ async function main() {
       },
       ai: {
         model: codexModel,
+        provider: aiProvider,
+        cache: aiCache,
         useMcp: aiMcp,
         ocr: aiOcr
       }
@@ -0,0 +1,218 @@
+import crypto from 'node:crypto';
+import { aiFailedTests } from './ai.js';
+import { connectCdpPage } from './cdp.js';
+import { mergeStatuses, STATUS } from './checks.js';
+import { createCriteriaMatcher } from './criteria.js';
+
+const MAX_HTML = 6000;
+const MAX_ITEMS = 60;
+
+// Criteria whose evidence can sit inside a header, menu or footer; override with AUDIT_COMPONENT_CRITERIA.
+const DEFAULT_COMPONENT_CRITERIA = ['1.*', '3.*', '6.*', '7.*', '10.*', '11.*'];
+
+const KIND_LABELS = {
+  banner: ['En-tête', 'Header'],
+  navigation: ['Navigation', 'Navigation'],
+  contentinfo: ['Pied de page', 'Footer']
+};
+
+// Runs in the page (serialized): outermost banner/navigation/contentinfo landmarks, each with a
+// structural signature (tags, roles and accessible names, no classes or ids) and its own evidence.
+function pageCollectComponents(maxHtml, maxItems) {
+  const clip = (value, max) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  };
+  const tagKinds = { header: 'banner', nav: 'navigation', footer: 'contentinfo' };
+  const kindOf = (el) => {
+    const role = (el.getAttribute('role') || '').trim().toLowerCase();
+    if (role) return ['banner', 'navigation', 'contentinfo'].includes(role) ? role : '';
+    const kind = tagKinds[el.tagName.toLowerCase()] || '';
+    // <header>/<footer> inside a sectioning element belong to that section, not to the page.
+    if (kind !== 'navigation' && el.parentElement && el.parentElement.closest('article, aside, main, nav, section')) {
+      return '';
+    }
+    return kind;
+  };
+  const nameOf = (el) => {
+    const labelledby = (el.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map((id) => document.getElementById(id))
+      .filter(Boolean)
+      .map((node) => node.textContent)
+      .join(' ');
+    return clip(el.getAttribute('aria-label') || labelledby || el.getAttribute('title') || '', 80);
+  };
+  const signature = (el, depth) => {
+    const tag = el.tagName.toLowerCase();
+    const role = el.getAttribute('role');
+    let sig = role ? tag + '[' + role + ']' : tag;
+    const named = el.getAttribute('aria-label');
+    if (named) sig += '"' + clip(named, 60) + '"';
+    if (tag === 'img') sig += '{' + (el.getAttribute('alt') === null ? '-' : clip(el.getAttribute('alt'), 60)) + '}';
+    if (tag === 'a' || tag === 'button') sig += '{' + clip(el.textContent, 60) + '}';
+    if (depth >= 10) return sig;
+    const children = Array.from(el.children)
+      .filter((child) => !['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'].includes(child.tagName))
+      .map((child) => signature(child, depth + 1));
+    return children.length ? sig + '(' + children.join(',') + ')' : sig;
+  };
+  const candidates = Array.from(
+    document.querySelectorAll('header, nav, footer, [role="banner"], [role="navigation"], [role="contentinfo"]')
+  ).filter((el) => kindOf(el));
+  const roots = candidates.filter((el) => !candidates.some((other) => other !== el && other.contains(el)));
+  return roots.map((el) => ({
+    kind: kindOf(el),
+    label: nameOf(el),
+    signature: signature(el, 0),
+    html: clip(el.outerHTML, maxHtml),
+    links: Array.from(el.querySelectorAll('a[href]'))
+      .slice(0, maxItems)
+      .map((a) => ({ name: clip(a.getAttribute('aria-label') || a.textContent, 80), href: clip(a.getAttribute('href'), 120) })),
+    images: Array.from(el.querySelectorAll('img, svg, [role="img"]'))
+      .slice(0, maxItems)
+      .map((img) => ({
+        tag: img.tagName.toLowerCase(),
+        alt: img.getAttribute('alt') === null ? null : clip(img.getAttribute('alt'), 120),
+        name: nameOf(img),
+        ariaHidden: img.getAttribute('aria-hidden') === 'true'
+      })),
+    buttons: Array.from(el.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"]'))
+      .slice(0, maxItems)
+      .map((button) => ({
+        name: clip(button.getAttribute('aria-label') || button.textContent || button.getAttribute('value'), 80),
+        expanded: button.getAttribute('aria-expanded')
+      })),
+    controls: Array.from(el.querySelectorAll('input:not([type="hidden"]), select, textarea'))
+      .slice(0, maxItems)
+      .map((control) => ({
+        tag: control.tagName.toLowerCase(),
+        type: control.getAttribute('type') || '',
+        label: clip(Array.from(control.labels || []).map((label) => label.textContent).join(' '), 80),
+        name: nameOf(control),
+        placeholder: clip(control.getAttribute('placeholder'), 80)
+      }))
+  }));
+}
+
+// The fingerprint identifies the same component on different pages; the raw signature is dropped.
+export function buildComponents(raw = []) {
+  return (Array.isArray(raw) ? raw : []).map(({ signature, ...component }) => ({
+    ...component,
+    fingerprint: crypto.createHash('sha1').update(`${component.kind}|${signature}`).digest('hex').slice(0, 12)
+  }));
+}
+
+export async function runComponentCapture({ browserUrl, url } = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  try {
+    return buildComponents(await session.callFunction(pageCollectComponents, MAX_HTML, MAX_ITEMS));
+  } finally {
+    session.close();
+  }
+}
+
+export function createComponentCriteriaMatcher(raw = process.env.AUDIT_COMPONENT_CRITERIA) {
+  const selectors = String(raw || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return createCriteriaMatcher(selectors.length ? selectors : DEFAULT_COMPONENT_CRITERIA);
+}
+
+export function componentLabel(entry, i18n) {
+  const [fr, en] = KIND_LABELS[entry.kind] || [entry.kind, entry.kind];
+  return i18n.t(
+    `${entry.id} – ${fr}${entry.label ? ` « ${entry.label} »` : ''}`,
+    `${entry.id} – ${en}${entry.label ? ` "${entry.label}"` : ''}`
+  );
+}
+
+// One entry per distinct component (kind + fingerprint) across the audit, with the pages that
+// contain it and its verdicts by criterion id. `saved` is the resume-file form (list()).
+export function createComponentRegistry(saved = []) {
+  const entries = new Map();
+  for (const entry of Array.isArray(saved) ? saved : []) {
+    if (entry?.kind && entry?.fingerprint) entries.set(`${entry.kind}:${entry.fingerprint}`, entry);
+  }
+  return {
+    track(components, page) {
+      const tracked = [];
+      for (const component of Array.isArray(components) ? components : []) {
+        const key = `${component.kind}:${component.fingerprint}`;
+        if (tracked.some((item) => item.key === key)) continue;
+        if (!entries.has(key)) {
+          entries.set(key, {
+            id: `C${entries.size + 1}`,
+            kind: component.kind,
+            label: component.label || '',
+            fingerprint: component.fingerprint,
+            pages: [],
+            results: {}
+          });
+        }
+        const entry = entries.get(key);
+        if (!entry.pages.includes(page)) entry.pages.push(page);
+        tracked.push({ key, entry, component });
+      }
+      return tracked;
+    },
+    list() {
+      return Array.from(entries.values());
+    }
+  };
+}
+
+// Evidence for reviewing one component on its own.
+export function componentSnapshot(snapshot, component) {
+  const { kind, label, html, links, images, buttons, controls } = component;
+  return {
+    title: snapshot?.title || '',
+    lang: snapshot?.lang || '',
+    href: snapshot?.href || '',
+    component: { kind, label, html, links, images, buttons, controls }
+  };
+}
+
+// Page evidence that tells the reviewer which components (and criteria) are covered elsewhere.
+export function withSharedComponents(snapshot, tracked, criteriaIds) {
+  return {
+    ...snapshot,
+    sharedComponents: tracked.map(({ entry }) => ({
+      id: entry.id,
+      kind: entry.kind,
+      label: entry.label,
+      criteria: criteriaIds.filter((id) => entry.results[id])
+    }))
+  };
+}
+
+// A component verdict counts for every page that contains the component: the page keeps the worst
+// status (same precedence as states), and a component that decides it is named in the notes.
+// Only criteria sent to the AI on this page (`candidateIds`) take it; automated verdicts stand.
+export function mergeComponentResults(results, tracked, i18n, candidateIds = new Set()) {
+  return results.map((res) => {
+    if (!res || res.status === STATUS.NE || !candidateIds.has(res.id)) return res;
+    const found = tracked
+      .map(({ entry }) => ({ entry, verdict: entry.results[res.id] }))
+      .filter((item) => item.verdict);
+    if (!found.length) return res;
+    const status = mergeStatuses([res.status, ...found.map((item) => item.verdict.status)]);
+    if (status === res.status) return res;
+    const source = found.find((item) => item.verdict.status === status);
+    const { confidence, rationale, evidence, tests = [] } = source.verdict;
+    const label = componentLabel(source.entry, i18n);
+    return {
+      ...res,
+      status,
+      notes: i18n.t(
+        `Composant ${label} : ${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`,
+        `Component ${label}: ${i18n.notes.aiReviewLabel()} (${confidence.toFixed(2)}): ${rationale}`
+      ),
+      failedTests: aiFailedTests(status, tests),
+      ai: { confidence, rationale, evidence, tests },
+      component: source.entry.id
+    };
+  });
+}
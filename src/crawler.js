@@ -0,0 +1,327 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { load as loadCheerio } from 'cheerio';
+
+const FETCH_TIMEOUT_MS = (() => {
+  const raw = Number(process.env.AUDIT_DISCOVER_TIMEOUT_MS || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 10000;
+})();
+
+const SKIPPED_EXTENSION_RE =
+  /\.(pdf|zip|gz|jpe?g|png|gif|svg|webp|avif|ico|css|js|mjs|json|xml|txt|csv|mp4|webm|mp3|docx?|xlsx?|pptx?|odt|ods|woff2?|ttf)$/i;
+const LOCALE_SEGMENT_RE = /^[a-z]{2}(?:[-_][a-z]{2})?$/i;
+// Containers only: text-level tags vary from one page to the next of the same template.
+const STRUCTURAL_TAGS = new Set([
+  'header',
+  'nav',
+  'main',
+  'footer',
+  'aside',
+  'section',
+  'article',
+  'div',
+  'form',
+  'fieldset',
+  'table',
+  'ul',
+  'ol',
+  'dl',
+  'figure',
+  'iframe',
+  'video',
+  'audio',
+  'dialog',
+  'details'
+]);
+const FINGERPRINT_DEPTH = 4;
+
+// RGAA sample: pages that must be audited when they exist, then one page per template.
+export const MANDATORY_PAGES = [
+  { key: 'home', label: 'Accueil / Home', pattern: null },
+  { key: 'contact', label: 'Contact', pattern: /contact/i },
+  {
+    key: 'legal',
+    label: 'Mentions légales / Legal notice',
+    pattern: /mentions[\s_-]*l[ée]gales|legal[\s_-]*notice|\blegal\b|imprint|impressum/i
+  },
+  {
+    key: 'accessibility',
+    label: 'Déclaration d’accessibilité / Accessibility statement',
+    pattern: /accessibilit[ée]|accessibility/i
+  },
+  { key: 'sitemap', label: 'Plan du site / Sitemap', pattern: /plan[\s_-]*du[\s_-]*site|site[\s_-]?map/i },
+  { key: 'help', label: 'Aide / Help', pattern: /\baide\b|\bhelp\b|\bfaq\b/i },
+  {
+    key: 'auth',
+    label: 'Authentification / Login',
+    pattern: /connexion|se[\s_-]*connecter|\blog[\s_-]?in\b|sign[\s_-]?in|mon[\s_-]*compte|\baccount\b/i
+  },
+  { key: 'search', label: 'Résultats de recherche / Search results', pattern: /recherche|\bsearch\b/i }
+];
+
+export function normalizeCrawlUrl(value, base = undefined) {
+  try {
+    const url = new URL(String(value || '').trim(), base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return '';
+    url.hash = '';
+    return url.href;
+  } catch {
+    return '';
+  }
+}
+
+// Section-level pattern: locale prefix and first segment kept, the rest generalized.
+export function urlPattern(url) {
+  let pathname = '/';
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return '/';
+  }
+  const segments = pathname.split('/').filter(Boolean);
+  const kept = [];
+  let index = 0;
+  if (segments.length > 1 && LOCALE_SEGMENT_RE.test(segments[0])) {
+    kept.push(segments[0].toLowerCase());
+    index = 1;
+  }
+  if (index < segments.length) {
+    const section = segments[index];
+    kept.push(/^\d+$/.test(section) || /^[0-9a-f-]{8,}$/i.test(section) ? ':id' : section.toLowerCase());
+    index += 1;
+  }
+  const rest = index < segments.length ? '/*' : '';
+  return `/${kept.join('/')}${rest}`;
+}
+
+export function domFingerprint(html) {
+  const $ = loadCheerio(String(html || ''));
+  const walk = (el, depth) => {
+    const parts = [];
+    for (const child of $(el).children().toArray()) {
+      const tag = String(child.tagName || '').toLowerCase();
+      if (!STRUCTURAL_TAGS.has(tag)) continue;
+      const role = $(child).attr('role');
+      const inner = depth < FINGERPRINT_DEPTH ? walk(child, depth + 1) : '';
+      const part = `${tag}${role ? `[${role}]` : ''}${inner ? `(${inner})` : ''}`;
+      // Repeated siblings (cards, list items) count once.
+      if (parts[parts.length - 1] !== part) parts.push(part);
+    }
+    return parts.join(',');
+  };
+  const skeleton = walk($('body').get(0) || $.root().get(0), 1);
+  return createHash('sha1').update(skeleton).digest('hex').slice(0, 10);
+}
+
+export function parseSitemap(xml) {
+  const $ = loadCheerio(String(xml || ''), { xmlMode: true });
+  const locs = (selector) =>
+    $(selector)
+      .map((_, el) => $(el).text().trim())
+      .get()
+      .filter(Boolean);
+  return { urls: locs('urlset > url > loc'), sitemaps: locs('sitemapindex > sitemap > loc') };
+}
+
+function findSearchForm($, pageUrl) {
+  const form = $('form[role="search"], form:has(input[type="search"])').first();
+  if (!form.length) return '';
+  if (String(form.attr('method') || 'get').toLowerCase() !== 'get') return '';
+  const input = form.find('input[type="search"], input[name="q"], input[name="s"], input[type="text"]').first();
+  const name = input.attr('name');
+  if (!name) return '';
+  const action = normalizeCrawlUrl(form.attr('action') || pageUrl, pageUrl);
+  if (!action) return '';
+  const url = new URL(action);
+  url.searchParams.set(name, 'accessibilité');
+  return url.href;
+}
+
+export function analyzePage(html, pageUrl) {
+  const $ = loadCheerio(String(html || ''));
+  const links = [];
+  $('a[href]').each((_, el) => {
+    const href = normalizeCrawlUrl($(el).attr('href'), pageUrl);
+    if (!href) return;
+    const text = ($(el).text() || $(el).attr('aria-label') || $(el).attr('title') || '').replace(/\s+/g, ' ').trim();
+    links.push({ url: href, text });
+  });
+  return {
+    title: $('title').first().text().replace(/\s+/g, ' ').trim(),
+    links,
+    fingerprint: domFingerprint(html),
+    searchUrl: findSearchForm($, pageUrl)
+  };
+}
+
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, redirect: 'follow' });
+    if (!res.ok) return null;
+    return {
+      url: res.url || url,
+      contentType: String(res.headers.get('content-type') || ''),
+      text: await res.text()
+    };
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readSitemaps(origin, { fetcher, onLog, limit }) {
+  const candidates = [`${origin}/sitemap.xml`];
+  const robots = await fetcher(`${origin}/robots.txt`);
+  for (const line of String(robots?.text || '').split(/\r?\n/)) {
+    const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+    if (match) candidates.unshift(match[1]);
+  }
+  const urls = [];
+  const visited = new Set();
+  while (candidates.length && visited.size < 20 && urls.length < limit) {
+    const sitemapUrl = candidates.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+    const res = await fetcher(sitemapUrl);
+    if (!res?.text) continue;
+    const parsed = parseSitemap(res.text);
+    onLog?.(`Sitemap ${sitemapUrl}: ${parsed.urls.length} URL(s), ${parsed.sitemaps.length} nested sitemap(s)`);
+    urls.push(...parsed.urls);
+    candidates.push(...parsed.sitemaps);
+  }
+  return urls;
+}
+
+// Breadth-first, same origin only; sitemap URLs are queued right after the start page.
+export async function discoverSite(
+  startUrl,
+  { maxDepth = 2, maxPages = 200, useSitemap = true, fetcher = fetchPage, onLog } = {}
+) {
+  const start = normalizeCrawlUrl(startUrl);
+  if (!start) throw new Error(`Discovery needs an http(s) start URL: ${startUrl}`);
+  const { origin } = new URL(start);
+  const queue = [{ url: start, depth: 0 }];
+  const queued = new Set([start]);
+  const linkTexts = new Map();
+  const enqueue = (url, depth) => {
+    if (!url || queued.has(url) || SKIPPED_EXTENSION_RE.test(new URL(url).pathname)) return;
+    if (new URL(url).origin !== origin) return;
+    queued.add(url);
+    queue.push({ url, depth });
+  };
+
+  if (useSitemap) {
+    for (const url of await readSitemaps(origin, { fetcher, onLog, limit: maxPages * 5 })) {
+      enqueue(normalizeCrawlUrl(url), 1);
+    }
+  }
+
+  const pages = [];
+  const fetched = new Set();
+  while (queue.length && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    const res = await fetcher(url);
+    if (!res?.text || (res.contentType && !/html/i.test(res.contentType))) continue;
+    const finalUrl = normalizeCrawlUrl(res.url || url) || url;
+    if (new URL(finalUrl).origin !== origin || fetched.has(finalUrl)) continue;
+    fetched.add(finalUrl);
+    const info = analyzePage(res.text, finalUrl);
+    pages.push({ url: finalUrl, depth, title: info.title, fingerprint: info.fingerprint, searchUrl: info.searchUrl });
+    for (const link of info.links) {
+      if (link.text) {
+        if (!linkTexts.has(link.url)) linkTexts.set(link.url, new Set());
+        linkTexts.get(link.url).add(link.text);
+      }
+      if (depth < maxDepth) enqueue(link.url, depth + 1);
+    }
+    onLog?.(`[${pages.length}/${maxPages}] depth ${depth} ${finalUrl}`);
+  }
+  for (const page of pages) {
+    page.linkTexts = Array.from(linkTexts.get(page.url) || []);
+    page.template = `${urlPattern(page.url)} #${page.fingerprint}`;
+  }
+  return { origin, startUrl: start, pages };
+}
+
+function matchesMandatory(entry, page) {
+  let pathname = '';
+  try {
+    pathname = decodeURIComponent(new URL(page.url).pathname);
+  } catch {
+    pathname = page.url;
+  }
+  return [pathname, page.title, ...page.linkTexts].some((text) => entry.pattern.test(text || ''));
+}
+
+export function buildSample({ startUrl, pages }) {
+  const picked = new Set();
+  const mandatory = MANDATORY_PAGES.map((entry) => {
+    let page = null;
+    if (entry.key === 'home') {
+      page = pages.find((item) => new URL(item.url).pathname === '/') || pages[0] || null;
+    } else {
+      page = pages.find((item) => !picked.has(item.url) && matchesMandatory(entry, item)) || null;
+    }
+    let url = page?.url || '';
+    let note = '';
+    if (!url && entry.key === 'search') {
+      url = pages.find((item) => item.searchUrl)?.searchUrl || '';
+      if (url) note = 'built from the search form';
+    }
+    if (url) picked.add(url);
+    return { key: entry.key, label: entry.label, url, note };
+  });
+
+  const groups = new Map();
+  for (const page of pages) {
+    if (!groups.has(page.template)) groups.set(page.template, []);
+    groups.get(page.template).push(page);
+  }
+  const templates = Array.from(groups.entries())
+    .map(([template, members]) => ({
+      template,
+      count: members.length,
+      // Shallowest page (crawl order) stands for the template unless a mandatory page already does.
+      url: members.find((page) => picked.has(page.url))?.url || members[0].url,
+      covered: members.some((page) => picked.has(page.url))
+    }))
+    .sort((a, b) => b.count - a.count || a.template.localeCompare(b.template));
+
+  return { startUrl, discovered: pages.length, mandatory, templates };
+}
+
+// Plain pages file: one URL per line, context in `#` comments (parsePagesFile ignores them).
+export function formatSampleFile(sample, { generatedAt = new Date() } = {}) {
+  const lines = [
+    `# RGAA sample for ${sample.startUrl}`,
+    `# Generated ${generatedAt.toISOString()} — ${sample.discovered} page(s) discovered, ${sample.templates.length} template(s)`,
+    '',
+    '# Mandatory pages'
+  ];
+  for (const entry of sample.mandatory) {
+    if (!entry.url) {
+      lines.push(`# ${entry.label}: not found, add it manually if the site has one`);
+      continue;
+    }
+    lines.push(`# ${entry.label}${entry.note ? ` (${entry.note})` : ''}`, entry.url);
+  }
+  lines.push('', '# One page per template');
+  for (const template of sample.templates) {
+    const label = `# ${template.template} — ${template.count} page(s)`;
+    if (template.covered) {
+      lines.push(`${label}, covered by ${template.url}`);
+      continue;
+    }
+    lines.push(label, template.url);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export async function writeSampleFile(filePath, sample) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, formatSampleFile(sample), 'utf-8');
+}
@@ -19,3 +19,88 @@ export function loadCriteria(options = {}) {
   const data = JSON.parse(fs.readFileSync(criteriaPath, 'utf-8'));
   return data.criteria || [];
 }
+
+function parseCriterionId(id) {
+  const match = String(id || '').trim().match(/^(\d+)\.(\d+)$/);
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+// Selectors: "11.1" (one criterion), "3.*" (a whole theme), "11.1-11.13" (a range within a theme).
+export function createCriteriaMatcher(patterns = []) {
+  const tests = patterns.map((raw) => {
+    const pattern = String(raw || '').trim();
+    const theme = pattern.match(/^(\d+)(?:\.\*)?$/);
+    if (theme) return (id) => parseCriterionId(id)?.[0] === Number(theme[1]);
+    const range = pattern.match(/^(\d+\.\d+)\s*-\s*(\d+\.\d+)$/);
+    if (range) {
+      const [fromTheme, from] = parseCriterionId(range[1]);
+      const [toTheme, to] = parseCriterionId(range[2]);
+      if (fromTheme !== toTheme || from > to) {
+        throw new Error(`Invalid criteria range "${pattern}" (use N.a-N.b within one theme).`);
+      }
+      return (id) => {
+        const parsed = parseCriterionId(id);
+        return Boolean(parsed) && parsed[0] === fromTheme && parsed[1] >= from && parsed[1] <= to;
+      };
+    }
+    if (parseCriterionId(pattern)) return (id) => String(id) === pattern;
+    throw new Error(`Invalid criteria selector "${pattern}" (use 1.1, 3.* or 11.1-11.13).`);
+  });
+  return (id) => tests.some((test) => test(id));
+}
+
+// Matchers are built once per selection object (the run's selection, each page's filter).
+const selectionMatchers = new WeakMap();
+
+// `filter` is { include, exclude } selector lists; a missing filter selects everything.
+export function isCriterionSelected(filter, criterionId) {
+  if (!filter) return true;
+  let matchers = selectionMatchers.get(filter);
+  if (!matchers) {
+    matchers = {
+      include: filter.include?.length ? createCriteriaMatcher(filter.include) : null,
+      exclude: filter.exclude?.length ? createCriteriaMatcher(filter.exclude) : null
+    };
+    selectionMatchers.set(filter, matchers);
+  }
+  if (matchers.include && !matchers.include(criterionId)) return false;
+  return !(matchers.exclude && matchers.exclude(criterionId));
+}
+
+function normalizeThemeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’`]/g, "'")
+    .toLowerCase()
+    .trim();
+}
+
+// Theme names (French or English, accents, apostrophes and case ignored) or numbers -> "N.*" selectors.
+export function themeSelectors(themes = []) {
+  const byName = new Map();
+  for (const lang of ['fr', 'en']) {
+    for (const criterion of loadCriteria({ lang })) {
+      byName.set(normalizeThemeName(criterion.theme), criterion.id.split('.')[0]);
+    }
+  }
+  return themes.map((raw) => {
+    const value = String(raw || '').trim();
+    if (/^\d+$/.test(value)) return `${value}.*`;
+    const number = byName.get(normalizeThemeName(value));
+    if (!number) {
+      const known = Array.from(new Set(loadCriteria({ lang: 'fr' }).map((criterion) => criterion.theme)));
+      throw new Error(`Unknown RGAA theme "${value}" (known: ${known.join(', ')}).`);
+    }
+    return `${number}.*`;
+  });
+}
+
+// CLI selection (--criteria/--themes and their exclude variants) -> { include, exclude }, or null for all.
+export function resolveCriteriaSelection({ criteria = [], themes = [], excludeCriteria = [], excludeThemes = [] } = {}) {
+  const include = [...criteria, ...themeSelectors(themes)];
+  const exclude = [...excludeCriteria, ...themeSelectors(excludeThemes)];
+  if (!include.length && !exclude.length) return null;
+  createCriteriaMatcher([...include, ...exclude]);
+  return { include, exclude };
+}
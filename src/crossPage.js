@@ -0,0 +1,460 @@
+import { STATUS } from './checks.js';
+
+const MAX_EXAMPLES = 6;
+const MENU_MATCH_RATIO = 0.6;
+
+// Same place on screen: within AUDIT_NAV_POSITION_TOLERANCE px horizontally, and vertically from the
+// top or from the bottom of the page (footers move with the page length).
+const POSITION_TOLERANCE = (() => {
+  const raw = Number(process.env.AUDIT_NAV_POSITION_TOLERANCE || '');
+  return Number.isFinite(raw) && raw >= 0 ? raw : 24;
+})();
+
+const FEATURE_LABELS = {
+  menu: ['menu de navigation', 'navigation menu'],
+  sitemap: ['plan du site', 'site map'],
+  search: ['moteur de recherche', 'search engine']
+};
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Same-origin targets keep only path + query so that menus compare across pages.
+function normalizeHref(href, baseUrl) {
+  const raw = String(href || '').trim();
+  if (!raw || raw.startsWith('#') || /^javascript:/i.test(raw)) return '';
+  try {
+    const url = new URL(raw, baseUrl);
+    const target = `${url.pathname.replace(/\/+$/, '') || '/'}${url.search}`;
+    return url.origin === new URL(baseUrl).origin ? target : `${url.origin}${target}`;
+  } catch {
+    return raw;
+  }
+}
+
+function extractSearchEvidence(snapshot) {
+  const landmarks = Array.isArray(snapshot?.landmarks) ? snapshot.landmarks : [];
+  const controls = Array.isArray(snapshot?.formControls) ? snapshot.formControls : [];
+  const links = Array.isArray(snapshot?.links) ? snapshot.links : [];
+  const keywords = ['search', 'recherche', 'chercher', 'rechercher'];
+  const hasKeyword = (value) => {
+    const text = normalizeText(value);
+    if (!text) return false;
+    return keywords.some((k) => text.includes(k));
+  };
+
+  const searchLandmarks = landmarks
+    .filter((l) => String(l?.role || '').toLowerCase() === 'search' || hasKeyword(l?.label))
+    .slice(0, 5)
+    .map((l) => ({
+      tag: l?.tag || '',
+      role: l?.role || '',
+      label: l?.label || ''
+    }));
+
+  const searchControls = controls
+    .filter((c) => {
+      if (String(c?.type || '').toLowerCase() === 'search') return true;
+      return hasKeyword(c?.label) || hasKeyword(c?.name) || hasKeyword(c?.id);
+    })
+    .slice(0, 8)
+    .map((c) => ({
+      tag: c?.tag || '',
+      type: c?.type || '',
+      label: c?.label || '',
+      name: c?.name || '',
+      id: c?.id || ''
+    }));
+
+  const searchLinks = links
+    .filter((l) => hasKeyword(l?.name) || hasKeyword(l?.href))
+    .slice(0, 6)
+    .map((l) => ({
+      name: l?.name || '',
+      href: l?.href || ''
+    }));
+
+  return { searchLandmarks, searchControls, searchLinks };
+}
+
+// What the second pass keeps for each page (also saved in the resume file).
+export function extractCrossPageEvidence(snapshot, url = '') {
+  if (!snapshot) return null;
+  const baseUrl = snapshot.href || url;
+  const navigation = snapshot.navigation || {};
+  const withHref = (item) => ({ ...item, href: normalizeHref(item.href, baseUrl) });
+  return {
+    ...extractSearchEvidence(snapshot),
+    menus: (navigation.menus || []).map((menu) => ({
+      ...menu,
+      links: (menu.links || []).map(withHref).filter((link) => link.href)
+    })),
+    sitemapLinks: (navigation.sitemapLinks || []).map(withHref),
+    search: navigation.search || []
+  };
+}
+
+function pageRef(pages, p) {
+  return `P${pages[p]?.index || p + 1}`;
+}
+
+function describePlace(item) {
+  if (!item.visible) return 'hidden';
+  return `${item.region || 'body'} x=${item.rect.x} y=${item.rect.y}`;
+}
+
+function samePlace(a, b) {
+  if (a.region !== b.region) return false;
+  if (!a.visible && !b.visible) return true;
+  const near = (x, y) => Math.abs(x - y) <= POSITION_TOLERANCE;
+  return near(a.rect.x, b.rect.x) && (near(a.rect.y, b.rect.y) || near(a.rect.fromBottom, b.rect.fromBottom));
+}
+
+function sameMenu(a, b) {
+  if (a.region !== b.region) return false;
+  if (a.label && normalizeText(a.label) === normalizeText(b.label)) return true;
+  const left = new Set((a.links || []).map((link) => link.href));
+  const right = new Set((b.links || []).map((link) => link.href));
+  const shared = [...left].filter((href) => right.has(href)).length;
+  const total = new Set([...left, ...right]).size;
+  return total > 0 && shared / total >= MENU_MATCH_RATIO;
+}
+
+// Menus matched across pages plus the first site map link and search entry of each page; entries map
+// a page position to the item found there.
+function collectFeatures(pages) {
+  const menus = [];
+  pages.forEach((page, p) => {
+    for (const menu of page.menus || []) {
+      const group = menus.find((item) => !item.entries.has(p) && sameMenu(item.entries.values().next().value, menu));
+      if (group) group.entries.set(p, menu);
+      else menus.push({ key: `menu:${menus.length + 1}`, label: menu.label || menu.selector, entries: new Map([[p, menu]]) });
+    }
+  });
+  const first = (list) => (list || []).find((item) => item.visible) || (list || [])[0];
+  const single = (key, listOf) => ({
+    key,
+    entries: new Map(pages.map((page, p) => [p, first(listOf(page))]).filter(([, item]) => item))
+  });
+  return [...menus, single('sitemap', (page) => page.sitemapLinks), single('search', (page) => page.search)];
+}
+
+// Keys of the features found on both pages, in source order, must come in the same sequence.
+function sameRelativeOrder(features, a, b) {
+  const common = features.filter((feature) => feature.entries.has(a) && feature.entries.has(b));
+  const sequence = (p) =>
+    common
+      .slice()
+      .sort((x, y) => x.entries.get(p).order - y.entries.get(p).order)
+      .map((feature) => feature.key)
+      .join('|');
+  return sequence(a) === sequence(b);
+}
+
+function compareNavigationSystems(pages, i18n) {
+  const label = (key) => i18n.t(...FEATURE_LABELS[key]);
+  const systems = pages.map((page) =>
+    [
+      (page.menus || []).some((menu) => (menu.linkCount || (menu.links || []).length) >= 2) ? 'menu' : '',
+      (page.sitemapLinks || []).length ? 'sitemap' : '',
+      (page.search || []).length || (page.searchControls || []).length ? 'search' : ''
+    ].filter(Boolean)
+  );
+  const found = systems.map(
+    (keys, p) => `${pageRef(pages, p)}: ${keys.map(label).join(', ') || i18n.t('aucun', 'none')}`
+  );
+  if (systems.every((keys) => keys.length >= 2)) {
+    return {
+      status: STATUS.C,
+      notes: i18n.t(
+        'Comparaison inter-pages : au moins deux systèmes de navigation sur chaque page.',
+        'Cross-page comparison: at least two navigation systems on every page.'
+      ),
+      examples: found.slice(0, MAX_EXAMPLES)
+    };
+  }
+  // Fewer than two may still be a special case (very small site, pages of a process): the AI decides.
+  return {
+    status: null,
+    findings: found.filter((_, p) => systems[p].length < 2).map((text) =>
+      i18n.t(`Moins de deux systèmes de navigation détectés — ${text}`, `Fewer than two navigation systems detected — ${text}`)
+    )
+  };
+}
+
+// Targets of a menu on one page compared with another page, leaving out links to either page itself
+// (the current item of a menu is often not a link).
+function linkSetChanges(pages, refPage, ref, p, menu) {
+  const own = new Set([refPage, p].map((index) => normalizeHref(pages[index]?.url, pages[index]?.url)));
+  const targets = (item) => new Set((item.links || []).map((link) => link.href).filter((href) => !own.has(href)));
+  const before = targets(ref);
+  const after = targets(menu);
+  return {
+    removed: [...before].filter((href) => !after.has(href)),
+    added: [...after].filter((href) => !before.has(href))
+  };
+}
+
+function compareMenus(pages, i18n) {
+  const features = collectFeatures(pages);
+  const shared = features.filter((feature) => feature.key.startsWith('menu:') && feature.entries.size > 1);
+  if (!shared.length) {
+    return {
+      status: null,
+      findings: [
+        i18n.t(
+          'Aucun menu ni barre de navigation (nav, role="navigation") commun à plusieurs pages.',
+          'No menu or navigation bar (nav, role="navigation") shared by several pages.'
+        )
+      ]
+    };
+  }
+  // Only a different set of links is decided here. Positions and source order shift with cookie
+  // banners, breadcrumbs or alert bars, so those differences go to the AI as findings.
+  const examples = [];
+  const findings = [];
+  for (const feature of shared) {
+    const [[refPage, ref], ...others] = [...feature.entries];
+    for (const [p, menu] of others) {
+      const { removed, added } = linkSetChanges(pages, refPage, ref, p, menu);
+      if (removed.length || added.length) {
+        examples.push(
+          [
+            `${feature.label}: ${pageRef(pages, p)}`,
+            removed.length ? i18n.t(`sans ${removed.join(', ')}`, `without ${removed.join(', ')}`) : '',
+            added.length ? i18n.t(`avec ${added.join(', ')}`, `with ${added.join(', ')}`) : ''
+          ]
+            .filter(Boolean)
+            .join(' ')
+        );
+      }
+      if (menu.visible !== ref.visible) {
+        findings.push(
+          i18n.t(
+            `${feature.label} : affiché sur ${pageRef(pages, ref.visible ? refPage : p)}, masqué sur ${pageRef(pages, ref.visible ? p : refPage)}.`,
+            `${feature.label}: shown on ${pageRef(pages, ref.visible ? refPage : p)}, hidden on ${pageRef(pages, ref.visible ? p : refPage)}.`
+          )
+        );
+      } else if (!samePlace(ref, menu)) {
+        findings.push(
+          `${feature.label}: ${pageRef(pages, refPage)} ${describePlace(ref)} ≠ ${pageRef(pages, p)} ${describePlace(menu)}`
+        );
+      }
+    }
+  }
+  for (let p = 1; p < pages.length; p += 1) {
+    if (!sameRelativeOrder(shared, 0, p)) {
+      findings.push(
+        i18n.t(
+          `${pageRef(pages, p)} : menus dans un autre ordre que sur ${pageRef(pages, 0)} dans le code source.`,
+          `${pageRef(pages, p)}: menus in a different source order than on ${pageRef(pages, 0)}.`
+        )
+      );
+    }
+  }
+  if (examples.length) {
+    return {
+      status: STATUS.NC,
+      failedTests: ['12.2.1'],
+      notes: i18n.t(
+        'Comparaison inter-pages : un menu ou une barre de navigation ne propose pas les mêmes liens selon les pages.',
+        'Cross-page comparison: a menu or navigation bar does not offer the same links on every page.'
+      ),
+      examples: examples.slice(0, MAX_EXAMPLES)
+    };
+  }
+  if (findings.length) return { status: null, findings };
+  return {
+    status: STATUS.C,
+    notes: i18n.t(
+      `Comparaison inter-pages : ${shared.length} menu(s) à la même place et dans le même ordre sur les pages qui les contiennent.`,
+      `Cross-page comparison: ${shared.length} menu(s) in the same place and source order on the pages that have them.`
+    ),
+    examples: shared.map((feature) => `${feature.label}: ${[...feature.entries.keys()].map((p) => pageRef(pages, p)).join(', ')}`)
+  };
+}
+
+// 12.4 and 12.5 share three tests: same feature (.1), same place (.2), same relative source order (.3).
+function compareFeature(key, criterionId) {
+  return (pages, i18n) => {
+    const [labelFr, labelEn] = FEATURE_LABELS[key];
+    const features = collectFeatures(pages);
+    const feature = features.find((item) => item.key === key);
+    const missing = pages.map((_, p) => p).filter((p) => !feature.entries.has(p));
+    // Missing on some pages may be a special case or a detection gap: left to the AI.
+    if (missing.length) {
+      return {
+        status: null,
+        findings: [
+          missing.length === pages.length
+            ? i18n.t(`Aucun accès au ${labelFr} détecté.`, `No access to the ${labelEn} detected.`)
+            : i18n.t(
+                `Accès au ${labelFr} non détecté sur ${missing.map((p) => pageRef(pages, p)).join(', ')}.`,
+                `Access to the ${labelEn} not detected on ${missing.map((p) => pageRef(pages, p)).join(', ')}.`
+              )
+        ]
+      };
+    }
+    const describe = (item) => `${item.kind || 'link'} "${item.name}"`;
+    const ref = feature.entries.get(0);
+    const others = features.filter(
+      (item) => item.key !== key && pages.every((_, p) => item.entries.has(p))
+    );
+    const before = (p) =>
+      others
+        .filter((item) => item.entries.get(p).order < feature.entries.get(p).order)
+        .map((item) => item.key)
+        .join('|');
+    const failed = new Set();
+    const examples = [];
+    const findings = [];
+    for (let p = 1; p < pages.length; p += 1) {
+      const item = feature.entries.get(p);
+      const pair = (a, b) => `${pageRef(pages, 0)} ${a} ≠ ${pageRef(pages, p)} ${b}`;
+      if ((item.kind || '') !== (ref.kind || '')) {
+        failed.add(`${criterionId}.1`);
+        examples.push(pair(describe(ref), describe(item)));
+      } else if (normalizeText(item.name) !== normalizeText(ref.name)) {
+        findings.push(pair(describe(ref), describe(item)));
+      }
+      if (item.visible !== ref.visible) {
+        findings.push(pair(describePlace(ref), describePlace(item)));
+      } else if (!samePlace(ref, item)) {
+        failed.add(`${criterionId}.2`);
+        examples.push(pair(describePlace(ref), describePlace(item)));
+      }
+      if (before(p) !== before(0)) {
+        failed.add(`${criterionId}.3`);
+        examples.push(
+          i18n.t(
+            `${pageRef(pages, p)} : ${labelFr} à une autre position relative que sur ${pageRef(pages, 0)} dans le code source.`,
+            `${pageRef(pages, p)}: ${labelEn} at a different relative source position than on ${pageRef(pages, 0)}.`
+          )
+        );
+      }
+    }
+    if (failed.size) {
+      return {
+        status: STATUS.NC,
+        failedTests: [...failed].sort(),
+        notes: i18n.t(
+          `Comparaison inter-pages : l’accès au ${labelFr} n’est pas identique sur toutes les pages.`,
+          `Cross-page comparison: access to the ${labelEn} is not identical on every page.`
+        ),
+        examples: examples.slice(0, MAX_EXAMPLES)
+      };
+    }
+    if (findings.length) return { status: null, findings };
+    return {
+      status: STATUS.C,
+      notes: i18n.t(
+        `Comparaison inter-pages : ${labelFr} atteignable par la même fonctionnalité, à la même place et dans le même ordre sur les ${pages.length} pages.`,
+        `Cross-page comparison: ${labelEn} reached through the same feature, in the same place and source order on all ${pages.length} pages.`
+      ),
+      examples: [`${describe(ref)} (${describePlace(ref)})`]
+    };
+  };
+}
+
+const promptMenu = ({ label, selector, region, visible, order, rect, linkCount, links = [] }) => ({
+  label,
+  selector,
+  region,
+  visible,
+  order,
+  rect,
+  linkCount,
+  links: links.slice(0, 20)
+});
+
+// Each multi-page criterion: the page evidence sent to the AI, a deterministic comparison (a status,
+// or null with findings when the AI has to decide) and the criterion-specific prompt lines.
+export const CROSS_PAGE_CRITERIA = [
+  {
+    id: '12.1',
+    evidence: (page) => ({
+      menus: (page.menus || []).map(promptMenu),
+      sitemapLinks: page.sitemapLinks || [],
+      search: page.search || [],
+      searchControls: page.searchControls || []
+    }),
+    compare: compareNavigationSystems,
+    prompt: {
+      en: [
+        'Navigation systems are: a navigation menu, a site map page, a search engine. The set of pages needs at least two of them.',
+        'Special cases (a site of a few pages, pages that are steps of a process) may justify a single system: say so in the rationale.'
+      ],
+      fr: [
+        'Les systèmes de navigation sont : un menu de navigation, une page « plan du site », un moteur de recherche. L’ensemble de pages doit en proposer au moins deux.',
+        'Les cas particuliers (site de quelques pages, pages d’un processus) peuvent justifier un seul système : indique-le dans la justification.'
+      ]
+    }
+  },
+  {
+    id: '12.2',
+    evidence: (page) => ({ menus: (page.menus || []).map(promptMenu) }),
+    compare: compareMenus,
+    prompt: {
+      en: [
+        'Compare the menus and navigation bars of every page: each one must be in the same place in the layout and in the same relative order in the source code (order = number of interactive elements before it).',
+        'A page without a menu does not fail the criterion; pages of a process are a special case.'
+      ],
+      fr: [
+        'Compare les menus et barres de navigation de chaque page : chacun doit être à la même place dans la présentation et dans le même ordre relatif dans le code source (order = nombre d’éléments interactifs qui le précèdent).',
+        'Une page sans menu ne rend pas le critère non conforme ; les pages d’un processus sont un cas particulier.'
+      ]
+    }
+  },
+  {
+    id: '12.4',
+    evidence: (page) => ({
+      sitemapLinks: page.sitemapLinks || [],
+      menus: (page.menus || []).map(({ label, region, order }) => ({ label, region, order }))
+    }),
+    compare: compareFeature('sitemap', '12.4'),
+    prompt: {
+      en: [
+        'Compare how the site map page is reached across all pages: same feature, same place in the layout, same relative order in the source code.',
+        'Return "Non applicable" only if the set of pages has no site map page.'
+      ],
+      fr: [
+        'Compare la manière d’accéder à la page « plan du site » sur toutes les pages : même fonctionnalité, même place dans la présentation, même ordre relatif dans le code source.',
+        'Réponds "Non applicable" uniquement si l’ensemble de pages n’a pas de page « plan du site ».'
+      ]
+    }
+  },
+  {
+    id: '12.5',
+    evidence: (page) => ({
+      searchLandmarks: page.searchLandmarks || [],
+      searchControls: page.searchControls || [],
+      searchLinks: page.searchLinks || [],
+      search: page.search || []
+    }),
+    compare: compareFeature('search', '12.5'),
+    prompt: {
+      en: [
+        'Compare how search is reached across all pages using the provided evidence (landmarks, controls, links, search entries with their place and source order).',
+        'Return "Non applicable" only if no search entry exists on all pages.'
+      ],
+      fr: [
+        'Compare la manière d’accéder à la recherche sur toutes les pages à partir des preuves fournies (landmarks, champs, liens, accès à la recherche avec leur place et leur ordre dans le code).',
+        'Réponds "Non applicable" uniquement si aucun accès à la recherche n’existe sur toutes les pages.'
+      ]
+    }
+  }
+];
+
+export function isCrossPageCriterion(id) {
+  return CROSS_PAGE_CRITERIA.some((definition) => definition.id === id);
+}
+
+export function compareCrossPage(definition, pages, i18n) {
+  const result = definition.compare(pages, i18n);
+  if (!result.status) return result;
+  return { ...result, automated: true, aiCandidate: false };
+}
@@ -31,8 +31,9 @@ function colorToRgbArray(color) {
 
 function isTransparentColor(color) {
   if (!color) return true;
-  if (typeof color.alpha === 'number') return color.alpha === 0;
-  return false;
+  // colorjs.io may hand back alpha as a Number wrapper, so coerce before comparing.
+  const alpha = Number(color.alpha);
+  return Number.isFinite(alpha) ? alpha === 0 : false;
 }
 
 function parseFontSizePx(value) {
@@ -98,6 +99,8 @@ export async function analyzeMotion({ screenshot1, screenshot2 }) {
 
 export function analyzeContrast(styleSamples = []) {
   const results = [];
+  // Pass/fail is decided on the exact ratio (4.495:1 fails 4.5:1); the rounded one is for display.
+  const exact = new Map();
   for (const sample of styleSamples) {
     const fg = parseColor(sample.color);
     const bg = parseColor(sample.backgroundColor);
@@ -107,84 +110,140 @@ export function analyzeContrast(styleSamples = []) {
     try {
       const fgScaled = fgRgb.map((c) => Math.round(c * 255));
       const bgScaled = bgRgb.map((c) => Math.round(c * 255));
-      const ratio = contrastRgb(fgScaled, bgScaled);
-      results.push({
+      const exactRatio = contrastRgb(fgScaled, bgScaled);
+      const classification = classifyContrast({
+        ratio: exactRatio,
+        fontSizePx: parseFontSizePx(sample.fontSize),
+        fontWeight: sample.fontWeight
+      });
+      const result = {
         text: sample.text,
         selector: sample.selector,
-        ratio: Number(ratio.toFixed(2)),
+        ratio: Number(exactRatio.toFixed(2)),
+        required: classification?.largeText ? 3 : 4.5,
+        largeText: Boolean(classification?.largeText),
+        passes: Boolean(classification?.aa),
         color: sample.color,
         backgroundColor: sample.backgroundColor,
         fontSize: sample.fontSize,
         fontWeight: sample.fontWeight
-      });
+      };
+      exact.set(result, { ratio: exactRatio, classification });
+      results.push(result);
     } catch {}
   }
-  const sorted = results.slice().sort((a, b) => a.ratio - b.ratio);
+  const sorted = results.slice().sort((a, b) => exact.get(a).ratio - exact.get(b).ratio);
   const worst = sorted[0] || null;
-  const worstClassification = worst
-    ? classifyContrast({
-        ratio: worst.ratio,
-        fontSizePx: parseFontSizePx(worst.fontSize),
-        fontWeight: worst.fontWeight
-      })
-    : null;
-  const failing = results.filter((r) => r.ratio < 4.5).length;
+  const worstClassification = worst ? exact.get(worst).classification : null;
+  // Large text only needs 3:1, so failures are judged per sample, not against a flat 4.5.
+  const failing = sorted.filter((r) => !r.passes);
   return {
     sampleCount: results.length,
-    failingCount: failing,
+    failingCount: failing.length,
+    failingSamples: failing.slice(0, 10),
     worstSample: worst,
     worstClassification
   };
 }
 
+// Exact ratio: callers compare it to the threshold and round only what they display.
+function measureContrast(fgColor, bgColor) {
+  const fgRgb = colorToRgbArray(fgColor);
+  const bgRgb = colorToRgbArray(bgColor);
+  if (!fgRgb || !bgRgb) return null;
+  try {
+    const fgScaled = fgRgb.map((c) => Math.round(c * 255));
+    const bgScaled = bgRgb.map((c) => Math.round(c * 255));
+    return contrastRgb(fgScaled, bgScaled);
+  } catch {
+    return null;
+  }
+}
+
+function hasVisibleStroke(style, width) {
+  const styleValue = String(style || '').trim().toLowerCase();
+  if (styleValue === 'none' || styleValue === 'hidden') return false;
+  const px = parseFontSizePx(width);
+  return px === null ? Boolean(styleValue) : px > 0;
+}
+
+function pickComponentColor(sample) {
+  const bg = parseColor(sample.backgroundColor);
+  const border = parseColor(sample.borderColor);
+  const text = parseColor(sample.color);
+  const icon = parseColor(sample.iconColor);
+  const borderVisible = sample.borderWidth == null || hasVisibleStroke('solid', sample.borderWidth);
+  if (sample.kind === 'control') {
+    if (border && !isTransparentColor(border) && borderVisible) return { color: border, source: 'border' };
+    if (bg && !isTransparentColor(bg)) return { color: bg, source: 'background' };
+    return null;
+  }
+  if (sample.kind === 'icon-button') {
+    if (icon && !isTransparentColor(icon)) return { color: icon, source: 'icon' };
+    if (text && !isTransparentColor(text)) return { color: text, source: 'icon' };
+    return null;
+  }
+  // A visible text label identifies the component (its contrast is 3.2's business); the background
+  // or border around it is then decoration.
+  if (sample.kind === 'labelled') return null;
+  if (bg && !isTransparentColor(bg)) return { color: bg, source: 'background' };
+  if (border && !isTransparentColor(border) && borderVisible) return { color: border, source: 'border' };
+  // CSS color says nothing about the pixels of an image.
+  if (sample.tag === 'img' || sample.role === 'img') return null;
+  if (text && !isTransparentColor(text)) return { color: text, source: 'text' };
+  return null;
+}
+
 export function analyzeUiContrast(uiSamples = []) {
   const results = [];
+  // Same as 3.2: 2.996:1 fails 3:1; the rounded ratio is for display.
+  const exact = new Map();
+  const push = (result, ratio) => {
+    const shown = { ...result, ratio: Number(ratio.toFixed(2)) };
+    exact.set(shown, ratio);
+    results.push(shown);
+  };
   for (const sample of uiSamples) {
-    const bg = parseColor(sample.backgroundColor);
-    const border = parseColor(sample.borderColor);
-    const text = parseColor(sample.color);
     const parentBg = parseColor(sample.parentBackgroundColor);
-    let component = null;
-    let source = '';
-    if (bg && !isTransparentColor(bg)) {
-      component = bg;
-      source = 'background';
-    } else if (border && !isTransparentColor(border)) {
-      component = border;
-      source = 'border';
-    } else if (text && !isTransparentColor(text)) {
-      component = text;
-      source = 'text';
+    if (!parentBg) continue;
+    const base = {
+      text: sample.text,
+      selector: sample.selector,
+      role: sample.role,
+      kind: sample.kind || 'component',
+      color: sample.color,
+      backgroundColor: sample.backgroundColor,
+      borderColor: sample.borderColor,
+      parentBackgroundColor: sample.parentBackgroundColor,
+      fontSize: sample.fontSize,
+      fontWeight: sample.fontWeight
+    };
+    const picked = pickComponentColor(sample);
+    // An icon sits on the button's own background when it has one.
+    const ownBg = parseColor(sample.backgroundColor);
+    const iconBg = picked?.source === 'icon' && ownBg && !isTransparentColor(ownBg) ? ownBg : parentBg;
+    const ratio = picked ? measureContrast(picked.color, iconBg) : null;
+    if (ratio !== null) push({ ...base, source: picked.source }, ratio);
+
+    const outline = parseColor(sample.focusOutlineColor);
+    if (
+      outline &&
+      !isTransparentColor(outline) &&
+      hasVisibleStroke(sample.focusOutlineStyle, sample.focusOutlineWidth)
+    ) {
+      const focusRatio = measureContrast(outline, parentBg);
+      if (focusRatio !== null) {
+        push({ ...base, source: 'focus', focusOutlineColor: sample.focusOutlineColor }, focusRatio);
+      }
     }
-    if (!component || !parentBg) continue;
-    const compRgb = colorToRgbArray(component);
-    const bgRgb = colorToRgbArray(parentBg);
-    if (!compRgb || !bgRgb) continue;
-    try {
-      const compScaled = compRgb.map((c) => Math.round(c * 255));
-      const bgScaled = bgRgb.map((c) => Math.round(c * 255));
-      const ratio = contrastRgb(compScaled, bgScaled);
-      results.push({
-        text: sample.text,
-        selector: sample.selector,
-        role: sample.role,
-        ratio: Number(ratio.toFixed(2)),
-        source,
-        color: sample.color,
-        backgroundColor: sample.backgroundColor,
-        borderColor: sample.borderColor,
-        parentBackgroundColor: sample.parentBackgroundColor,
-        fontSize: sample.fontSize,
-        fontWeight: sample.fontWeight
-      });
-    } catch {}
   }
-  const sorted = results.slice().sort((a, b) => a.ratio - b.ratio);
+  const sorted = results.slice().sort((a, b) => exact.get(a) - exact.get(b));
   const worst = sorted[0] || null;
-  const failing = results.filter((r) => r.ratio < 3).length;
+  const failing = sorted.filter((r) => exact.get(r) < 3);
   return {
     sampleCount: results.length,
-    failingCount: failing,
+    failingCount: failing.length,
+    failingSamples: failing.slice(0, 10),
     worstSample: worst
   };
 }
@@ -1,6 +1,6 @@
 import { HtmlValidate } from 'html-validate';
 
-export async function validateHtmlUrl(url, { timeoutMs = 25000 } = {}) {
+export function validateHtmlString(html) {
   try {
     const htmlvalidate = new HtmlValidate({
       extends: ['html-validate:recommended'],
@@ -9,14 +9,6 @@ export async function validateHtmlUrl(url, { timeoutMs = 25000 } = {}) {
         'no-raw-characters': 'error'
       }
     });
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    const res = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeout);
-    if (!res.ok) {
-      return { ok: false, error: `HTML fetch failed: ${res.status} ${res.statusText}` };
-    }
-    const html = await res.text();
     const report = htmlvalidate.validateString(html);
     const errors = (report?.results || [])
       .flatMap((r) => r.messages || [])
@@ -38,3 +30,18 @@ export async function validateHtmlUrl(url, { timeoutMs = 25000 } = {}) {
     return { ok: false, error: String(err?.message || err) };
   }
 }
+
+export async function validateHtmlUrl(url, { timeoutMs = 25000 } = {}) {
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const res = await fetch(url, { signal: controller.signal });
+    clearTimeout(timeout);
+    if (!res.ok) {
+      return { ok: false, error: `HTML fetch failed: ${res.status} ${res.statusText}` };
+    }
+    return validateHtmlString(await res.text());
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
@@ -9,14 +9,16 @@ const STATUS_LABELS = {
     'Not conform': 'Non conforme',
     'Non applicable': 'Non applicable',
     Error: 'Erreur',
-    Review: 'Revue'
+    Review: 'Revue',
+    'Not evaluated': 'Non évalué'
   },
   en: {
     Conform: 'Conform',
     'Not conform': 'Not conform',
     'Non applicable': 'Non applicable',
     Error: 'Error',
-    Review: 'Review'
+    Review: 'Review',
+    'Not evaluated': 'Not evaluated'
   }
 };
 
@@ -46,6 +48,16 @@ export function getI18n(lang) {
       examples: () => t('Exemples', 'Examples'),
       screenshot1: () => t('Capture A', 'Screenshot A'),
       screenshot2: () => t('Capture B', 'Screenshot B'),
+      aiCache: () => t('Cache IA', 'AI cache'),
+      aiCacheHit: () => t('Oui', 'Yes'),
+      aiCacheMiss: () => t('Non', 'No'),
+      auditorReview: () => t('Revue auditeur', 'Auditor override'),
+      failedTests: () => t('Tests en échec', 'Failing tests'),
+      auditorReviewBy: (author, date, previous) =>
+        t(
+          `${[author, date].filter(Boolean).join(', ')} (avant : ${previous})`,
+          `${[author, date].filter(Boolean).join(', ')} (was: ${previous})`
+        ),
       matrixHeader: () => [t('ID', 'ID'), t('Thème', 'Theme'), t('Critère', 'Criterion')],
       evidenceSheet: () => t('Preuves', 'Evidence'),
       evidenceHeader: () => [
@@ -60,8 +72,14 @@ export function getI18n(lang) {
         t('Preuves', 'Evidence'),
         t('Exemples', 'Examples'),
         t('Capture A', 'Screenshot A'),
-        t('Capture B', 'Screenshot B')
+        t('Capture B', 'Screenshot B'),
+        t('Cache IA', 'AI cache'),
+        t('Revue auditeur', 'Auditor override'),
+        t('Tests en échec', 'Failing tests')
       ],
+      componentsSheet: () => t('Composants', 'Components'),
+      component: () => t('Composant', 'Component'),
+      componentPages: () => t('Pages', 'Pages'),
       urlLabel: () => t('URL', 'URL'),
       summaryTitle: () => t('Synthèse audit RGAA', 'RGAA Audit Summary'),
       generatedAt: () => t('Généré le', 'Generated at'),
@@ -74,11 +92,13 @@ export function getI18n(lang) {
       notConform: () => t('Non conforme (NC)', 'Not conform (NC)'),
       nonApplicable: () => t('Non applicable (NA)', 'Non applicable (NA)'),
       review: () => t('À vérifier (REV)', 'Review (REV)'),
+      notEvaluated: () => t('Non évalués (NE)', 'Not evaluated (NE)'),
       errors: () => t('Erreurs (ERR)', 'Errors (ERR)')
     },
     notes: {
       evidenceLabel: () => t('Preuves :', 'Evidence:'),
       examplesLabel: () => t('Exemples :', 'Examples:'),
+      failedTestsLabel: () => t('Tests en échec :', 'Failing tests:'),
       aiPrefix: (confidence) =>
         t(
           `Revue (${Number(confidence || 0).toFixed(2)})`,
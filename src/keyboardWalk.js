@@ -0,0 +1,259 @@
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { connectCdpPage, pressKey, sleep, writeScreenshot } from './cdp.js';
+
+const TAB = { key: 'Tab', code: 'Tab', keyCode: 9 };
+const ESCAPE = { key: 'Escape', code: 'Escape', keyCode: 27 };
+const SHIFT = 8;
+const FOCUS_PADDING = 6;
+
+const MAX_STEPS = (() => {
+  const raw = Number(process.env.AUDIT_KEYBOARD_MAX_STEPS || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 60;
+})();
+
+const SETTLE_MS = (() => {
+  const raw = Number(process.env.AUDIT_KEYBOARD_SETTLE_MS || '');
+  return Number.isFinite(raw) && raw >= 0 ? raw : 120;
+})();
+
+const FOCUS_MIN_DIFF = (() => {
+  const raw = Number(process.env.AUDIT_FOCUS_MIN_DIFF || '');
+  return Number.isFinite(raw) && raw > 0 ? raw : 0.01;
+})();
+
+const MAX_SCREENSHOTS = 5;
+
+// The functions below run in the page; they are serialized with toString().
+function pageInit() {
+  const focusable =
+    'a[href], area[href], button, input, select, textarea, iframe, summary, audio[controls], video[controls], [tabindex], [contenteditable=""], [contenteditable="true"]';
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const tabbables = Array.from(document.querySelectorAll(focusable))
+    .filter((el) => el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]'))
+    .filter((el) => !(el.tagName === 'INPUT' && el.type === 'hidden'))
+    .filter(isVisible)
+    .map((el, index) => ({ el, index }))
+    .sort((a, b) => {
+      const ta = a.el.tabIndex > 0 ? a.el.tabIndex : Infinity;
+      const tb = b.el.tabIndex > 0 ? b.el.tabIndex : Infinity;
+      return ta === tb ? a.index - b.index : ta - tb;
+    })
+    .map((entry) => entry.el);
+  window.__rgaaKeyboardWalk = {
+    ids: new WeakMap(),
+    next: 1,
+    last: tabbables[tabbables.length - 1] || null,
+    current: null
+  };
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+  window.scrollTo(0, 0);
+  return { tabbableCount: tabbables.length };
+}
+
+function pageReadFocus() {
+  const state = window.__rgaaKeyboardWalk;
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  if (!state || !el || el === document.body || el === document.documentElement) return { none: true };
+  if (!state.ids.has(el)) state.ids.set(el, state.next++);
+  state.current = el;
+  const clip = (value, max) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  };
+  const tag = el.tagName.toLowerCase();
+  const id = el.getAttribute('id');
+  const cls = (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+  const selector = clip(id ? tag + '#' + id : cls.length ? tag + '.' + cls.join('.') : tag, 80);
+  const name = clip(
+    el.getAttribute('aria-label') || el.innerText || el.getAttribute('title') || el.getAttribute('placeholder') || el.value,
+    60
+  );
+  const rect = el.getBoundingClientRect();
+  return {
+    id: state.ids.get(el),
+    selector,
+    tag,
+    name,
+    isLast: el === state.last,
+    rect: {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    }
+  };
+}
+
+function pageBlur() {
+  const state = window.__rgaaKeyboardWalk;
+  if (state && state.current) state.current.blur();
+}
+
+function pageRefocus() {
+  const state = window.__rgaaKeyboardWalk;
+  if (state && state.current) state.current.focus({ preventScroll: true });
+}
+
+function pageCleanup() {
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+  delete window.__rgaaKeyboardWalk;
+  window.scrollTo(0, 0);
+}
+
+async function press(session, key, modifiers = 0) {
+  await pressKey(session, { ...key, modifiers });
+  if (SETTLE_MS) await sleep(SETTLE_MS);
+  return session.callFunction(pageReadFocus);
+}
+
+export function diffFocusImages(focusedPng, blurredPng) {
+  const a = PNG.sync.read(focusedPng);
+  const b = PNG.sync.read(blurredPng);
+  const { width, height } = a;
+  if (!width || !height || width !== b.width || height !== b.height) return null;
+  const diffPixels = pixelmatch(a.data, b.data, null, width, height, { threshold: 0.1 });
+  const total = width * height;
+  return { diffPixels, diffRatio: Number((diffPixels / total).toFixed(4)) };
+}
+
+function focusClip(rect) {
+  if (!rect || rect.width <= 0 || rect.height <= 0) return null;
+  const x = Math.max(0, rect.x - FOCUS_PADDING);
+  const y = Math.max(0, rect.y - FOCUS_PADDING);
+  return {
+    x,
+    y,
+    width: rect.x + rect.width + FOCUS_PADDING - x,
+    height: rect.y + rect.height + FOCUS_PADDING - y
+  };
+}
+
+async function testFocusIndicator(session, focus) {
+  const clip = focusClip(focus.rect);
+  if (!clip) return { visible: null, diffRatio: null, image: null };
+  const focusedPng = await session.captureScreenshot(clip);
+  await session.callFunction(pageBlur);
+  if (SETTLE_MS) await sleep(SETTLE_MS);
+  const blurredPng = await session.captureScreenshot(clip);
+  await session.callFunction(pageRefocus);
+  const diff = focusedPng && blurredPng ? diffFocusImages(focusedPng, blurredPng) : null;
+  if (!diff) return { visible: null, diffRatio: null, image: focusedPng };
+  return { visible: diff.diffRatio >= FOCUS_MIN_DIFF, diffRatio: diff.diffRatio, image: focusedPng };
+}
+
+// Focus is trapped when neither Escape, Tab nor Shift+Tab can move it out of the cycle.
+async function tryEscapeCycle(session, cycleIds) {
+  const outside = (focus) => focus?.none || !cycleIds.has(focus?.id);
+  if (outside(await press(session, ESCAPE))) return 'Escape';
+  if (outside(await press(session, TAB))) return 'Tab';
+  for (let i = 0; i <= cycleIds.size; i += 1) {
+    if (outside(await press(session, TAB, SHIFT))) return 'Shift+Tab';
+  }
+  return '';
+}
+
+export function classifyWalkRepeat({ cycleLength, tabbableCount, tag }) {
+  if (tag === 'iframe') return 'frame';
+  return cycleLength < tabbableCount ? 'suspect' : 'wrap';
+}
+
+export async function runKeyboardWalk({
+  browserUrl,
+  url,
+  screenshotDir = '',
+  screenshotPrefix = 'page',
+  maxSteps = MAX_STEPS
+} = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  let saved = 0;
+  const saveShot = async (name, buffer) => {
+    if (saved >= MAX_SCREENSHOTS) return '';
+    const file = await writeScreenshot({ dir: screenshotDir, prefix: screenshotPrefix, name, buffer });
+    if (file) saved += 1;
+    return file;
+  };
+
+  try {
+    await session.send('Emulation.setFocusEmulationEnabled', { enabled: true }).catch(() => {});
+    const { tabbableCount = 0 } = (await session.callFunction(pageInit)) || {};
+    const result = {
+      tabbableCount,
+      steps: 0,
+      reachedEnd: false,
+      truncated: false,
+      focus: [],
+      trap: null,
+      escapedWith: ''
+    };
+    if (tabbableCount === 0) return result;
+
+    const visited = [];
+    const seen = new Map();
+    for (let step = 1; step <= maxSteps; step += 1) {
+      result.steps = step;
+      const focus = await press(session, TAB);
+      if (focus?.none) {
+        result.reachedEnd = visited.length > 0;
+        break;
+      }
+      if (seen.has(focus.id)) {
+        const cycle = visited.slice(seen.get(focus.id));
+        const kind = classifyWalkRepeat({ cycleLength: cycle.length, tabbableCount, tag: focus.tag });
+        if (kind === 'frame') continue;
+        if (kind === 'wrap') {
+          result.reachedEnd = true;
+          break;
+        }
+        const escapedWith = await tryEscapeCycle(session, new Set(cycle.map((item) => item.id)));
+        if (escapedWith) {
+          // Not a trap, but the walk stops here: the elements after the loop were never checked.
+          result.reachedEnd = true;
+          result.truncated = true;
+          result.escapedWith = escapedWith;
+        } else {
+          result.trap = {
+            selectors: cycle.map((item) => item.selector),
+            screenshot: await saveShot('trap', await session.captureScreenshot())
+          };
+        }
+        break;
+      }
+      seen.set(focus.id, visited.length);
+      visited.push(focus);
+      const indicator = await testFocusIndicator(session, focus);
+      const screenshot =
+        indicator.visible === false ? await saveShot(`focus-${visited.length}`, indicator.image) : '';
+      result.focus.push({
+        selector: focus.selector,
+        tag: focus.tag,
+        name: focus.name,
+        visible: indicator.visible,
+        diffRatio: indicator.diffRatio,
+        screenshot
+      });
+      if (focus.isLast) {
+        result.reachedEnd = true;
+        break;
+      }
+      if (step === maxSteps) result.truncated = true;
+    }
+    return result;
+  } finally {
+    try {
+      await session.callFunction(pageCleanup);
+      await session.send('Emulation.setFocusEmulationEnabled', { enabled: false });
+    } catch {}
+    session.close();
+  }
+}
@@ -130,7 +130,7 @@ function buildPrompt({ url, pageId, paths, cachedPages, skipListPages }) {
     `- take_screenshot fullPage=true to "${paths.screenshot1}".`,
     '- wait ~1200ms.',
     `- take_screenshot fullPage=true to "${paths.screenshot2}".`,
-    '- evaluate_script to collect style samples and a trimmed HTML snippet.',
+    '- evaluate_script to collect style samples (UI samples include their focused outline) and a trimmed HTML snippet.',
     '4) Respond ONLY with JSON matching the schema.',
     '',
     `URL: ${url}`,
@@ -139,7 +139,7 @@ function buildPrompt({ url, pageId, paths, cachedPages, skipListPages }) {
     '',
     'evaluate_script JS:',
     '() => {',
-    '  const maxSamples = 25;',
+    '  const maxSamples = 40;',
     '  const maxUiSamples = 40;',
     '  const samples = [];',
     '  const uiSamples = [];',
@@ -180,17 +180,24 @@ function buildPrompt({ url, pageId, paths, cachedPages, skipListPages }) {
     '    const htmlBg = window.getComputedStyle(document.documentElement).backgroundColor;',
     '    return htmlBg || "";',
     '  };',
+    '  const ownText = (el) =>',
+    '    Array.from(el.childNodes)',
+    '      .filter((n) => n.nodeType === 3)',
+    '      .map((n) => n.textContent || "")',
+    '      .join(" ")',
+    '      .replace(/\\s+/g, " ")',
+    '      .trim();',
     '  const nodes = Array.from(document.querySelectorAll("body *"));',
     '  for (const el of nodes) {',
     '    if (samples.length >= maxSamples) break;',
     '    if (!isVisible(el)) continue;',
-    '    const text = (el.textContent || "").replace(/\\s+/g, " ").trim();',
+    '    const text = ownText(el);',
     '    if (!text || text.length < 3) continue;',
     '    const style = window.getComputedStyle(el);',
     '    samples.push({',
     '      text: text.slice(0, 120),',
     '      color: style.color || "",',
-    '      backgroundColor: style.backgroundColor || "",',
+    '      backgroundColor: resolveBg(el) || "",',
     '      fontSize: style.fontSize || "",',
     '      fontWeight: style.fontWeight || "",',
     '      tag: el.tagName.toLowerCase(),',
@@ -198,8 +205,33 @@ function buildPrompt({ url, pageId, paths, cachedPages, skipListPages }) {
     '    });',
     '  }',
     '  const uiNodes = Array.from(document.querySelectorAll(',
-    '    "button, input, select, textarea, progress, meter, summary, [role=\\"button\\"], [role=\\"switch\\"], [role=\\"checkbox\\"], [role=\\"radio\\"], [role=\\"tab\\"], [role=\\"slider\\"], [role=\\"menuitem\\"], [role=\\"link\\"], a, svg[aria-label], [role=\\"img\\"], img[alt]"',
+    '    "button, input, select, textarea, progress, meter, summary, [role=\\"button\\"], [role=\\"switch\\"], [role=\\"checkbox\\"], [role=\\"radio\\"], [role=\\"tab\\"], [role=\\"slider\\"], [role=\\"menuitem\\"], [role=\\"link\\"], a, svg[aria-label], [role=\\"img\\"]"',
     '  ));',
+    '  const isFocusable = (el) => el.tabIndex >= 0 && !el.disabled;',
+    '  const readFocusOutline = (el) => {',
+    '    if (!isFocusable(el) || typeof el.focus !== "function") return { color: "", style: "", width: "" };',
+    '    const previous = document.activeElement;',
+    '    try {',
+    '      el.focus({ preventScroll: true });',
+    '      const focused = window.getComputedStyle(el);',
+    '      return { color: focused.outlineColor || "", style: focused.outlineStyle || "", width: focused.outlineWidth || "" };',
+    '    } catch {',
+    '      return { color: "", style: "", width: "" };',
+    '    } finally {',
+    '      if (previous && typeof previous.focus === "function") previous.focus({ preventScroll: true });',
+    '      else if (typeof el.blur === "function") el.blur();',
+    '    }',
+    '  };',
+    '  const kindOf = (el) => {',
+    '    const tag = el.tagName.toLowerCase();',
+    '    if (["input", "select", "textarea"].includes(tag)) return "control";',
+    '    const role = (el.getAttribute("role") || "").trim();',
+    '    const isButton = tag === "button" || role === "button";',
+    '    const visibleText = (el.textContent || "").replace(/\\s+/g, " ").trim();',
+    '    if (isButton && !visibleText && el.querySelector("svg, img, i, [class*=icon]")) return "icon-button";',
+    '    if (visibleText) return "labelled";',
+    '    return "component";',
+    '  };',
     '  for (const el of uiNodes) {',
     '    if (uiSamples.length >= maxUiSamples) break;',
     '    if (!isVisible(el)) continue;',
@@ -209,17 +241,28 @@ function buildPrompt({ url, pageId, paths, cachedPages, skipListPages }) {
     '      .trim()',
     '      .slice(0, 120);',
     '    const role = (el.getAttribute("role") || "").trim();',
+    '    const kind = kindOf(el);',
+    '    const icon = kind === "icon-button" ? el.querySelector("svg, i, [class*=icon]") : null;',
+    '    const iconStyle = icon ? window.getComputedStyle(icon) : null;',
+    '    const iconFill = iconStyle && iconStyle.fill && !iconStyle.fill.startsWith("url") && iconStyle.fill !== "none" ? iconStyle.fill : "";',
+    '    const focus = readFocusOutline(el);',
     '    uiSamples.push({',
     '      text,',
     '      color: style.color || "",',
     '      backgroundColor: style.backgroundColor || "",',
     '      borderColor: style.borderColor || "",',
+    '      borderWidth: style.borderTopWidth || "",',
     '      parentBackgroundColor: resolveBg(el.parentElement || el) || "",',
+    '      iconColor: iconFill || (iconStyle ? iconStyle.color : "") || "",',
+    '      focusOutlineColor: focus.color,',
+    '      focusOutlineStyle: focus.style,',
+    '      focusOutlineWidth: focus.width,',
     '      fontSize: style.fontSize || "",',
     '      fontWeight: style.fontWeight || "",',
     '      tag: el.tagName.toLowerCase(),',
     '      selector: elToSelector(el),',
-    '      role',
+    '      role,',
+    '      kind',
     '    });',
     '  }',
     '  const html = (document.documentElement && document.documentElement.outerHTML) || "";',
@@ -0,0 +1,228 @@
+import { connectCdpPage, sleep, writeScreenshot } from './cdp.js';
+import { findBackwardJumps } from './checks.js';
+
+const MAX_ITEMS = 15;
+const MAX_LINEAR_TEXT = 4000;
+// Both renders are diffed on up to MAX_DIFF_TEXT characters; the report keeps MAX_LINEAR_TEXT.
+const MAX_DIFF_TEXT = 50000;
+
+const SETTLE_MS = (() => {
+  const raw = Number(process.env.AUDIT_NO_CSS_SETTLE_MS || '');
+  return Number.isFinite(raw) && raw >= 0 ? raw : 500;
+})();
+
+// Runs in the page (serialized) with author styles still on: text blocks in DOM order with
+// their boxes, generated content, background images and CSS reordering.
+function pageCollectStyled(maxItems) {
+  const clip = (value, max) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  };
+  const toSelector = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const id = el.getAttribute('id');
+    if (id) return clip(tag + '#' + id, 80);
+    const cls = (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+    return clip(cls.length ? tag + '.' + cls.join('.') : tag, 80);
+  };
+  const ownText = (el) =>
+    Array.from(el.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .map((node) => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  const isShown = (el, rect) => {
+    const style = getComputedStyle(el);
+    return rect.width > 1 && rect.height > 1 && style.visibility !== 'hidden' && Number(style.opacity) > 0;
+  };
+  const controlName = (el) =>
+    clip(el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent, 60) ||
+    Array.from(el.querySelectorAll('img[alt]')).map((img) => img.getAttribute('alt')).join(' ').trim();
+
+  const elements = Array.from(document.body ? document.body.querySelectorAll('*') : []).filter(
+    (el) => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName) && !el.closest('svg')
+  );
+  const blocks = [];
+  const generated = [];
+  const backgrounds = [];
+  const ordering = [];
+  for (const el of elements) {
+    const rect = el.getBoundingClientRect();
+    const shown = isShown(el, rect);
+    const text = ownText(el);
+    if (text.length >= 2 && blocks.length < 400) {
+      blocks.push({
+        selector: toSelector(el),
+        text: clip(text, 60),
+        visible: shown,
+        rect: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        }
+      });
+    }
+    if (!shown || el.closest('[aria-hidden="true"]')) continue;
+
+    for (const pseudo of ['::before', '::after']) {
+      if (generated.length >= maxItems) break;
+      const pseudoStyle = getComputedStyle(el, pseudo);
+      const content = pseudoStyle.content;
+      if (!content || content === 'none' || content === 'normal' || pseudoStyle.display === 'none') continue;
+      let kind = '';
+      let value = content;
+      if (/^url\(/i.test(content)) kind = 'image';
+      else if (/attr\(/i.test(content)) kind = 'attr';
+      else if (/counters?\(/i.test(content)) kind = 'counter';
+      else if (/^["']/.test(content)) {
+        value = content.replace(/^["']|["']$/g, '');
+        if (/[\uE000-\uF8FF]/.test(value)) kind = 'icon';
+        else if (/[\p{L}\p{N}]/u.test(value)) kind = 'text';
+      }
+      if (!kind) continue;
+      generated.push({ selector: toSelector(el), pseudo, kind, content: clip(value, 40) });
+    }
+
+    const style = getComputedStyle(el);
+    const background = style.backgroundImage || '';
+    if (backgrounds.length < maxItems && /url\(/i.test(background) && rect.width >= 16 && rect.height >= 16) {
+      const control = el.closest('a[href], button, [role="button"], [role="link"]');
+      if (control ? !controlName(control) : !clip(el.textContent, 10)) {
+        backgrounds.push({
+          selector: toSelector(el),
+          url: clip((background.match(/url\(["']?([^"')]+)/i) || [])[1], 80),
+          context: control ? 'unnamed-control' : 'standalone'
+        });
+      }
+    }
+
+    if (ordering.length < maxItems && el.parentElement) {
+      const parentStyle = getComputedStyle(el.parentElement);
+      const layout = parentStyle.display;
+      if (/flex|grid/.test(layout) && style.order && style.order !== '0') {
+        ordering.push({ selector: toSelector(el), property: 'order: ' + style.order });
+      }
+      if (/flex/.test(style.display) && /reverse/.test(style.flexDirection)) {
+        ordering.push({ selector: toSelector(el), property: 'flex-direction: ' + style.flexDirection });
+      }
+    }
+  }
+  return { blocks, generated, backgrounds, ordering };
+}
+
+function pageDisableCss() {
+  const state = { sheets: [], adopted: document.adoptedStyleSheets || [], inline: [] };
+  for (const sheet of Array.from(document.styleSheets)) {
+    if (!sheet.disabled) {
+      sheet.disabled = true;
+      state.sheets.push(sheet);
+    }
+  }
+  if (document.adoptedStyleSheets) document.adoptedStyleSheets = [];
+  for (const el of Array.from(document.querySelectorAll('[style]'))) {
+    state.inline.push([el, el.getAttribute('style')]);
+    el.removeAttribute('style');
+  }
+  window.__rgaaNoCss = state;
+  window.scrollTo(0, 0);
+}
+
+function pageLinearText(maxLength) {
+  const text = (document.body ? document.body.innerText : '')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+  return text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text;
+}
+
+function pageRestoreCss() {
+  const state = window.__rgaaNoCss;
+  if (!state) return;
+  for (const sheet of state.sheets) sheet.disabled = false;
+  if (document.adoptedStyleSheets) document.adoptedStyleSheets = state.adopted;
+  for (const [el, value] of state.inline) el.setAttribute('style', value);
+  delete window.__rgaaNoCss;
+  window.scrollTo(0, 0);
+}
+
+// DOM order is the no-CSS reading order; a visible block drawn entirely above the previous one,
+// and not in a column further right, was moved by CSS.
+export function findVisualReorders(blocks = []) {
+  return findBackwardJumps(blocks.filter((block) => block.visible && block.rect)).map(({ from, to }) => ({
+    from: { selector: from.selector, text: from.text },
+    to: { selector: to.selector, text: to.text }
+  }));
+}
+
+// Line-by-line diff of the styled render's text against the no-CSS text (both innerText, so
+// each follows what is actually rendered): lines lost and lines revealed once CSS is off.
+export function diffLinearText(styledText = '', linearText = '') {
+  const toLines = (text) => String(text || '').split('\n').filter(Boolean);
+  const countLines = (lines) => {
+    const counts = new Map();
+    for (const line of lines) counts.set(line, (counts.get(line) || 0) + 1);
+    return counts;
+  };
+  const subtract = (lines, other) => {
+    const left = countLines(other);
+    return lines.filter((line) => {
+      const count = left.get(line) || 0;
+      if (count > 0) left.set(line, count - 1);
+      return count === 0;
+    });
+  };
+  const styledLines = toLines(styledText);
+  const linearLines = toLines(linearText);
+  const removed = subtract(styledLines, linearLines);
+  const added = subtract(linearLines, styledLines);
+  return {
+    removedCount: removed.length,
+    removed: removed.slice(0, MAX_ITEMS),
+    addedCount: added.length,
+    added: added.slice(0, MAX_ITEMS)
+  };
+}
+
+export function buildNoCssReport({ styled, styledText, linearText }) {
+  const generated = styled?.generated || [];
+  const backgrounds = styled?.backgrounds || [];
+  const reordered = findVisualReorders(styled?.blocks || []);
+  const hiddenTexts = (styled?.blocks || []).filter((block) => !block.visible);
+  const text = linearText || '';
+  return {
+    linearText: text.length > MAX_LINEAR_TEXT ? text.slice(0, MAX_LINEAR_TEXT - 1) + '…' : text,
+    textDiff: styledText === undefined ? null : diffLinearText(styledText, text),
+    cssOnlyContentCount: generated.length,
+    cssOnlyContent: generated.slice(0, MAX_ITEMS),
+    backgroundImageCount: backgrounds.length,
+    backgroundImages: backgrounds.slice(0, MAX_ITEMS),
+    reorderedCount: reordered.length,
+    reordered: reordered.slice(0, MAX_ITEMS),
+    orderProperties: (styled?.ordering || []).slice(0, MAX_ITEMS),
+    revealedCount: hiddenTexts.length,
+    revealed: hiddenTexts.slice(0, 5).map(({ selector, text }) => ({ selector, text }))
+  };
+}
+
+export async function runNoCssComparison({ browserUrl, url, screenshotDir = '', screenshotPrefix = 'page' } = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  const shot = async (name) =>
+    writeScreenshot({ dir: screenshotDir, prefix: screenshotPrefix, name, buffer: await session.captureScreenshot() });
+  try {
+    const styled = await session.callFunction(pageCollectStyled, MAX_ITEMS);
+    const styledText = await session.callFunction(pageLinearText, MAX_DIFF_TEXT);
+    const screenshotStyled = await shot('css-on');
+    await session.callFunction(pageDisableCss);
+    await sleep(SETTLE_MS);
+    const linearText = await session.callFunction(pageLinearText, MAX_DIFF_TEXT);
+    const screenshot = await shot('css-off');
+    return { ...buildNoCssReport({ styled, styledText, linearText }), screenshotStyled, screenshot };
+  } finally {
+    await session.callFunction(pageRestoreCss).catch(() => {});
+    session.close();
+  }
+}
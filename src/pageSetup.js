@@ -0,0 +1,48 @@
+import { connectCdpTab, sleep } from './cdp.js';
+import { waitForVisible } from './scenarios.js';
+
+function samePage(a, b) {
+  const strip = (value) => String(value || '').replace(/#.*$/, '').replace(/\/$/, '');
+  return strip(a) === strip(b);
+}
+
+// Applies a pages-file entry's viewport and wait condition before the snapshot. The session stays
+// attached until release(): DevTools drops a device-metrics override when its session detaches.
+export async function preparePage({ browserUrl, url, viewport, wait, timeoutMs = 15000, connect = connectCdpTab }) {
+  if (!browserUrl) {
+    throw new Error('Page viewport/wait settings need a DevTools endpoint (--mcp-browser-url or a launched Chrome).');
+  }
+  const session = await connect({ browserUrl, url });
+  try {
+    await session.send('Page.enable');
+    if (viewport) {
+      await session.send('Emulation.setDeviceMetricsOverride', {
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor || 0,
+        mobile: Boolean(viewport.mobile)
+      });
+    }
+    const current = await session.evaluate('location.href').catch(() => '');
+    // Reload even on the right URL when resizing: scripts often read the width only at load.
+    if (viewport || !samePage(current, url)) {
+      const loaded = session.waitFor('Page.loadEventFired', timeoutMs);
+      const res = await session.send('Page.navigate', { url });
+      if (res?.errorText) throw new Error(`Navigation to ${url} failed (${res.errorText})`);
+      await loaded;
+    }
+    if (wait?.selector && !(await waitForVisible(session, wait.selector, timeoutMs))) {
+      throw new Error(`Wait condition not met: ${wait.selector} not visible within ${timeoutMs} ms`);
+    }
+    if (wait?.ms) await sleep(wait.ms);
+  } catch (err) {
+    session.close();
+    throw err;
+  }
+  return {
+    async release() {
+      if (viewport) await session.send('Emulation.clearDeviceMetricsOverride').catch(() => {});
+      session.close();
+    }
+  };
+}
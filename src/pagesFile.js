@@ -0,0 +1,113 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createCriteriaMatcher } from './criteria.js';
+import { normalizeScenarioStates } from './scenarios.js';
+
+const VIEWPORT_RE = /^(\d{2,5})\s*[x×]\s*(\d{2,5})$/i;
+
+export function parseViewport(value, where = 'viewport') {
+  if (value === undefined || value === null || value === '') return null;
+  let raw = value;
+  if (typeof value === 'string') {
+    const match = value.trim().match(VIEWPORT_RE);
+    if (!match) throw new Error(`${where}: expected "WIDTHxHEIGHT" or { width, height }.`);
+    raw = { width: match[1], height: match[2] };
+  }
+  const width = Math.floor(Number(raw?.width));
+  const height = Math.floor(Number(raw?.height));
+  if (!(width > 0) || !(height > 0)) throw new Error(`${where}: width and height must be positive numbers.`);
+  const viewport = { width, height, mobile: Boolean(raw.mobile) };
+  const scale = Number(raw.deviceScaleFactor);
+  if (Number.isFinite(scale) && scale > 0) viewport.deviceScaleFactor = scale;
+  return viewport;
+}
+
+function normalizeWait(value, where) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) return { selector: '', ms: Math.floor(Number(value)) };
+  if (typeof value === 'string') return { selector: value.trim(), ms: 0 };
+  const selector = String(value.selector || '').trim();
+  const ms = Math.max(0, Math.floor(Number(value.ms) || 0));
+  if (!selector && !ms) throw new Error(`${where}: "wait" needs a selector and/or ms.`);
+  return { selector, ms };
+}
+
+function normalizeCriteriaFilter(value, where) {
+  if (!value) return null;
+  const list = (items) => (Array.isArray(items) ? items : items ? [items] : []).map(String);
+  const include = list(value.include);
+  const exclude = list(value.exclude);
+  if (!include.length && !exclude.length) return null;
+  // Fail on a typo now rather than silently auditing every criterion.
+  try {
+    createCriteriaMatcher([...include, ...exclude]);
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+  return { include, exclude };
+}
+
+// Entry keys: url, name, type, viewport, wait, scenarios, login (auth file) and criteria { include, exclude }.
+export function normalizePageEntry(raw, { baseDir = process.cwd(), where = 'Page' } = {}) {
+  if (typeof raw === 'string') return { url: raw.trim() };
+  const url = String(raw?.url || '').trim();
+  if (!/^https?:\/\//i.test(url)) throw new Error(`${where}: "url" must be an http(s) URL.`);
+  const entry = { url };
+  const name = String(raw.name || '').trim();
+  if (name) entry.name = name;
+  const type = String(raw.type || '').trim();
+  if (type) entry.type = type;
+  const viewport = parseViewport(raw.viewport, `${where} viewport`);
+  if (viewport) entry.viewport = viewport;
+  const wait = normalizeWait(raw.wait, where);
+  if (wait) entry.wait = wait;
+  if (raw.scenarios !== undefined) {
+    entry.scenarios = normalizeScenarioStates(raw.scenarios, { where: `${where} scenarios` });
+  }
+  if (raw.login) entry.login = path.resolve(baseDir, String(raw.login));
+  const criteria = normalizeCriteriaFilter(raw.criteria, where);
+  if (criteria) entry.criteria = criteria;
+  return entry;
+}
+
+function parseMarkdownPages(content) {
+  const entries = [];
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const cleaned = trimmed.replace(/^[-*\d.\s]+/, '').trim();
+    const match = cleaned.match(/https?:\/\/[^\s)\]]+/i);
+    if (match) entries.push({ url: match[0] });
+  }
+  return entries;
+}
+
+// Markdown/text (one URL per line) or JSON: a list of entries, or { pages: [...] }. Other extensions
+// are read as JSON only when they parse as such (a markdown line may start with `[label](url)`).
+export function parsePagesFile(filePath) {
+  const resolved = path.resolve(String(filePath));
+  const content = fs.readFileSync(resolved, 'utf-8');
+  const trimmed = content.trim();
+  const isJsonFile = /\.json$/i.test(resolved);
+  if (!isJsonFile && !/^[[{]/.test(trimmed)) {
+    return parseMarkdownPages(content);
+  }
+  let raw = null;
+  try {
+    raw = JSON.parse(trimmed);
+  } catch (err) {
+    if (!isJsonFile) return parseMarkdownPages(content);
+    throw new Error(`Failed to read pages file: ${resolved} (${String(err?.message || err)})`);
+  }
+  const list = Array.isArray(raw) ? raw : raw?.pages;
+  if (!Array.isArray(list)) {
+    throw new Error(`Pages file must be a list of pages or { "pages": [...] }: ${resolved}`);
+  }
+  const baseDir = path.dirname(resolved);
+  return list.map((item, index) => normalizePageEntry(item, { baseDir, where: `Page #${index + 1}` }));
+}
+
+export function pageLabel(index, entry) {
+  const label = `P${index + 1}`;
+  return entry?.name ? `${label} – ${entry.name}` : label;
+}
@@ -0,0 +1,243 @@
+import { connectCdpPage, sleep, writeScreenshot } from './cdp.js';
+
+const REFLOW_WIDTH = 320;
+const REFLOW_HEIGHT = 640;
+const TEXT_ZOOM = 2;
+const MAX_ITEMS = 10;
+
+const SETTLE_MS = (() => {
+  const raw = Number(process.env.AUDIT_REFLOW_SETTLE_MS || '');
+  return Number.isFinite(raw) && raw >= 0 ? raw : 500;
+})();
+
+// Runs in the page (serialized): visible text blocks, clipping, overlaps and horizontal overflow.
+function pageMeasureLayout(maxTexts) {
+  const clip = (value, max) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  };
+  const toSelector = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const id = el.getAttribute('id');
+    if (id) return clip(tag + '#' + id, 80);
+    const cls = (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+    return clip(cls.length ? tag + '.' + cls.join('.') : tag, 80);
+  };
+  const ownText = (el) =>
+    Array.from(el.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .map((node) => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  const isClipping = (style) =>
+    ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+  const isScroller = (style) =>
+    ['auto', 'scroll'].includes(style.overflowX) || ['auto', 'scroll'].includes(style.overflowY);
+  const viewportWidth = window.innerWidth;
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+
+  const texts = [];
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.currentNode; el && texts.length < maxTexts; el = walker.nextNode()) {
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+    const text = ownText(el);
+    if (text.length < 2) continue;
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    let visible =
+      rect.width > 1 &&
+      rect.height > 1 &&
+      style.visibility !== 'hidden' &&
+      Number(style.opacity) > 0 &&
+      rect.right + scrollX > 0 &&
+      rect.bottom + scrollY > 0;
+    let clipped = false;
+    if (visible && isClipping(style) && (el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > el.clientHeight + 1)) {
+      clipped = true;
+    }
+    for (let parent = el.parentElement, depth = 0; visible && parent && depth < 8; parent = parent.parentElement, depth += 1) {
+      const parentStyle = getComputedStyle(parent);
+      if (!isClipping(parentStyle)) continue;
+      const box = parent.getBoundingClientRect();
+      const outside = rect.right <= box.left || rect.left >= box.right || rect.bottom <= box.top || rect.top >= box.bottom;
+      if (outside) {
+        visible = false;
+      } else if (rect.right > box.right + 2 || rect.bottom > box.bottom + 2 || rect.left < box.left - 2) {
+        clipped = true;
+      }
+    }
+    texts.push({
+      key: clip(text, 60),
+      selector: toSelector(el),
+      el,
+      visible,
+      clipped,
+      rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+    });
+  }
+
+  const shown = texts.filter((item) => item.visible);
+  const overlaps = [];
+  for (let i = 0; i < shown.length; i += 1) {
+    for (let j = i + 1; j < shown.length; j += 1) {
+      const a = shown[i];
+      const b = shown[j];
+      if (a.el.contains(b.el) || b.el.contains(a.el)) continue;
+      const width = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+      const height = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+      if (width <= 0 || height <= 0) continue;
+      const smaller = Math.min(
+        (a.rect.right - a.rect.left) * (a.rect.bottom - a.rect.top),
+        (b.rect.right - b.rect.left) * (b.rect.bottom - b.rect.top)
+      );
+      if (smaller > 0 && (width * height) / smaller > 0.25) {
+        overlaps.push({ a: a.selector, b: b.selector, key: a.key + ' ⇄ ' + b.key });
+      }
+    }
+  }
+
+  // Elements sticking out on the right; those inside their own scroll container are fine.
+  const exempt =
+    'table, pre, code, img, canvas, svg, video, iframe, map, object, embed, [role="application"], [role="img"]';
+  const overflowing = [];
+  for (const el of Array.from(document.body ? document.body.querySelectorAll('*') : [])) {
+    if (overflowing.length >= 40) break;
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 0 || rect.right <= viewportWidth + 1) continue;
+    const style = getComputedStyle(el);
+    if (style.position === 'fixed' || style.visibility === 'hidden') continue;
+    let contained = false;
+    for (let parent = el.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+      const parentStyle = getComputedStyle(parent);
+      if ((isScroller(parentStyle) || isClipping(parentStyle)) && parent.getBoundingClientRect().right <= viewportWidth + 1) {
+        contained = true;
+        break;
+      }
+    }
+    if (contained) continue;
+    if (overflowing.some((item) => item.el.contains(el))) continue;
+    overflowing.push({ el, selector: toSelector(el), right: Math.round(rect.right), exempt: Boolean(el.closest(exempt)) });
+  }
+
+  const scrollWidth = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0);
+  return {
+    viewportWidth,
+    scrollWidth,
+    horizontalScroll: scrollWidth > viewportWidth + 1,
+    texts: texts.map(({ key, selector, visible, clipped }) => ({ key, selector, visible, clipped })),
+    overlaps,
+    overflowing: overflowing.map(({ selector, right, exempt }) => ({ selector, right, exempt }))
+  };
+}
+
+// Doubles every computed font size (text-only zoom, like a browser "zoom text" setting).
+function pageApplyTextZoom(factor) {
+  const elements = Array.from(document.querySelectorAll('body, body *'));
+  const sizes = elements.map((el) => parseFloat(getComputedStyle(el).fontSize) || 0);
+  window.__rgaaTextZoom = elements.map((el, index) => {
+    const previous = [el.style.getPropertyValue('font-size'), el.style.getPropertyPriority('font-size')];
+    if (sizes[index] > 0) el.style.setProperty('font-size', sizes[index] * factor + 'px', 'important');
+    return { el, previous };
+  });
+  return elements.length;
+}
+
+function pageRestoreTextZoom() {
+  for (const { el, previous } of window.__rgaaTextZoom || []) {
+    if (previous[0]) el.style.setProperty('font-size', previous[0], previous[1]);
+    else el.style.removeProperty('font-size');
+  }
+  delete window.__rgaaTextZoom;
+  window.scrollTo(0, 0);
+}
+
+function pageScrollTop() {
+  window.scrollTo(0, 0);
+}
+
+export function compareLayouts(before, after) {
+  if (!before || !after) return null;
+  const beforeVisible = new Set(before.texts.filter((item) => item.visible).map((item) => item.key));
+  const afterVisible = new Set(after.texts.filter((item) => item.visible).map((item) => item.key));
+  const beforeClipped = new Set(before.texts.filter((item) => item.clipped).map((item) => item.key));
+  const beforeOverlaps = new Set(before.overlaps.map((item) => item.key));
+  const lost = before.texts.filter(
+    (item, index, list) =>
+      item.visible && !afterVisible.has(item.key) && list.findIndex((other) => other.key === item.key) === index
+  );
+  const clipped = after.texts.filter((item) => item.visible && item.clipped && !beforeClipped.has(item.key));
+  const overlaps = after.overlaps.filter((item) => !beforeOverlaps.has(item.key));
+  const overflowing = after.horizontalScroll ? after.overflowing : [];
+  return {
+    viewportWidth: after.viewportWidth,
+    scrollWidth: after.scrollWidth,
+    horizontalScroll: after.horizontalScroll,
+    overflowing: overflowing.slice(0, MAX_ITEMS),
+    blockingOverflowCount: overflowing.filter((item) => !item.exempt).length,
+    lostCount: lost.length,
+    lost: lost.slice(0, MAX_ITEMS).map(({ key, selector }) => ({ text: key, selector })),
+    clippedCount: clipped.length,
+    clipped: clipped.slice(0, MAX_ITEMS).map(({ key, selector }) => ({ text: key, selector })),
+    overlapCount: overlaps.length,
+    overlaps: overlaps.slice(0, MAX_ITEMS).map(({ a, b }) => ({ a, b })),
+    comparedTexts: beforeVisible.size
+  };
+}
+
+export async function runReflowTest({ browserUrl, url, screenshotDir = '', screenshotPrefix = 'page' } = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  const shot = async (name) =>
+    writeScreenshot({
+      dir: screenshotDir,
+      prefix: screenshotPrefix,
+      name,
+      buffer: await session.captureScreenshot()
+    });
+  const maxTexts = 400;
+
+  try {
+    await session.callFunction(pageScrollTop);
+    const before = await session.callFunction(pageMeasureLayout, maxTexts);
+    const screenshotBefore = await shot('reflow-before');
+
+    let narrow = null;
+    try {
+      await session.send('Emulation.setDeviceMetricsOverride', {
+        width: REFLOW_WIDTH,
+        height: REFLOW_HEIGHT,
+        deviceScaleFactor: 1,
+        mobile: false
+      });
+      await sleep(SETTLE_MS);
+      await session.callFunction(pageScrollTop);
+      const measured = await session.callFunction(pageMeasureLayout, maxTexts);
+      narrow = { ...compareLayouts(before, measured), screenshot: await shot('reflow-320') };
+    } finally {
+      await session.send('Emulation.clearDeviceMetricsOverride').catch(() => {});
+    }
+    await sleep(SETTLE_MS);
+
+    let zoom = null;
+    try {
+      await session.callFunction(pageApplyTextZoom, TEXT_ZOOM);
+      await sleep(SETTLE_MS);
+      await session.callFunction(pageScrollTop);
+      const measured = await session.callFunction(pageMeasureLayout, maxTexts);
+      zoom = { factor: TEXT_ZOOM, ...compareLayouts(before, measured), screenshot: await shot('zoom-200') };
+    } finally {
+      await session.callFunction(pageRestoreTextZoom).catch(() => {});
+    }
+
+    return {
+      baseline: { viewportWidth: before.viewportWidth, scrollWidth: before.scrollWidth },
+      screenshotBefore,
+      narrow,
+      zoom
+    };
+  } finally {
+    session.close();
+  }
+}
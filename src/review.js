@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { STATUS } from './checks.js';
+import { pageLabel } from './pagesFile.js';
+
+// AI verdicts below this confidence join the REV cells in the review queue.
+export const REVIEW_CONFIDENCE = (() => {
+  const raw = String(process.env.AUDIT_REVIEW_CONFIDENCE || '').trim();
+  const value = Number(raw);
+  return raw && Number.isFinite(value) && value >= 0 ? Math.min(1, value) : 0.7;
+})();
+
+// Statuses an auditor can set; Review keeps the cell open but records the rationale.
+export const REVIEW_STATUSES = [STATUS.C, STATUS.NC, STATUS.NA, STATUS.REVIEW];
+
+function findReview(reviews, url, criterionId) {
+  return (Array.isArray(reviews) ? reviews : []).find(
+    (review) => review?.url === url && review?.criterionId === criterionId
+  );
+}
+
+// REV cells and low-confidence AI verdicts of the completed pages, in page then criterion order.
+// Cells that already carry an auditor decision are left out unless `all` is set.
+export function buildReviewQueue(state, { threshold = REVIEW_CONFIDENCE, all = false } = {}) {
+  const queue = [];
+  const pages = Array.isArray(state?.completedPages) ? state.completedPages : [];
+  pages.forEach((page, pageIndex) => {
+    for (const result of Array.isArray(page?.results) ? page.results : []) {
+      if (!result?.id || result.status === STATUS.NE || result.status === STATUS.ERR) continue;
+      const confidence = Number(result.ai?.confidence);
+      const lowConfidence = Boolean(result.ai) && Number.isFinite(confidence) && confidence < threshold;
+      const reviewed = Boolean(findReview(state.reviews, page.url, result.id));
+      const status = result.review ? result.review.previousStatus : result.status;
+      const pending = status === STATUS.REVIEW;
+      if (!pending && !lowConfidence) continue;
+      if (reviewed && !all) continue;
+      queue.push({
+        pageIndex,
+        label: pageLabel(pageIndex, page),
+        url: page.url,
+        title: page.title || '',
+        result,
+        reason: pending ? 'review' : 'confidence'
+      });
+    }
+  });
+  return queue;
+}
+
+// Screenshots worth opening next to a verdict: the page captures in evidence/ and any file the
+// rules or the reviewer pointed at.
+export function reviewScreenshots(item, outDir) {
+  const paths = new Set();
+  const { result } = item;
+  for (const line of [...(result.examples || []), ...(result.ai?.evidence || [])]) {
+    for (const match of String(line || '').matchAll(/[\w./-]+\.png\b/g)) paths.add(match[0]);
+  }
+  if (outDir) {
+    for (const suffix of ['a', 'b']) {
+      const rel = `evidence/P${item.pageIndex + 1}-${suffix}.png`;
+      if (fs.existsSync(path.join(outDir, rel))) paths.add(rel);
+    }
+  }
+  return Array.from(paths);
+}
+
+// Stores (or replaces) the auditor decision for one page/criterion in the resume state.
+export function recordAuditorReview(state, item, { status, rationale, author, reviewedAt = new Date() }) {
+  const { result } = item;
+  const review = {
+    url: item.url,
+    criterionId: result.id,
+    status,
+    rationale: String(rationale || '').trim(),
+    author: String(author || '').trim(),
+    reviewedAt: new Date(reviewedAt).toISOString(),
+    previousStatus: result.review?.previousStatus || result.status
+  };
+  const reviews = (Array.isArray(state.reviews) ? state.reviews : []).filter(
+    (entry) => !(entry?.url === review.url && entry?.criterionId === review.criterionId)
+  );
+  state.reviews = [...reviews, review];
+  return review;
+}
+
+// Replaces the verdict of every reviewed cell; the machine verdict stays in `review.previousStatus`.
+// The page's state columns take the same decision, so the page cell and its states agree.
+export function applyAuditorReviews(pages, reviews, i18n) {
+  if (!Array.isArray(reviews) || !reviews.length) return pages;
+  const applyReview = (url) => (res) => {
+    const review = res?.id ? findReview(reviews, url, res.id) : null;
+    if (!review) return res;
+    const date = String(review.reviewedAt || '').slice(0, 10);
+    const by = [review.author, date].filter(Boolean).join(', ');
+    return {
+      ...res,
+      status: review.status,
+      // The machine's failing tests only stand while the auditor keeps the cell non-conform.
+      failedTests: review.status === STATUS.NC ? res.failedTests || [] : [],
+      notes: i18n.t(
+        `Revue auditeur${by ? ` (${by})` : ''} : ${review.rationale}`,
+        `Auditor review${by ? ` (${by})` : ''}: ${review.rationale}`
+      ),
+      review: {
+        author: review.author,
+        rationale: review.rationale,
+        reviewedAt: review.reviewedAt,
+        previousStatus: review.previousStatus
+      }
+    };
+  };
+  for (const page of pages) {
+    if (!Array.isArray(page?.results)) continue;
+    page.results = page.results.map(applyReview(page.url));
+    for (const state of Array.isArray(page.states) ? page.states : []) {
+      if (Array.isArray(state?.results)) state.results = state.results.map(applyReview(page.url));
+    }
+  }
+  return pages;
+}
@@ -0,0 +1,236 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { connectCdpTab, pressKey, sleep } from './cdp.js';
+import { mergeStatuses, STATUS } from './checks.js';
+import { getSnapshotExpression } from './snapshot.js';
+
+const STEP_TIMEOUT_MS = (() => {
+  const raw = Number(process.env.AUDIT_SCENARIO_STEP_TIMEOUT_MS || '');
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 10000;
+})();
+
+const SETTLE_MS = (() => {
+  const raw = Number(process.env.AUDIT_SCENARIO_SETTLE_MS || '');
+  return Number.isFinite(raw) && raw >= 0 ? Math.floor(raw) : 300;
+})();
+
+const KEYS = {
+  Enter: { key: 'Enter', code: 'Enter', keyCode: 13 },
+  Escape: { key: 'Escape', code: 'Escape', keyCode: 27 },
+  Tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+  Space: { key: ' ', code: 'Space', keyCode: 32 },
+  ArrowUp: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+  Home: { key: 'Home', code: 'Home', keyCode: 36 },
+  End: { key: 'End', code: 'End', keyCode: 35 }
+};
+
+const STEP_KINDS = ['click', 'type', 'press', 'wait', 'waitFor'];
+
+function normalizeStep(raw, where) {
+  const kinds = STEP_KINDS.filter((kind) => raw && raw[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`${where}: each step needs exactly one of ${STEP_KINDS.join(', ')}.`);
+  }
+  const [kind] = kinds;
+  if (kind === 'wait') {
+    const ms = Number(raw.wait);
+    if (!Number.isFinite(ms) || ms < 0) throw new Error(`${where}: "wait" must be a duration in ms.`);
+    return { wait: Math.floor(ms) };
+  }
+  if (kind === 'press') {
+    const key = String(raw.press || '').trim();
+    if (!KEYS[key]) {
+      throw new Error(`${where}: unsupported key "${key}" (use ${Object.keys(KEYS).join(', ')}).`);
+    }
+    return { press: key };
+  }
+  const selector = String(raw[kind] || '').trim();
+  if (!selector) throw new Error(`${where}: "${kind}" needs a CSS selector.`);
+  if (kind === 'type') return { type: selector, text: String(raw.text ?? '') };
+  return { [kind]: selector };
+}
+
+export function normalizeScenarioStates(list, { where = 'Scenario' } = {}) {
+  if (!Array.isArray(list)) throw new Error(`${where}: expected a list of states.`);
+  const seen = new Set();
+  return list.map((raw, index) => {
+    const name = String(raw?.name || '').trim();
+    if (!name) throw new Error(`${where} #${index + 1}: a state needs a "name".`);
+    if (seen.has(name)) throw new Error(`${where}: duplicate state name "${name}".`);
+    seen.add(name);
+    const steps = Array.isArray(raw?.steps) ? raw.steps : [];
+    if (!steps.length) throw new Error(`${where} "${name}": a state needs at least one step.`);
+    return { name, steps: steps.map((step, i) => normalizeStep(step, `${where} "${name}" step ${i + 1}`)) };
+  });
+}
+
+// Scenarios file (JSON): { "<page url>": [{ name, steps: [{ click } | { type, text } | { press } | { wait } | { waitFor }] }] }.
+export function loadScenarios(filePath) {
+  const resolved = path.resolve(String(filePath));
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Scenarios file not found: ${resolved}`);
+  }
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read scenarios file: ${resolved} (${String(err?.message || err)})`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Scenarios file must map page URLs to state lists: ${resolved}`);
+  }
+  return Object.fromEntries(
+    Object.entries(raw).map(([url, states]) => [url, normalizeScenarioStates(states, { where: url })])
+  );
+}
+
+function normalizeScenarioUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    url.hash = '';
+    return url.href.replace(/\/$/, '');
+  } catch {
+    return String(value || '').trim();
+  }
+}
+
+// Scenario keys match page URLs ignoring the fragment and a trailing slash.
+export function findScenarioStates(scenarios, url) {
+  if (!scenarios) return [];
+  if (Array.isArray(scenarios[url])) return scenarios[url];
+  const wanted = normalizeScenarioUrl(url);
+  const key = Object.keys(scenarios).find((entry) => normalizeScenarioUrl(entry) === wanted);
+  return key ? scenarios[key] : [];
+}
+
+function clickElement(selector) {
+  const el = document.querySelector(selector);
+  if (!el) return false;
+  el.scrollIntoView({ block: 'center' });
+  if (typeof el.focus === 'function') el.focus();
+  el.click();
+  return true;
+}
+
+function typeInto(selector, text) {
+  const el = document.querySelector(selector);
+  if (!el) return false;
+  el.focus();
+  if (el.isContentEditable) {
+    el.textContent = text;
+  } else {
+    // Native setter so framework-controlled inputs see the change.
+    const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+    if (setter) setter.call(el, text);
+    else el.value = text;
+  }
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+  return true;
+}
+
+function isVisible(selector) {
+  const el = document.querySelector(selector);
+  if (!el) return false;
+  const style = getComputedStyle(el);
+  const rect = el.getBoundingClientRect();
+  return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+}
+
+// Navigations while polling destroy the execution context; treat that as "not yet".
+export async function waitForVisible(session, selector, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await session.callFunction(isVisible, selector).catch(() => false)) return true;
+    await sleep(200);
+  }
+  return false;
+}
+
+export async function runScenarioSteps(session, state, { stepTimeoutMs = STEP_TIMEOUT_MS } = {}) {
+  for (const [index, step] of state.steps.entries()) {
+    const where = `State "${state.name}" step ${index + 1}`;
+    if (step.click !== undefined) {
+      if (!(await session.callFunction(clickElement, step.click))) {
+        throw new Error(`${where}: no element matches ${step.click}`);
+      }
+    } else if (step.type !== undefined) {
+      if (!(await session.callFunction(typeInto, step.type, step.text))) {
+        throw new Error(`${where}: no element matches ${step.type}`);
+      }
+    } else if (step.press !== undefined) {
+      await pressKey(session, KEYS[step.press]);
+    } else if (step.wait !== undefined) {
+      await sleep(step.wait);
+    } else if (step.waitFor !== undefined) {
+      if (!(await waitForVisible(session, step.waitFor, stepTimeoutMs))) {
+        throw new Error(`${where}: ${step.waitFor} not visible within ${stepTimeoutMs} ms`);
+      }
+    }
+  }
+}
+
+// Reloads `url` so every state starts from the page as loaded, plays the steps, then snapshots.
+export async function captureScenarioState({
+  browserUrl,
+  url,
+  state,
+  timeoutMs = 15000,
+  connect = connectCdpTab
+}) {
+  if (!browserUrl) {
+    throw new Error('Interaction states need a DevTools endpoint (--mcp-browser-url or a launched Chrome).');
+  }
+  const session = await connect({ browserUrl, url });
+  try {
+    await session.send('Page.enable');
+    const loaded = session.waitFor('Page.loadEventFired', timeoutMs);
+    const res = await session.send('Page.navigate', { url });
+    if (res?.errorText) {
+      throw new Error(`Scenario: navigation to ${url} failed (${res.errorText})`);
+    }
+    await loaded;
+    await runScenarioSteps(session, state);
+    if (SETTLE_MS) await sleep(SETTLE_MS);
+    const snapshot = await session.evaluate(getSnapshotExpression());
+    if (!snapshot || typeof snapshot !== 'object') {
+      throw new Error(`State "${state.name}": snapshot returned no data.`);
+    }
+    return { ...snapshot, state: state.name };
+  } finally {
+    session.close();
+  }
+}
+
+// Contrast is measured by the enrichment stage, which only runs on the page as loaded: states
+// leave these not evaluated instead of sending them to AI review.
+const PAGE_ONLY_CRITERIA = new Set(['3.2', '3.3']);
+
+export function isPageOnlyCriterion(id) {
+  return PAGE_ONLY_CRITERIA.has(id);
+}
+
+// Page verdict = loaded page + every state; the winning state is named in the notes. A state whose
+// replay failed keeps its errors in its own column and is left out of the page verdict.
+export function mergeStateResults(baseResults, states, i18n) {
+  const replayed = states.filter((state) => !state.error);
+  return baseResults.map((base, index) => {
+    if (PAGE_ONLY_CRITERIA.has(base?.id)) return base;
+    const candidates = [
+      { name: '', res: base },
+      ...replayed.map((state) => ({ name: state.name, res: state.results[index] }))
+    ];
+    const status = mergeStatuses(candidates.map((entry) => entry.res?.status || STATUS.ERR));
+    const source = candidates.find((entry) => (entry.res?.status || STATUS.ERR) === status);
+    if (!source?.name) return base;
+    const notes = String(source.res?.notes || '');
+    return {
+      ...source.res,
+      status,
+      notes: i18n.t(`État « ${source.name} » : ${notes}`, `State "${source.name}": ${notes}`)
+    };
+  });
+}
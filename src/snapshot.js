@@ -1,3 +1,32 @@
+import { loadAriaRoles } from './ariaValidator.js';
+
+// Delay of an inline timer call such as `setTimeout(fn, 3000)`: its second top-level argument,
+// so commas and parentheses inside the callback are skipped. -1 when it is not a plain number.
+// Also injected into the page snapshot expression.
+export function timerDelay(call) {
+  let depth = 0;
+  let commas = 0;
+  let start = -1;
+  for (let i = call.indexOf('('); i >= 0 && i < call.length; i += 1) {
+    const ch = call[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth += 1;
+    else if (ch === ')' || ch === ']' || ch === '}') {
+      depth -= 1;
+      if (depth === 0) return start >= 0 ? delayOf(call.slice(start, i)) : -1;
+    } else if (ch === ',' && depth === 1) {
+      commas += 1;
+      if (commas === 1) start = i + 1;
+      else if (commas === 2) return delayOf(call.slice(start, i));
+    }
+  }
+  return -1;
+
+  function delayOf(arg) {
+    const match = arg.match(/^\s*(\d+)\s*$/);
+    return match ? Number(match[1]) : -1;
+  }
+}
+
 export function getSnapshotExpression() {
   const shouldScroll = (() => {
     const raw = String(process.env.AUDIT_SNAPSHOT_SCROLL || '').trim().toLowerCase();
@@ -53,6 +82,11 @@ export function getSnapshotExpression() {
     const raw = Number(process.env.AUDIT_SNAPSHOT_MAX_FIELDSETS || '');
     return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 80;
   })();
+  const maxAriaNodes = (() => {
+    const raw = Number(process.env.AUDIT_SNAPSHOT_MAX_ARIA || '');
+    return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 150;
+  })();
+  const ariaTable = loadAriaRoles();
   const maxText = (() => {
     const raw = Number(process.env.AUDIT_SNAPSHOT_MAX_TEXT || '');
     return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : 200;
@@ -62,6 +96,24 @@ export function getSnapshotExpression() {
     const doc = document;
     const html = doc.documentElement;
 
+    // Watch timers scheduled while the snapshot runs (e.g. during lazy-load scrolling).
+    const NAV_RE = /(location(\\.href)?\\s*=[^=]|location\\.(assign|replace|reload)\\s*\\(|\\.reload\\s*\\()/;
+    const observedTimers = [];
+    const originalSetTimeout = window.setTimeout;
+    const originalSetInterval = window.setInterval;
+    const watchTimer = (kind, original) =>
+      function (handler, delay, ...rest) {
+        try {
+          const source = typeof handler === 'function' ? Function.prototype.toString.call(handler) : String(handler || '');
+          if (observedTimers.length < 5 && NAV_RE.test(source)) {
+            observedTimers.push({ kind, delay: Number(delay) || 0, source });
+          }
+        } catch (_) {}
+        return original.call(this, handler, delay, ...rest);
+      };
+    window.setTimeout = watchTimer('setTimeout', originalSetTimeout);
+    window.setInterval = watchTimer('setInterval', originalSetInterval);
+
     const clip = (value, max = ${maxText}) => {
       const str = value == null ? '' : String(value);
       if (!max || str.length <= max) return str;
@@ -90,22 +142,90 @@ export function getSnapshotExpression() {
       await sleep(120);
     };
 
-    if (${shouldScroll}) {
-      await scrollToLoadLazyContent();
+    // Page scripts can only schedule timers during the awaits of the scroll: restore the timers right
+    // after it, even when it throws.
+    try {
+      if (${shouldScroll}) {
+        await scrollToLoadLazyContent();
+      }
+    } finally {
+      window.setTimeout = originalSetTimeout;
+      window.setInterval = originalSetInterval;
     }
 
     const cap = (arr, max = ${maxItems}) => (Array.isArray(arr) ? arr.slice(0, max) : arr);
     const collectArrays = ${collectArrays};
 
     const getText = (node) => clip(node ? (node.textContent || '') : '');
+    const toSelector = (el) => {
+      if (!el || !el.tagName) return '';
+      const tag = el.tagName.toLowerCase();
+      const id = el.getAttribute('id');
+      if (id) return clip(tag + '#' + id, 80);
+      const cls = (el.getAttribute('class') || '').trim().split(/\\s+/).filter(Boolean).slice(0, 2);
+      return clip(cls.length ? tag + '.' + cls.join('.') : tag, 80);
+    };
+
+    // Open shadow roots and same-origin frame documents, each with the hosts that lead to it.
+    const scopeHosts = new Map([[doc, []]]);
+    const scopeChildren = new Map();
+    const scopeSummary = { shadowRoots: 0, sameOriginFrames: 0 };
+    const visitScope = (root) => {
+      const children = [];
+      for (const el of Array.from(root.querySelectorAll('*'))) {
+        if (scopeHosts.size >= 100) break;
+        let scope = null;
+        if (el.shadowRoot) {
+          scope = el.shadowRoot;
+          scopeSummary.shadowRoots += 1;
+        } else if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+          try {
+            scope = el.contentDocument && el.contentDocument.documentElement ? el.contentDocument : null;
+          } catch (_) {}
+          if (scope) scopeSummary.sameOriginFrames += 1;
+        }
+        if (!scope || scopeHosts.has(scope)) continue;
+        scopeHosts.set(scope, scopeHosts.get(root).concat(toSelector(el)));
+        children.push({ host: el, scope });
+        visitScope(scope);
+      }
+      if (children.length) scopeChildren.set(root, children);
+    };
+    visitScope(doc);
+
+    // querySelectorAll across every scope, nested results spliced in after their host.
+    const queryAll = (selector, root = doc) => {
+      const own = Array.from(root.querySelectorAll(selector));
+      const children = scopeChildren.get(root);
+      if (!children) return own;
+      const out = [];
+      let i = 0;
+      for (const { host, scope } of children) {
+        while (i < own.length && (own[i] === host || own[i].compareDocumentPosition(host) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+          out.push(own[i]);
+          i += 1;
+        }
+        out.push(...queryAll(selector, scope));
+      }
+      return out.concat(own.slice(i));
+    };
+    const hostOf = (el) => clip((scopeHosts.get(el.getRootNode()) || []).join(' > '), 160);
+    // IDs resolve inside the element's own tree (shadow root or frame document).
+    const rootOf = (el) => {
+      const root = el.getRootNode();
+      return root && typeof root.getElementById === 'function' ? root : doc;
+    };
+
     const getLabelledBy = (el) => {
-      const ids = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
-      return clip(ids.map((id) => getText(doc.getElementById(id))).join(' ').trim());
+      const ids = (el.getAttribute('aria-labelledby') || '').split(/\\s+/).filter(Boolean);
+      const root = rootOf(el);
+      return clip(ids.map((id) => getText(root.getElementById(id))).join(' ').trim());
     };
 
     const getDescribedBy = (el) => {
-      const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
-      return clip(ids.map((id) => getText(doc.getElementById(id))).join(' ').trim());
+      const ids = (el.getAttribute('aria-describedby') || '').split(/\\s+/).filter(Boolean);
+      const root = rootOf(el);
+      return clip(ids.map((id) => getText(root.getElementById(id))).join(' ').trim());
     };
 
     const getAccessibleName = (el) => {
@@ -131,8 +251,8 @@ export function getSnapshotExpression() {
     const normalizeLinkText = (text) =>
       String(text || '')
         .toLowerCase()
-        .replace(/[\u2019'".,:;!?()\[\]{}]/g, '')
-        .replace(/\s+/g, ' ')
+        .replace(/[\u2019'".,:;!?()\\[\\]{}]/g, '')
+        .replace(/\\s+/g, ' ')
         .trim();
     const GENERIC_LINK_TEXTS = new Set([
       'cliquez ici',
@@ -152,7 +272,7 @@ export function getSnapshotExpression() {
       'acceder'
     ]);
 
-    const imageNodes = Array.from(doc.querySelectorAll('img, [role="img"]'));
+    const imageNodes = queryAll('img, [role="img"]');
     const images = [];
     const imageSummary = {
       total: imageNodes.length,
@@ -173,12 +293,13 @@ export function getSnapshotExpression() {
           role,
           ariaHidden,
           alt: alt === null ? null : clip(alt),
-          name: clip(name)
+          name: clip(name),
+          host: hostOf(el)
         });
       }
     }
 
-    const frameNodes = Array.from(doc.querySelectorAll('iframe, frame'));
+    const frameNodes = queryAll('iframe, frame');
     const frames = [];
     const frameSummary = {
       total: frameNodes.length,
@@ -190,11 +311,11 @@ export function getSnapshotExpression() {
       const ariaLabelledby = clip((el.getAttribute('aria-labelledby') || '').trim());
       if (!title && !ariaLabel && !ariaLabelledby) frameSummary.missingTitleCount += 1;
       if (collectArrays) {
-        frames.push({ title, ariaLabel, ariaLabelledby });
+        frames.push({ title, ariaLabel, ariaLabelledby, host: hostOf(el) });
       }
     }
 
-    const linkNodes = Array.from(doc.querySelectorAll('a[href]'));
+    const linkNodes = queryAll('a[href]');
     const links = [];
     const linkSummary = {
       total: linkNodes.length,
@@ -244,7 +365,8 @@ export function getSnapshotExpression() {
           ariaLabel: clip((el.getAttribute('aria-label') || '').trim()),
           ariaLabelledby: clip((el.getAttribute('aria-labelledby') || '').trim()),
           target: clip(target),
-          rel: clip(rel)
+          rel: clip(rel),
+          host: hostOf(el)
         });
       }
     }
@@ -262,7 +384,7 @@ export function getSnapshotExpression() {
       const id = el.getAttribute('id');
       if (id) {
         const selector = 'label[for=\"' + CSS.escape(id) + '\"]';
-        const label = doc.querySelector(selector);
+        const label = rootOf(el).querySelector(selector);
         if (label) return clip((label.textContent || '').trim());
       }
       const parentLabel = el.closest('label');
@@ -289,7 +411,7 @@ export function getSnapshotExpression() {
     };
     const fieldsets = [];
 
-    const fieldsetNodes = Array.from(doc.querySelectorAll('fieldset'));
+    const fieldsetNodes = queryAll('fieldset');
     formSummary.fieldsetCount = fieldsetNodes.length;
     for (const fieldset of fieldsetNodes) {
       const legend = getFieldsetLegend(fieldset);
@@ -318,7 +440,7 @@ export function getSnapshotExpression() {
       });
     }
 
-    const controlNodes = Array.from(doc.querySelectorAll('input, select, textarea, button'))
+    const controlNodes = queryAll('input, select, textarea, button')
       .filter(isFormControl);
     for (const el of controlNodes) {
       const fieldset = el.closest('fieldset');
@@ -347,7 +469,8 @@ export function getSnapshotExpression() {
           autocomplete: clip(autocomplete),
           describedBy: clip(describedBy),
           inFieldset: Boolean(fieldset),
-          fieldsetLegend: clip(fieldsetLegend)
+          fieldsetLegend: clip(fieldsetLegend),
+          host: hostOf(el)
         });
       }
     }
@@ -356,7 +479,7 @@ export function getSnapshotExpression() {
     const headingsSummary = { total: 0, h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
     const headingAnalysis = { h1Count: 0, hasLevelJumps: false };
     let prevHeadingLevel = null;
-    const headingNodes = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+    const headingNodes = queryAll('h1, h2, h3, h4, h5, h6');
     for (const el of headingNodes) {
       const level = Number(el.tagName.replace('H', ''));
       headingsSummary.total += 1;
@@ -370,7 +493,8 @@ export function getSnapshotExpression() {
       if (collectArrays) {
         headings.push({
           level,
-          text: clip((el.textContent || '').trim())
+          text: clip((el.textContent || '').trim()),
+          host: hostOf(el)
         });
       }
     }
@@ -400,9 +524,20 @@ export function getSnapshotExpression() {
       withScope: 0,
       withId: 0,
       withHeadersAttr: 0,
-      withThead: 0
+      withThead: 0,
+      layoutCount: 0,
+      layoutWithDataMarkup: 0,
+      dataCount: 0,
+      dataWithTitle: 0,
+      dataWithoutHeaders: 0,
+      dataAmbiguous: 0,
+      complexCount: 0,
+      complexWithoutTitle: 0,
+      complexUnassociated: 0,
+      invalidAssociations: 0
     };
-    const tableNodes = Array.from(doc.querySelectorAll('table'));
+    const VALID_SCOPES = new Set(['row', 'col', 'rowgroup', 'colgroup']);
+    const tableNodes = queryAll('table');
     tableSummary.total = tableNodes.length;
     for (const table of tableNodes) {
       const hasTh = !!table.querySelector('th');
@@ -420,14 +555,95 @@ export function getSnapshotExpression() {
       if (thWithId > 0) tableSummary.withId += 1;
       if (cellsWithHeaders > 0) tableSummary.withHeadersAttr += 1;
       if (hasThead) tableSummary.withThead += 1;
+
+      const role = (table.getAttribute('role') || '').trim().toLowerCase();
+      const layout = role === 'presentation' || role === 'none';
+      const caption = table.querySelector('caption');
+      const tableTitle = clip(
+        (
+          (caption && caption.textContent) ||
+          table.getAttribute('aria-label') ||
+          getLabelledBy(table) ||
+          table.getAttribute('title') ||
+          ''
+        ).trim()
+      );
+      const headerCells = Array.from(
+        table.querySelectorAll('th, [role="columnheader"], [role="rowheader"]')
+      );
+      const referencedIds = new Set();
+      let brokenHeadersRefs = 0;
+      for (const cell of Array.from(table.querySelectorAll('[headers]'))) {
+        for (const id of (cell.getAttribute('headers') || '').split(/\\s+/).filter(Boolean)) {
+          referencedIds.add(id);
+          const target = rootOf(table).getElementById(id);
+          if (!target || !table.contains(target)) brokenHeadersRefs += 1;
+        }
+      }
+      const complex = ths.some((th) => {
+        const row = th.parentElement;
+        const rowIndex = row && typeof row.rowIndex === 'number' ? row.rowIndex : 0;
+        const spans = Number(th.getAttribute('colspan') || 1) > 1 || Number(th.getAttribute('rowspan') || 1) > 1;
+        return spans || (rowIndex > 0 && th.cellIndex > 0);
+      }) || cellsWithHeaders > 0;
+      const invalidScope = ths.filter((th) => {
+        if (!th.hasAttribute('scope')) return false;
+        return !VALID_SCOPES.has((th.getAttribute('scope') || '').trim().toLowerCase());
+      }).length;
+      const unassociatedHeaders = complex
+        ? ths.filter((th) => !th.hasAttribute('scope') && !(th.id && referencedIds.has(th.id))).length
+        : 0;
+      const dataMarkup = layout
+        ? [
+            hasCaption ? 'caption' : '',
+            hasTh ? 'th' : '',
+            hasThead ? 'thead' : '',
+            hasTfoot ? 'tfoot' : '',
+            table.hasAttribute('summary') ? 'summary' : '',
+            table.querySelector('[scope]') ? 'scope' : '',
+            table.querySelector('[headers]') ? 'headers' : '',
+            table.querySelector('[axis]') ? 'axis' : ''
+          ].filter(Boolean)
+        : [];
+      // Without header cells, caption, thead or summary a table may still be layout-only.
+      const ambiguous =
+        !layout && headerCells.length === 0 && !hasCaption && !hasThead && !table.hasAttribute('summary');
+
+      if (layout) {
+        tableSummary.layoutCount += 1;
+        if (dataMarkup.length) tableSummary.layoutWithDataMarkup += 1;
+      } else {
+        tableSummary.dataCount += 1;
+        if (tableTitle) tableSummary.dataWithTitle += 1;
+        if (ambiguous) tableSummary.dataAmbiguous += 1;
+        else if (headerCells.length === 0) tableSummary.dataWithoutHeaders += 1;
+        if (complex) {
+          tableSummary.complexCount += 1;
+          if (!tableTitle) tableSummary.complexWithoutTitle += 1;
+          if (unassociatedHeaders > 0) tableSummary.complexUnassociated += 1;
+        }
+        if (invalidScope > 0 || brokenHeadersRefs > 0) tableSummary.invalidAssociations += 1;
+      }
+
       if (collectArrays) {
         tables.push({
+          selector: toSelector(table),
+          role: clip(role),
+          layout,
+          title: tableTitle,
+          complex,
+          ambiguous,
+          headerCount: headerCells.length,
           hasTh,
           hasCaption,
           thCount: ths.length,
           thWithScope,
           thWithId,
           cellsWithHeaders,
+          unassociatedHeaders,
+          invalidScope,
+          brokenHeadersRefs,
+          dataMarkup,
           hasThead,
           hasTbody,
           hasTfoot
@@ -435,12 +651,13 @@ export function getSnapshotExpression() {
       }
     }
 
-    const buttons = Array.from(doc.querySelectorAll('button, input[type="button"], input[type="submit"], input[type="reset"], [role="button"]'))
+    const buttons = queryAll('button, input[type="button"], input[type="submit"], input[type="reset"], [role="button"]')
       .map((el) => ({
         tag: el.tagName.toLowerCase(),
         type: clip((el.getAttribute('type') || '').toLowerCase()),
         role: clip((el.getAttribute('role') || '').toLowerCase()),
-        name: clip(getAccessibleName(el))
+        name: clip(getAccessibleName(el)),
+        host: hostOf(el)
       }))
       .filter((btn) => btn.name || btn.tag || btn.role);
 
@@ -467,6 +684,107 @@ export function getSnapshotExpression() {
       }));
     })();
 
+    // Navigation features compared across pages (12.1, 12.2, 12.4, 12.5): where each one is drawn
+    // and how many interactive elements come before it in the source.
+    const navigation = (() => {
+      // Source order across shadow roots and frames (compareDocumentPosition stops at their boundary).
+      const INTERACTIVE = 'a[href], button, input, select, textarea';
+      const position = new Map(
+        queryAll(INTERACTIVE + ', nav, [role="navigation"], [role="search"], form').map((el, index) => [el, index])
+      );
+      const interactive = queryAll(INTERACTIVE);
+      const docHeight = Math.max(doc.body ? doc.body.scrollHeight : 0, html ? html.scrollHeight : 0);
+      const orderOf = (el) =>
+        interactive.filter((node) => node !== el && !el.contains(node) && position.get(node) < position.get(el)).length;
+      const regionOf = (el) => {
+        if (el.closest('header, [role="banner"]')) return 'banner';
+        if (el.closest('footer, [role="contentinfo"]')) return 'contentinfo';
+        if (el.closest('aside, [role="complementary"]')) return 'complementary';
+        if (el.closest('main, [role="main"]')) return 'main';
+        return '';
+      };
+      const place = (el) => {
+        const box = el.getBoundingClientRect();
+        const y = Math.round(box.top + window.scrollY);
+        return {
+          region: regionOf(el),
+          order: orderOf(el),
+          visible: box.width > 0 && box.height > 0,
+          rect: {
+            x: Math.round(box.left + window.scrollX),
+            y,
+            width: Math.round(box.width),
+            height: Math.round(box.height),
+            fromBottom: Math.max(0, docHeight - y - Math.round(box.height))
+          }
+        };
+      };
+      const SEARCH_RE = /search|recherche|chercher/i;
+      const SITEMAP_RE = /plan du site|plan-du-site|plan_du_site|site ?map/i;
+
+      const menus = queryAll('nav, [role="navigation"]')
+        .map((el) => ({
+          el,
+          links: Array.from(el.querySelectorAll('a[href]')).filter((a) => !(a.getAttribute('href') || '').startsWith('#'))
+        }))
+        .filter((menu) => menu.links.length > 0)
+        .slice(0, 10)
+        .map(({ el, links }) => ({
+          selector: toSelector(el),
+          label: clip(getAccessibleName(el), 80),
+          ...place(el),
+          linkCount: links.length,
+          links: links.slice(0, 40).map((a) => ({
+            name: clip(getAccessibleName(a), 60),
+            href: clip((a.getAttribute('href') || '').trim(), 160)
+          }))
+        }));
+
+      const sitemapLinks = interactive
+        .filter((el) => el.tagName === 'A')
+        .filter((a) => {
+          const href = a.getAttribute('href') || '';
+          if (/\\.xml(\\?|$)/i.test(href)) return false;
+          return SITEMAP_RE.test(getAccessibleName(a)) || SITEMAP_RE.test(href);
+        })
+        .slice(0, 5)
+        .map((a) => ({
+          name: clip(getAccessibleName(a), 80),
+          href: clip((a.getAttribute('href') || '').trim(), 160),
+          ...place(a)
+        }));
+
+      const searchForms = queryAll('[role="search"], form')
+        .filter((el) => {
+          if ((el.getAttribute('role') || '').toLowerCase() === 'search') return true;
+          return Boolean(
+            el.querySelector('input[type="search"]')
+            || Array.from(el.querySelectorAll('input, button')).some((node) =>
+              SEARCH_RE.test([node.getAttribute('name'), node.getAttribute('id'), getAccessibleName(node)].join(' '))
+            )
+          );
+        });
+      // Keep the first five in source order before placing them: place() walks every interactive element.
+      const outerForms = searchForms.filter((el) => !searchForms.some((other) => other !== el && other.contains(el)));
+      const search = [
+        ...outerForms,
+        ...interactive
+          .filter((el) => (el.tagName === 'A' || el.tagName === 'BUTTON') && !el.closest('form, [role="search"]'))
+          .filter((el) => SEARCH_RE.test(getAccessibleName(el)) || (el.tagName === 'A' && SEARCH_RE.test(el.getAttribute('href') || '')))
+      ]
+        .sort((a, b) => position.get(a) - position.get(b))
+        .slice(0, 5)
+        .map((el) => {
+          if (outerForms.includes(el)) {
+            const field = el.querySelector('input:not([type="hidden"])');
+            return { kind: 'form', name: clip(field ? getAccessibleName(field) : getAccessibleName(el), 80), ...place(el) };
+          }
+          return { kind: el.tagName === 'A' ? 'link' : 'button', name: clip(getAccessibleName(el), 80), ...place(el) };
+        });
+
+      return { menus, sitemapLinks, search };
+    })();
+
     const meta = (() => {
       const viewport = doc.querySelector('meta[name="viewport"]');
       const refresh = doc.querySelector('meta[http-equiv="refresh"]');
@@ -476,6 +794,42 @@ export function getSnapshotExpression() {
       };
     })();
 
+    const timeLimits = (() => {
+      const scriptRedirects = observedTimers.map((timer) => ({
+        source: 'observed',
+        timer: timer.kind,
+        delayMs: timer.delay,
+        reload: /reload\\s*\\(/.test(timer.source),
+        snippet: clip(timer.source.replace(/\\s+/g, ' '), 160)
+      }));
+      const timerDelay = ${timerDelay};
+      const TIMER_RE = /(setTimeout|setInterval)\\s*\\(/g;
+      for (const script of Array.from(doc.querySelectorAll('script:not([src])'))) {
+        const source = script.textContent || '';
+        let match;
+        TIMER_RE.lastIndex = 0;
+        while (scriptRedirects.length < 5 && (match = TIMER_RE.exec(source))) {
+          // Keep only the timer call itself: scan to its closing parenthesis.
+          let depth = 0;
+          let end = match.index + match[0].length - 1;
+          for (; end < source.length && end < match.index + 400; end += 1) {
+            if (source[end] === '(') depth += 1;
+            else if (source[end] === ')' && --depth === 0) break;
+          }
+          const windowText = source.slice(match.index, end + 1);
+          if (!NAV_RE.test(windowText)) continue;
+          scriptRedirects.push({
+            source: 'inline-script',
+            timer: match[1],
+            delayMs: timerDelay(windowText),
+            reload: /reload\\s*\\(/.test(windowText),
+            snippet: clip(windowText.replace(/\\s+/g, ' '), 160)
+          });
+        }
+      }
+      return { scriptRedirects };
+    })();
+
     const mediaDetails = (() => {
       const trackKinds = (el) =>
         Array.from(el.querySelectorAll('track')).map((track) =>
@@ -549,43 +903,49 @@ export function getSnapshotExpression() {
       hasInlineHandlers: !!doc.querySelector('[onclick],[onkeydown],[onkeyup],[onkeypress],[onmouseover],[onfocus],[onblur]')
     };
 
+    // Every focusable element is counted; details (with positions) are kept for the first 80 only.
+    const focusableSummary = {
+      total: 0,
+      tabindexPositive: 0,
+      tabindexZero: 0,
+      maxTabindex: 0
+    };
     const focusables = (() => {
       const selector =
         'a[href], button, input, select, textarea, [tabindex], [role="button"], [role="link"]';
-      const nodes = Array.from(doc.querySelectorAll(selector));
+      const nodes = queryAll(selector);
       const out = [];
       const maxItems = 80;
       for (const el of nodes) {
-        if (out.length >= maxItems) break;
         const tabindexAttr = el.getAttribute('tabindex');
         const tabIndex = tabindexAttr !== null ? Number(tabindexAttr) : el.tabIndex;
         if (Number.isNaN(tabIndex)) continue;
         if (tabIndex < 0) continue;
         const disabled = 'disabled' in el ? Boolean(el.disabled) : el.hasAttribute('disabled');
         if (disabled) continue;
+        focusableSummary.total += 1;
+        if (tabIndex > 0) focusableSummary.tabindexPositive += 1;
+        if (tabIndex === 0) focusableSummary.tabindexZero += 1;
+        if (tabIndex > focusableSummary.maxTabindex) focusableSummary.maxTabindex = tabIndex;
+        if (out.length >= maxItems) continue;
+        const box = el.getBoundingClientRect();
         out.push({
           tag: el.tagName.toLowerCase(),
           role: clip((el.getAttribute('role') || '').toLowerCase()),
           tabindex: tabIndex,
-          type: clip((el.getAttribute('type') || '').toLowerCase())
+          type: clip((el.getAttribute('type') || '').toLowerCase()),
+          selector: toSelector(el),
+          name: clip(getAccessibleName(el), 60),
+          rect: {
+            x: Math.round(box.left + window.scrollX),
+            y: Math.round(box.top + window.scrollY),
+            width: Math.round(box.width),
+            height: Math.round(box.height)
+          }
         });
       }
       return out;
     })();
-    const focusableSummary = (() => {
-      const summary = {
-        total: focusables.length,
-        tabindexPositive: 0,
-        tabindexZero: 0,
-        maxTabindex: 0
-      };
-      for (const el of focusables) {
-        if (el.tabindex > 0) summary.tabindexPositive += 1;
-        if (el.tabindex === 0) summary.tabindexZero += 1;
-        if (el.tabindex > summary.maxTabindex) summary.maxTabindex = el.tabindex;
-      }
-      return summary;
-    })();
 
     const ariaLive = (() => {
       const liveNodes = Array.from(doc.querySelectorAll('[aria-live]'));
@@ -633,6 +993,83 @@ export function getSnapshotExpression() {
       return entries.slice(0, 30);
     })();
 
+    // Elements carrying ARIA, with what the validator needs: owned roles, context role, dangling ID refs.
+    let ariaNodeCount = 0;
+    const ariaNodes = (() => {
+      const implicitRoles = ${JSON.stringify(ariaTable.implicitRoles)};
+      const idrefAttributes = ${JSON.stringify(ariaTable.idrefAttributes)};
+      const knownAttributes = new Set(${JSON.stringify(ariaTable.attributes)});
+      const transparent = ['none', 'presentation', 'generic'];
+      const roleOf = (el) => {
+        const explicit = (el.getAttribute('role') || '').trim().toLowerCase().split(/\\s+/)[0];
+        if (explicit) return explicit;
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        if (tag === 'td' && el.closest('[role="grid"],[role="treegrid"]')) return 'gridcell';
+        return implicitRoles[tag] || '';
+      };
+      const contextOf = (el) => {
+        for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+          const role = roleOf(parent);
+          if (role && !transparent.includes(role)) return role;
+        }
+        return '';
+      };
+      const ownedOf = (el) => {
+        const found = new Set();
+        const visit = (node, depth) => {
+          for (const child of Array.from(node.children)) {
+            if (found.size >= 10) return;
+            const role = roleOf(child);
+            if (role && !transparent.includes(role)) found.add(role);
+            else if (depth < 6) visit(child, depth + 1);
+          }
+        };
+        visit(el, 0);
+        for (const id of (el.getAttribute('aria-owns') || '').split(/\\s+/).filter(Boolean)) {
+          const owned = rootOf(el).getElementById(id);
+          const role = owned ? roleOf(owned) : '';
+          if (role) found.add(role);
+        }
+        return Array.from(found);
+      };
+      const out = [];
+      // Document scopes start at their body; shadow roots have none.
+      const inBody = (el) => {
+        const root = el.getRootNode();
+        return root.nodeType !== Node.DOCUMENT_NODE || Boolean(root.body && root.body !== el && root.body.contains(el));
+      };
+      for (const el of queryAll('*').filter(inBody)) {
+        const attrs = Array.from(el.attributes)
+          .map((attr) => attr.name)
+          .filter((name) => name.startsWith('aria-'));
+        const hasRole = el.hasAttribute('role');
+        const hasRefs = attrs.some((name) => idrefAttributes.includes(name));
+        if (!hasRole && !hasRefs && attrs.every((name) => knownAttributes.has(name))) continue;
+        ariaNodeCount += 1;
+        if (out.length >= ${maxAriaNodes}) continue;
+        const missingRefs = [];
+        for (const name of attrs.filter((attr) => idrefAttributes.includes(attr))) {
+          for (const id of (el.getAttribute(name) || '').split(/\\s+/).filter(Boolean)) {
+            if (!rootOf(el).getElementById(id)) missingRefs.push(name + '→' + clip(id, 40));
+          }
+        }
+        out.push({
+          selector: toSelector(el),
+          tag: el.tagName.toLowerCase(),
+          type: clip((el.getAttribute('type') || '').toLowerCase(), 20),
+          role: clip((el.getAttribute('role') || '').trim().toLowerCase(), 60),
+          attrs: attrs.slice(0, 20),
+          missingRefs: missingRefs.slice(0, 5),
+          context: hasRole ? contextOf(el) : '',
+          owned: hasRole ? ownedOf(el) : [],
+          busy: el.getAttribute('aria-busy') === 'true',
+          empty: el.children.length === 0 && !el.hasAttribute('aria-owns')
+        });
+      }
+      return out;
+    })();
+
     const counts = {
       images: imageSummary.total,
       frames: frameSummary.total,
@@ -646,7 +1083,10 @@ export function getSnapshotExpression() {
       fieldsets: formSummary.fieldsetCount,
       buttons: buttons.length,
       landmarks: landmarks.length,
-      focusables: focusables.length
+      focusables: focusableSummary.total,
+      ariaNodes: ariaNodeCount,
+      shadowRoots: scopeSummary.shadowRoots,
+      sameOriginFrames: scopeSummary.sameOriginFrames
     };
 
     const partial = !collectArrays
@@ -657,7 +1097,7 @@ export function getSnapshotExpression() {
       || headingsSummary.total > ${maxHeadings}
       || buttons.length > ${maxButtons}
       || landmarks.length > ${maxLandmarks}
-      || focusables.length > ${maxFocusables}
+      || focusableSummary.total > ${maxFocusables}
       || tableSummary.total > ${maxTables}
       || formSummary.fieldsetCount > ${maxFieldsets};
 
@@ -683,7 +1123,10 @@ export function getSnapshotExpression() {
         ariaLive,
         ariaSummary,
         rolesSummary,
+        ariaNodes,
         meta,
+        navigation,
+        timeLimits,
         linkSummary,
         media,
         mediaDetails,
@@ -726,7 +1169,10 @@ export function getSnapshotExpression() {
       ariaLive,
       ariaSummary,
       rolesSummary: cap(rolesSummary, ${maxItems}),
+      ariaNodes,
       meta: cap(meta, ${maxItems}),
+      navigation,
+      timeLimits,
       linkSummary: cap(linkSummary, ${maxItems}),
       media: cap(media, ${maxItems}),
       mediaDetails,
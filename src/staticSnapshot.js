@@ -0,0 +1,189 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { load as loadCheerio } from 'cheerio';
+import { analyzeDomHints } from './enrichment.js';
+import { validateHtmlString } from './htmlValidator.js';
+
+const HTML_FILE_RE = /\.html?$/i;
+const LANDMARK_SELECTOR = [
+  'header',
+  'nav',
+  'main',
+  'footer',
+  'aside',
+  'form',
+  'section',
+  ...['banner', 'navigation', 'main', 'contentinfo', 'search', 'complementary', 'form', 'region'].map(
+    (role) => `[role="${role}"]`
+  )
+].join(', ');
+
+function toPosix(value) {
+  return String(value).split(path.sep).join('/');
+}
+
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      i += 1;
+      if (pattern[i + 1] === '/') {
+        i += 1;
+        re += '(?:.*/)?';
+      } else {
+        re += '.*';
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+async function listHtmlFiles(dir) {
+  const out = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...(await listHtmlFiles(full)));
+    else if (entry.isFile() && HTML_FILE_RE.test(entry.name)) out.push(full);
+  }
+  return out;
+}
+
+// Directories are searched recursively; glob patterns support *, ** and ?.
+export async function resolveStaticPages(inputs = [], { cwd = process.cwd() } = {}) {
+  const files = new Set();
+  for (const input of inputs) {
+    const raw = String(input || '').trim();
+    if (!raw) continue;
+    const absolute = path.resolve(cwd, raw);
+    if (!/[*?]/.test(raw)) {
+      const stat = await fs.stat(absolute).catch(() => null);
+      if (!stat) throw new Error(`Static input not found: ${raw}`);
+      if (stat.isDirectory()) {
+        for (const file of await listHtmlFiles(absolute)) files.add(file);
+      } else {
+        files.add(absolute);
+      }
+      continue;
+    }
+    const segments = toPosix(absolute).split('/');
+    const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || '/';
+    const matcher = globToRegExp(toPosix(absolute));
+    const stat = await fs.stat(base).catch(() => null);
+    if (!stat?.isDirectory()) continue;
+    for (const file of await listHtmlFiles(base)) {
+      if (matcher.test(toPosix(file))) files.add(file);
+    }
+  }
+  return Array.from(files)
+    .sort()
+    .map((file) => pathToFileURL(file).href);
+}
+
+// Same shape as a counts-only browser snapshot: summaries without per-item arrays, so the
+// rules decide from summaries and fall back to review where they need details.
+export function buildStaticSnapshot(html, { url = '' } = {}) {
+  const source = String(html || '');
+  const $ = loadCheerio(source);
+  const hints = analyzeDomHints(source) || {};
+  const count = (selector) => $(selector).length;
+  const lang = hints.lang || '';
+  const dir = hints.dir || '';
+  const doctype = source.match(/<!doctype\s+([^\s>]+)/i);
+
+  const headingsSummary = { total: 0, h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  for (const level of [1, 2, 3, 4, 5, 6]) {
+    headingsSummary[`h${level}`] = count(`h${level}`);
+    headingsSummary.total += headingsSummary[`h${level}`];
+  }
+  const langChanges = $('[lang]')
+    .map((_, el) => ($(el).attr('lang') || '').trim())
+    .get()
+    .filter((value) => value && value !== lang);
+  const dirChanges = $('[dir]')
+    .map((_, el) => ($(el).attr('dir') || '').trim().toLowerCase())
+    .get()
+    .filter((value) => value && value !== dir);
+  const metaContent = (attr, value) =>
+    (
+      $('meta')
+        .filter((_, el) => ($(el).attr(attr) || '').trim().toLowerCase() === value)
+        .first()
+        .attr('content') || ''
+    ).trim();
+  const formSummary = { ...(hints.formSummary || {}), fieldsetCount: count('fieldset') };
+  const buttons = count(
+    'button, input[type="button"], input[type="submit"], input[type="reset"], [role="button"]'
+  );
+
+  return {
+    source: 'static',
+    doctype: doctype ? doctype[1].toLowerCase() : '',
+    title: hints.title || '',
+    lang,
+    dir,
+    href: url,
+    readyState: 'complete',
+    counts: {
+      images: hints.imageSummary?.total || 0,
+      frames: hints.frameSummary?.total || 0,
+      links: hints.linkSummary?.total || 0,
+      formControls: formSummary.controlsTotal || 0,
+      headings: headingsSummary.total,
+      listItems: hints.listSummary?.total || 0,
+      langChanges: langChanges.length,
+      dirChanges: dirChanges.length,
+      tables: count('table'),
+      fieldsets: formSummary.fieldsetCount,
+      buttons,
+      landmarks: count(LANDMARK_SELECTOR)
+    },
+    partial: true,
+    imageSummary: hints.imageSummary,
+    frameSummary: hints.frameSummary,
+    linkSummary: hints.linkSummary,
+    listSummary: hints.listSummary,
+    headingAnalysis: hints.headingAnalysis,
+    headingsSummary,
+    formSummary,
+    langChanges,
+    dirChanges,
+    meta: {
+      viewport: metaContent('name', 'viewport'),
+      refresh: metaContent('http-equiv', 'refresh')
+    },
+    media: {
+      video: count('video'),
+      audio: count('audio'),
+      object: count('object, embed')
+    },
+    visual: {
+      svg: count('svg'),
+      canvas: count('canvas'),
+      picture: count('picture'),
+      cssBackgroundImages: 0,
+      bgExamples: []
+    },
+    scripts: {
+      scriptTags: count('script'),
+      hasInlineHandlers:
+        count('[onclick],[onkeydown],[onkeyup],[onkeypress],[onmouseover],[onfocus],[onblur]') > 0
+    },
+    validation: validateHtmlString(source)
+  };
+}
+
+export async function collectStaticSnapshot(url) {
+  const html = await fs.readFile(fileURLToPath(url), 'utf-8');
+  return buildStaticSnapshot(html, { url });
+}
@@ -0,0 +1,139 @@
+import { connectCdpPage, sleep, writeScreenshot } from './cdp.js';
+
+// WCAG 1.4.12 / RGAA 10.12 bookmarklet values.
+export const TEXT_SPACING_CSS = [
+  '* { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }',
+  'p { margin-bottom: 2em !important; }'
+].join('\n');
+
+const MAX_ITEMS = 10;
+const MAX_SCREENSHOTS = 5;
+const CROP_PADDING = 8;
+
+const SETTLE_MS = (() => {
+  const raw = Number(process.env.AUDIT_TEXT_SPACING_SETTLE_MS || '');
+  return Number.isFinite(raw) && raw >= 0 ? raw : 500;
+})();
+
+// Runs in the page (serialized). Flags boxes whose text no longer fits: clipped when overflow
+// hides it, spilling when it overflows visibly. Scrollable boxes are fine.
+function pageMeasureSpacing(phase) {
+  const state = phase === 'before' ? { ids: new WeakMap(), next: 1, before: new Set() } : window.__rgaaTextSpacing;
+  if (!state) return null;
+  window.__rgaaTextSpacing = state;
+  const clip = (value, max) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+  };
+  const toSelector = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const id = el.getAttribute('id');
+    if (id) return clip(tag + '#' + id, 80);
+    const cls = (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+    return clip(cls.length ? tag + '.' + cls.join('.') : tag, 80);
+  };
+  const hides = (value) => value === 'hidden' || value === 'clip';
+  const flagged = [];
+  let checked = 0;
+  for (const el of Array.from(document.body ? document.body.querySelectorAll('*') : [])) {
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName) || el.closest('svg')) continue;
+    if (!el.textContent || !el.textContent.trim()) continue;
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 1 || rect.height <= 1) continue;
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden') continue;
+    checked += 1;
+    const overY = el.scrollHeight > el.clientHeight + 1;
+    const overX = el.scrollWidth > el.clientWidth + 1;
+    if (!overY && !overX) continue;
+    const clipped = (overY && hides(style.overflowY)) || (overX && hides(style.overflowX));
+    const spilling = !clipped && ((overY && style.overflowY === 'visible') || (overX && style.overflowX === 'visible'));
+    if (!clipped && !spilling) continue;
+    if (!state.ids.has(el)) state.ids.set(el, state.next++);
+    flagged.push({ el, id: state.ids.get(el), clipped, rect });
+  }
+  if (phase === 'before') {
+    for (const item of flagged) state.before.add(item.id);
+    return { checked, flagged: flagged.length };
+  }
+  // Keep the innermost box of each nested group of new problems.
+  const fresh = flagged.filter((item) => !state.before.has(item.id));
+  const innermost = fresh.filter((item) => !fresh.some((other) => other !== item && item.el.contains(other.el)));
+  return {
+    checked,
+    items: innermost.map((item) => ({
+      selector: toSelector(item.el),
+      text: clip(item.el.textContent, 60),
+      kind: item.clipped ? 'clipped' : 'overflow',
+      scrollHeight: item.el.scrollHeight,
+      clientHeight: item.el.clientHeight,
+      scrollWidth: item.el.scrollWidth,
+      clientWidth: item.el.clientWidth,
+      rect: {
+        x: Math.round(item.rect.left + window.scrollX),
+        y: Math.round(item.rect.top + window.scrollY),
+        width: Math.round(item.rect.width),
+        height: Math.round(item.rect.height)
+      }
+    }))
+  };
+}
+
+function pageInjectSpacing(css) {
+  const style = document.createElement('style');
+  style.id = '__rgaa-text-spacing';
+  style.textContent = css;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+function pageRemoveSpacing() {
+  const style = document.getElementById('__rgaa-text-spacing');
+  if (style) style.remove();
+  delete window.__rgaaTextSpacing;
+  window.scrollTo(0, 0);
+}
+
+function summarizeSpacingItems(items = []) {
+  const strip = ({ rect, screenshot = '', ...rest }) => ({ ...rest, screenshot });
+  const clipped = items.filter((item) => item.kind === 'clipped');
+  const overflowing = items.filter((item) => item.kind === 'overflow');
+  return {
+    clippedCount: clipped.length,
+    clipped: clipped.slice(0, MAX_ITEMS).map(strip),
+    overflowCount: overflowing.length,
+    overflowing: overflowing.slice(0, MAX_ITEMS).map(strip)
+  };
+}
+
+export async function runTextSpacingTest({ browserUrl, url, screenshotDir = '', screenshotPrefix = 'page' } = {}) {
+  const session = await connectCdpPage({ browserUrl, url });
+  if (!session) return null;
+  try {
+    await session.callFunction(pageMeasureSpacing, 'before');
+    await session.callFunction(pageInjectSpacing, TEXT_SPACING_CSS);
+    await sleep(SETTLE_MS);
+    const after = (await session.callFunction(pageMeasureSpacing, 'after')) || { checked: 0, items: [] };
+    // Crops are taken while the override is still applied, clipped boxes first.
+    const ordered = [...after.items].sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'clipped' ? -1 : 1));
+    for (const [index, item] of ordered.slice(0, MAX_SCREENSHOTS).entries()) {
+      const x = Math.max(0, item.rect.x - CROP_PADDING);
+      const y = Math.max(0, item.rect.y - CROP_PADDING);
+      const buffer = await session.captureScreenshot({
+        x,
+        y,
+        width: Math.min(item.rect.width + CROP_PADDING * 2, 1600),
+        height: Math.min(item.rect.height + CROP_PADDING * 2, 1200)
+      });
+      item.screenshot = await writeScreenshot({
+        dir: screenshotDir,
+        prefix: screenshotPrefix,
+        name: `spacing-${index + 1}`,
+        buffer
+      });
+    }
+    return { checked: after.checked, ...summarizeSpacingItems(ordered) };
+  } finally {
+    await session.callFunction(pageRemoveSpacing).catch(() => {});
+    session.close();
+  }
+}
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { aiReviewCriteriaBatch, aiReviewCriterion, resolveAiProvider } from '../src/ai.js';
+import { clearAiCache } from '../src/aiCache.js';
+import { createCriteriaMatcher } from '../src/criteria.js';
+
+const criteria = [
+  { id: '1.1', title: 'Chaque image porteuse d’information a-t-elle une alternative textuelle ?', theme: 'Images' },
+  { id: '8.5', title: 'Chaque page web a-t-elle un titre de page ?', theme: 'Éléments obligatoires' }
+];
+
+test('unchanged evidence reuses cached verdicts without calling the model', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-ai-cache-'));
+  process.env.AUDIT_AI_CACHE_DIR = dir;
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      calls += 1;
+      const request = JSON.parse(body);
+      const prompt = request.messages[0].content;
+      const verdicts = criteria
+        .filter((criterion) => prompt.includes(`"${criterion.id}"`))
+        .map((criterion) => ({
+          criterion_id: criterion.id,
+          status: 'Conform',
+          confidence: 0.9,
+          rationale: `OK ${criterion.id}`,
+          evidence: []
+        }));
+      const batch = request.response_format.json_schema.name.includes('batch');
+      const content = batch ? { results: verdicts } : { ...verdicts[0], criterion_id: undefined };
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(content) } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const provider = resolveAiProvider({
+      name: 'openai',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      model: 'local-model'
+    });
+    const review = (snapshot) =>
+      aiReviewCriteriaBatch({
+        model: 'local-model',
+        provider,
+        url: 'https://example.com/',
+        criteria,
+        snapshot,
+        reportLang: 'fr',
+        cache: true
+      });
+    const snapshot = { title: 'Accueil', lang: 'fr', images: [{ alt: 'Logo' }] };
+
+    const first = await review(snapshot);
+    assert.equal(calls, 1);
+    assert.ok(first.every((res) => !res.cached));
+
+    const second = await review(structuredClone(snapshot));
+    assert.equal(calls, 1);
+    assert.deepEqual(
+      second.map((res) => [res.criterion_id, res.status, res.cached]),
+      [
+        ['1.1', 'Conform', true],
+        ['8.5', 'Conform', true]
+      ]
+    );
+
+    await review({ ...snapshot, title: 'Accueil – nouveau' });
+    assert.equal(calls, 2);
+
+    const single = await aiReviewCriterion({
+      model: 'local-model',
+      provider,
+      url: 'https://example.com/',
+      criterion: criteria[1],
+      snapshot,
+      reportLang: 'fr',
+      cache: true
+    });
+    assert.equal(calls, 2);
+    assert.equal(single.ai.cached, true);
+    assert.match(single.notes, /OK 8\.5/);
+
+    assert.deepEqual(await clearAiCache({ matches: createCriteriaMatcher(['1.*']) }), { removed: 2, kept: 2 });
+    assert.deepEqual(await clearAiCache({ expiredOnly: true }), { removed: 0, kept: 2 });
+    await review(snapshot);
+    assert.equal(calls, 3);
+  } finally {
+    delete process.env.AUDIT_AI_CACHE_DIR;
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { aiReviewCriteriaBatch, aiReviewCriterion, resolveAiProvider } from '../src/ai.js';
+
+async function withChatServer(handler, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+      requests.push(request);
+      const { status = 200, headers = {}, json } = handler(request, requests.length);
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+  try {
+    await fn({ baseUrl, requests });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const reply = (content) => ({
+  json: { choices: [{ message: { role: 'assistant', content: JSON.stringify(content) } }] }
+});
+const snapshot = { title: 'Accueil', lang: 'fr', images: [], links: [] };
+const criterion = {
+  id: '8.5',
+  title: 'Chaque page web a-t-elle un titre de page ?',
+  theme: 'Éléments obligatoires'
+};
+
+test('openai provider posts a strict json_schema request and maps the verdict', async () => {
+  await withChatServer(
+    () =>
+      reply({ status: 'Conform', confidence: 0.9, rationale: 'Titre présent.', evidence: ['<title>Accueil</title>'] }),
+    async ({ baseUrl, requests }) => {
+      const provider = resolveAiProvider({ name: 'openai', baseUrl, apiKey: 'sk-test', model: 'local-model' });
+      const res = await aiReviewCriterion({
+        model: 'local-model',
+        provider,
+        url: 'https://example.com/',
+        criterion,
+        snapshot,
+        reportLang: 'fr'
+      });
+      assert.equal(res.status, 'Conform');
+      assert.match(res.notes, /^Revue \(0\.90\): Titre présent\./);
+      assert.deepEqual(res.ai.evidence, ['<title>Accueil</title>']);
+
+      const [request] = requests;
+      assert.equal(request.url, '/v1/chat/completions');
+      assert.equal(request.headers.authorization, 'Bearer sk-test');
+      assert.equal(request.body.model, 'local-model');
+      assert.equal(request.body.response_format.type, 'json_schema');
+      assert.equal(request.body.response_format.json_schema.strict, true);
+      assert.deepEqual(request.body.response_format.json_schema.schema.required, [
+        'status',
+        'confidence',
+        'rationale',
+        'evidence',
+        'tests'
+      ]);
+      assert.match(request.body.messages[0].content, /8\.5/);
+    }
+  );
+});
+
+test('openai provider retries server errors and serves batch review', async () => {
+  await withChatServer(
+    (request, count) =>
+      count === 1
+        ? { status: 503, headers: { 'retry-after': '0' }, json: { error: { message: 'loading model' } } }
+        : reply({
+            results: [
+              {
+                criterion_id: '8.5',
+                status: 'Not conform',
+                confidence: 0.8,
+                rationale: 'Titre vide.',
+                evidence: ['<title></title>'],
+                tests: [
+                  { test_id: '8.5.1', status: 'Not conform' },
+                  { test_id: '9.9.9', status: 'Conform' }
+                ]
+              }
+            ]
+          }),
+    async ({ baseUrl, requests }) => {
+      const results = await aiReviewCriteriaBatch({
+        model: 'local-model',
+        provider: resolveAiProvider({ name: 'openai', baseUrl, model: 'local-model' }),
+        url: 'https://example.com/',
+        criteria: [criterion],
+        snapshot,
+        reportLang: 'fr'
+      });
+      assert.equal(requests.length, 2);
+      assert.equal(requests[1].headers.authorization, undefined);
+      assert.equal(requests[1].body.response_format.json_schema.name, 'codex-review-batch-schema');
+      assert.equal(results[0].status, 'Not conform');
+      assert.deepEqual(results[0].tests, [{ id: '8.5.1', status: 'Not conform' }]);
+    }
+  );
+
+  await withChatServer(
+    () => ({ status: 400, json: { error: { message: 'response_format not supported' } } }),
+    async ({ baseUrl }) => {
+      const res = await aiReviewCriterion({
+        model: 'local-model',
+        provider: resolveAiProvider({ name: 'openai', baseUrl, model: 'local-model' }),
+        url: 'https://example.com/',
+        criterion,
+        snapshot,
+        reportLang: 'fr'
+      });
+      assert.equal(res.status, 'Error');
+      assert.match(res.notes, /AI HTTP 400: response_format not supported/);
+    }
+  );
+});
+
+test('AI provider selection validates its settings', () => {
+  assert.deepEqual(resolveAiProvider({}), { name: 'codex' });
+  assert.throws(() => resolveAiProvider({ name: 'ollama' }), /Unknown AI provider "ollama"/);
+  assert.throws(() => resolveAiProvider({ name: 'openai' }), /needs a model/);
+  assert.equal(resolveAiProvider({ name: 'OpenAI', model: 'gpt-4o-mini' }).baseUrl, 'https://api.openai.com/v1');
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAriaNodes } from '../src/ariaValidator.js';
+
+const node = {
+  selector: 'div',
+  tag: 'div',
+  type: '',
+  role: '',
+  attrs: [],
+  missingRefs: [],
+  context: '',
+  owned: [],
+  busy: false,
+  empty: false
+};
+
+const kinds = (nodes) => validateAriaNodes(nodes).issues.map((issue) => issue.kind);
+
+test('roles are checked against the bundled table', () => {
+  assert.deepEqual(kinds([{ ...node, role: 'bogus' }]), ['invalid-role']);
+  assert.deepEqual(kinds([{ ...node, role: 'widget' }]), ['abstract-role']);
+  assert.deepEqual(kinds([{ ...node, role: 'bogus button' }]), []);
+  assert.deepEqual(kinds([{ ...node, role: 'doc-chapter' }]), []);
+});
+
+test('required properties allow native state', () => {
+  assert.deepEqual(kinds([{ ...node, role: 'checkbox' }]), ['missing-prop']);
+  assert.deepEqual(kinds([{ ...node, role: 'checkbox', attrs: ['aria-checked'] }]), []);
+  assert.deepEqual(kinds([{ ...node, role: 'switch', tag: 'input', type: 'checkbox' }]), []);
+  assert.deepEqual(
+    validateAriaNodes([{ ...node, role: 'scrollbar', attrs: ['aria-valuenow'] }]).issues.map((issue) => issue.detail),
+    ['aria-controls']
+  );
+});
+
+test('owned elements and context follow the role table', () => {
+  assert.deepEqual(kinds([{ ...node, role: 'tablist', owned: ['button'] }]), ['missing-owned']);
+  assert.deepEqual(kinds([{ ...node, role: 'tablist', owned: ['tab'] }]), []);
+  assert.deepEqual(kinds([{ ...node, role: 'list', empty: true }]), []);
+  assert.deepEqual(kinds([{ ...node, role: 'listbox', busy: true }]), []);
+  assert.deepEqual(kinds([{ ...node, role: 'tab', context: 'list', attrs: ['aria-selected'] }]), ['wrong-context']);
+  assert.deepEqual(kinds([{ ...node, role: 'listitem', context: 'list' }]), []);
+});
+
+test('attributes and ID references are reported per element', () => {
+  const result = validateAriaNodes([
+    { ...node, selector: 'button.menu', tag: 'button', attrs: ['aria-controls', 'aria-foo'], missingRefs: ['aria-controls→nav'] }
+  ]);
+  assert.equal(result.checked, 1);
+  assert.deepEqual(result.issues, [
+    { kind: 'invalid-attribute', selector: 'button.menu', role: '', detail: 'aria-foo' },
+    { kind: 'broken-reference', selector: 'button.menu', role: '', detail: 'aria-controls→nav' }
+  ]);
+});
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createAuthSession, loadAuthConfig, toCdpCookies } from '../src/auth.js';
+
+const LOGIN_URL = 'http://localhost:3000/login';
+
+async function writeAuthFiles(auth, state = null) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-auth-'));
+  if (state) await fs.writeFile(path.join(dir, 'state.json'), JSON.stringify(state));
+  const file = path.join(dir, 'auth.json');
+  await fs.writeFile(file, JSON.stringify(auth));
+  return { dir, file };
+}
+
+// Stands in for a CDP tab session: protected pages redirect to the login page until the form is sent.
+function createFakeBrowser() {
+  const browser = { loggedIn: false, url: 'about:blank', calls: [], cookies: [], storage: [] };
+  const session = {
+    async send(method, params = {}) {
+      browser.calls.push(method);
+      if (method === 'Network.setCookies') browser.cookies.push(...params.cookies);
+      if (method === 'Page.navigate') {
+        const isProtected = params.url.startsWith('http://localhost:3000/app');
+        browser.url = isProtected && !browser.loggedIn ? `${LOGIN_URL}?next=/app` : params.url;
+      }
+      return {};
+    },
+    waitFor: async () => ({}),
+    async callFunction(fn, ...args) {
+      browser.calls.push(fn.name);
+      if (fn.name === 'fillLoginForm') {
+        browser.fields = args[0];
+        browser.loggedIn = true;
+        browser.url = 'http://localhost:3000/app';
+        return { missing: [], submitted: true };
+      }
+      if (fn.name === 'writeLocalStorage') {
+        browser.storage.push(...args[0]);
+        return args[0].length;
+      }
+      const [check] = args;
+      const urlOk = !check.url || browser.url.includes(check.url);
+      const selectorOk = !check.selector || (check.selector === '.user-menu' && browser.loggedIn);
+      return urlOk && selectorOk;
+    },
+    close() {}
+  };
+  return { browser, connect: async () => session };
+}
+
+test('auth file resolves env credentials, the state file and the default expiry check', async () => {
+  const { dir, file } = await writeAuthFiles(
+    {
+      storageState: 'state.json',
+      login: {
+        url: LOGIN_URL,
+        fields: [
+          { selector: '#email', env: 'TEST_LOGIN_USER' },
+          { selector: '#remember', value: 'true' }
+        ],
+        submit: 'button[type=submit]',
+        success: { selector: '.user-menu' }
+      }
+    },
+    { cookies: [{ name: 'sid', value: 'abc', domain: 'localhost', path: '/' }], origins: [] }
+  );
+  try {
+    const config = loadAuthConfig(file, { env: { TEST_LOGIN_USER: 'qa@example.test' } });
+    assert.deepEqual(config.login.fields, [
+      { selector: '#email', value: 'qa@example.test' },
+      { selector: '#remember', value: 'true' }
+    ]);
+    assert.equal(config.storageState.cookies[0].name, 'sid');
+    assert.deepEqual(config.expired, { url: LOGIN_URL, selector: '' });
+    assert.throws(() => loadAuthConfig(file, { env: {} }), /TEST_LOGIN_USER, which is not set/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('storage state cookies map to Network.setCookies params', () => {
+  assert.deepEqual(
+    toCdpCookies([
+      { name: 'sid', value: 'abc', domain: '.example.test', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' },
+      { name: 'orphan', value: 'x' }
+    ]),
+    [{ name: 'sid', value: 'abc', domain: '.example.test', path: '/', sameSite: 'Lax', secure: true, httpOnly: true }]
+  );
+});
+
+test('login runs before the first page and again when the session expires', async () => {
+  const config = {
+    storageState: null,
+    login: {
+      url: LOGIN_URL,
+      fields: [{ selector: '#email', value: 'qa@example.test' }],
+      submit: 'button[type=submit]',
+      success: { selector: '.user-menu' }
+    },
+    expired: { url: LOGIN_URL, selector: '' }
+  };
+  const { browser, connect } = createFakeBrowser();
+  const logs = [];
+  const auth = createAuthSession(config, { connect, onLog: (message) => logs.push(message) });
+
+  assert.deepEqual(await auth.ensure({ browserUrl: 'http://127.0.0.1:9222', url: 'http://localhost:3000/app/a' }), {
+    relogged: false
+  });
+  assert.equal(browser.url, 'http://localhost:3000/app/a');
+  assert.equal(browser.calls.filter((name) => name === 'fillLoginForm').length, 1);
+
+  browser.loggedIn = false;
+  assert.deepEqual(await auth.ensure({ browserUrl: 'http://127.0.0.1:9222', url: 'http://localhost:3000/app/b' }), {
+    relogged: true
+  });
+  assert.equal(browser.url, 'http://localhost:3000/app/b');
+  assert.equal(browser.calls.filter((name) => name === 'fillLoginForm').length, 2);
+  assert.match(logs.at(-1), /logging in at/);
+  assert.ok(logs.some((message) => message.includes('session expired at http://localhost:3000/app/b')));
+});
+
+test('stored state is applied once; an expired state without login fails the page', async () => {
+  const config = {
+    storageState: {
+      cookies: [{ name: 'sid', value: 'abc', domain: 'localhost', path: '/' }],
+      origins: [{ origin: 'http://localhost:3000', localStorage: [{ name: 'token', value: 't' }] }]
+    },
+    login: null,
+    expired: { url: LOGIN_URL, selector: '' }
+  };
+  const { browser, connect } = createFakeBrowser();
+  browser.loggedIn = true;
+  const auth = createAuthSession(config, { connect });
+  await auth.ensure({ browserUrl: 'http://127.0.0.1:9222', url: 'http://localhost:3000/app/a' });
+  await auth.ensure({ browserUrl: 'http://127.0.0.1:9222', url: 'http://localhost:3000/app/b' });
+  assert.equal(browser.cookies.length, 1);
+  assert.deepEqual(browser.storage, [{ name: 'token', value: 't' }]);
+
+  browser.loggedIn = false;
+  await assert.rejects(
+    auth.ensure({ browserUrl: 'http://127.0.0.1:9222', url: 'http://localhost:3000/app/c' }),
+    /no login step is configured/
+  );
+  await assert.rejects(auth.ensure({ browserUrl: '', url: 'http://localhost:3000/app/c' }), /DevTools endpoint/);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAxNodes } from '../src/axTree.js';
+
+const domRoot = {
+  backendNodeId: 1,
+  localName: '',
+  children: [
+    {
+      backendNodeId: 2,
+      localName: 'form',
+      attributes: ['id', 'search'],
+      children: [
+        { backendNodeId: 3, localName: 'input', attributes: ['type', 'search', 'class', 'field q'] },
+        { backendNodeId: 4, localName: 'button', attributes: [] }
+      ]
+    },
+    { backendNodeId: 5, localName: 'a', attributes: ['href', '/contact', 'title', 'Contact'] },
+    { backendNodeId: 6, localName: 'img', attributes: ['alt', ''] },
+    { backendNodeId: 7, localName: 'div', attributes: [] }
+  ]
+};
+
+test('AX nodes are grouped by kind with DOM selectors and name sources', () => {
+  const { nodes, counts, truncated } = buildAxNodes(
+    [
+      {
+        backendDOMNodeId: 3,
+        role: { value: 'searchbox' },
+        name: {
+          value: 'Rechercher',
+          sources: [
+            { type: 'attribute', attribute: 'aria-label' },
+            { type: 'placeholder', attribute: 'placeholder', value: { value: 'Rechercher' } }
+          ]
+        },
+        properties: [{ name: 'focusable', value: { value: true } }, { name: 'readonly', value: { value: false } }]
+      },
+      { backendDOMNodeId: 4, role: { value: 'button' }, name: { value: 'OK' } },
+      {
+        backendDOMNodeId: 5,
+        role: { value: 'link' },
+        name: { value: 'Contact', sources: [{ type: 'attribute', attribute: 'title', value: { value: 'Contact' } }] }
+      },
+      { backendDOMNodeId: 6, ignored: true, ignoredReasons: [{ name: 'emptyAlt' }], role: { value: 'none' } },
+      { backendDOMNodeId: 7, role: { value: 'generic' } }
+    ],
+    domRoot
+  );
+
+  assert.deepEqual(counts, { image: 1, link: 1, button: 1, formControl: 1, landmark: 0 });
+  assert.equal(truncated, false);
+  const [field, button, link, image] = nodes;
+  assert.equal(field.selector, 'input.field.q');
+  assert.equal(field.nameFrom, 'placeholder');
+  assert.deepEqual(field.states, { focusable: true });
+  assert.equal(field.inForm, true);
+  assert.equal(button.inForm, true);
+  assert.equal(link.nameFrom, 'title');
+  assert.equal(link.href, '/contact');
+  assert.equal(link.inForm, false);
+  assert.equal(image.kind, 'image');
+  assert.equal(image.ignored, true);
+  assert.deepEqual(image.ignoredReasons, ['emptyAlt']);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { collectSnapshotWithCdp } from '../src/cdpSnapshot.js';
+
+// Minimal DevTools endpoint: /json/list plus one page socket that records the commands it gets.
+async function createFakeChrome({ tabUrl }) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const { port } = server.address();
+    res.setHeader('content-type', 'application/json');
+    res.end(
+      JSON.stringify([
+        { id: 'T1', type: 'page', url: tabUrl, title: 'Tab', webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/T1` }
+      ])
+    );
+  });
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+      const { id, method, params } = JSON.parse(String(raw));
+      calls.push(method);
+      let result = {};
+      if (method === 'Page.navigate') {
+        result = { frameId: 'F1' };
+        setTimeout(() => socket.send(JSON.stringify({ method: 'Page.loadEventFired', params: {} })), 10);
+      } else if (method === 'Runtime.evaluate') {
+        const value = params.expression === 'document.readyState' ? 'complete' : { title: 'Snapshot', counts: {} };
+        result = { result: { type: typeof value, value } };
+      }
+      socket.send(JSON.stringify({ id, result }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    calls,
+    browserUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        for (const client of wss.clients) client.terminate();
+        wss.close();
+        server.close(resolve);
+      })
+  };
+}
+
+test('CDP driver evaluates the snapshot in the tab already showing the page', async () => {
+  const chrome = await createFakeChrome({ tabUrl: 'https://example.test/a' });
+  try {
+    const snapshot = await collectSnapshotWithCdp({
+      url: 'https://example.test/a/',
+      mcp: { browserUrl: chrome.browserUrl }
+    });
+    assert.deepEqual(snapshot, { title: 'Snapshot', counts: {} });
+    assert.ok(!chrome.calls.includes('Page.navigate'));
+    assert.equal(chrome.calls.filter((method) => method === 'Runtime.evaluate').length, 2);
+  } finally {
+    await chrome.close();
+  }
+});
+
+test('CDP driver navigates the first tab when no tab matches', async () => {
+  const chrome = await createFakeChrome({ tabUrl: 'about:blank' });
+  try {
+    const snapshot = await collectSnapshotWithCdp({
+      url: 'https://example.test/b',
+      mcp: { browserUrl: chrome.browserUrl },
+      timeoutMs: 2000
+    });
+    assert.equal(snapshot.title, 'Snapshot');
+    assert.deepEqual(chrome.calls, ['Page.enable', 'Page.navigate', 'Runtime.evaluate']);
+  } finally {
+    await chrome.close();
+  }
+});
+
+test('CDP driver requires a DevTools endpoint', async () => {
+  await assert.rejects(
+    collectSnapshotWithCdp({ url: 'https://example.test/', mcp: { autoConnect: true } }),
+    /DevTools endpoint/
+  );
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { STATUS } from '../src/checks.js';
+import { getI18n } from '../src/i18n.js';
+import {
+  buildComponents,
+  createComponentRegistry,
+  mergeComponentResults,
+  withSharedComponents
+} from '../src/components.js';
+
+const nav = (signature, label = 'Menu principal') => ({
+  kind: 'navigation',
+  label,
+  signature,
+  html: '<nav aria-label="Menu principal">…</nav>',
+  links: [{ name: 'Accueil', href: '/' }],
+  images: [],
+  buttons: [],
+  controls: []
+});
+
+test('shared components are fingerprinted and tracked across pages', () => {
+  const [home] = buildComponents([nav('nav"Menu principal"(ul(li(a{Accueil}),li(a{Contact})))')]);
+  const [contact] = buildComponents([nav('nav"Menu principal"(ul(li(a{Accueil}),li(a{Contact})))')]);
+  const [other] = buildComponents([nav('nav"Menu principal"(ul(li(a{Accueil})))')]);
+  assert.equal(home.fingerprint, contact.fingerprint);
+  assert.notEqual(home.fingerprint, other.fingerprint);
+  assert.equal(home.signature, undefined);
+
+  const registry = createComponentRegistry();
+  registry.track([home], 'P1');
+  const tracked = registry.track([contact, contact], 'P2');
+  assert.equal(tracked.length, 1);
+  registry.track([other], 'P3');
+  assert.deepEqual(
+    registry.list().map((entry) => [entry.id, entry.pages]),
+    [
+      ['C1', ['P1', 'P2']],
+      ['C2', ['P3']]
+    ]
+  );
+
+  const restored = createComponentRegistry(JSON.parse(JSON.stringify(registry.list())));
+  assert.equal(restored.track([home], 'P4')[0].entry.id, 'C1');
+  assert.deepEqual(restored.list()[0].pages, ['P1', 'P2', 'P4']);
+});
+
+test('component verdicts apply to every page containing the component', () => {
+  const i18n = getI18n('fr');
+  const [component] = buildComponents([nav('nav(a{Accueil})')]);
+  const registry = createComponentRegistry();
+  const tracked = registry.track([component], 'P1');
+  tracked[0].entry.results['11.1'] = {
+    status: STATUS.NC,
+    confidence: 0.8,
+    rationale: 'Bouton de menu sans nom accessible.',
+    evidence: ['buttons[0].name=""']
+  };
+  tracked[0].entry.results['1.1'] = {
+    status: STATUS.C,
+    confidence: 0.9,
+    rationale: 'Logo avec alternative.',
+    evidence: []
+  };
+
+  const merged = mergeComponentResults(
+    [
+      { id: '1.1', status: STATUS.NC, notes: 'Image de contenu sans alt.' },
+      { id: '11.1', status: STATUS.C, notes: 'Champs étiquetés.' },
+      { id: '11.2', status: STATUS.NE, notes: 'Non évalué.' }
+    ],
+    tracked,
+    i18n,
+    new Set(['1.1', '11.1', '11.2'])
+  );
+  assert.equal(merged[0].notes, 'Image de contenu sans alt.');
+  assert.equal(merged[1].status, STATUS.NC);
+  assert.equal(merged[1].component, 'C1');
+  assert.equal(
+    merged[1].notes,
+    'Composant C1 – Navigation « Menu principal » : Revue (0.80): Bouton de menu sans nom accessible.'
+  );
+  assert.deepEqual(merged[1].ai.evidence, ['buttons[0].name=""']);
+  assert.equal(merged[2].status, STATUS.NE);
+
+  // A rule verdict on this page was never sent to the AI: the component does not override it.
+  const automated = { id: '11.1', status: STATUS.C, notes: 'Champs étiquetés.', automated: true };
+  assert.equal(mergeComponentResults([automated], tracked, i18n, new Set(['1.1']))[0], automated);
+
+  const snapshot = withSharedComponents({ title: 'Contact' }, tracked, ['1.1', '11.1', '11.2']);
+  assert.deepEqual(snapshot.sharedComponents, [
+    { id: 'C1', kind: 'navigation', label: 'Menu principal', criteria: ['1.1', '11.1'] }
+  ]);
+});
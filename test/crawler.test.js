@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSample, discoverSite, domFingerprint, formatSampleFile, urlPattern } from '../src/crawler.js';
+
+const ORIGIN = 'https://www.example.test';
+
+const layout = (title, main, extraLinks = '') => `<!doctype html><html lang="fr"><head><title>${title}</title></head>
+<body><header><nav><a href="/">Accueil</a><a href="/blog/">Blog</a><a href="/contact">Nous écrire</a>${extraLinks}</nav>
+<form role="search" action="/recherche"><input type="search" name="q"></form></header>
+<main>${main}</main>
+<footer><a href="/mentions-legales">Mentions légales</a><a href="/accessibilite">Accessibilité : partiellement conforme</a>
+<a href="/doc.pdf">PDF</a><a href="https://other.test/">Ailleurs</a></footer></body></html>`;
+
+const article = (title) => layout(title, `<article><h1>${title}</h1><p>Texte</p><p>Suite</p></article>`);
+
+const SITE = {
+  '/robots.txt': 'User-agent: *\nSitemap: https://www.example.test/sitemap-index.xml',
+  '/sitemap-index.xml': `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <sitemap><loc>https://www.example.test/sitemap-blog.xml</loc></sitemap></sitemapindex>`,
+  '/sitemap-blog.xml': `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>https://www.example.test/blog/premier-article</loc></url>
+    <url><loc>https://www.example.test/blog/second-article</loc></url></urlset>`,
+  '/': layout('Accueil', '<section><ul><li>a</li></ul></section><section></section>'),
+  '/blog/': layout('Blog', '<ul><li><a href="/blog/premier-article">1</a></li><li><a href="/blog/troisieme">3</a></li></ul>'),
+  '/blog/premier-article': article('Premier'),
+  '/blog/second-article': article('Second'),
+  '/blog/troisieme': article('Troisième'),
+  '/contact': layout('Contact', '<form><fieldset><input name="email"></fieldset></form>'),
+  '/mentions-legales': article('Mentions légales'),
+  '/accessibilite': article('Déclaration d’accessibilité')
+};
+
+function createFetcher() {
+  const requested = [];
+  const fetcher = async (url) => {
+    requested.push(url);
+    const { origin, pathname } = new URL(url);
+    if (origin !== ORIGIN || !(pathname in SITE)) return null;
+    const isXml = pathname.endsWith('.xml') || pathname.endsWith('.txt');
+    return { url, contentType: isXml ? 'application/xml' : 'text/html; charset=utf-8', text: SITE[pathname] };
+  };
+  return { requested, fetcher };
+}
+
+test('url patterns and DOM fingerprints group pages of the same template', () => {
+  assert.equal(urlPattern(`${ORIGIN}/`), '/');
+  assert.equal(urlPattern(`${ORIGIN}/blog/un-article`), '/blog/*');
+  assert.equal(urlPattern(`${ORIGIN}/fr/produits/42/details`), '/fr/produits/*');
+  assert.equal(urlPattern(`${ORIGIN}/12345`), '/:id');
+  assert.equal(domFingerprint(article('A')), domFingerprint(article('Un autre titre bien plus long')));
+  assert.notEqual(domFingerprint(article('A')), domFingerprint(SITE['/contact']));
+});
+
+test('discovery reads nested sitemaps, crawls same-origin links and builds the RGAA sample', async () => {
+  const { requested, fetcher } = createFetcher();
+  const site = await discoverSite(`${ORIGIN}/`, { maxDepth: 2, maxPages: 50, fetcher });
+  const urls = site.pages.map((page) => page.url);
+  assert.equal(urls[0], `${ORIGIN}/`);
+  assert.ok(urls.includes(`${ORIGIN}/blog/second-article`), 'sitemap URL is crawled');
+  assert.ok(urls.includes(`${ORIGIN}/blog/troisieme`), 'link found at depth 2 is crawled');
+  assert.ok(!requested.some((url) => url.endsWith('.pdf') || url.startsWith('https://other.test')));
+
+  const sample = buildSample(site);
+  const byKey = Object.fromEntries(sample.mandatory.map((entry) => [entry.key, entry]));
+  assert.equal(byKey.home.url, `${ORIGIN}/`);
+  assert.equal(byKey.contact.url, `${ORIGIN}/contact`);
+  assert.equal(byKey.legal.url, `${ORIGIN}/mentions-legales`);
+  assert.equal(byKey.accessibility.url, `${ORIGIN}/accessibilite`);
+  assert.equal(byKey.search.url, `${ORIGIN}/recherche?q=accessibilit%C3%A9`);
+  assert.equal(byKey.sitemap.url, '');
+
+  const blog = sample.templates.find((template) => template.template.startsWith('/blog/* '));
+  assert.equal(blog.count, 3);
+  assert.equal(blog.covered, false);
+
+  const text = formatSampleFile(sample, { generatedAt: new Date('2026-01-01T00:00:00Z') });
+  const listed = text.split('\n').filter((line) => line && !line.startsWith('#'));
+  assert.equal(new Set(listed).size, listed.length);
+  assert.ok(listed.every((line) => /^https:\/\/www\.example\.test\//.test(line)));
+  assert.ok(listed.includes(blog.url));
+  assert.match(text, /# Plan du site \/ Sitemap: not found/);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeStatuses, STATUS } from '../src/checks.js';
+import {
+  createCriteriaMatcher,
+  isCriterionSelected,
+  resolveCriteriaSelection,
+  themeSelectors
+} from '../src/criteria.js';
+
+test('criteria selectors accept ids, whole themes and ranges', () => {
+  const matches = createCriteriaMatcher(['1.1', '3.*', '11.1-11.3']);
+  assert.deepEqual(
+    ['1.1', '1.2', '3.3', '11.2', '11.3', '11.4', '13.1'].filter(matches),
+    ['1.1', '3.3', '11.2', '11.3']
+  );
+  assert.throws(() => createCriteriaMatcher(['11.5-10.2']), /Invalid criteria range/);
+});
+
+test('--criteria/--themes selections resolve theme names and exclusions', () => {
+  assert.deepEqual(
+    themeSelectors(['Formulaires', 'images', 'Colors', "Structuration de l'information", '8']),
+    ['11.*', '1.*', '3.*', '9.*', '8.*']
+  );
+  assert.throws(() => themeSelectors(['Formulaire']), /Unknown RGAA theme "Formulaire"/);
+
+  const selection = resolveCriteriaSelection({
+    criteria: ['1.1'],
+    themes: ['Formulaires'],
+    excludeCriteria: ['11.13']
+  });
+  assert.deepEqual(selection, { include: ['1.1', '11.*'], exclude: ['11.13'] });
+  assert.deepEqual(
+    ['1.1', '1.2', '11.1', '11.13'].filter((id) => isCriterionSelected(selection, id)),
+    ['1.1', '11.1']
+  );
+  const withoutImages = resolveCriteriaSelection({ excludeThemes: ['Images'] });
+  assert.equal(isCriterionSelected(withoutImages, '1.1'), false);
+  assert.equal(isCriterionSelected(withoutImages, '3.1'), true);
+  assert.equal(resolveCriteriaSelection({}), null);
+});
+
+test('not evaluated verdicts do not weigh on merged statuses', () => {
+  assert.equal(mergeStatuses([STATUS.NE, STATUS.C]), STATUS.C);
+  assert.equal(mergeStatuses([STATUS.NE, STATUS.NA]), STATUS.NA);
+  assert.equal(mergeStatuses([STATUS.NE, STATUS.NE]), STATUS.NE);
+});
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { STATUS } from '../src/checks.js';
+import { getI18n } from '../src/i18n.js';
+import { compareCrossPage, CROSS_PAGE_CRITERIA, extractCrossPageEvidence } from '../src/crossPage.js';
+
+const i18n = getI18n('fr');
+const definition = (id) => CROSS_PAGE_CRITERIA.find((item) => item.id === id);
+
+const place = (region, order, y, x = 0, pageHeight = 2000) => ({
+  region,
+  order,
+  visible: true,
+  rect: { x, y, width: 200, height: 40, fromBottom: pageHeight - y - 40 }
+});
+const menu = (label, order, y, hrefs = ['/', '/offres', '/contact']) => ({
+  selector: 'nav',
+  label,
+  ...place('banner', order, y),
+  linkCount: hrefs.length,
+  links: hrefs.map((href) => ({ name: href, href }))
+});
+const footerMenu = (order, y, pageHeight) => ({
+  ...menu('Liens utiles', order, y, ['/mentions', '/plan-du-site']),
+  ...place('contentinfo', order, y, 0, pageHeight)
+});
+const searchForm = (order, y) => ({ kind: 'form', name: 'Rechercher', ...place('banner', order, y, 900) });
+const sitemap = (order, y, pageHeight) => ({
+  name: 'Plan du site',
+  href: '/plan-du-site',
+  ...place('contentinfo', order, y, 0, pageHeight)
+});
+
+const page = (index, overrides = {}) => ({
+  url: `https://example.test/p${index}`,
+  index,
+  title: `Page ${index}`,
+  searchLandmarks: [],
+  searchControls: [],
+  searchLinks: [],
+  menus: [menu('Menu principal', 2, 80), footerMenu(40, 1900)],
+  sitemapLinks: [sitemap(41, 1900)],
+  search: [searchForm(1, 20)],
+  ...overrides
+});
+
+test('cross-page evidence keeps navigation with same-origin targets as paths', () => {
+  const evidence = extractCrossPageEvidence({
+    href: 'https://example.test/offres/',
+    landmarks: [{ tag: 'form', role: 'search', label: 'Site' }],
+    navigation: {
+      menus: [
+        {
+          ...menu('Menu principal', 0, 80),
+          links: [
+            { name: 'Accueil', href: '../' },
+            { name: 'Contact', href: 'https://example.test/contact/#form' },
+            { name: 'Haut', href: '#top' },
+            { name: 'Partenaire', href: 'https://partner.test/a' }
+          ]
+        }
+      ],
+      sitemapLinks: [sitemap(3, 1900)],
+      search: []
+    }
+  });
+  assert.deepEqual(
+    evidence.menus[0].links.map((link) => link.href),
+    ['/', '/contact', 'https://partner.test/a']
+  );
+  assert.equal(evidence.sitemapLinks[0].href, '/plan-du-site');
+  assert.equal(evidence.searchLandmarks.length, 1);
+});
+
+test('identical navigation on every page is conform without AI', () => {
+  // A longer page: footer items keep their distance from the bottom.
+  const longer = page(3, {
+    menus: [menu('Menu principal', 2, 80), footerMenu(40, 2900, 3000)],
+    sitemapLinks: [sitemap(41, 2900, 3000)]
+  });
+  const pages = [page(1), page(2), longer];
+  for (const id of ['12.1', '12.2', '12.4', '12.5']) {
+    const result = compareCrossPage(definition(id), pages, i18n);
+    assert.equal(result.status, STATUS.C, id);
+    assert.equal(result.automated, true);
+  }
+});
+
+test('moved or reordered navigation features fail the matching RGAA tests', () => {
+  const movedSearch = compareCrossPage(definition('12.5'), [page(1), page(2, { search: [searchForm(1, 400)] })], i18n);
+  assert.equal(movedSearch.status, STATUS.NC);
+  assert.deepEqual(movedSearch.failedTests, ['12.5.2']);
+  assert.match(movedSearch.examples[0], /^P1 banner x=900 y=20 ≠ P2 banner x=900 y=400$/);
+
+  const searchLink = { kind: 'link', name: 'Rechercher', ...place('banner', 5, 20, 900) };
+  const changed = compareCrossPage(definition('12.5'), [page(1), page(2, { search: [searchLink] })], i18n);
+  assert.deepEqual(changed.failedTests, ['12.5.1', '12.5.3']);
+
+  // The link to the page itself is left out: the current menu item is often not a link.
+  const relinked = compareCrossPage(
+    definition('12.2'),
+    [page(1), page(2, { menus: [menu('Menu principal', 2, 80, ['/', '/offres', '/blog', '/p2']), footerMenu(40, 1900)] })],
+    i18n
+  );
+  assert.equal(relinked.status, STATUS.NC);
+  assert.deepEqual(relinked.failedTests, ['12.2.1']);
+  assert.deepEqual(relinked.examples, ['Menu principal: P2 sans /contact avec /blog']);
+});
+
+test('inconclusive comparisons are left to the AI with their findings', () => {
+  const single = compareCrossPage(
+    definition('12.1'),
+    [page(1), page(2, { sitemapLinks: [], search: [] })],
+    i18n
+  );
+  assert.equal(single.status, null);
+  assert.deepEqual(single.findings, [
+    'Moins de deux systèmes de navigation détectés — P2: menu de navigation'
+  ]);
+
+  const missing = compareCrossPage(definition('12.4'), [page(1), page(4, { sitemapLinks: [] })], i18n);
+  assert.equal(missing.status, null);
+  assert.deepEqual(missing.findings, ['Accès au plan du site non détecté sur P4.']);
+
+  const none = compareCrossPage(definition('12.2'), [page(1, { menus: [] }), page(2, { menus: [] })], i18n);
+  assert.equal(none.status, null);
+
+  // A banner above the menu pushes it down: position and source order are for the AI to weigh.
+  const pushed = compareCrossPage(
+    definition('12.2'),
+    [page(1), page(2, { menus: [menu('Menu principal', 50, 160), footerMenu(40, 1900)] })],
+    i18n
+  );
+  assert.equal(pushed.status, null);
+  assert.deepEqual(pushed.findings, [
+    'Menu principal: P1 banner x=0 y=80 ≠ P2 banner x=0 y=160',
+    'P2 : menus dans un autre ordre que sur P1 dans le code source.'
+  ]);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { PNG } from 'pngjs';
+import { WebSocketServer } from 'ws';
+import { classifyWalkRepeat, diffFocusImages, runKeyboardWalk } from '../src/keyboardWalk.js';
+
+function solidPng(width, height, paint = () => [255, 255, 255]) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b] = paint(x, y);
+      const idx = (y * width + x) * 4;
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+test('focus diff detects an outline ring', () => {
+  const blurred = solidPng(40, 20);
+  const outlined = solidPng(40, 20, (x, y) =>
+    x < 2 || y < 2 || x >= 38 || y >= 18 ? [0, 95, 204] : [255, 255, 255]
+  );
+  const ring = diffFocusImages(outlined, blurred);
+  assert.ok(ring.diffRatio > 0.1);
+  assert.equal(diffFocusImages(blurred, solidPng(40, 20)).diffPixels, 0);
+  assert.equal(diffFocusImages(blurred, solidPng(30, 20)), null);
+});
+
+test('keyboard walk repeats are classified', () => {
+  assert.equal(classifyWalkRepeat({ cycleLength: 2, tabbableCount: 10, tag: 'button' }), 'suspect');
+  assert.equal(classifyWalkRepeat({ cycleLength: 10, tabbableCount: 10, tag: 'a' }), 'wrap');
+  assert.equal(classifyWalkRepeat({ cycleLength: 1, tabbableCount: 10, tag: 'iframe' }), 'frame');
+});
+
+// DevTools endpoint for a page whose Tab order is `order` (focus ids, 0 = body) and where
+// Escape moves the focus to `escapeTo`. The page functions are told apart by their name.
+async function createFakePage({ url, tabbableCount, order, escapeTo }) {
+  let step = -1;
+  let focused = 0;
+  const server = http.createServer((req, res) => {
+    const { port } = server.address();
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify([{ id: 'T1', type: 'page', url, webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/T1` }]));
+  });
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+      const { id, method, params } = JSON.parse(String(raw));
+      let result = {};
+      if (method === 'Input.dispatchKeyEvent' && params.type === 'rawKeyDown') {
+        if (params.key === 'Escape') focused = escapeTo;
+        else focused = order[++step] ?? 0;
+      } else if (method === 'Runtime.evaluate') {
+        let value = null;
+        if (params.expression.startsWith('(function pageInit(')) value = { tabbableCount };
+        else if (params.expression.startsWith('(function pageReadFocus(')) {
+          value = focused
+            ? { id: focused, selector: `a#l${focused}`, tag: 'a', name: '', isLast: focused === tabbableCount, rect: null }
+            : { none: true };
+        }
+        result = { result: { type: typeof value, value } };
+      }
+      socket.send(JSON.stringify({ id, result }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    browserUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        for (const client of wss.clients) client.terminate();
+        wss.close();
+        server.close(resolve);
+      })
+  };
+}
+
+test('keyboard walk stopped at an escaped focus loop is marked truncated', async () => {
+  const url = 'https://example.test/';
+  const page = await createFakePage({ url, tabbableCount: 5, order: [1, 2, 3, 2], escapeTo: 4 });
+  try {
+    const walk = await runKeyboardWalk({ browserUrl: page.browserUrl, url });
+    assert.equal(walk.trap, null);
+    assert.equal(walk.escapedWith, 'Escape');
+    assert.equal(walk.truncated, true);
+    assert.deepEqual(walk.focus.map((item) => item.selector), ['a#l1', 'a#l2', 'a#l3']);
+  } finally {
+    await page.close();
+  }
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNoCssReport, diffLinearText, findVisualReorders } from '../src/noCss.js';
+
+const block = (selector, x, y, visible = true) => ({
+  selector,
+  text: selector,
+  visible,
+  rect: { x, y, width: 200, height: 20 }
+});
+
+test('visual reorders follow DOM order against drawn positions', () => {
+  const moves = findVisualReorders([
+    block('p.intro', 0, 200),
+    block('h1', 0, 100),
+    block('aside', 600, 0),
+    block('span.sr-only', 0, 0, false)
+  ]);
+  assert.deepEqual(moves, [{ from: { selector: 'p.intro', text: 'p.intro' }, to: { selector: 'h1', text: 'h1' } }]);
+});
+
+test('no-CSS report counts generated content and revealed text', () => {
+  const report = buildNoCssReport({
+    styled: {
+      blocks: [block('h1', 0, 0), block('span.sr-only', 0, 0, false)],
+      generated: [{ selector: 'a.next', pseudo: '::after', kind: 'text', content: 'Suivant' }],
+      backgrounds: [],
+      ordering: []
+    },
+    linearText: 'Titre'
+  });
+  assert.equal(report.cssOnlyContentCount, 1);
+  assert.equal(report.reorderedCount, 0);
+  assert.deepEqual(report.revealed, [{ selector: 'span.sr-only', text: 'span.sr-only' }]);
+});
+
+test('no-CSS text is diffed against the styled render line by line', () => {
+  const diff = diffLinearText('Accueil\nPromo\nProduits\nProduits', 'Accueil\nProduits\nMenu\nProduits');
+  assert.deepEqual(diff, { removedCount: 1, removed: ['Promo'], addedCount: 1, added: ['Menu'] });
+
+  const report = buildNoCssReport({ styled: {}, styledText: 'Titre', linearText: 'Titre\nAller au contenu' });
+  assert.deepEqual(report.textDiff.added, ['Aller au contenu']);
+  assert.equal(buildNoCssReport({ styled: {}, linearText: 'Titre' }).textDiff, null);
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { isCriterionSelected } from '../src/criteria.js';
+import { pageLabel, parsePagesFile } from '../src/pagesFile.js';
+import { preparePage } from '../src/pageSetup.js';
+
+async function withPagesFile(name, content, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-pages-'));
+  const file = path.join(dir, name);
+  await fs.writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+  try {
+    await fn(file, dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('JSON pages file carries per-page metadata; markdown files still list URLs', async () => {
+  await withPagesFile(
+    'pages.json',
+    {
+      pages: [
+        'https://example.com/',
+        {
+          url: 'https://example.com/contact',
+          name: 'Formulaire de contact',
+          type: 'formulaire',
+          viewport: '390x844',
+          wait: '#contact-form',
+          scenarios: [{ name: 'Erreurs', steps: [{ click: 'button[type=submit]' }] }],
+          login: 'auth/client.json',
+          criteria: { include: ['11.*', '1.1'], exclude: '11.13' }
+        }
+      ]
+    },
+    async (file, dir) => {
+      const [home, contact] = parsePagesFile(file);
+      assert.deepEqual(home, { url: 'https://example.com/' });
+      assert.equal(contact.name, 'Formulaire de contact');
+      assert.equal(contact.type, 'formulaire');
+      assert.deepEqual(contact.viewport, { width: 390, height: 844, mobile: false });
+      assert.deepEqual(contact.wait, { selector: '#contact-form', ms: 0 });
+      assert.equal(contact.scenarios[0].name, 'Erreurs');
+      assert.equal(contact.login, path.join(dir, 'auth', 'client.json'));
+      assert.deepEqual(contact.criteria, { include: ['11.*', '1.1'], exclude: ['11.13'] });
+      assert.equal(pageLabel(2, contact), 'P3 – Formulaire de contact');
+      assert.equal(pageLabel(0, home), 'P1');
+
+      assert.equal(isCriterionSelected(contact.criteria, '11.2'), true);
+      assert.equal(isCriterionSelected(contact.criteria, '1.1'), true);
+      assert.equal(isCriterionSelected(contact.criteria, '11.13'), false);
+      assert.equal(isCriterionSelected(contact.criteria, '3.2'), false);
+      assert.equal(isCriterionSelected(home.criteria, '3.2'), true);
+    }
+  );
+
+  await withPagesFile('pages.md', '# Pages\n- https://example.com/\n1. https://example.com/contact\n', async (file) => {
+    assert.deepEqual(parsePagesFile(file), [{ url: 'https://example.com/' }, { url: 'https://example.com/contact' }]);
+  });
+
+  await withPagesFile('links.md', '[Accueil](https://example.com/)\n[Contact](https://example.com/contact)\n', async (file) => {
+    assert.deepEqual(parsePagesFile(file), [{ url: 'https://example.com/' }, { url: 'https://example.com/contact' }]);
+  });
+
+  await withPagesFile('bad.json', [{ url: 'https://example.com/', criteria: { include: ['forms'] } }], async (file) => {
+    assert.throws(() => parsePagesFile(file), /Page #1: Invalid criteria selector "forms"/);
+  });
+});
+
+test('page setup holds the viewport override until release and waits for its selector', async () => {
+  const calls = [];
+  const session = {
+    async send(method, params) {
+      calls.push([method, params]);
+      return {};
+    },
+    waitFor: async () => ({}),
+    evaluate: async () => 'https://example.com/contact',
+    callFunction: async (fn, selector) => fn.name === 'isVisible' && selector === '#contact-form',
+    close: () => calls.push(['close'])
+  };
+  const setup = await preparePage({
+    browserUrl: 'http://127.0.0.1:9222',
+    url: 'https://example.com/contact',
+    viewport: { width: 390, height: 844, mobile: true },
+    wait: { selector: '#contact-form', ms: 0 },
+    connect: async () => session
+  });
+  assert.deepEqual(
+    calls.map(([method]) => method),
+    ['Page.enable', 'Emulation.setDeviceMetricsOverride', 'Page.navigate']
+  );
+  assert.equal(calls[1][1].mobile, true);
+  await setup.release();
+  assert.deepEqual(calls.slice(-2).map(([method]) => method), ['Emulation.clearDeviceMetricsOverride', 'close']);
+
+  await assert.rejects(
+    preparePage({
+      browserUrl: 'http://127.0.0.1:9222',
+      url: 'https://example.com/contact',
+      wait: { selector: '#missing', ms: 0 },
+      timeoutMs: 300,
+      connect: async () => session
+    }),
+    /#missing not visible within 300 ms/
+  );
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareLayouts } from '../src/reflow.js';
+
+const text = (key, extra = {}) => ({ key, selector: `p.${key}`, visible: true, clipped: false, ...extra });
+
+test('reflow comparison only reports regressions against the default render', () => {
+  const before = {
+    viewportWidth: 1280,
+    scrollWidth: 1280,
+    horizontalScroll: false,
+    texts: [text('intro'), text('price'), text('legal', { clipped: true }), text('hidden', { visible: false })],
+    overlaps: [{ a: 'p.a', b: 'p.b', key: 'a ⇄ b' }],
+    overflowing: []
+  };
+  const after = {
+    viewportWidth: 320,
+    scrollWidth: 540,
+    horizontalScroll: true,
+    texts: [text('intro', { clipped: true }), text('price', { visible: false }), text('legal', { clipped: true })],
+    overlaps: [
+      { a: 'p.a', b: 'p.b', key: 'a ⇄ b' },
+      { a: 'h2.title', b: 'p.intro', key: 'title ⇄ intro' }
+    ],
+    overflowing: [
+      { selector: 'div.hero', right: 540, exempt: false },
+      { selector: 'table', right: 500, exempt: true }
+    ]
+  };
+  const diff = compareLayouts(before, after);
+  assert.equal(diff.lostCount, 1);
+  assert.deepEqual(diff.lost, [{ text: 'price', selector: 'p.price' }]);
+  assert.deepEqual(diff.clipped, [{ text: 'intro', selector: 'p.intro' }]);
+  assert.deepEqual(diff.overlaps, [{ a: 'h2.title', b: 'p.intro' }]);
+  assert.equal(diff.blockingOverflowCount, 1);
+  assert.equal(diff.comparedTexts, 3);
+});
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import ExcelJS from 'exceljs';
+import { runAudit } from '../src/audit.js';
+import { STATUS } from '../src/checks.js';
+import { getI18n } from '../src/i18n.js';
+import { applyAuditorReviews, buildReviewQueue, recordAuditorReview } from '../src/review.js';
+
+const PAGE = `<!doctype html>
+<html lang="fr"><head><meta charset="utf-8"><title>Accueil</title></head>
+<body><main><h1>Bienvenue</h1><img src="a.png" alt="Logo"><table><tr><td>1</td></tr></table></main></body></html>`;
+
+test('review queue holds REV cells and low-confidence AI verdicts not yet decided', () => {
+  const state = {
+    completedPages: [
+      {
+        url: 'https://example.com/',
+        name: 'Accueil',
+        results: [
+          { id: '1.1', status: STATUS.C, ai: { confidence: 0.5, rationale: 'Alt présents.' } },
+          { id: '1.2', status: STATUS.C, ai: { confidence: 0.9, rationale: 'OK.' } },
+          { id: '5.4', status: STATUS.REVIEW, notes: 'Tableau à vérifier.' },
+          { id: '8.5', status: STATUS.NE },
+          { id: '8.6', status: STATUS.ERR }
+        ]
+      }
+    ],
+    reviews: [{ url: 'https://example.com/', criterionId: '5.4', status: STATUS.C }]
+  };
+  assert.deepEqual(
+    buildReviewQueue(state, { threshold: 0.7 }).map((item) => [item.label, item.result.id, item.reason]),
+    [['P1 – Accueil', '1.1', 'confidence']]
+  );
+  assert.deepEqual(
+    buildReviewQueue(state, { threshold: 0.7, all: true }).map((item) => item.result.id),
+    ['1.1', '5.4']
+  );
+});
+
+test('auditor decisions also replace the verdict in the page state columns', () => {
+  const pages = [
+    {
+      url: 'https://example.com/',
+      results: [{ id: '7.1', status: STATUS.REVIEW, notes: 'État « Menu ouvert » : Composant à vérifier' }],
+      states: [{ name: 'Menu ouvert', results: [{ id: '7.1', status: STATUS.REVIEW, notes: 'Composant à vérifier' }] }]
+    }
+  ];
+  const reviews = [
+    {
+      url: 'https://example.com/',
+      criterionId: '7.1',
+      status: STATUS.C,
+      rationale: 'Menu testé au clavier.',
+      author: 'A. Martin',
+      reviewedAt: '2026-10-19T10:00:00.000Z',
+      previousStatus: STATUS.REVIEW
+    }
+  ];
+  const [page] = applyAuditorReviews(pages, reviews, getI18n('fr'));
+  assert.equal(page.results[0].status, STATUS.C);
+  assert.equal(page.states[0].results[0].status, STATUS.C);
+  assert.equal(page.states[0].results[0].notes, 'Revue auditeur (A. Martin, 2026-10-19) : Menu testé au clavier.');
+  assert.equal(page.states[0].results[0].review.previousStatus, STATUS.REVIEW);
+});
+
+test('auditor decisions are saved in the resume file and marked in the rebuilt workbook', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-review-'));
+  try {
+    const pagePath = path.join(dir, 'index.html');
+    await fs.writeFile(pagePath, PAGE, 'utf-8');
+    const url = pathToFileURL(pagePath).href;
+    const outPath = path.join(dir, 'out', 'rgaa-audit.xlsx');
+    const statePath = path.join(dir, 'out', 'audit.resume.json');
+    process.env.AUDIT_OPEN_XLS = '0';
+    await runAudit({
+      pages: [url],
+      outPath,
+      reportLang: 'fr',
+      staticHtml: true,
+      mcp: {},
+      ai: { useMcp: false },
+      resumeStatePath: statePath
+    });
+
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+    const item = buildReviewQueue(state).find((entry) => entry.result.id === '5.4');
+    assert.ok(item);
+    recordAuditorReview(state, item, {
+      status: STATUS.C,
+      rationale: 'Tableau de mise en forme avec role=presentation ajouté.',
+      author: 'Camille',
+      reviewedAt: new Date('2026-03-02T10:00:00Z')
+    });
+    assert.deepEqual(state.reviews[0], {
+      url,
+      criterionId: '5.4',
+      status: STATUS.C,
+      rationale: 'Tableau de mise en forme avec role=presentation ajouté.',
+      author: 'Camille',
+      reviewedAt: '2026-03-02T10:00:00.000Z',
+      previousStatus: STATUS.REVIEW
+    });
+    assert.equal(buildReviewQueue(state).some((entry) => entry.result.id === '5.4'), false);
+
+    await fs.rm(outPath);
+    await runAudit({
+      pages: state.pages,
+      outPath,
+      reportLang: 'fr',
+      resumeState: state,
+      reportOnly: true,
+      mcp: {},
+      ai: { useMcp: false }
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outPath);
+    const findRow = (sheet) => {
+      let found = null;
+      sheet.eachRow((row) => {
+        if (row.getCell(1).value === '5.4') found = row;
+      });
+      return found;
+    };
+    const auditRow = findRow(workbook.getWorksheet('Audit'));
+    assert.equal(auditRow.getCell(4).value, '✅ ✍️');
+    assert.match(String(auditRow.getCell(4).note), /Revue auditeur \(Camille, 2026-03-02\) : Tableau de mise en forme/);
+    const evidenceRow = findRow(workbook.getWorksheet('Preuves'));
+    assert.equal(evidenceRow.getCell(7).value, STATUS.C);
+    assert.equal(evidenceRow.getCell(14).value, 'Camille, 2026-03-02 (avant : Revue)');
+  } finally {
+    delete process.env.AUDIT_OPEN_XLS;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -1,7 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { loadCriteria } from '../src/criteria.js';
-import { evaluateCriterion, STATUS } from '../src/checks.js';
+import { evaluateCriterion, parseMetaRefresh, STATUS } from '../src/checks.js';
+import { analyzeContrast, analyzeUiContrast } from '../src/enrichment.js';
 
 function criterionById(id) {
   return loadCriteria().find((c) => c.id === id);
@@ -85,6 +86,203 @@ test('2.1 frames title rule', () => {
   assert.equal(bad.status, STATUS.NC);
 });
 
+test('criteria carry their numbered RGAA tests in both languages', () => {
+  const fr = loadCriteria();
+  const en = loadCriteria({ lang: 'en' });
+  assert.equal(fr.reduce((sum, c) => sum + c.tests.length, 0), 258);
+  for (const criterion of fr) {
+    assert.ok(criterion.tests.length > 0, criterion.id);
+    criterion.tests.forEach((t, i) => {
+      assert.equal(t.id, `${criterion.id}.${i + 1}`);
+      assert.ok(t.title);
+    });
+    const translated = en.find((c) => c.id === criterion.id);
+    assert.deepEqual(
+      translated.tests.map((t) => t.id),
+      criterion.tests.map((t) => t.id)
+    );
+  }
+});
+
+test('3.2 text contrast rule', () => {
+  const criterion = criterionById('3.2');
+  const sample = {
+    text: 'Texte',
+    color: '#000000',
+    backgroundColor: '#ffffff',
+    fontSize: '16px',
+    fontWeight: '400',
+    tag: 'p',
+    selector: 'p'
+  };
+  const passing = Array.from({ length: 5 }, (_, i) => ({ ...sample, selector: `p.ok${i}` }));
+
+  const good = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: { contrast: analyzeContrast(passing) }
+  });
+  assert.equal(good.status, STATUS.C);
+
+  const largeText = analyzeContrast([{ ...sample, color: '#888888', fontSize: '24px', selector: 'h2.big' }]);
+  assert.equal(largeText.failingCount, 0);
+
+  // 4.497:1 shows as 4.5 but still fails 4.5:1.
+  const borderline = analyzeContrast([{ ...sample, color: '#647a86', selector: 'p.borderline' }]);
+  assert.equal(borderline.failingCount, 1);
+  assert.equal(borderline.failingSamples[0].ratio, 4.5);
+
+  const bad = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: {
+      contrast: analyzeContrast([...passing, { ...sample, color: '#999999', selector: 'p.muted' }])
+    }
+  });
+  assert.equal(bad.status, STATUS.NC);
+  assert.match(bad.examples[0], /^p\.muted 2\.85:1 < 4\.5:1 \(16px\/400\)/);
+  assert.deepEqual(bad.failedTests, ['3.2.1']);
+
+  const sparse = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: { contrast: analyzeContrast(passing.slice(0, 2)) }
+  });
+  assert.equal(sparse.status, STATUS.REVIEW);
+  assert.equal(sparse.aiCandidate, true);
+
+  const missing = evaluateCriterion(criterion, baseSnapshot);
+  assert.equal(missing.status, STATUS.REVIEW);
+});
+
+test('3.3 non-text contrast rule', () => {
+  const criterion = criterionById('3.3');
+  const component = {
+    text: '',
+    color: '#000000',
+    backgroundColor: 'rgba(0, 0, 0, 0)',
+    borderColor: '#000000',
+    borderWidth: '1px',
+    parentBackgroundColor: '#ffffff',
+    iconColor: '',
+    focusOutlineColor: '',
+    focusOutlineStyle: 'none',
+    focusOutlineWidth: '0px',
+    fontSize: '16px',
+    fontWeight: '400',
+    tag: 'input',
+    selector: 'input#q',
+    role: '',
+    kind: 'control'
+  };
+
+  const good = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: { uiContrast: analyzeUiContrast([component]) }
+  });
+  assert.equal(good.status, STATUS.C);
+
+  const bad = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: {
+      uiContrast: analyzeUiContrast([
+        { ...component, borderColor: '#cccccc' },
+        {
+          ...component,
+          tag: 'button',
+          selector: 'button.close',
+          kind: 'icon-button',
+          borderWidth: '0px',
+          iconColor: '#000000',
+          focusOutlineColor: '#dddddd',
+          focusOutlineStyle: 'solid',
+          focusOutlineWidth: '2px'
+        }
+      ])
+    }
+  });
+  assert.equal(bad.status, STATUS.NC);
+  assert.deepEqual(
+    bad.examples.map((ex) => ex.split(' ').slice(0, 2).join(' ')),
+    ['button.close focus', 'input#q border']
+  );
+  assert.deepEqual(bad.failedTests, ['3.3.1']);
+
+  const faintIcon = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    enrichment: {
+      uiContrast: analyzeUiContrast([
+        { ...component, tag: 'button', selector: 'button.close', kind: 'icon-button', borderWidth: '0px', iconColor: '#cccccc' }
+      ])
+    }
+  });
+  assert.deepEqual(faintIcon.failedTests, ['3.3.2']);
+
+  // 2.995:1 shows as 3 but still fails 3:1.
+  const borderline = analyzeUiContrast([{ ...component, borderColor: '#959595' }]);
+  assert.equal(borderline.failingCount, 1);
+  assert.equal(borderline.failingSamples[0].ratio, 3);
+
+  // A text label identifies the button; CSS color is meaningless for an image.
+  const unmeasured = analyzeUiContrast([
+    { ...component, tag: 'a', selector: 'a.secondary', kind: 'labelled', backgroundColor: '#eeeeee', borderWidth: '0px' },
+    { ...component, tag: 'span', selector: 'span.logo', role: 'img', kind: 'component', color: '#eeeeee', borderWidth: '0px' }
+  ]);
+  assert.equal(unmeasured.sampleCount, 0);
+
+  const missing = evaluateCriterion(criterion, baseSnapshot);
+  assert.equal(missing.status, STATUS.REVIEW);
+  assert.equal(missing.aiCandidate, true);
+});
+
+test('theme 5 table rules', () => {
+  const table = {
+    selector: 'table#t',
+    role: '',
+    layout: false,
+    title: '',
+    complex: false,
+    ambiguous: false,
+    headerCount: 2,
+    hasTh: true,
+    hasCaption: false,
+    thCount: 2,
+    thWithScope: 0,
+    thWithId: 0,
+    cellsWithHeaders: 0,
+    unassociatedHeaders: 0,
+    invalidScope: 0,
+    brokenHeadersRefs: 0,
+    dataMarkup: [],
+    hasThead: false,
+    hasTbody: true,
+    hasTfoot: false
+  };
+  const run = (id, tables) => evaluateCriterion(criterionById(id), { ...baseSnapshot, tables });
+
+  assert.equal(run('5.4', []).status, STATUS.NA);
+  assert.equal(run('5.4', [{ ...table, title: 'Prix' }]).status, STATUS.C);
+  const untitled = run('5.4', [{ ...table, complex: true, unassociatedHeaders: 1 }]);
+  assert.equal(untitled.status, STATUS.NC);
+  assert.match(untitled.examples[0], /^table#t/);
+
+  const headed = run('5.6', [table]);
+  assert.equal(headed.status, STATUS.C);
+  assert.match(headed.notes, /^1 tableau\(x\) de données avec cellules d’en-tête/);
+  assert.equal(run('5.6', [{ ...table, headerCount: 0, hasTh: false, thCount: 0, hasCaption: true }]).status, STATUS.NC);
+  assert.equal(run('5.6', [{ ...table, headerCount: 0, hasTh: false, thCount: 0, ambiguous: true }]).status, STATUS.REVIEW);
+
+  assert.equal(run('5.7', [{ ...table, complex: true, thWithScope: 2 }]).status, STATUS.C);
+  assert.equal(run('5.7', [{ ...table, complex: true, unassociatedHeaders: 2 }]).status, STATUS.NC);
+  assert.equal(run('5.7', [{ ...table, brokenHeadersRefs: 1 }]).status, STATUS.NC);
+
+  const layout = { ...table, layout: true, role: 'presentation', headerCount: 0, hasTh: false, thCount: 0 };
+  assert.equal(run('5.8', [layout]).status, STATUS.C);
+  const misused = run('5.8', [{ ...layout, dataMarkup: ['caption', 'th'] }]);
+  assert.equal(misused.status, STATUS.NC);
+  assert.match(misused.examples[0], /caption, th/);
+  assert.equal(run('5.8', [table]).status, STATUS.NA);
+  assert.equal(run('5.3', [layout]).status, STATUS.REVIEW);
+  assert.equal(run('5.3', [table]).status, STATUS.NA);
+});
+
 test('6.2 links have name rule', () => {
   const criterion = criterionById('6.2');
   const good = evaluateCriterion(criterion, {
@@ -142,6 +340,28 @@ test('11.1 form label rule', () => {
   assert.equal(bad.status, STATUS.NC);
 });
 
+test('items inside shadow roots and frames are evaluated with their host path', () => {
+  const images = evaluateCriterion(criterionById('1.1'), {
+    ...baseSnapshot,
+    images: [
+      { tag: 'img', role: '', ariaHidden: false, alt: 'Logo', name: 'Logo', host: '' },
+      { tag: 'img', role: '', ariaHidden: false, alt: null, name: '', host: 'promo-card#offre' }
+    ]
+  });
+  assert.equal(images.status, STATUS.NC);
+  assert.match(images.examples[0], /^promo-card#offre » img alt=\(missing\)/);
+
+  const controls = evaluateCriterion(criterionById('11.1'), {
+    ...baseSnapshot,
+    formControls: [
+      { tag: 'input', type: 'text', id: 'q', name: 'q', label: 'Recherche', host: '' },
+      { tag: 'input', type: 'text', id: 'card', name: 'card', label: '', host: 'pay-widget > iframe#paiement' }
+    ]
+  });
+  assert.equal(controls.status, STATUS.NC);
+  assert.deepEqual(controls.examples, ['pay-widget > iframe#paiement » input[type=text]#card[name=card] label=""']);
+});
+
 test('12.7 skip link rule', () => {
   const criterion = criterionById('12.7');
   const good = evaluateCriterion(criterion, {
@@ -157,6 +377,528 @@ test('12.7 skip link rule', () => {
   assert.equal(bad.status, STATUS.NC);
 });
 
+test('12.8 tab order rule', () => {
+  const criterion = criterionById('12.8');
+  const logo = {
+    tag: 'a',
+    role: '',
+    tabindex: 0,
+    type: '',
+    selector: 'a#logo',
+    name: 'a#logo',
+    rect: { x: 0, y: 0, width: 100, height: 20 }
+  };
+  const header = [logo, { ...logo, selector: 'a#menu', name: 'a#menu', rect: { ...logo.rect, x: 200 } }];
+  const left = { ...logo, selector: 'a#left', name: 'a#left', rect: { ...logo.rect, y: 100 } };
+
+  const good = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    focusables: [
+      ...header,
+      left,
+      { ...logo, selector: 'a#right-col', name: 'a#right-col', rect: { ...logo.rect, x: 400, y: 60 } }
+    ]
+  });
+  assert.equal(good.status, STATUS.C);
+
+  const positive = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    focusables: [...header, { ...left, selector: 'a#search', name: 'a#search', tabindex: 2 }]
+  });
+  assert.equal(positive.status, STATUS.NC);
+  assert.match(positive.examples[0], /tabindex=2/);
+
+  const backwards = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    focusables: [{ ...logo, selector: 'a#footer', name: 'a#footer', rect: { ...logo.rect, y: 800 } }, ...header]
+  });
+  assert.equal(backwards.status, STATUS.NC);
+  assert.match(backwards.examples[0], /^a#footer "a#footer" \(y=800\) → a#logo/);
+
+  // Only the first 80 focusables are listed: the summary and counts cover the rest of the page.
+  const listed = [...header, left];
+  const lateTabindex = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    counts: { ...baseSnapshot.counts, focusables: 81 },
+    focusables: listed,
+    focusableSummary: { total: 81, tabindexPositive: 1, tabindexZero: 80, maxTabindex: 3 }
+  });
+  assert.equal(lateTabindex.status, STATUS.NC);
+  const partial = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    counts: { ...baseSnapshot.counts, focusables: 81 },
+    focusables: listed,
+    focusableSummary: { total: 81, tabindexPositive: 0, tabindexZero: 81, maxTabindex: 0 }
+  });
+  assert.equal(partial.status, STATUS.REVIEW);
+
+  assert.equal(evaluateCriterion(criterion, { ...baseSnapshot, focusables: [] }).status, STATUS.NA);
+});
+
+test('10.7 focus visible and 12.9 keyboard trap rules', () => {
+  const focusVisible = criterionById('10.7');
+  const keyboardTrap = criterionById('12.9');
+  const logo = { selector: 'a#logo', tag: 'a', name: '', visible: true, diffRatio: 0.12, screenshot: '' };
+  const menu = { ...logo, selector: 'a#menu' };
+  const keyboard = {
+    tabbableCount: 3,
+    steps: 3,
+    reachedEnd: true,
+    truncated: false,
+    focus: [logo, menu, { ...logo, selector: 'button.search' }],
+    trap: null,
+    escapedWith: ''
+  };
+
+  assert.equal(evaluateCriterion(focusVisible, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(keyboardTrap, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(focusVisible, { ...baseSnapshot, keyboard }).status, STATUS.C);
+  assert.equal(evaluateCriterion(keyboardTrap, { ...baseSnapshot, keyboard }).status, STATUS.C);
+
+  const hidden = evaluateCriterion(focusVisible, {
+    ...baseSnapshot,
+    keyboard: {
+      ...keyboard,
+      focus: [logo, { ...menu, visible: false, diffRatio: 0, screenshot: 'evidence/P1-focus-2.png' }]
+    }
+  });
+  assert.equal(hidden.status, STATUS.NC);
+  assert.deepEqual(hidden.examples, ['a#menu (evidence/P1-focus-2.png)']);
+
+  const unmeasured = evaluateCriterion(focusVisible, {
+    ...baseSnapshot,
+    keyboard: { ...keyboard, focus: [logo, { ...menu, visible: null, diffRatio: 0 }] }
+  });
+  assert.equal(unmeasured.status, STATUS.REVIEW);
+  assert.equal(
+    evaluateCriterion(focusVisible, { ...baseSnapshot, keyboard: { ...keyboard, truncated: true } }).status,
+    STATUS.REVIEW
+  );
+
+  const trapped = evaluateCriterion(keyboardTrap, {
+    ...baseSnapshot,
+    keyboard: {
+      ...keyboard,
+      reachedEnd: false,
+      trap: { selectors: ['div#player', 'button.play'], screenshot: 'evidence/P1-trap.png' }
+    }
+  });
+  assert.equal(trapped.status, STATUS.NC);
+  assert.deepEqual(trapped.examples, ['div#player', 'button.play', 'evidence/P1-trap.png']);
+
+  const escaped = { ...baseSnapshot, keyboard: { ...keyboard, truncated: true, escapedWith: 'Escape' } };
+  const left = evaluateCriterion(keyboardTrap, escaped);
+  assert.equal(left.status, STATUS.C);
+  assert.match(left.notes, /Escape/);
+  const stoppedAtLoop = evaluateCriterion(focusVisible, escaped);
+  assert.equal(stoppedAtLoop.status, STATUS.REVIEW);
+  assert.match(stoppedAtLoop.notes, /boucle de focus quittée avec Escape/);
+
+  assert.equal(
+    evaluateCriterion(keyboardTrap, { ...baseSnapshot, keyboard: { ...keyboard, reachedEnd: false, truncated: true } }).status,
+    STATUS.REVIEW
+  );
+  assert.equal(
+    evaluateCriterion(focusVisible, { ...baseSnapshot, keyboard: { ...keyboard, tabbableCount: 0, focus: [] } }).status,
+    STATUS.NA
+  );
+});
+
+test('10.4 text resize and 10.11 reflow rules', () => {
+  const textResize = criterionById('10.4');
+  const reflowRule = criterionById('10.11');
+  const variant = {
+    viewportWidth: 320,
+    scrollWidth: 320,
+    horizontalScroll: false,
+    overflowing: [],
+    blockingOverflowCount: 0,
+    lostCount: 0,
+    lost: [],
+    clippedCount: 0,
+    clipped: [],
+    overlapCount: 0,
+    overlaps: [],
+    comparedTexts: 12,
+    screenshot: 'evidence/P1-reflow-320.png'
+  };
+  const reflowed = { ...baseSnapshot, reflow: { narrow: variant, zoom: variant } };
+
+  assert.equal(evaluateCriterion(reflowRule, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(textResize, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(reflowRule, reflowed).status, STATUS.C);
+
+  const scrolling = evaluateCriterion(reflowRule, {
+    ...reflowed,
+    reflow: {
+      ...reflowed.reflow,
+      narrow: {
+        ...variant,
+        scrollWidth: 612,
+        horizontalScroll: true,
+        blockingOverflowCount: 1,
+        overflowing: [{ selector: 'div.hero', right: 612, exempt: false }]
+      }
+    }
+  });
+  assert.equal(scrolling.status, STATUS.NC);
+  assert.deepEqual(scrolling.examples, ['débordement: div.hero (right=612px)', 'evidence/P1-reflow-320.png']);
+
+  const exemptOnly = evaluateCriterion(reflowRule, {
+    ...reflowed,
+    reflow: {
+      ...reflowed.reflow,
+      narrow: { ...variant, horizontalScroll: true, overflowing: [{ selector: 'table', right: 500, exempt: true }] }
+    }
+  });
+  assert.equal(exemptOnly.status, STATUS.REVIEW);
+  // Horizontal scrolling alone does not fail the text-zoom criterion.
+  const zoomScroll = evaluateCriterion(textResize, {
+    ...reflowed,
+    reflow: { ...reflowed.reflow, zoom: { ...variant, horizontalScroll: true, blockingOverflowCount: 2 } }
+  });
+  assert.equal(zoomScroll.status, STATUS.C);
+
+  const clipped = evaluateCriterion(textResize, {
+    ...reflowed,
+    reflow: {
+      ...reflowed.reflow,
+      zoom: { ...variant, clippedCount: 1, clipped: [{ selector: 'button.cta', text: 'Ajouter au panier' }] }
+    }
+  });
+  assert.equal(clipped.status, STATUS.NC);
+  assert.match(clipped.examples[0], /button\.cta "Ajouter au panier"/);
+
+  const lost = evaluateCriterion(reflowRule, {
+    ...reflowed,
+    reflow: { ...reflowed.reflow, narrow: { ...variant, lostCount: 2, lost: [{ selector: 'a.nav', text: 'Contact' }] } }
+  });
+  assert.equal(lost.status, STATUS.REVIEW);
+  assert.equal(lost.aiCandidate, true);
+});
+
+test('10.12 text spacing rule', () => {
+  const criterion = criterionById('10.12');
+  const banner = {
+    selector: 'div.banner',
+    text: 'Livraison offerte dès 50 €',
+    kind: 'clipped',
+    scrollHeight: 48,
+    clientHeight: 24,
+    scrollWidth: 120,
+    clientWidth: 120,
+    screenshot: 'evidence/P1-spacing-1.png'
+  };
+  const textSpacing = { checked: 40, clippedCount: 0, clipped: [], overflowCount: 0, overflowing: [] };
+
+  assert.equal(evaluateCriterion(criterion, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(criterion, { ...baseSnapshot, textSpacing }).status, STATUS.C);
+
+  const clipped = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    textSpacing: { ...textSpacing, clippedCount: 1, clipped: [banner] }
+  });
+  assert.equal(clipped.status, STATUS.NC);
+  assert.deepEqual(clipped.examples, [
+    'div.banner "Livraison offerte dès 50 €" (scrollHeight 48 > clientHeight 24) evidence/P1-spacing-1.png'
+  ]);
+
+  const spilled = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    textSpacing: {
+      ...textSpacing,
+      overflowCount: 1,
+      overflowing: [{ ...banner, selector: 'p.promo', kind: 'overflow', screenshot: '' }]
+    }
+  });
+  assert.equal(spilled.status, STATUS.REVIEW);
+  assert.equal(spilled.examples.length, 1);
+});
+
+test('10.2 and 10.3 no-CSS rules', () => {
+  const contentRule = criterionById('10.2');
+  const orderRule = criterionById('10.3');
+  const noCss = {
+    linearText: 'Accueil\nProduits',
+    cssOnlyContentCount: 0,
+    cssOnlyContent: [],
+    backgroundImageCount: 0,
+    backgroundImages: [],
+    reorderedCount: 0,
+    reordered: [],
+    orderProperties: [],
+    revealedCount: 0,
+    revealed: [],
+    screenshotStyled: 'evidence/P1-css-on.png',
+    screenshot: 'evidence/P1-css-off.png'
+  };
+
+  assert.equal(evaluateCriterion(contentRule, baseSnapshot).status, STATUS.REVIEW);
+  assert.equal(evaluateCriterion(contentRule, { ...baseSnapshot, noCss }).status, STATUS.C);
+  assert.equal(evaluateCriterion(orderRule, { ...baseSnapshot, noCss }).status, STATUS.C);
+
+  const generated = evaluateCriterion(contentRule, {
+    ...baseSnapshot,
+    noCss: {
+      ...noCss,
+      cssOnlyContentCount: 1,
+      cssOnlyContent: [{ selector: 'span.price', pseudo: '::after', kind: 'text', content: '€ TTC' }]
+    }
+  });
+  assert.equal(generated.status, STATUS.REVIEW);
+  assert.equal(generated.aiCandidate, true);
+  assert.deepEqual(generated.examples, ['span.price::after text: € TTC', 'evidence/P1-css-off.png']);
+
+  const reordered = evaluateCriterion(orderRule, {
+    ...baseSnapshot,
+    noCss: {
+      ...noCss,
+      reorderedCount: 1,
+      reordered: [{ from: { selector: 'p.body', text: 'Texte' }, to: { selector: 'h1', text: 'Titre' } }],
+      orderProperties: [{ selector: 'h1', property: 'order: -1' }]
+    }
+  });
+  assert.equal(reordered.status, STATUS.REVIEW);
+  assert.deepEqual(reordered.examples.slice(0, 2), ['p.body "Texte" → h1 "Titre"', 'h1 order: -1']);
+
+  const textDiff = { removedCount: 1, removed: ['Promo -20 %'], addedCount: 1, added: ['Fermer le menu'] };
+  const lost = evaluateCriterion(contentRule, { ...baseSnapshot, noCss: { ...noCss, textDiff } });
+  assert.equal(lost.status, STATUS.REVIEW);
+  assert.equal(lost.notes, '1 ligne(s) du rendu stylé absente(s) du texte sans CSS.');
+  assert.deepEqual(lost.examples, ['texte absent sans CSS: "Promo -20 %"', 'evidence/P1-css-off.png']);
+  const revealed = evaluateCriterion(orderRule, { ...baseSnapshot, noCss: { ...noCss, textDiff } });
+  assert.equal(revealed.status, STATUS.REVIEW);
+  assert.deepEqual(revealed.examples, ['texte révélé sans CSS: "Fermer le menu"', 'evidence/P1-css-off.png']);
+});
+
+test('7.1 ARIA validity rule', () => {
+  const criterion = criterionById('7.1');
+  const tabs = {
+    selector: 'div.tabs',
+    tag: 'div',
+    type: '',
+    role: 'tablist',
+    attrs: [],
+    missingRefs: [],
+    context: '',
+    owned: ['tab'],
+    busy: false,
+    empty: false
+  };
+  const scripted = { ...baseSnapshot, scripts: { scriptTags: 1, hasInlineHandlers: false } };
+
+  const broken = evaluateCriterion(criterion, {
+    ...scripted,
+    ariaNodes: [
+      { ...tabs, owned: ['button'] },
+      {
+        ...tabs,
+        selector: 'button#menu',
+        tag: 'button',
+        role: '',
+        owned: [],
+        attrs: ['aria-controls'],
+        missingRefs: ['aria-controls→nav']
+      }
+    ]
+  });
+  assert.equal(broken.status, STATUS.NC);
+  assert.equal(broken.automated, true);
+  assert.deepEqual(broken.examples, [
+    'div.tabs [role=tablist] : enfant requis absent (tab)',
+    'button#menu : référence d’ID introuvable (aria-controls→nav)'
+  ]);
+
+  const valid = evaluateCriterion(criterion, { ...scripted, ariaNodes: [tabs] });
+  assert.equal(valid.status, STATUS.REVIEW);
+  assert.equal(valid.aiCandidate, true);
+
+  assert.equal(evaluateCriterion(criterion, { ...baseSnapshot, ariaNodes: [] }).status, STATUS.NA);
+});
+
+test('accessibility tree names drive 1.1, 6.2, 11.1 and 11.9', () => {
+  const link = {
+    kind: 'link',
+    role: 'link',
+    name: '',
+    nameFrom: '',
+    description: '',
+    tag: 'a',
+    selector: 'a.icon',
+    href: '/panier',
+    type: '',
+    inForm: false,
+    ignored: false,
+    ignoredReasons: [],
+    states: {}
+  };
+  const image = { ...link, kind: 'image', role: 'image', tag: 'img', selector: 'img.logo', href: '' };
+  const field = { ...link, kind: 'formControl', role: 'textbox', tag: 'input', selector: 'input#q', href: '', inForm: true };
+  const button = { ...link, kind: 'button', role: 'button', tag: 'button', selector: 'button.go', href: '', inForm: true };
+  const axTree = { nodes: [], counts: {}, truncated: false };
+  const run = (id, nodes) => evaluateCriterion(criterionById(id), { ...baseSnapshot, axTree: { ...axTree, nodes } });
+
+  // The DOM-side link list has no name, the tree resolves it from title.
+  const titled = evaluateCriterion(criterionById('6.2'), {
+    ...baseSnapshot,
+    axTree: { ...axTree, nodes: [{ ...link, name: 'Panier', nameFrom: 'title' }] },
+    links: [{ href: '/panier', name: '' }]
+  });
+  assert.equal(titled.status, STATUS.C);
+  const unnamed = run('6.2', [link]);
+  assert.equal(unnamed.status, STATUS.NC);
+  assert.deepEqual(unnamed.examples, ['a.icon href=/panier name=(empty)']);
+
+  assert.equal(
+    run('1.1', [{ ...image, name: 'Logo' }, { ...image, ignored: true, ignoredReasons: ['emptyAlt'] }]).status,
+    STATUS.C
+  );
+  assert.equal(run('1.1', [image]).status, STATUS.NC);
+  assert.deepEqual(
+    run('1.1', [image, { ...image, tag: 'svg', selector: 'svg.chart' }, { ...image, tag: 'canvas', selector: 'canvas' }])
+      .failedTests,
+    ['1.1.1', '1.1.5', '1.1.8']
+  );
+  assert.deepEqual(run('1.1', [{ ...image, tag: 'area', selector: 'area' }]).failedTests, ['1.1.2']);
+  assert.deepEqual(run('1.1', [{ ...image, tag: 'input', type: 'image', selector: 'input.go' }]).failedTests, ['1.1.3']);
+  assert.equal(run('1.1', [{ ...image, ignoredReasons: ['notRendered'] }]).status, STATUS.NA);
+
+  assert.equal(run('11.1', [{ ...field, name: 'Recherche', nameFrom: 'aria-label' }]).status, STATUS.C);
+  const placeholder = run('11.1', [{ ...field, name: 'Rechercher…', nameFrom: 'placeholder' }]);
+  assert.equal(placeholder.status, STATUS.NC);
+  assert.match(placeholder.notes, /placeholder/);
+
+  assert.equal(run('11.9', [button]).status, STATUS.NC);
+  const named = run('11.9', [{ ...button, name: 'Envoyer' }]);
+  assert.equal(named.status, STATUS.REVIEW);
+  assert.deepEqual(named.examples, ['button.go "Envoyer"']);
+  assert.equal(evaluateCriterion(criterionById('11.9'), baseSnapshot).status, STATUS.NA);
+
+  // A capped tree only proves the nodes it lists.
+  const partialLinks = evaluateCriterion(criterionById('6.2'), {
+    ...baseSnapshot,
+    axTree: {
+      nodes: [{ ...link, name: 'Panier' }],
+      counts: { link: 3, image: 0, button: 0, formControl: 0, landmark: 0 },
+      truncated: true
+    }
+  });
+  assert.equal(partialLinks.status, STATUS.REVIEW);
+  assert.equal(
+    partialLinks.notes,
+    'Aucun lien sans nom sur les 1 premier(s) nœud(s) sur 3 (arbre d’accessibilité limité); revue requise.'
+  );
+  assert.equal(
+    evaluateCriterion(criterionById('6.2'), {
+      ...baseSnapshot,
+      axTree: { nodes: [link], counts: { link: 3 }, truncated: true }
+    }).status,
+    STATUS.NC
+  );
+  // Only the kind that lost nodes is affected.
+  const labelled = { ...field, name: 'Recherche', nameFrom: 'label' };
+  assert.equal(
+    evaluateCriterion(criterionById('11.1'), {
+      ...baseSnapshot,
+      axTree: { nodes: [labelled], counts: { formControl: 1 }, truncated: true }
+    }).status,
+    STATUS.C
+  );
+  assert.equal(
+    evaluateCriterion(criterionById('11.1'), {
+      ...baseSnapshot,
+      axTree: { nodes: [labelled], counts: { formControl: 2 }, truncated: true }
+    }).status,
+    STATUS.REVIEW
+  );
+  assert.equal(
+    evaluateCriterion(criterionById('1.1'), {
+      ...baseSnapshot,
+      axTree: { nodes: [{ ...image, name: 'Logo' }], counts: { image: 5 }, truncated: true }
+    }).status,
+    STATUS.REVIEW
+  );
+  assert.match(
+    evaluateCriterion(criterionById('11.9'), {
+      ...baseSnapshot,
+      axTree: { nodes: [{ ...button, name: 'Envoyer' }], counts: { button: 4 }, truncated: true }
+    }).notes,
+    /1 premier\(s\) nœud\(s\) sur 4/
+  );
+
+  // Named tree images do not hide CSS background images from the DOM checks.
+  const withBackgrounds = evaluateCriterion(criterionById('1.1'), {
+    ...baseSnapshot,
+    axTree: { ...axTree, nodes: [{ ...image, name: 'Logo' }] },
+    visual: { ...baseSnapshot.visual, cssBackgroundImages: 2 }
+  });
+  assert.equal(withBackgrounds.status, STATUS.REVIEW);
+  assert.match(withBackgrounds.notes, /background-image CSS/);
+});
+
+test('13.1 time limits rule', () => {
+  const criterion = criterionById('13.1');
+  assert.deepEqual(parseMetaRefresh('5; URL=\'/next\'', 'https://example.test/'), {
+    raw: "5; URL='/next'",
+    delay: 5,
+    url: '/next',
+    kind: 'redirect'
+  });
+  assert.equal(parseMetaRefresh('60', 'https://example.test/').kind, 'reload');
+
+  const none = evaluateCriterion(criterion, baseSnapshot);
+  assert.equal(none.status, STATUS.NA);
+
+  const immediate = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    meta: { viewport: '', refresh: '0; url=https://example.test/new' }
+  });
+  assert.equal(immediate.status, STATUS.NA);
+
+  const reload = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    meta: { viewport: '', refresh: '300' }
+  });
+  assert.equal(reload.status, STATUS.NC);
+  assert.match(reload.examples[0], /300 s/);
+  assert.deepEqual(reload.failedTests, ['13.1.1']);
+
+  const scripted = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    timeLimits: {
+      scriptRedirects: [
+        {
+          source: 'inline-script',
+          timer: 'setTimeout',
+          delayMs: 5000,
+          reload: false,
+          snippet: "setTimeout(() => { location.href = '/expired'; }, 5000)"
+        }
+      ]
+    }
+  });
+  assert.equal(scripted.status, STATUS.NC);
+  assert.match(scripted.examples[0], /setTimeout redirect \(5000 ms, inline-script\)/);
+  assert.deepEqual(scripted.failedTests, ['13.1.3']);
+
+  const unreadable = evaluateCriterion(criterion, {
+    ...baseSnapshot,
+    timeLimits: {
+      scriptRedirects: [
+        {
+          source: 'inline-script',
+          timer: 'setTimeout',
+          delayMs: -1,
+          reload: false,
+          snippet: 'setTimeout(() => { location.href = next; }, DELAY)'
+        }
+      ]
+    }
+  });
+  assert.equal(unreadable.status, STATUS.REVIEW);
+  assert.match(unreadable.examples[0], /délai inconnu/);
+});
+
 test('non-automated but applicable criteria are flagged for AI review', () => {
   const criterion = criterionById('7.1');
   const result = evaluateCriterion(criterion, {
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { STATUS } from '../src/checks.js';
+import { getI18n } from '../src/i18n.js';
+import {
+  captureScenarioState,
+  findScenarioStates,
+  isPageOnlyCriterion,
+  loadScenarios,
+  mergeStateResults
+} from '../src/scenarios.js';
+
+async function writeScenarios(content) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-scenarios-'));
+  const file = path.join(dir, 'scenarios.json');
+  await fs.writeFile(file, JSON.stringify(content));
+  return { dir, file };
+}
+
+// Stands in for a CDP tab session: records what the steps do to the page.
+function createFakeTab({ present = ['#menu-toggle', '#q', '#menu'] } = {}) {
+  const tab = { calls: [], keys: [], typed: {} };
+  const session = {
+    async send(method, params = {}) {
+      tab.calls.push(method);
+      if (method === 'Input.dispatchKeyEvent' && params.type === 'keyUp') tab.keys.push(params.key);
+      return {};
+    },
+    waitFor: async () => ({}),
+    async callFunction(fn, selector, text) {
+      tab.calls.push(fn.name);
+      if (!present.includes(selector)) return false;
+      if (fn.name === 'typeInto') tab.typed[selector] = text;
+      return true;
+    },
+    evaluate: async () => ({ title: 'Accueil', href: 'http://localhost:3000/', counts: {} }),
+    close() {}
+  };
+  return { tab, connect: async () => session };
+}
+
+test('scenarios file validates states and steps', async () => {
+  const { dir, file } = await writeScenarios({
+    'http://localhost:3000/': [
+      {
+        name: 'Menu ouvert',
+        steps: [{ click: '#menu-toggle' }, { waitFor: '#menu' }, { press: 'Escape' }, { wait: '50' }]
+      }
+    ]
+  });
+  try {
+    const scenarios = loadScenarios(file);
+    assert.deepEqual(scenarios['http://localhost:3000/'][0].steps, [
+      { click: '#menu-toggle' },
+      { waitFor: '#menu' },
+      { press: 'Escape' },
+      { wait: 50 }
+    ]);
+    assert.equal(findScenarioStates(scenarios, 'http://localhost:3000#top').length, 1);
+    assert.deepEqual(findScenarioStates(scenarios, 'http://localhost:3000/contact'), []);
+
+    await fs.writeFile(file, JSON.stringify({ 'http://localhost:3000/': [{ name: 'x', steps: [{ press: 'F5' }] }] }));
+    assert.throws(() => loadScenarios(file), /unsupported key "F5"/);
+    await fs.writeFile(file, JSON.stringify({ 'http://localhost:3000/': [{ steps: [{ click: 'a' }] }] }));
+    assert.throws(() => loadScenarios(file), /needs a "name"/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a state reloads the page, replays its steps and tags the snapshot', async () => {
+  const { tab, connect } = createFakeTab();
+  const state = {
+    name: 'Recherche saisie',
+    steps: [{ click: '#menu-toggle' }, { type: '#q', text: 'rgaa' }, { press: 'Enter' }]
+  };
+  const snapshot = await captureScenarioState({
+    browserUrl: 'http://127.0.0.1:9222',
+    url: 'http://localhost:3000/',
+    state,
+    connect
+  });
+  assert.equal(snapshot.state, 'Recherche saisie');
+  assert.equal(snapshot.title, 'Accueil');
+  assert.deepEqual(tab.calls.slice(0, 4), ['Page.enable', 'Page.navigate', 'clickElement', 'typeInto']);
+  assert.deepEqual(tab.typed, { '#q': 'rgaa' });
+  assert.deepEqual(tab.keys, ['Enter']);
+
+  await assert.rejects(
+    captureScenarioState({
+      browserUrl: 'http://127.0.0.1:9222',
+      url: 'http://localhost:3000/',
+      state: { name: 'Modale', steps: [{ click: '#open-modal' }] },
+      connect
+    }),
+    /State "Modale" step 1: no element matches #open-modal/
+  );
+  await assert.rejects(
+    captureScenarioState({ browserUrl: '', url: 'http://localhost:3000/', state, connect }),
+    /DevTools endpoint/
+  );
+});
+
+test('state verdicts merge into the page verdict and name the failing state', () => {
+  const i18n = getI18n('fr');
+  const base = [
+    { id: '1.1', status: STATUS.C, notes: 'Images OK' },
+    { id: '7.1', status: STATUS.NA, notes: 'Pas de script' },
+    { id: '11.1', status: STATUS.NC, notes: 'Champ sans étiquette' }
+  ];
+  const states = [
+    {
+      name: 'Menu ouvert',
+      results: [
+        { id: '1.1', status: STATUS.NC, notes: 'Icône sans alternative' },
+        { id: '7.1', status: STATUS.NA, notes: 'Pas de script' },
+        { id: '11.1', status: STATUS.NC, notes: 'Champ sans étiquette' }
+      ]
+    },
+    {
+      name: 'Modale',
+      results: [
+        { id: '1.1', status: STATUS.C, notes: '' },
+        { id: '7.1', status: STATUS.REVIEW, notes: 'Composant à vérifier' },
+        { id: '11.1', status: STATUS.C, notes: '' }
+      ]
+    }
+  ];
+  const merged = mergeStateResults(base, states, i18n);
+  assert.equal(merged[0].status, STATUS.NC);
+  assert.equal(merged[0].notes, 'État « Menu ouvert » : Icône sans alternative');
+  assert.equal(merged[1].status, STATUS.REVIEW);
+  assert.match(merged[1].notes, /^État « Modale »/);
+  assert.equal(merged[2], base[2]);
+
+  const allNa = mergeStateResults([base[1]], [{ name: 'Menu ouvert', results: [base[1]] }], i18n);
+  assert.equal(allNa[0].status, STATUS.NA);
+
+  // A failed replay only has errors; it stays in its own column.
+  const failed = { name: 'Modale', error: 'timeout', results: base.map((res) => ({ ...res, status: STATUS.ERR })) };
+  assert.deepEqual(mergeStateResults(base, [failed], i18n), base);
+
+  // Contrast is only measured on the page as loaded: states leave it not evaluated.
+  assert.equal(isPageOnlyCriterion('3.2'), true);
+  assert.equal(isPageOnlyCriterion('3.3'), true);
+  assert.equal(isPageOnlyCriterion('10.7'), false);
+  const contrast = [{ id: '3.2', status: STATUS.C, notes: 'Contrastes OK' }];
+  const stateContrast = { name: 'Menu ouvert', results: [{ id: '3.2', status: STATUS.NE, notes: 'Non évalué' }] };
+  assert.equal(mergeStateResults(contrast, [stateContrast], i18n)[0], contrast[0]);
+});
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { getSnapshotExpression } from '../src/snapshot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -64,3 +65,29 @@ test('OpenAI structured-output schemas require all object properties to be liste
   }
 });
 
+// Keys of an object literal such as `{ a, b: cap(b), c }`, one per line or on a single line.
+function literalKeys(body) {
+  const flat = body.replace(/\([^()]*\)/g, '');
+  return Array.from(new Set(flat.split(/[,\n]/).map((part) => part.trim().split(':')[0].trim()).filter(Boolean)));
+}
+
+test('snapshot schema lists every key the snapshot expression returns', async () => {
+  const schema = await readJson('data/mcp-snapshot-schema.json');
+  const expression = getSnapshotExpression();
+
+  // Counts-only mode returns early; the full snapshot is the last return of the expression.
+  const countsOnly = expression.match(/if \((?:true|false)\) \{\n\s+return \{\n([\s\S]*?)\n\s+\};/);
+  const fullReturn = expression.match(/\n    return \{\n([\s\S]*?)\n    \};\n  \}\)\(\);$/);
+  assert.ok(countsOnly && fullReturn);
+  const full = literalKeys(fullReturn[1]);
+  for (const keys of [literalKeys(countsOnly[1]), full]) {
+    const unknown = keys.filter((key) => !schema.properties[key]);
+    assert.deepEqual(unknown, [], `keys missing from the schema: ${unknown.join(', ')}`);
+  }
+  const absent = schema.required.filter((key) => !full.includes(key));
+  assert.deepEqual(absent, [], `required keys never returned: ${absent.join(', ')}`);
+
+  const navigation = expression.match(/const navigation = \(\(\) => \{[\s\S]*?\n      return \{([^}]*)\};/);
+  assert.ok(navigation);
+  assert.deepEqual(literalKeys(navigation[1]), schema.properties.navigation.required);
+});
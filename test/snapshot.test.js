@@ -0,0 +1,10 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { timerDelay } from '../src/snapshot.js';
+
+test('timer delay is read from the second argument of the timer call', () => {
+  assert.equal(timerDelay('setTimeout(function(){ track(a, 5); location.href = x; }, 3000)'), 3000);
+  assert.equal(timerDelay('setTimeout(() => { location.assign(next) }, 1500, "arg")'), 1500);
+  assert.equal(timerDelay('setInterval(go, 2 * 1000)'), -1);
+  assert.equal(timerDelay('setTimeout(function(){ location.reload(); })'), -1);
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { runAudit } from '../src/audit.js';
+import { loadCriteria } from '../src/criteria.js';
+import { evaluateCriterion, STATUS } from '../src/checks.js';
+import { buildStaticSnapshot, resolveStaticPages } from '../src/staticSnapshot.js';
+
+const PAGE = `<!doctype html>
+<html lang="fr"><head><meta charset="utf-8"><title>Accueil</title>
+<meta http-equiv="Refresh" content="30"></head>
+<body><header><nav><a href="#contenu">Aller au contenu</a><a href="/blog/"></a></nav></header>
+<main id="contenu"><h1>Bienvenue</h1><img src="a.png"><p lang="en">Hello</p>
+<form><input type="text" id="q"><button>Chercher</button></form>
+<table><tr><td>1</td></tr></table></main></body></html>`;
+
+function criterionById(id) {
+  return loadCriteria().find((c) => c.id === id);
+}
+
+test('static snapshot summarizes built HTML like a counts-only snapshot', () => {
+  const snapshot = buildStaticSnapshot(PAGE, { url: 'file:///site/index.html' });
+  assert.equal(snapshot.source, 'static');
+  assert.equal(snapshot.doctype, 'html');
+  assert.equal(snapshot.title, 'Accueil');
+  assert.equal(snapshot.href, 'file:///site/index.html');
+  assert.equal(snapshot.partial, true);
+  assert.deepEqual(
+    { images: snapshot.counts.images, links: snapshot.counts.links, formControls: snapshot.counts.formControls },
+    { images: 1, links: 2, formControls: 1 }
+  );
+  assert.equal(snapshot.counts.tables, 1);
+  assert.equal(snapshot.counts.landmarks, 4);
+  assert.equal(snapshot.imageSummary.missingAltCount, 1);
+  assert.equal(snapshot.linkSummary.skipLinkFound, true);
+  assert.deepEqual(snapshot.langChanges, ['en']);
+  assert.equal(snapshot.meta.refresh, '30');
+  assert.equal(snapshot.headingsSummary.h1, 1);
+  assert.equal(snapshot.validation.ok, true);
+});
+
+test('static snapshot runs the rules and leaves rendering criteria to a browser', () => {
+  const snapshot = buildStaticSnapshot(PAGE, { url: 'file:///site/index.html' });
+  assert.equal(evaluateCriterion(criterionById('1.1'), snapshot).status, STATUS.NC);
+  assert.equal(evaluateCriterion(criterionById('6.2'), snapshot).status, STATUS.NC);
+  assert.equal(evaluateCriterion(criterionById('11.1'), snapshot).status, STATUS.NC);
+  assert.equal(evaluateCriterion(criterionById('12.7'), snapshot).status, STATUS.C);
+  assert.equal(evaluateCriterion(criterionById('13.1'), snapshot).status, STATUS.NC);
+
+  const tables = evaluateCriterion(criterionById('5.4'), snapshot);
+  assert.equal(tables.status, STATUS.REVIEW);
+
+  for (const id of ['3.2', '10.7', '10.11', '12.8']) {
+    const res = evaluateCriterion(criterionById(id), snapshot);
+    assert.equal(res.status, STATUS.REVIEW, id);
+    assert.equal(res.aiCandidate, false, id);
+    assert.match(res.notes, /^Nécessite un navigateur/, id);
+  }
+});
+
+test('static pages resolve from directories, files and glob patterns', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-static-'));
+  try {
+    await fs.mkdir(path.join(root, 'blog', 'drafts'), { recursive: true });
+    await fs.mkdir(path.join(root, '.cache'), { recursive: true });
+    const files = ['index.html', 'blog/post.html', 'blog/drafts/wip.htm', 'blog/notes.txt', '.cache/old.html'];
+    for (const file of files) await fs.writeFile(path.join(root, file), '<p>x</p>');
+    const url = (file) => pathToFileURL(path.join(root, file)).href;
+
+    assert.deepEqual(await resolveStaticPages([root]), [
+      url('blog/drafts/wip.htm'),
+      url('blog/post.html'),
+      url('index.html')
+    ]);
+    assert.deepEqual(await resolveStaticPages(['blog/*.html'], { cwd: root }), [url('blog/post.html')]);
+    assert.deepEqual(await resolveStaticPages(['**/*.htm', 'index.html'], { cwd: root }), [
+      url('blog/drafts/wip.htm'),
+      url('index.html')
+    ]);
+    await assert.rejects(resolveStaticPages(['missing.html'], { cwd: root }), /not found/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('static audits leave cross-page criteria to a multi-page browser audit', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rgaa-static-'));
+  try {
+    const pages = [];
+    for (const name of ['index.html', 'contact.html']) {
+      await fs.writeFile(path.join(dir, name), PAGE, 'utf-8');
+      pages.push(pathToFileURL(path.join(dir, name)).href);
+    }
+    const statePath = path.join(dir, 'out', 'audit.resume.json');
+    await runAudit({
+      pages,
+      reportLang: 'fr',
+      staticHtml: true,
+      criteria: loadCriteria().filter((criterion) => criterion.id.startsWith('12.')),
+      mcp: {},
+      ai: { useMcp: false },
+      resumeStatePath: statePath
+    });
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+    for (const page of state.completedPages) {
+      for (const id of ['12.1', '12.2', '12.4', '12.5']) {
+        const res = page.results.find((item) => item.id === id);
+        assert.equal(res.status, STATUS.REVIEW, id);
+        assert.equal(res.notes, 'Critère multi-pages : nécessite un audit navigateur sur plusieurs pages.', id);
+      }
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});